@@ -0,0 +1,428 @@
+import { eth, utils } from "web3";
+import { lookupFunction, lookupEvent } from "./signatures.js";
+
+// Selectors of the standard revert payloads
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+/**
+ * Canonical type of an ABI parameter, expanding tuples ("(address,uint256)[]")
+ * @param {Object} param - ABI input/output parameter
+ * @returns {string} Canonical type
+ */
+export function canonicalType(param) {
+  if (param.type.startsWith("tuple")) {
+    return `(${param.components.map(canonicalType).join(",")})${param.type.slice("tuple".length)}`;
+  }
+  return param.type;
+}
+
+/**
+ * Text signature of an ABI function or event, e.g. "transfer(address,uint256)"
+ * @param {Object} item - ABI function or event entry
+ * @returns {string} Text signature
+ */
+export function formatSignature(item) {
+  return `${item.name}(${(item.inputs || []).map(canonicalType).join(",")})`;
+}
+
+/**
+ * Decode transaction calldata with the contract ABI, falling back to the
+ * bundled signature database for unverified contracts
+ * @param {Array<Object>|null} abi - Contract ABI
+ * @param {string} input - Calldata
+ * @returns {Object|null} Decoded call ({ selector, name, signature, source, args }), or null for empty calldata
+ */
+export function decodeFunctionInput(abi, input) {
+  if (!input || input === "0x" || input.length < 10) return null;
+
+  const selector = input.slice(0, 10).toLowerCase();
+  const data = `0x${input.slice(10)}`;
+
+  const fragment = (abi || []).find(item =>
+    item.type === "function" && eth.abi.encodeFunctionSignature(formatSignature(item)) === selector
+  );
+  if (fragment) {
+    const decoded = tryDecode(fragment.inputs, data);
+    if (decoded) {
+      return { selector, name: fragment.name, signature: formatSignature(fragment), source: "abi", args: decoded };
+    }
+  }
+
+  // Several signatures can share a selector; keep the first that decodes cleanly
+  for (const signature of lookupFunction(selector)) {
+    const inputs = parseSignatureParams(signature);
+    const decoded = tryDecode(inputs, data, { strict: true });
+    if (decoded) {
+      return { selector, name: signature.split("(")[0], signature, source: "signature-db", args: decoded };
+    }
+  }
+
+  return { selector, name: null, signature: null, source: null, args: [] };
+}
+
+/**
+ * Decode an event log with the contract ABI, falling back to the bundled
+ * signature database (assuming the leading parameters are the indexed ones)
+ * @param {Array<Object>|null} abi - ABI of the emitting contract
+ * @param {Object} log - Log with `topics` and `data`
+ * @returns {Object|null} Decoded event ({ name, signature, source, args }), or null if unknown
+ */
+export function decodeEventLog(abi, log) {
+  const [topic0, ...indexedTopics] = log.topics || [];
+  if (!topic0) return null;
+
+  const fragment = (abi || []).find(item =>
+    item.type === "event" && !item.anonymous && eth.abi.encodeEventSignature(formatSignature(item)) === topic0.toLowerCase()
+  );
+  if (fragment) {
+    const args = tryDecodeLog(fragment.inputs, log.data, indexedTopics);
+    if (args) {
+      return { name: fragment.name, signature: formatSignature(fragment), source: "abi", args };
+    }
+  }
+
+  for (const signature of lookupEvent(topic0)) {
+    const inputs = parseSignatureParams(signature).map((input, index) => ({
+      ...input,
+      indexed: index < indexedTopics.length
+    }));
+    const args = tryDecodeLog(inputs, log.data, indexedTopics);
+    if (args) {
+      return { name: signature.split("(")[0], signature, source: "signature-db", args };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate and ABI-encode a function call
+ * @param {Object} fragment - ABI function entry (name, inputs)
+ * @param {Array} args - Arguments (JSON values; numbers may be decimal or hex strings)
+ * @returns {string} Calldata
+ */
+export function encodeFunctionCall(fragment, args = []) {
+  const inputs = fragment.inputs || [];
+  if (args.length !== inputs.length) {
+    throw new Error(`${formatSignature(fragment)} expects ${inputs.length} argument(s), got ${args.length}`);
+  }
+
+  const values = inputs.map((input, index) => normalizeArgument(input, args[index], input.name || `arg${index}`));
+  const encoded = eth.abi.encodeParameters(inputs.map(canonicalType), values);
+  return `${eth.abi.encodeFunctionSignature(formatSignature(fragment))}${encoded.slice(2)}`;
+}
+
+/**
+ * Decode the return data of a function call
+ * @param {Array<Object>} outputs - ABI outputs
+ * @param {string} data - Return data
+ * @returns {Array<Object>} Outputs as { name, type, value }
+ */
+export function decodeFunctionOutput(outputs, data) {
+  if (outputs.length === 0) return [];
+  if (!data || data === "0x") {
+    throw new Error("Call returned no data (is the function implemented at this address?)");
+  }
+
+  // ABI tuples keep their component names; tuples parsed from signatures decode by position
+  const decoded = eth.abi.decodeParameters(
+    outputs.map(output => (output.type.startsWith("tuple") ? output : output.type)),
+    data
+  );
+  return outputs.map((output, index) => ({
+    name: output.name || `output${index}`,
+    type: canonicalType(output),
+    value: toPlainValue(decoded[index])
+  }));
+}
+
+/**
+ * Decode the reason of a reverted call from its revert data
+ * @param {string} data - Revert data
+ * @returns {string} Reason (Error(string), Panic(uint256) or raw data)
+ */
+export function decodeRevertReason(data) {
+  if (!data || data === "0x") return "execution reverted";
+
+  try {
+    if (data.startsWith(ERROR_SELECTOR)) {
+      return eth.abi.decodeParameter("string", `0x${data.slice(10)}`);
+    }
+    if (data.startsWith(PANIC_SELECTOR)) {
+      return `panic code 0x${BigInt(eth.abi.decodeParameter("uint256", `0x${data.slice(10)}`)).toString(16)}`;
+    }
+  } catch (error) {
+    // Fall through to the raw data
+  }
+  return `execution reverted with data ${data}`;
+}
+
+/**
+ * Read the first 32-byte word of log or return data as an unsigned integer,
+ * ignoring any trailing data
+ * @param {string} data - Hex data
+ * @returns {bigint|null} Value, or null when the data is shorter than one word
+ */
+export function readFirstWord(data) {
+  if (typeof data !== "string" || !/^0x[0-9a-fA-F]{64}/.test(data)) return null;
+  return BigInt(data.slice(0, 66));
+}
+
+/**
+ * Extract the revert data from an error thrown by eth_call or eth_estimateGas
+ * @param {Error} error - Error thrown by web3
+ * @returns {string|null} Revert data ("0x" for a bare revert), or null if the call did not revert
+ */
+export function getRevertData(error) {
+  const data = error.cause?.data ?? error.data;
+  if (typeof data === "string") return data;
+  return error.name === "ContractExecutionError" ? "0x" : null;
+}
+
+/**
+ * Build an ABI function entry from a text signature such as
+ * "balanceOf(address) returns (uint256)"
+ * @param {string} signature - Function signature, optionally with returns clause
+ * @returns {Object} ABI function entry
+ */
+export function parseFunctionSignature(signature) {
+  const match = signature.trim().match(/^(?:function\s+)?([A-Za-z_$][\w$]*)\s*(\(.*?\))(?:\s+(?:external|public|view|pure|payable|\s)*)?(?:\s*returns\s*(\(.*\)))?$/);
+  if (!match) {
+    throw new Error(`Invalid function signature "${signature}"`);
+  }
+
+  const [, name, params, returns] = match;
+  return {
+    type: "function",
+    name,
+    inputs: parseSignatureParams(`${name}${params}`),
+    outputs: returns ? parseSignatureParams(`returns${returns}`) : null
+  };
+}
+
+/**
+ * Build an ABI event entry from a text signature such as
+ * "Transfer(address indexed from, address indexed to, uint256 value)"
+ * @param {string} signature - Event signature with indexed markers and optional names
+ * @returns {Object} ABI event entry
+ */
+export function parseEventSignature(signature) {
+  const match = signature.trim().match(/^(?:event\s+)?([A-Za-z_$][\w$]*)\s*(\(.*\))$/);
+  if (!match) {
+    throw new Error(`Invalid event signature "${signature}"`);
+  }
+
+  const [, name, params] = match;
+  const inputs = parseSignatureParams(`${name}${params}`).map((param, index) => {
+    const words = param.type.split(/\s+/);
+    const indexed = words.includes("indexed");
+    const [type, paramName] = words.filter(word => word !== "indexed");
+    return { name: paramName || `arg${index}`, type, indexed };
+  });
+  return { type: "event", name, inputs, anonymous: false };
+}
+
+/**
+ * Encode a value of an indexed event parameter as a log topic. Strings and
+ * bytes are indexed by their keccak256 hash.
+ * @param {Object} param - ABI event input
+ * @param {*} value - JSON value
+ * @returns {string} 32-byte topic
+ */
+export function encodeEventTopic(param, value) {
+  const type = canonicalType(param);
+  const label = param.name || type;
+
+  if (type === "string") {
+    return utils.keccak256(utils.utf8ToHex(normalizeArgument(param, value, label)));
+  }
+  if (type === "bytes") {
+    return utils.keccak256(normalizeArgument(param, value, label));
+  }
+  if (type.startsWith("(") || type.endsWith("]")) {
+    throw new Error(`Filtering on indexed ${type} parameter "${label}" is not supported`);
+  }
+  return eth.abi.encodeParameter(type, normalizeArgument(param, value, label));
+}
+
+/**
+ * Convert a JSON argument into the value the ABI coder expects, with errors
+ * that name the offending argument
+ * @param {Object} param - ABI parameter
+ * @param {*} value - JSON value
+ * @param {string} label - Argument name for error messages
+ * @returns {*} Encodable value
+ */
+function normalizeArgument(param, value, label) {
+  const type = canonicalType(param);
+  const fail = reason => {
+    throw new Error(`Invalid argument "${label}" (${type}): ${reason}`);
+  };
+
+  // Arrays: T[] or T[n]
+  const arrayMatch = type.match(/^(.*)\[(\d*)\]$/);
+  if (arrayMatch) {
+    if (!Array.isArray(value)) fail("expected an array");
+    if (arrayMatch[2] && value.length !== Number(arrayMatch[2])) fail(`expected ${arrayMatch[2]} items`);
+    const itemParam = { ...param, type: param.type.replace(/\[\d*\]$/, "") };
+    return value.map((item, index) => normalizeArgument(itemParam, item, `${label}[${index}]`));
+  }
+
+  if (type.startsWith("(")) {
+    const components = param.components || parseSignatureParams(`t${type}`);
+    const items = Array.isArray(value)
+      ? value
+      : value && typeof value === "object"
+        ? components.map(component => value[component.name])
+        : fail("expected an array or object of tuple fields");
+    if (items.length !== components.length) fail(`expected ${components.length} tuple fields`);
+    return components.map((component, index) =>
+      normalizeArgument(component, items[index], `${label}.${component.name || index}`));
+  }
+
+  if (type === "address") {
+    if (typeof value !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(value)) fail("expected a 0x-prefixed 20-byte address");
+    return value;
+  }
+
+  if (type === "bool") {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    fail("expected true or false");
+  }
+
+  const intMatch = type.match(/^(u?)int(\d*)$/);
+  if (intMatch) {
+    let number;
+    try {
+      if (typeof value === "number" && !Number.isSafeInteger(value)) throw new Error();
+      number = BigInt(value);
+    } catch (error) {
+      fail("expected an integer (pass large values as decimal or hex strings)");
+    }
+    const bits = BigInt(intMatch[2] || 256);
+    const [min, max] = intMatch[1]
+      ? [0n, 2n ** bits - 1n]
+      : [-(2n ** (bits - 1n)), 2n ** (bits - 1n) - 1n];
+    if (number < min || number > max) fail(`out of range for ${type}`);
+    return number;
+  }
+
+  const bytesMatch = type.match(/^bytes(\d*)$/);
+  if (bytesMatch) {
+    if (typeof value !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(value)) fail("expected 0x-prefixed hex bytes");
+    if (bytesMatch[1] && value.length !== 2 + Number(bytesMatch[1]) * 2) fail(`expected exactly ${bytesMatch[1]} bytes`);
+    return value;
+  }
+
+  if (type === "string") {
+    if (typeof value !== "string") fail("expected a string");
+    return value;
+  }
+
+  fail("unsupported type");
+}
+
+/**
+ * Convert a value returned by the web3 ABI coder into plain JSON
+ * (bigints become decimal strings, decoded tuples become objects or arrays)
+ * @param {*} value - Decoded value
+ * @returns {*} JSON-safe value
+ */
+export function toPlainValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toPlainValue);
+
+  if (value && typeof value === "object") {
+    const length = value.__length__ ?? Object.keys(value).length;
+    const names = Object.keys(value).filter(key => key !== "__length__" && Number.isNaN(Number(key)));
+
+    // Tuples with named components read better as objects
+    if (length > 0 && names.length === length) {
+      return Object.fromEntries(names.map(name => [name, toPlainValue(value[name])]));
+    }
+    return Array.from({ length }, (_, index) => toPlainValue(value[index]));
+  }
+
+  return value;
+}
+
+/**
+ * Split a text signature into ABI parameters, e.g. "f(address,(uint8,bool)[])"
+ * @param {string} signature - Text signature
+ * @returns {Array<Object>} Parameters as { name, type }
+ */
+export function parseSignatureParams(signature) {
+  const inner = signature.slice(signature.indexOf("(") + 1, signature.lastIndexOf(")"));
+  const types = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of inner) {
+    if (char === "," && depth === 0) {
+      types.push(current);
+      current = "";
+      continue;
+    }
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    current += char;
+  }
+  if (current) types.push(current);
+
+  return types.map(type => ({ name: "", type: type.trim() }));
+}
+
+/**
+ * Decode ABI-encoded parameters, returning null instead of throwing
+ * @param {Array<Object>} inputs - ABI parameters
+ * @param {string} data - Encoded data
+ * @param {Object} [options] - Decode options
+ * @param {boolean} [options.strict] - Require the data to re-encode identically (guards signature guesses)
+ * @returns {Array<Object>|null} Arguments as { name, type, value }
+ */
+function tryDecode(inputs, data, { strict = false } = {}) {
+  try {
+    const types = inputs.map(canonicalType);
+    const decoded = eth.abi.decodeParameters(inputs, data);
+
+    if (strict) {
+      const values = inputs.map((_, index) => decoded[index]);
+      if (eth.abi.encodeParameters(types, values).toLowerCase() !== data.toLowerCase()) {
+        return null;
+      }
+    }
+
+    return inputs.map((input, index) => ({
+      name: input.name || `arg${index}`,
+      type: canonicalType(input),
+      value: toPlainValue(decoded[index])
+    }));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a log's indexed topics and data, returning null instead of throwing
+ * @param {Array<Object>} inputs - Event parameters (with `indexed` flags)
+ * @param {string} data - Log data
+ * @param {string[]} topics - Indexed topics (without topic0)
+ * @returns {Array<Object>|null} Arguments as { name, type, indexed, value }
+ */
+function tryDecodeLog(inputs, data, topics) {
+  if (inputs.filter(input => input.indexed).length !== topics.length) return null;
+
+  try {
+    const decoded = eth.abi.decodeLog(inputs, data === "0x" ? "" : data, topics);
+    return inputs.map((input, index) => ({
+      name: input.name || `arg${index}`,
+      type: canonicalType(input),
+      indexed: !!input.indexed,
+      value: toPlainValue(decoded[index])
+    }));
+  } catch (error) {
+    return null;
+  }
+}
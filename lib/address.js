@@ -0,0 +1,32 @@
+import { z } from "zod";
+import { isEnsName, resolveEnsName } from "./ens.js";
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * Tool argument holding an Ethereum address or an ENS name. Names are
+ * resolved while the arguments are validated, so handlers always receive a
+ * hex address; a name without an address fails validation.
+ */
+export const addressSchema = z.string().trim().transform(async (value, ctx) => {
+  if (ADDRESS_PATTERN.test(value)) {
+    return value;
+  }
+
+  if (!isEnsName(value)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Invalid Ethereum address or ENS name" });
+    return z.NEVER;
+  }
+
+  try {
+    const address = await resolveEnsName(value);
+    if (!address) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `ENS name "${value}" does not resolve to an address` });
+      return z.NEVER;
+    }
+    return address;
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Could not resolve ENS name "${value}": ${error.message}` });
+    return z.NEVER;
+  }
+}).describe("Ethereum address (0x...) or ENS name");
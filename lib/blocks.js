@@ -0,0 +1,76 @@
+// Named block tags accepted by JSON-RPC methods
+export const BLOCK_TAGS = ["latest", "earliest", "pending", "safe", "finalized"];
+
+/**
+ * Find the block closest to a point in time by binary search over block
+ * timestamps
+ * @param {Web3} web3 - Web3 instance
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {Object} [options] - Search options
+ * @param {string} [options.closest] - "after" for the first block at or after the time, "before" for the last block at or before it
+ * @returns {Promise<number>} Block number
+ */
+export async function findBlockByTimestamp(web3, timestamp, { closest = "after" } = {}) {
+  const latest = await web3.eth.getBlock("latest");
+  const latestNumber = Number(latest.number);
+
+  if (timestamp >= Number(latest.timestamp)) {
+    if (closest === "before") return latestNumber;
+    if (timestamp > Number(latest.timestamp)) {
+      throw new Error(`${new Date(timestamp * 1000).toISOString()} is after the latest block`);
+    }
+  }
+
+  // First block past the target: at or after it for "after", strictly after it for "before"
+  const isPast = blockTimestamp => (closest === "after" ? blockTimestamp >= timestamp : blockTimestamp > timestamp);
+  let low = 0;
+  let high = latestNumber;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const block = await web3.eth.getBlock(middle);
+    if (isPast(Number(block.timestamp))) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+
+  if (closest === "after") return low;
+  if (low === 0) {
+    throw new Error(`${new Date(timestamp * 1000).toISOString()} is before the first block`);
+  }
+  return low - 1;
+}
+
+/**
+ * Parse a date given as an ISO 8601 string or Unix timestamp (seconds)
+ * @param {string|number} value - Date
+ * @returns {number} Unix timestamp in seconds
+ */
+export function parseTimestamp(value) {
+  if (typeof value === "number" || /^\d+$/.test(String(value).trim())) {
+    return Number(value);
+  }
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid date "${value}"; use ISO 8601 (e.g. 2024-05-01T00:00:00Z) or a Unix timestamp`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Validate a block number or tag
+ * @param {number|string|undefined} blockTag - Block number, hex number or tag
+ * @returns {number|string} Block number or tag for JSON-RPC calls
+ */
+export function parseBlockTag(blockTag) {
+  if (blockTag === undefined) return "latest";
+  if (typeof blockTag === "number") return blockTag;
+
+  const tag = blockTag.trim().toLowerCase();
+  if (BLOCK_TAGS.includes(tag)) return tag;
+  if (/^\d+$/.test(tag)) return Number(tag);
+  if (/^0x[0-9a-f]+$/.test(tag)) return Number(BigInt(tag));
+  throw new Error(`Invalid block tag "${blockTag}"; use a block number or one of ${BLOCK_TAGS.join(", ")}`);
+}
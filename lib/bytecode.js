@@ -0,0 +1,191 @@
+import { lookupFunction } from "./signatures.js";
+
+// EVM opcode names by byte value (PUSH1-32, DUP1-16, SWAP1-16 and LOG0-4 are filled in below)
+const OPCODES = {
+  0x00: "STOP", 0x01: "ADD", 0x02: "MUL", 0x03: "SUB", 0x04: "DIV", 0x05: "SDIV",
+  0x06: "MOD", 0x07: "SMOD", 0x08: "ADDMOD", 0x09: "MULMOD", 0x0a: "EXP", 0x0b: "SIGNEXTEND",
+  0x10: "LT", 0x11: "GT", 0x12: "SLT", 0x13: "SGT", 0x14: "EQ", 0x15: "ISZERO",
+  0x16: "AND", 0x17: "OR", 0x18: "XOR", 0x19: "NOT", 0x1a: "BYTE", 0x1b: "SHL",
+  0x1c: "SHR", 0x1d: "SAR", 0x20: "KECCAK256",
+  0x30: "ADDRESS", 0x31: "BALANCE", 0x32: "ORIGIN", 0x33: "CALLER", 0x34: "CALLVALUE",
+  0x35: "CALLDATALOAD", 0x36: "CALLDATASIZE", 0x37: "CALLDATACOPY", 0x38: "CODESIZE",
+  0x39: "CODECOPY", 0x3a: "GASPRICE", 0x3b: "EXTCODESIZE", 0x3c: "EXTCODECOPY",
+  0x3d: "RETURNDATASIZE", 0x3e: "RETURNDATACOPY", 0x3f: "EXTCODEHASH",
+  0x40: "BLOCKHASH", 0x41: "COINBASE", 0x42: "TIMESTAMP", 0x43: "NUMBER", 0x44: "PREVRANDAO",
+  0x45: "GASLIMIT", 0x46: "CHAINID", 0x47: "SELFBALANCE", 0x48: "BASEFEE", 0x49: "BLOBHASH",
+  0x4a: "BLOBBASEFEE",
+  0x50: "POP", 0x51: "MLOAD", 0x52: "MSTORE", 0x53: "MSTORE8", 0x54: "SLOAD", 0x55: "SSTORE",
+  0x56: "JUMP", 0x57: "JUMPI", 0x58: "PC", 0x59: "MSIZE", 0x5a: "GAS", 0x5b: "JUMPDEST",
+  0x5c: "TLOAD", 0x5d: "TSTORE", 0x5e: "MCOPY", 0x5f: "PUSH0",
+  0xf0: "CREATE", 0xf1: "CALL", 0xf2: "CALLCODE", 0xf3: "RETURN", 0xf4: "DELEGATECALL",
+  0xf5: "CREATE2", 0xfa: "STATICCALL", 0xfd: "REVERT", 0xfe: "INVALID", 0xff: "SELFDESTRUCT"
+};
+
+for (let i = 1; i <= 32; i++) OPCODES[0x5f + i] = `PUSH${i}`;
+for (let i = 1; i <= 16; i++) OPCODES[0x7f + i] = `DUP${i}`;
+for (let i = 1; i <= 16; i++) OPCODES[0x8f + i] = `SWAP${i}`;
+for (let i = 0; i <= 4; i++) OPCODES[0xa0 + i] = `LOG${i}`;
+
+// Opcodes worth flagging in an audit, with the reason they matter
+const DANGEROUS_OPCODES = {
+  SELFDESTRUCT: {
+    severity: "High",
+    description: "Contract can destroy itself or force-send its ETH balance"
+  },
+  DELEGATECALL: {
+    severity: "Medium",
+    description: "Executes external code in this contract's storage context (proxies, libraries or arbitrary code)"
+  },
+  CALLCODE: {
+    severity: "Medium",
+    description: "Deprecated predecessor of DELEGATECALL, executes external code with this contract's storage"
+  }
+};
+
+// How far past a selector push the dispatcher comparison and jump may appear
+const DISPATCH_WINDOW = 4;
+
+// Pushes that can carry a selector, by byte length
+const SELECTOR_PUSHES = ["PUSH1", "PUSH2", "PUSH3", "PUSH4"];
+
+/**
+ * Disassemble EVM bytecode into instructions, skipping over PUSH data
+ * @param {string} bytecode - Hex bytecode (with or without 0x prefix)
+ * @returns {Array<Object>} Instructions with offset, opcode, name and push data
+ */
+export function disassemble(bytecode) {
+  const bytes = hexToBytes(bytecode);
+  const instructions = [];
+
+  let pc = 0;
+  while (pc < bytes.length) {
+    const opcode = bytes[pc];
+    const name = OPCODES[opcode] || `UNKNOWN_0x${opcode.toString(16).padStart(2, "0")}`;
+    const instruction = { offset: pc, opcode, name };
+
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const size = opcode - 0x5f;
+      const data = bytes.subarray(pc + 1, pc + 1 + size);
+      instruction.pushData = `0x${Buffer.from(data).toString("hex").padEnd(size * 2, "0")}`;
+      pc += size;
+    }
+
+    instructions.push(instruction);
+    pc++;
+  }
+
+  return instructions;
+}
+
+/**
+ * Remove the trailing Solidity/Vyper CBOR metadata section, if present
+ * @param {string} bytecode - Hex bytecode
+ * @returns {string} Bytecode without metadata (0x-prefixed)
+ */
+export function stripMetadata(bytecode) {
+  const hex = bytecode.replace(/^0x/, "");
+  if (hex.length < 4) return `0x${hex}`;
+
+  // The last two bytes hold the length of the CBOR-encoded metadata map
+  const metadataLength = parseInt(hex.slice(-4), 16);
+  const start = hex.length - 4 - metadataLength * 2;
+  if (metadataLength === 0 || start < 0) return `0x${hex}`;
+
+  // CBOR maps with up to 15 entries start with 0xa0-0xaf
+  const firstByte = parseInt(hex.slice(start, start + 2), 16);
+  if (firstByte < 0xa0 || firstByte > 0xaf) return `0x${hex}`;
+
+  return `0x${hex.slice(0, start)}`;
+}
+
+/**
+ * Extract function selectors from the dispatcher. A selector is a PUSH4 that
+ * is compared with EQ and followed by a conditional jump, which matches both
+ * the `DUP1 PUSH4 sel EQ PUSH2 dest JUMPI` and `PUSH4 sel DUP2 EQ ...` forms.
+ * solc pushes selectors with leading zero bytes (e.g. 0x00fdd58e) with a
+ * shorter PUSH1-PUSH3; those only count in the exact forms above and are
+ * left-padded to 4 bytes.
+ * @param {Array<Object>} instructions - Disassembled instructions
+ * @returns {string[]} Unique selectors in dispatch order
+ */
+export function extractSelectors(instructions) {
+  const selectors = [];
+
+  instructions.forEach((instruction, index) => {
+    const size = SELECTOR_PUSHES.indexOf(instruction.name) + 1;
+    if (size === 0 || instruction.pushData === "0xffffffff") return;
+
+    const window = instructions.slice(index + 1, index + 1 + DISPATCH_WINDOW);
+    const eqIndex = window.findIndex(next => next.name === "EQ");
+    if (eqIndex === -1) return;
+
+    if (size < 4) {
+      const comparesSelector = (eqIndex === 0 && instructions[index - 1]?.name === "DUP1") ||
+        (eqIndex === 1 && window[0].name === "DUP2");
+      if (!comparesSelector) return;
+    }
+
+    const selector = `0x${instruction.pushData.slice(2).padStart(8, "0")}`;
+    const jumps = window.slice(eqIndex + 1).some(next => next.name === "JUMPI");
+    if (jumps && !selectors.includes(selector)) {
+      selectors.push(selector);
+    }
+  });
+
+  return selectors;
+}
+
+/**
+ * Find dangerous opcodes in the instruction stream
+ * @param {Array<Object>} instructions - Disassembled instructions
+ * @returns {Array<Object>} Dangerous opcodes with count, offsets and explanation
+ */
+export function findDangerousOpcodes(instructions) {
+  const found = {};
+
+  instructions.forEach(instruction => {
+    if (!DANGEROUS_OPCODES[instruction.name]) return;
+    found[instruction.name] = found[instruction.name] || {
+      opcode: instruction.name,
+      ...DANGEROUS_OPCODES[instruction.name],
+      count: 0,
+      offsets: []
+    };
+    found[instruction.name].count++;
+    found[instruction.name].offsets.push(instruction.offset);
+  });
+
+  return Object.values(found);
+}
+
+/**
+ * Disassemble runtime bytecode and summarize its interface and risky opcodes
+ * @param {string} bytecode - Runtime bytecode
+ * @returns {Object} Bytecode analysis
+ */
+export function analyzeBytecode(bytecode) {
+  const code = stripMetadata(bytecode);
+  const instructions = disassemble(code);
+
+  const functions = extractSelectors(instructions).map(selector => ({
+    selector,
+    signatures: lookupFunction(selector)
+  }));
+
+  return {
+    codeSize: (code.length - 2) / 2,
+    instructionCount: instructions.length,
+    functions,
+    dangerousOpcodes: findDangerousOpcodes(instructions)
+  };
+}
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string (with or without 0x prefix)
+ * @returns {Uint8Array} Bytes
+ */
+function hexToBytes(hex) {
+  const clean = (hex || "").replace(/^0x/, "");
+  return Uint8Array.from(Buffer.from(clean.length % 2 ? `${clean}0` : clean, "hex"));
+}
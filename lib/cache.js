@@ -0,0 +1,265 @@
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import os from "os";
+import path from "path";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Time-to-live per cached data type, in milliseconds. Infinity means the
+ * entry never expires (immutable data such as verified source code).
+ */
+export const CACHE_TTLS = {
+  contractSource: Infinity,
+  contractCreation: Infinity,
+  transaction: Infinity,
+  block: Infinity,
+  tokenInfo: 6 * HOUR,
+  tokenBalances: 5 * MINUTE,
+  nftMetadata: 6 * HOUR,
+  nftHoldings: 5 * MINUTE,
+  walletPnl: 15 * MINUTE,
+  tweets: 5 * MINUTE,
+  ens: 1 * HOUR
+};
+
+// Price bar TTLs, keyed by the bar length in minutes they apply up to
+const BAR_TTLS = [
+  { maxMinutes: 5, ttl: 1 * MINUTE },
+  { maxMinutes: 60, ttl: 5 * MINUTE },
+  { maxMinutes: 240, ttl: 15 * MINUTE },
+  { maxMinutes: Infinity, ttl: 1 * HOUR }
+];
+
+// Entries kept on disk; the oldest are dropped beyond this
+const MAX_ENTRIES = 5000;
+
+// Delay before pending changes are written to disk
+const SAVE_DELAY_MS = 1000;
+
+let store = null;
+let saveTimer = null;
+const inFlight = new Map();
+const stats = {};
+
+/**
+ * Return a cached value, or call `fetcher` and cache its result.
+ * The cache is skipped entirely when CACHE_DISABLED is set.
+ * @param {string} namespace - Data source, e.g. "etherscan"
+ * @param {*} key - Request identity (serialized and hashed)
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Time-to-live in milliseconds (Infinity for never)
+ * @param {boolean} [options.refresh] - Ignore any cached value and refetch
+ * @param {Function} [options.shouldCache] - Called with the result; return false to skip caching it
+ * @param {Function} fetcher - Produces the value on a miss
+ * @returns {Promise<*>} Cached or fresh value
+ */
+export async function cached(namespace, key, { ttl, refresh = false, shouldCache = () => true }, fetcher) {
+  if (isCacheDisabled()) {
+    return fetcher();
+  }
+
+  const entries = loadStore();
+  const id = `${namespace}:${hashKey(key)}`;
+  const counters = getCounters(namespace);
+  const entry = entries[id];
+
+  if (!refresh && entry && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+    counters.hits++;
+    return entry.value;
+  }
+
+  if (refresh) {
+    counters.refreshes++;
+  } else {
+    counters.misses++;
+  }
+
+  // Concurrent misses for the same key share one upstream request
+  if (inFlight.has(id)) {
+    return inFlight.get(id);
+  }
+
+  const request = (async () => {
+    const value = await fetcher();
+    if (shouldCache(value)) {
+      entries[id] = {
+        storedAt: Date.now(),
+        expiresAt: ttl === Infinity ? null : Date.now() + ttl,
+        value
+      };
+      scheduleSave();
+    }
+    return value;
+  })();
+
+  inFlight.set(id, request);
+  try {
+    return await request;
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/**
+ * TTL for price bars of a given resolution (e.g. "1", "60", "1H", "1D")
+ * @param {string} resolution - Bar resolution
+ * @returns {number} Time-to-live in milliseconds
+ */
+export function getBarsTtl(resolution) {
+  const minutes = resolutionToMinutes(resolution);
+  return BAR_TTLS.find(entry => minutes <= entry.maxMinutes).ttl;
+}
+
+/**
+ * Summarize cache usage since startup and the entries currently stored
+ * @returns {Object} Cache location, per-namespace counters and entry counts
+ */
+export function getCacheStats() {
+  const entries = isCacheDisabled() ? {} : loadStore();
+  const now = Date.now();
+  const namespaces = {};
+
+  for (const [id, entry] of Object.entries(entries)) {
+    const namespace = id.slice(0, id.indexOf(":"));
+    const summary = namespaces[namespace] = namespaces[namespace] || { entries: 0, expired: 0, ...getCounters(namespace) };
+    summary.entries++;
+    if (entry.expiresAt !== null && entry.expiresAt <= now) summary.expired++;
+  }
+  for (const namespace of Object.keys(stats)) {
+    namespaces[namespace] = namespaces[namespace] || { entries: 0, expired: 0, ...getCounters(namespace) };
+  }
+
+  return {
+    enabled: !isCacheDisabled(),
+    file: getCacheFile(),
+    totalEntries: Object.keys(entries).length,
+    namespaces
+  };
+}
+
+/**
+ * Remove cached entries. Nothing is touched while the cache is disabled.
+ * @param {string} [namespace] - Only clear this data source; omit to clear everything
+ * @returns {number} Number of entries removed
+ */
+export function clearCache(namespace) {
+  if (isCacheDisabled()) return 0;
+
+  const entries = loadStore();
+  const ids = Object.keys(entries).filter(id => !namespace || id.startsWith(`${namespace}:`));
+  ids.forEach(id => delete entries[id]);
+  scheduleSave();
+  return ids.length;
+}
+
+/**
+ * Path of the cache file (CACHE_FILE, or ~/.cache/zk-mcp/cache.json)
+ * @returns {string} Cache file path
+ */
+function getCacheFile() {
+  return process.env.CACHE_FILE || path.join(os.homedir(), ".cache", "zk-mcp", "cache.json");
+}
+
+/**
+ * Whether caching has been turned off through CACHE_DISABLED
+ * @returns {boolean} True if disabled
+ */
+function isCacheDisabled() {
+  return ["1", "true", "yes"].includes((process.env.CACHE_DISABLED || "").toLowerCase());
+}
+
+/**
+ * Load the cache file on first use, dropping expired entries
+ * @returns {Object} Cache entries by id
+ */
+function loadStore() {
+  if (store) return store;
+
+  store = {};
+  const file = getCacheFile();
+  try {
+    if (existsSync(file)) {
+      const now = Date.now();
+      const saved = JSON.parse(readFileSync(file, "utf8"));
+      for (const [id, entry] of Object.entries(saved.entries || {})) {
+        if (entry.expiresAt === null || entry.expiresAt > now) store[id] = entry;
+      }
+    }
+  } catch (error) {
+    console.error(`Ignoring unreadable cache file ${file}:`, error.message);
+  }
+
+  // Write pending changes before the process exits
+  process.on("exit", saveStore);
+  return store;
+}
+
+/**
+ * Write the cache to disk shortly, batching bursts of updates
+ */
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveStore, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Write the cache to disk, keeping only the newest MAX_ENTRIES entries
+ */
+function saveStore() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!store) return;
+
+  const ids = Object.keys(store);
+  if (ids.length > MAX_ENTRIES) {
+    ids
+      .sort((a, b) => store[a].storedAt - store[b].storedAt)
+      .slice(0, ids.length - MAX_ENTRIES)
+      .forEach(id => delete store[id]);
+  }
+
+  const file = getCacheFile();
+  try {
+    mkdirSync(path.dirname(file), { recursive: true });
+    // Write to a temporary file first so a crash never leaves a truncated cache
+    writeFileSync(`${file}.tmp`, JSON.stringify({ version: 1, entries: store }));
+    renameSync(`${file}.tmp`, file);
+  } catch (error) {
+    console.error(`Error writing cache file ${file}:`, error.message);
+  }
+}
+
+/**
+ * Hit/miss counters of a namespace, created on first use
+ * @param {string} namespace - Data source
+ * @returns {Object} Counters
+ */
+function getCounters(namespace) {
+  stats[namespace] = stats[namespace] || { hits: 0, misses: 0, refreshes: 0 };
+  return stats[namespace];
+}
+
+/**
+ * Hash a request identity into a short cache key
+ * @param {*} key - Request identity
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+  return createHash("sha256").update(typeof key === "string" ? key : JSON.stringify(key)).digest("hex").slice(0, 32);
+}
+
+/**
+ * Convert a Codex resolution ("1", "60", "1H", "1D", "7D") to minutes
+ * @param {string} resolution - Bar resolution
+ * @returns {number} Bar length in minutes
+ */
+function resolutionToMinutes(resolution) {
+  const match = String(resolution).trim().match(/^(\d+)\s*([HDW]?)$/i);
+  if (!match) return Infinity;
+
+  const units = { "": 1, H: 60, D: 1440, W: 10080 };
+  return parseInt(match[1], 10) * units[match[2].toUpperCase()];
+}
@@ -0,0 +1,416 @@
+import { Web3, HttpProvider } from "web3";
+import { createRecordingProvider, isRecording, isReplaying } from "./recorder.js";
+
+// Etherscan v2 serves every supported chain from one endpoint, selected by `chainid`
+const ETHERSCAN_V2_API_URL = "https://api.etherscan.io/v2/api";
+
+/**
+ * Chain registry. Each entry maps a chain key to everything the tools need to
+ * talk to that chain: chain ID, default RPC endpoints (overridable through the
+ * `<KEY>_RPC_URL` environment variable), the Etherscan v2 endpoint, the Moralis
+ * chain slug, the Codex networkId and the Chainlink feed pricing the native
+ * currency in USD (mainnets only).
+ */
+export const CHAINS = {
+  eth: {
+    key: "eth",
+    name: "Ethereum",
+    chainId: 1,
+    evm: true,
+    testnet: false,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://eth.llamarpc.com", "https://ethereum-rpc.publicnode.com"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://etherscan.io",
+    moralisChain: "eth",
+    codexNetworkId: 1,
+    nativeUsdFeed: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419",
+    aliases: ["ethereum", "mainnet", "homestead"]
+  },
+  base: {
+    key: "base",
+    name: "Base",
+    chainId: 8453,
+    evm: true,
+    testnet: false,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://mainnet.base.org", "https://base-rpc.publicnode.com"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://basescan.org",
+    moralisChain: "base",
+    codexNetworkId: 8453,
+    nativeUsdFeed: "0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70",
+    aliases: []
+  },
+  arbitrum: {
+    key: "arbitrum",
+    name: "Arbitrum One",
+    chainId: 42161,
+    evm: true,
+    testnet: false,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://arb1.arbitrum.io/rpc", "https://arbitrum-one-rpc.publicnode.com"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://arbiscan.io",
+    moralisChain: "arbitrum",
+    codexNetworkId: 42161,
+    nativeUsdFeed: "0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612",
+    aliases: ["arb", "arbitrum-one"]
+  },
+  optimism: {
+    key: "optimism",
+    name: "OP Mainnet",
+    chainId: 10,
+    evm: true,
+    testnet: false,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://mainnet.optimism.io", "https://optimism-rpc.publicnode.com"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://optimistic.etherscan.io",
+    moralisChain: "optimism",
+    codexNetworkId: 10,
+    nativeUsdFeed: "0x13e3Ee699D1909E989722E753853AE30b17e08c5",
+    aliases: ["op", "op-mainnet"]
+  },
+  polygon: {
+    key: "polygon",
+    name: "Polygon PoS",
+    chainId: 137,
+    evm: true,
+    testnet: false,
+    nativeSymbol: "POL",
+    rpcUrls: ["https://polygon-rpc.com", "https://polygon-bor-rpc.publicnode.com"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://polygonscan.com",
+    moralisChain: "polygon",
+    codexNetworkId: 137,
+    nativeUsdFeed: "0xAB594600376Ec9fD91F8e885dADF0CE036862dE0",
+    aliases: ["matic", "pol"]
+  },
+  bsc: {
+    key: "bsc",
+    name: "BNB Smart Chain",
+    chainId: 56,
+    evm: true,
+    testnet: false,
+    nativeSymbol: "BNB",
+    rpcUrls: ["https://bsc-dataseed.bnbchain.org", "https://bsc-rpc.publicnode.com"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://bscscan.com",
+    moralisChain: "bsc",
+    codexNetworkId: 56,
+    nativeUsdFeed: "0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE",
+    aliases: ["bnb", "binance"]
+  },
+  sepolia: {
+    key: "sepolia",
+    name: "Sepolia",
+    chainId: 11155111,
+    evm: true,
+    testnet: true,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://ethereum-sepolia-rpc.publicnode.com", "https://rpc.sepolia.org"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://sepolia.etherscan.io",
+    moralisChain: "sepolia",
+    codexNetworkId: null,
+    nativeUsdFeed: null,
+    aliases: ["eth-sepolia"]
+  },
+  holesky: {
+    key: "holesky",
+    name: "Holesky",
+    chainId: 17000,
+    evm: true,
+    testnet: true,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://ethereum-holesky-rpc.publicnode.com"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://holesky.etherscan.io",
+    moralisChain: "holesky",
+    codexNetworkId: null,
+    nativeUsdFeed: null,
+    aliases: ["eth-holesky"]
+  },
+  "base-sepolia": {
+    key: "base-sepolia",
+    name: "Base Sepolia",
+    chainId: 84532,
+    evm: true,
+    testnet: true,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://sepolia.base.org"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://sepolia.basescan.org",
+    moralisChain: "0x14a34",
+    codexNetworkId: null,
+    nativeUsdFeed: null,
+    aliases: []
+  },
+  "arbitrum-sepolia": {
+    key: "arbitrum-sepolia",
+    name: "Arbitrum Sepolia",
+    chainId: 421614,
+    evm: true,
+    testnet: true,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://sepolia-rollup.arbitrum.io/rpc"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://sepolia.arbiscan.io",
+    moralisChain: "0x66eee",
+    codexNetworkId: null,
+    nativeUsdFeed: null,
+    aliases: ["arb-sepolia"]
+  },
+  "optimism-sepolia": {
+    key: "optimism-sepolia",
+    name: "OP Sepolia",
+    chainId: 11155420,
+    evm: true,
+    testnet: true,
+    nativeSymbol: "ETH",
+    rpcUrls: ["https://sepolia.optimism.io"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://sepolia-optimism.etherscan.io",
+    moralisChain: "0xaa37dc",
+    codexNetworkId: null,
+    nativeUsdFeed: null,
+    aliases: ["op-sepolia"]
+  },
+  "polygon-amoy": {
+    key: "polygon-amoy",
+    name: "Polygon Amoy",
+    chainId: 80002,
+    evm: true,
+    testnet: true,
+    nativeSymbol: "POL",
+    rpcUrls: ["https://rpc-amoy.polygon.technology"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://amoy.polygonscan.com",
+    moralisChain: "0x13882",
+    codexNetworkId: null,
+    nativeUsdFeed: null,
+    aliases: ["amoy"]
+  },
+  "bsc-testnet": {
+    key: "bsc-testnet",
+    name: "BNB Smart Chain Testnet",
+    chainId: 97,
+    evm: true,
+    testnet: true,
+    nativeSymbol: "tBNB",
+    rpcUrls: ["https://bsc-testnet-rpc.publicnode.com"],
+    etherscanApiUrl: ETHERSCAN_V2_API_URL,
+    explorerUrl: "https://testnet.bscscan.com",
+    moralisChain: "0x61",
+    codexNetworkId: null,
+    nativeUsdFeed: null,
+    aliases: ["bnb-testnet"]
+  },
+  // Local development node (anvil, hardhat). Override the endpoint with LOCAL_RPC_URL.
+  local: {
+    key: "local",
+    name: "Local dev node",
+    chainId: 31337,
+    evm: true,
+    testnet: true,
+    nativeSymbol: "ETH",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    etherscanApiUrl: null,
+    explorerUrl: null,
+    moralisChain: null,
+    codexNetworkId: null,
+    nativeUsdFeed: null,
+    aliases: ["localhost", "anvil", "hardhat", "devnet"]
+  },
+  // Non-EVM network, only usable with the Codex market data tools
+  solana: {
+    key: "solana",
+    name: "Solana",
+    chainId: null,
+    evm: false,
+    testnet: false,
+    nativeSymbol: "SOL",
+    rpcUrls: [],
+    etherscanApiUrl: null,
+    explorerUrl: "https://solscan.io",
+    moralisChain: null,
+    codexNetworkId: 101,
+    nativeUsdFeed: null,
+    aliases: ["sol"]
+  }
+};
+
+// Web3 instances are created once per chain and shared between tools
+const web3Instances = new Map();
+
+/**
+ * Resolve a chain argument (key, alias, decimal or hex chain ID) to its registry entry
+ * @param {string|number} chain - Chain identifier, e.g. "eth", "arbitrum", "8453" or "0x2105"
+ * @returns {Object} Chain registry entry
+ */
+export function resolveChain(chain = "eth") {
+  const value = String(chain).trim().toLowerCase();
+
+  const chainId = /^0x[0-9a-f]+$/.test(value) ? parseInt(value, 16)
+    : /^\d+$/.test(value) ? parseInt(value, 10)
+    : null;
+
+  const entry = Object.values(CHAINS).find(config =>
+    config.key === value ||
+    config.aliases.includes(value) ||
+    (chainId !== null && config.chainId === chainId)
+  );
+
+  if (!entry) {
+    throw new Error(`Unsupported chain "${chain}". Supported chains: ${Object.keys(CHAINS).join(", ")}`);
+  }
+
+  return entry;
+}
+
+/**
+ * Resolve a chain argument and require it to be an EVM chain
+ * @param {string|number} chain - Chain identifier
+ * @returns {Object} Chain registry entry
+ */
+export function resolveEvmChain(chain) {
+  const config = resolveChain(chain);
+  if (!config.evm) {
+    throw new Error(`${config.name} is not an EVM chain and is not supported by this tool`);
+  }
+  return config;
+}
+
+/**
+ * Get the RPC endpoints for a chain. `<KEY>_RPC_URL` (e.g. ETH_RPC_URL,
+ * BASE_SEPOLIA_RPC_URL) takes precedence and may hold a comma-separated list.
+ * @param {string|number} chain - Chain identifier
+ * @returns {string[]} RPC URLs in order of preference
+ */
+export function getRpcUrls(chain) {
+  const config = resolveEvmChain(chain);
+  const envValue = process.env[getRpcEnvName(config.key)];
+
+  // Ignore template literals that weren't properly substituted
+  if (envValue && !envValue.includes("${")) {
+    const urls = envValue.split(",").map(url => url.trim()).filter(Boolean);
+    if (urls.length > 0) {
+      return urls;
+    }
+  }
+
+  return config.rpcUrls;
+}
+
+/**
+ * Name of the environment variable overriding a chain's RPC endpoints
+ * @param {string|number} chain - Chain identifier
+ * @returns {string} Variable name, e.g. BASE_SEPOLIA_RPC_URL
+ */
+export function getRpcEnvName(chain) {
+  return `${resolveChain(chain).key.toUpperCase().replace(/-/g, "_")}_RPC_URL`;
+}
+
+/**
+ * Get the shared Web3 instance for a chain. With several RPC URLs, calls go
+ * to the first one that works and fail over to the next on connection errors
+ * and 5xx responses.
+ * @param {string|number} chain - Chain identifier
+ * @returns {Web3} Web3 instance connected to the chain's RPC URLs
+ */
+export function getWeb3(chain = "eth") {
+  const config = resolveEvmChain(chain);
+
+  if (!web3Instances.has(config.key)) {
+    web3Instances.set(config.key, new Web3(createProvider(config.key)));
+  }
+
+  return web3Instances.get(config.key);
+}
+
+/**
+ * Provider (or URL) for a chain's Web3 instance
+ * @param {string} chain - Chain key
+ * @returns {HttpProvider|string} Provider, or the URL of a single endpoint
+ */
+function createProvider(chain) {
+  if (isReplaying()) {
+    return createRecordingProvider(chain, null);
+  }
+
+  const urls = getRpcUrls(chain);
+  const upstream = urls.length > 1 || isRecording() ? new FailoverProvider(chain, urls) : urls[0];
+  return isRecording() ? createRecordingProvider(chain, upstream) : upstream;
+}
+
+/**
+ * HTTP provider that sends each request to the last endpoint that answered
+ * and moves on to the next one when an endpoint cannot be reached or answers
+ * with a server error. JSON-RPC errors and 4xx responses are returned as is.
+ */
+export class FailoverProvider extends HttpProvider {
+  /**
+   * @param {string} chain - Chain key, for messages
+   * @param {string[]} urls - http(s) endpoints in order of preference
+   */
+  constructor(chain, urls) {
+    const invalid = urls.find(url => !HttpProvider.validateClientUrl(url));
+    if (invalid) {
+      throw new Error(`${chain} RPC endpoints must be http(s) URLs when more than one is configured or traffic is recorded, not ${invalid}`);
+    }
+    super(urls[0]);
+    this.chain = chain;
+    this.endpoints = urls.map(url => new HttpProvider(url));
+    this.active = 0;
+  }
+
+  async request(payload, requestOptions) {
+    let lastError;
+    for (let attempt = 0; attempt < this.endpoints.length; attempt++) {
+      const index = (this.active + attempt) % this.endpoints.length;
+      try {
+        const response = await this.endpoints[index].request(payload, requestOptions);
+        this.active = index;
+        return response;
+      } catch (error) {
+        if (error.statusCode !== undefined && error.statusCode < 500) {
+          throw error;
+        }
+        lastError = error;
+        if (this.endpoints.length > 1) {
+          // The message may contain the URL, and with it an API key
+          const reason = error.statusCode ? `HTTP ${error.statusCode}` : error.code || error.name;
+          console.error(`RPC endpoint ${index + 1} of ${this.endpoints.length} for ${this.chain} failed (${reason}); trying the next one`);
+        }
+      }
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * Ensure a chain is supported by Codex and return its networkId
+ * @param {string|number} chain - Chain identifier
+ * @returns {number} Codex networkId
+ */
+export function getCodexNetworkId(chain) {
+  const config = resolveChain(chain);
+  if (!config.codexNetworkId) {
+    throw new Error(`${config.name} is not supported by the Codex API`);
+  }
+  return config.codexNetworkId;
+}
+
+/**
+ * Ensure a chain is supported by Moralis and return its chain slug
+ * @param {string|number} chain - Chain identifier
+ * @returns {string} Moralis chain slug
+ */
+export function getMoralisChain(chain) {
+  const config = resolveChain(chain);
+  if (!config.moralisChain) {
+    throw new Error(`${config.name} is not supported by the Moralis API`);
+  }
+  return config.moralisChain;
+}
@@ -0,0 +1,503 @@
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { parse as parseYaml } from "yaml";
+import { z } from "zod";
+import { CHAINS, getRpcEnvName, resolveChain } from "./chains.js";
+
+/**
+ * Tool groups, one per module in tools/, that can be turned on and off with
+ * `tools.enable` / `tools.disable`
+ */
+export const TOOL_GROUPS = [
+  "utility",
+  "balance",
+  "transactions",
+  "contracts",
+  "ens",
+  "tokens",
+  "wallet",
+  "swap",
+  "deploy",
+  "gas",
+  "nft",
+  "profitability",
+  "audit",
+  "token-risk",
+  "token-analysis",
+  "twitter",
+  "cache"
+];
+
+// Groups that sign transactions, unavailable in read-only mode
+const SIGNING_TOOL_GROUPS = ["wallet", "deploy"];
+
+const EVM_CHAIN_KEYS = Object.values(CHAINS).filter(chain => chain.evm).map(chain => chain.key);
+
+const urlSchema = z.string().trim().refine(isEndpointUrl, "Must be an http(s) or ws(s) URL");
+const listSchema = (item, min = 1) => z.preprocess(value => typeof value === "string" ? [value] : value, z.array(item).min(min));
+const groupListSchema = listSchema(z.enum(TOOL_GROUPS));
+const toolListSchema = listSchema(z.string().trim().regex(/^[A-Za-z][\w-]*$/, "Must be a tool name such as getEthBalance"));
+const numberSchema = z.number({ invalid_type_error: "Must be a number" });
+const booleanSchema = z.boolean({ invalid_type_error: "Must be true or false" });
+const positiveIntSchema = numberSchema.int().positive();
+
+/**
+ * Tool groups (`enable`, `disable`) and individual tools (`allow`, `deny`) to expose
+ */
+const toolsSchema = z.object({
+  enable: groupListSchema,
+  disable: groupListSchema,
+  allow: toolListSchema,
+  deny: toolListSchema
+}).partial().strict();
+
+/**
+ * Permission profile: the tokens it applies to on the HTTP transport, the
+ * tools it exposes within the server-wide `tools` settings, and call quotas
+ * per tool
+ */
+const profileSchema = z.object({
+  tokens: listSchema(z.string().trim().min(1), 0),
+  tools: toolsSchema,
+  quotas: z.record(z.string(), z.object({
+    calls: positiveIntSchema,
+    per: z.enum(["minute", "hour", "day"])
+  }).strict())
+}).partial().strict();
+
+/**
+ * Settings accepted in a config file. Every key is optional; unknown keys are
+ * rejected so typos fail at startup instead of being ignored.
+ */
+const configSchema = z.object({
+  rpc: z.record(z.string(), listSchema(urlSchema)).optional(),
+  apiKeys: z.object({
+    etherscan: z.string().trim().min(1),
+    moralis: z.string().trim().min(1),
+    codex: z.string().trim().min(1),
+    rapidapi: z.string().trim().min(1)
+  }).partial().strict().optional(),
+  transport: z.object({
+    type: z.string().trim().toLowerCase().pipe(z.enum(["stdio", "http"])),
+    host: z.string().trim().min(1),
+    port: numberSchema.int().min(1).max(65535),
+    authTokens: listSchema(z.string().trim().min(1), 0),
+    allowedOrigins: listSchema(z.string().trim().refine(value => value === "*" || /^https?:\/\/[^/]+\/?$/i.test(value), "Must be \"*\" or an origin such as https://app.example.com"), 0),
+    sessionTimeout: positiveIntSchema,
+    maxSessions: positiveIntSchema
+  }).partial().strict().optional(),
+  readOnly: booleanSchema.optional(),
+  tools: toolsSchema.optional(),
+  profile: z.string().trim().min(1).optional(),
+  profiles: z.record(z.string().regex(/^[\w-]+$/, "Profile names may only contain letters, digits, _ and -"), profileSchema).optional(),
+  wallet: z.object({
+    privateKey: z.string().trim().regex(/^(0x)?[0-9a-fA-F]{64}$/, "Must be 32 bytes of hex"),
+    keystore: z.string().trim().min(1),
+    keystorePassword: z.string().min(1),
+    policyFile: z.string().trim().min(1),
+    auditLog: z.string().trim().min(1)
+  }).partial().strict().optional(),
+  cache: z.object({
+    file: z.string().trim().min(1),
+    disabled: booleanSchema
+  }).partial().strict().optional(),
+  rateLimits: z.object({
+    etherscan: numberSchema.positive(),
+    moralis: numberSchema.positive(),
+    codex: numberSchema.positive(),
+    rapidapi: numberSchema.positive()
+  }).partial().strict().optional(),
+  logsChunkSize: positiveIntSchema.optional(),
+  auditRulesDir: z.string().trim().min(1).optional(),
+  nft: z.object({
+    ipfsGateways: listSchema(urlSchema),
+    arweaveGateway: urlSchema
+  }).partial().strict().optional(),
+  recording: z.object({
+    mode: z.enum(["off", "record", "replay"]),
+    dir: z.string().trim().min(1)
+  }).partial().strict().optional()
+}).strict();
+
+/**
+ * Environment variable behind each setting. The tool modules read these
+ * variables, so a loaded config is applied by exporting it to them.
+ * Lists are comma-separated and booleans "true"/"false".
+ */
+const ENV_SETTINGS = [
+  ["apiKeys.etherscan", "ETHERSCAN_API_KEY"],
+  ["apiKeys.moralis", "MORALIS_API_KEY"],
+  ["apiKeys.codex", "CODEX_API_KEY"],
+  ["apiKeys.rapidapi", "RAPIDAPI_KEY"],
+  ["transport.type", "MCP_TRANSPORT"],
+  ["transport.host", "MCP_HTTP_HOST"],
+  ["transport.port", "MCP_HTTP_PORT", "number"],
+  ["transport.authTokens", "MCP_AUTH_TOKENS", "list"],
+  ["transport.allowedOrigins", "MCP_ALLOWED_ORIGINS", "list"],
+  ["transport.sessionTimeout", "MCP_SESSION_TIMEOUT", "number"],
+  ["transport.maxSessions", "MCP_MAX_SESSIONS", "number"],
+  ["readOnly", "MCP_READ_ONLY", "boolean"],
+  ["tools.enable", "MCP_ENABLE_TOOLS", "list"],
+  ["tools.disable", "MCP_DISABLE_TOOLS", "list"],
+  ["profile", "MCP_PROFILE"],
+  ["wallet.privateKey", "WALLET_PRIVATE_KEY"],
+  ["wallet.keystore", "WALLET_KEYSTORE", "path"],
+  ["wallet.keystorePassword", "WALLET_KEYSTORE_PASSWORD"],
+  ["wallet.policyFile", "WALLET_POLICY_FILE", "path"],
+  ["wallet.auditLog", "WALLET_AUDIT_LOG", "path"],
+  ["cache.file", "CACHE_FILE", "path"],
+  ["cache.disabled", "CACHE_DISABLED", "boolean"],
+  ["rateLimits.etherscan", "ETHERSCAN_RATE_LIMIT", "number"],
+  ["rateLimits.moralis", "MORALIS_RATE_LIMIT", "number"],
+  ["rateLimits.codex", "CODEX_RATE_LIMIT", "number"],
+  ["rateLimits.rapidapi", "RAPIDAPI_RATE_LIMIT", "number"],
+  ["logsChunkSize", "LOGS_CHUNK_SIZE", "number"],
+  ["auditRulesDir", "AUDIT_RULES_DIR", "path"],
+  ["nft.ipfsGateways", "NFT_IPFS_GATEWAYS", "list"],
+  ["nft.arweaveGateway", "NFT_ARWEAVE_GATEWAY"],
+  ["recording.mode", "MCP_RECORD_MODE"],
+  ["recording.dir", "MCP_RECORD_DIR", "path"]
+];
+
+/**
+ * Error raised for a config file or setting that fails validation, listing
+ * every problem found
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} source - Where the settings came from, e.g. "config.yaml"
+   * @param {string[]} issues - One message per invalid setting
+   */
+  constructor(source, issues) {
+    super(`Invalid settings in ${source}:\n${issues.map(issue => `  - ${issue}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Load the server settings from, in increasing order of precedence, a config
+ * file, the environment and command line overrides. Each source is validated
+ * on its own so errors point at the file, variable or flag to fix.
+ * @param {Object} options - Loading options
+ * @param {string} [options.configPath] - JSON or YAML config file (MCP_CONFIG when omitted)
+ * @param {Object} [options.overrides] - Settings given on the command line, in config file shape
+ * @returns {Object} Merged settings in config file shape
+ */
+export function loadConfig({ configPath = process.env.MCP_CONFIG, overrides = {} } = {}) {
+  const fileConfig = configPath ? readConfigFile(configPath) : {};
+  const envConfig = validate(configFromEnv(process.env), "the environment", toEnvName);
+  const cliConfig = validate(overrides, "the command line", issuePath => issuePath);
+  const config = mergeConfigs(fileConfig, envConfig, cliConfig);
+
+  const { enable = [] } = config.tools || {};
+  const issues = findToolConflicts(config.tools, "tools");
+  const profiles = config.profiles || {};
+  const tokenProfiles = new Map();
+  for (const [name, profile] of Object.entries(profiles)) {
+    issues.push(...findToolConflicts(profile.tools, `profiles.${name}.tools`));
+    for (const token of profile.tokens || []) {
+      if (tokenProfiles.has(token)) {
+        issues.push(`profiles ${tokenProfiles.get(token)} and ${name} share a token`);
+      }
+      tokenProfiles.set(token, name);
+    }
+  }
+  if (config.profile && !profiles[config.profile]) {
+    issues.push(`profile ${config.profile} is not defined; profiles: ${Object.keys(profiles).join(", ") || "none"}`);
+  }
+  if (config.readOnly) {
+    const signing = enable.filter(group => SIGNING_TOOL_GROUPS.includes(group));
+    if (signing.length > 0) {
+      issues.push(`read-only mode cannot enable the signing tool groups (${signing.join(", ")})`);
+    }
+  }
+  if (config.wallet?.keystore && !config.readOnly) {
+    if (!existsSync(config.wallet.keystore)) {
+      issues.push(`wallet keystore ${config.wallet.keystore} does not exist`);
+    }
+    if (!config.wallet.keystorePassword) {
+      issues.push("wallet.keystorePassword (WALLET_KEYSTORE_PASSWORD) is required with a keystore");
+    }
+  }
+  const { mode: recordingMode = "off", dir: recordingDir } = config.recording || {};
+  if (recordingMode !== "off" && !recordingDir) {
+    issues.push(`recording.dir (MCP_RECORD_DIR) is required to ${recordingMode}`);
+  }
+  if (recordingMode === "replay" && recordingDir && !existsSync(path.join(recordingDir, "manifest.json"))) {
+    issues.push(`${recordingDir} is not a recording; create one with --record`);
+  }
+  if (config.auditRulesDir && !existsSync(config.auditRulesDir)) {
+    issues.push(`audit rules directory ${config.auditRulesDir} does not exist`);
+  }
+  if (issues.length > 0) {
+    throw new ConfigError("the merged configuration", issues);
+  }
+
+  return config;
+}
+
+/**
+ * Export settings to the environment variables the tool modules read. In
+ * read-only mode the signing key is removed, so the wallet and deployment
+ * tools are not registered and executeSwap only returns unsigned transactions.
+ * @param {Object} config - Settings from loadConfig
+ */
+export function applyConfig(config) {
+  for (const [chain, urls] of Object.entries(config.rpc || {})) {
+    process.env[getRpcEnvName(chain)] = urls.join(",");
+  }
+
+  for (const [settingPath, name, type] of ENV_SETTINGS) {
+    const value = getPath(config, settingPath);
+    if (value !== undefined) {
+      process.env[name] = type === "list" ? value.join(",") : String(value);
+    }
+  }
+
+  // Tokens assigned to a profile are accepted by the HTTP transport as well
+  const profileTokens = Object.values(config.profiles || {}).flatMap(profile => profile.tokens || []);
+  if (profileTokens.length > 0) {
+    process.env.MCP_AUTH_TOKENS = [...new Set([...(config.transport?.authTokens || []), ...profileTokens])].join(",");
+  }
+
+  if (config.readOnly) {
+    delete process.env.WALLET_PRIVATE_KEY;
+    delete process.env.WALLET_KEYSTORE;
+    delete process.env.WALLET_KEYSTORE_PASSWORD;
+  }
+}
+
+/**
+ * Tool groups to register: every group, or only `tools.enable`, minus
+ * `tools.disable` and, in read-only mode, the groups that sign transactions
+ * @param {Object} config - Settings from loadConfig
+ * @returns {string[]} Entries of TOOL_GROUPS
+ */
+export function getEnabledToolGroups(config) {
+  const { enable = TOOL_GROUPS, disable = [] } = config.tools || {};
+  return TOOL_GROUPS.filter(group =>
+    enable.includes(group) &&
+    !disable.includes(group) &&
+    !(config.readOnly && SIGNING_TOOL_GROUPS.includes(group))
+  );
+}
+
+/**
+ * Chains whose RPC endpoints have been configured
+ * @param {Object} config - Settings from loadConfig
+ * @returns {string[]} Chain keys
+ */
+export function getConfiguredChains(config) {
+  return Object.keys(config.rpc || {});
+}
+
+/**
+ * Tool groups or tools that are both turned on and off
+ * @param {Object} [tools] - `tools` settings
+ * @param {string} label - Setting path shown in errors
+ * @returns {string[]} Issues
+ */
+function findToolConflicts(tools = {}, label) {
+  const issues = [];
+  for (const [on, off] of [["enable", "disable"], ["allow", "deny"]]) {
+    const overlap = (tools[on] || []).filter(item => (tools[off] || []).includes(item));
+    if (overlap.length > 0) {
+      issues.push(`${label}: ${overlap.join(", ")} cannot be in both ${on} and ${off}`);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Read, parse and validate a config file. `.yaml`/`.yml` files are parsed as
+ * YAML, anything else as JSON. Relative paths in the file are resolved
+ * against the file's directory.
+ * @param {string} file - Config file path
+ * @returns {Object} Validated settings
+ */
+function readConfigFile(file) {
+  const source = path.resolve(file);
+  let text;
+  try {
+    text = readFileSync(source, "utf8");
+  } catch (error) {
+    throw new ConfigError(file, [`cannot read the file: ${error.message}`]);
+  }
+
+  let raw;
+  try {
+    raw = /\.ya?ml$/i.test(source) ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(file, [`cannot parse the file: ${error.message}`]);
+  }
+  if (raw === null || raw === undefined) {
+    return {};
+  }
+
+  const config = validate(raw, file, issuePath => issuePath);
+  for (const [settingPath, , type] of ENV_SETTINGS) {
+    const value = getPath(config, settingPath);
+    if (type === "path" && value !== undefined) {
+      setPath(config, settingPath, path.resolve(path.dirname(source), value));
+    }
+  }
+  return config;
+}
+
+/**
+ * Collect the settings present in the environment, in config file shape.
+ * Unsubstituted template values such as "${ETH_RPC_URL}" are ignored, as by
+ * getRpcUrls.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Unvalidated settings
+ */
+function configFromEnv(env) {
+  const isSet = value => value !== undefined && value.trim() !== "" && !value.includes("${");
+  const config = {};
+
+  for (const chain of EVM_CHAIN_KEYS) {
+    const value = env[getRpcEnvName(chain)];
+    if (isSet(value)) {
+      setPath(config, `rpc.${chain}`, splitList(value));
+    }
+  }
+
+  for (const [settingPath, name, type] of ENV_SETTINGS) {
+    const value = env[name];
+    if (!isSet(value)) continue;
+    const trimmed = value.trim();
+    setPath(config, settingPath,
+      type === "list" ? splitList(trimmed)
+        : type === "number" ? Number(trimmed)
+        : type === "boolean" ? parseBoolean(trimmed)
+        : type === "path" ? path.resolve(trimmed)
+        : trimmed);
+  }
+  return config;
+}
+
+/**
+ * Validate settings against the config schema and check the RPC chain keys
+ * @param {Object} raw - Settings in config file shape
+ * @param {string} source - Where the settings came from
+ * @param {Function} describePath - Turns a dotted setting path into the name shown in errors
+ * @returns {Object} Parsed settings, with RPC entries keyed by registry chain key
+ */
+function validate(raw, source, describePath) {
+  const result = configSchema.safeParse(raw);
+  if (!result.success) {
+    throw new ConfigError(source, result.error.issues.map(issue => {
+      const issuePath = issue.path.join(".");
+      return issuePath ? `${describePath(issuePath)}: ${issue.message}` : issue.message;
+    }));
+  }
+
+  const config = result.data;
+  if (config.rpc) {
+    const issues = [];
+    const rpc = {};
+    for (const [chain, urls] of Object.entries(config.rpc)) {
+      try {
+        const entry = resolveChain(chain);
+        if (!entry.evm) throw new Error(`${entry.name} is not an EVM chain`);
+        rpc[entry.key] = urls;
+      } catch (error) {
+        issues.push(`${describePath(`rpc.${chain}`)}: ${error.message}`);
+      }
+    }
+    if (issues.length > 0) {
+      throw new ConfigError(source, issues);
+    }
+    config.rpc = rpc;
+  }
+  return config;
+}
+
+/**
+ * Merge settings objects; later sources override earlier ones key by key
+ * @param {...Object} configs - Settings in increasing order of precedence
+ * @returns {Object} Merged settings
+ */
+function mergeConfigs(...configs) {
+  const merged = {};
+  for (const config of configs) {
+    for (const [key, value] of Object.entries(config)) {
+      const isSection = value && typeof value === "object" && !Array.isArray(value);
+      merged[key] = isSection ? { ...merged[key], ...value } : value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Name of the environment variable behind a dotted setting path, for errors
+ * @param {string} settingPath - Dotted path, e.g. "transport.port"
+ * @returns {string} Variable name, or the path itself if unknown
+ */
+function toEnvName(settingPath) {
+  if (settingPath.startsWith("rpc.")) {
+    const chain = settingPath.split(".")[1];
+    return EVM_CHAIN_KEYS.includes(chain) ? getRpcEnvName(chain) : settingPath;
+  }
+  const setting = ENV_SETTINGS.find(([candidate]) => settingPath === candidate || settingPath.startsWith(`${candidate}.`));
+  return setting ? setting[1] : settingPath;
+}
+
+/**
+ * Whether a value is an absolute http(s) or ws(s) URL
+ * @param {string} value - Value
+ * @returns {boolean} True if valid
+ */
+function isEndpointUrl(value) {
+  try {
+    return ["http:", "https:", "ws:", "wss:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a boolean environment value
+ * @param {string} value - Value such as "true", "1" or "no"
+ * @returns {boolean|string} Boolean, or the value itself so validation reports it
+ */
+function parseBoolean(value) {
+  const normalized = value.toLowerCase();
+  if (["1", "true", "yes"].includes(normalized)) return true;
+  if (["0", "false", "no"].includes(normalized)) return false;
+  return value;
+}
+
+/**
+ * Split a comma-separated list
+ * @param {string} value - List
+ * @returns {string[]} Non-empty items
+ */
+function splitList(value) {
+  return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read a dotted path of an object
+ * @param {Object} object - Object
+ * @param {string} dotted - Path, e.g. "transport.port"
+ * @returns {*} Value, or undefined
+ */
+function getPath(object, dotted) {
+  return dotted.split(".").reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Set a dotted path of an object, creating intermediate objects
+ * @param {Object} object - Object
+ * @param {string} dotted - Path
+ * @param {*} value - Value
+ */
+function setPath(object, dotted, value) {
+  const keys = dotted.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), object);
+  parent[last] = value;
+}
@@ -0,0 +1,118 @@
+/**
+ * Unpack the source returned by Etherscan's `getsourcecode` action into
+ * individual files plus compiler settings. Etherscan returns one of:
+ * - a plain single-file source string
+ * - `{{ ... }}`: standard-JSON compiler input wrapped in an extra pair of braces
+ * - `{ "File.sol": { "content": ... } }`: a bare multi-file sources object
+ * @param {Object} contractData - Entry of the Etherscan `getsourcecode` result
+ * @returns {Object} Parsed source with files and compiler settings
+ */
+export function parseEtherscanSource(contractData) {
+  const raw = (contractData.SourceCode || "").trim();
+  const standardJson = parseStandardJson(raw);
+
+  const files = standardJson
+    ? Object.entries(standardJson.sources || {}).map(([path, source]) => ({
+        path,
+        content: source.content || ""
+      }))
+    : [{ path: `${contractData.ContractName || "Contract"}.sol`, content: raw }];
+
+  const settings = standardJson?.settings || {};
+  const optimizer = settings.optimizer || {
+    enabled: contractData.OptimizationUsed === "1",
+    runs: parseInt(contractData.Runs || "0", 10)
+  };
+
+  return {
+    language: standardJson?.language || (contractData.CompilerVersion?.startsWith("vyper") ? "Vyper" : "Solidity"),
+    format: standardJson ? (raw.startsWith("{{") ? "standard-json" : "multi-file") : "single-file",
+    compilerVersion: contractData.CompilerVersion || null,
+    optimizer: {
+      enabled: !!optimizer.enabled,
+      runs: optimizer.runs ?? null
+    },
+    evmVersion: settings.evmVersion ||
+      (contractData.EVMVersion && contractData.EVMVersion.toLowerCase() !== "default" ? contractData.EVMVersion : "default"),
+    libraries: settings.libraries ? flattenLibraries(settings.libraries) : parseLibraryField(contractData.Library),
+    licenseType: contractData.LicenseType || null,
+    files: files.map(file => ({
+      ...file,
+      lineCount: file.content.replace(/\n$/, "").split("\n").length
+    }))
+  };
+}
+
+/**
+ * Find a file by exact path, path suffix or file name
+ * @param {Array<Object>} files - Parsed source files
+ * @param {string} name - Requested file path or name
+ * @returns {Object} Matching file
+ */
+export function findSourceFile(files, name) {
+  const exact = files.find(file => file.path === name);
+  if (exact) return exact;
+
+  const matches = files.filter(file => file.path.endsWith(`/${name}`) || file.path.split("/").pop() === name);
+  if (matches.length === 1) return matches[0];
+
+  if (matches.length > 1) {
+    throw new Error(`"${name}" matches several files: ${matches.map(file => file.path).join(", ")}`);
+  }
+  throw new Error(`File "${name}" not found. Available files: ${files.map(file => file.path).join(", ")}`);
+}
+
+/**
+ * Parse standard-JSON or multi-file source objects
+ * @param {string} raw - Raw SourceCode field
+ * @returns {Object|null} Standard-JSON input with a `sources` map, or null for plain source
+ */
+function parseStandardJson(raw) {
+  if (!raw.startsWith("{")) return null;
+
+  // Standard-JSON input is wrapped in double braces: {{ ... }}
+  const json = raw.startsWith("{{") && raw.endsWith("}}") ? raw.slice(1, -1) : raw;
+
+  try {
+    const parsed = JSON.parse(json);
+    if (parsed.sources) return parsed;
+
+    // Bare multi-file format maps paths straight to { content }
+    const isSourcesMap = Object.values(parsed).every(value => value && typeof value.content === "string");
+    return isSourcesMap ? { sources: parsed } : null;
+  } catch (error) {
+    console.error("Error parsing multi-file source, treating it as a single file:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Flatten standard-JSON libraries ({ file: { name: address } }) into { name: address }
+ * @param {Object} libraries - Libraries setting
+ * @returns {Object} Library name to address
+ */
+function flattenLibraries(libraries) {
+  const result = {};
+  for (const [file, entries] of Object.entries(libraries)) {
+    for (const [name, address] of Object.entries(entries || {})) {
+      result[file ? `${file}:${name}` : name] = address;
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse Etherscan's `Library` field ("Name:0xaddr;Other:0xaddr")
+ * @param {string} field - Library field
+ * @returns {Object} Library name to address
+ */
+function parseLibraryField(field) {
+  const result = {};
+  (field || "").split(";").filter(Boolean).forEach(entry => {
+    const [name, address] = entry.split(":");
+    if (name && address) {
+      result[name.trim()] = address.startsWith("0x") ? address.trim() : `0x${address.trim()}`;
+    }
+  });
+  return result;
+}
@@ -0,0 +1,178 @@
+import { Web3 } from "web3";
+import { CHAINS, getRpcUrls, resolveChain } from "./chains.js";
+import { etherscanGet } from "./etherscan.js";
+import { providerRequest } from "./http.js";
+import { moralisGet } from "./moralis.js";
+
+// How long each check may take before it is reported as unreachable
+const CHECK_TIMEOUT_MS = 10 * 1000;
+
+const CODEX_API_URL = "https://graph.codex.io/graphql";
+const RAPIDAPI_TWITTER_HOST = "twitter154.p.rapidapi.com";
+
+/**
+ * API key checks, each making the cheapest authenticated request the provider offers
+ */
+const API_KEY_CHECKS = [
+  {
+    name: "Etherscan",
+    env: "ETHERSCAN_API_KEY",
+    unlocks: "needed for contract source, ABIs and transaction history",
+    run: async () => {
+      const data = await etherscanGet(CHAINS.eth, { module: "stats", action: "ethprice" });
+      if (data?.status !== "1") {
+        throw new Error(String(data?.result || data?.message || "unexpected response"));
+      }
+      return `ETH price ${data.result.ethusd} USD`;
+    }
+  },
+  {
+    name: "Moralis",
+    env: "MORALIS_API_KEY",
+    unlocks: "token and NFT balances are read on-chain instead",
+    run: async () => {
+      const data = await moralisGet("/web3/version");
+      return `API version ${data.version}`;
+    }
+  },
+  {
+    name: "Codex",
+    env: "CODEX_API_KEY",
+    unlocks: "needed for token analysis and price charts",
+    run: async () => {
+      const response = await providerRequest("codex", {
+        url: CODEX_API_URL,
+        method: "post",
+        headers: { "Content-Type": "application/json", "Authorization": process.env.CODEX_API_KEY },
+        data: { query: "{ getNetworks { id } }" }
+      });
+      if (response.data?.errors?.length) {
+        throw new Error(response.data.errors[0].message);
+      }
+      return `${response.data.data.getNetworks.length} networks available`;
+    }
+  },
+  {
+    name: "RapidAPI",
+    env: "RAPIDAPI_KEY",
+    unlocks: "needed for Twitter search",
+    run: async () => {
+      const response = await providerRequest("rapidapi", {
+        method: "get",
+        url: `https://${RAPIDAPI_TWITTER_HOST}/search/search`,
+        params: { query: "ethereum", section: "latest", limit: 1 },
+        headers: { "x-rapidapi-key": process.env.RAPIDAPI_KEY, "x-rapidapi-host": RAPIDAPI_TWITTER_HOST }
+      });
+      return `Twitter search answered with ${(response.data.results || []).length} result(s)`;
+    }
+  }
+];
+
+/**
+ * Check every configured RPC endpoint and API key. Ethereum is always
+ * checked, as the default chain of every tool; other chains only when an
+ * endpoint is configured for them. API keys that are not set are reported
+ * as skipped along with what they enable.
+ * @param {string[]} chains - Chain keys with configured RPC endpoints
+ * @returns {Promise<Object>} { rpc: [...], apiKeys: [...], ok } where each check is { name, target, status ("ok", "failed" or "skipped"), detail, latencyMs }
+ */
+export async function runDoctor(chains) {
+  const rpcTargets = [...new Set(["eth", ...chains])].flatMap(chain =>
+    getRpcUrls(chain).map(url => ({ chain: resolveChain(chain), url }))
+  );
+
+  // Checks run one after another so the rate limiters and public nodes are not flooded
+  const rpc = [];
+  for (const { chain, url } of rpcTargets) {
+    rpc.push(await timed(`${chain.name} RPC`, redactUrl(url), () => checkRpc(chain, url)));
+  }
+
+  const apiKeys = [];
+  for (const check of API_KEY_CHECKS) {
+    apiKeys.push(process.env[check.env]
+      ? await timed(check.name, check.env, check.run)
+      : { name: check.name, target: check.env, status: "skipped", detail: `not set; ${check.unlocks}`, latencyMs: null });
+  }
+
+  return { rpc, apiKeys, ok: [...rpc, ...apiKeys].every(check => check.status !== "failed") };
+}
+
+/**
+ * Format a doctor report for the terminal
+ * @param {Object} report - Result of runDoctor
+ * @returns {string} Report
+ */
+export function formatDoctorReport(report) {
+  const icons = { ok: "✅", failed: "❌", skipped: "⏭️" };
+  const line = check => `${icons[check.status]} ${check.name} (${check.target}): ${check.detail}${check.latencyMs === null ? "" : ` [${check.latencyMs} ms]`}`;
+
+  const output = ["🔌 RPC ENDPOINTS:", ...report.rpc.map(line), "", "🔑 API KEYS:", ...report.apiKeys.map(line), ""];
+  output.push(report.ok ? "Everything configured is reachable." : "Some configured services are not reachable; see ❌ above.");
+  return output.join("\n");
+}
+
+/**
+ * Check that an RPC endpoint answers and serves the expected chain. The local
+ * dev node entry accepts any chain ID, since anvil, hardhat and ganache differ.
+ * @param {Object} chain - Chain registry entry
+ * @param {string} url - RPC URL
+ * @returns {Promise<string>} Description of the endpoint
+ */
+async function checkRpc(chain, url) {
+  const web3 = new Web3(url);
+  try {
+    const [chainId, blockNumber] = await Promise.all([web3.eth.getChainId(), web3.eth.getBlockNumber()]);
+    if (chain.key !== "local" && Number(chainId) !== chain.chainId) {
+      throw new Error(`serves chain ${chainId}, expected ${chain.chainId}`);
+    }
+    return `chain ${chainId}, block ${blockNumber}`;
+  } finally {
+    // WebSocket providers keep the process alive until disconnected
+    if (web3.currentProvider?.supportsSubscriptions?.()) {
+      web3.currentProvider.disconnect();
+    }
+  }
+}
+
+/**
+ * Run a check with a timeout and record its outcome and latency
+ * @param {string} name - Check name
+ * @param {string} target - What was checked (redacted URL or variable name)
+ * @param {Function} run - Resolves to a success detail, or throws
+ * @returns {Promise<Object>} { name, target, status, detail, latencyMs }
+ */
+async function timed(name, target, run) {
+  const started = Date.now();
+  let timer;
+  try {
+    const detail = await Promise.race([
+      run(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${CHECK_TIMEOUT_MS / 1000} s`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { name, target, status: "ok", detail, latencyMs: Date.now() - started };
+  } catch (error) {
+    const message = error.response?.status
+      ? `HTTP ${error.response.status}${error.response.data?.message ? ` ${error.response.data.message}` : ""}`
+      : error.cause?.message || error.message;
+    return { name, target, status: "failed", detail: message, latencyMs: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Hide the path and query of a URL, where providers put API keys
+ * @param {string} url - URL
+ * @returns {string} Origin, followed by "/…" if anything was hidden
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const hidden = parsed.pathname.length > 1 || parsed.search || parsed.username;
+    return `${parsed.protocol}//${parsed.host}${hidden ? "/…" : ""}`;
+  } catch (error) {
+    return url;
+  }
+}
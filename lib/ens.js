@@ -0,0 +1,150 @@
+import { ens_normalize } from "@adraffy/ens-normalize";
+import { eth, utils } from "web3";
+import { getWeb3 } from "./chains.js";
+import { cached, CACHE_TTLS } from "./cache.js";
+
+/**
+ * ENS registry, deployed at the same address on Ethereum mainnet and its
+ * testnets. Names are always resolved on mainnet (ETH_RPC_URL).
+ */
+export const ENS_REGISTRY_ADDRESS = "0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Registry and resolver methods used for lookups
+const RESOLVER = { name: "resolver", type: "function", inputs: [{ name: "node", type: "bytes32" }] };
+const ADDR = { name: "addr", type: "function", inputs: [{ name: "node", type: "bytes32" }] };
+const NAME = { name: "name", type: "function", inputs: [{ name: "node", type: "bytes32" }] };
+const TEXT = { name: "text", type: "function", inputs: [{ name: "node", type: "bytes32" }, { name: "key", type: "string" }] };
+
+/**
+ * Check whether a value looks like an ENS name (dot-separated labels, not a hex address)
+ * @param {string} value - Candidate name
+ * @returns {boolean} True for names such as "vitalik.eth"
+ */
+export function isEnsName(value) {
+  return typeof value === "string" && !value.startsWith("0x") && /^[^\s.]+(\.[^\s.]+)+$/.test(value.trim());
+}
+
+/**
+ * Normalize a name (ENSIP-15) and compute its namehash (EIP-137)
+ * @param {string} name - ENS name
+ * @returns {string} 32-byte node
+ */
+export function namehash(name) {
+  let node = `0x${"00".repeat(32)}`;
+  const labels = name ? ens_normalize(name).split(".") : [];
+  for (let i = labels.length - 1; i >= 0; i--) {
+    node = utils.keccak256(`${node}${utils.keccak256(utils.utf8ToHex(labels[i])).slice(2)}`);
+  }
+  return node;
+}
+
+/**
+ * Resolve an ENS name to the address it points to
+ * @param {string} name - ENS name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh] - Bypass the cache
+ * @returns {Promise<string|null>} Checksummed address, or null if the name has no address
+ */
+export async function resolveEnsName(name, { refresh = false } = {}) {
+  const normalized = ens_normalize(name.trim());
+
+  return cached("ens", { name: normalized }, { ttl: CACHE_TTLS.ens, refresh }, async () => {
+    const web3 = getWeb3("eth");
+    const node = namehash(normalized);
+    const resolver = await getResolver(web3, node);
+    if (!resolver) return null;
+
+    const address = decodeAddress(await callView(web3, resolver, eth.abi.encodeFunctionCall(ADDR, [node])));
+    return address ? utils.toChecksumAddress(address) : null;
+  });
+}
+
+/**
+ * Find the primary ENS name of an address. The reverse record only counts
+ * if the name resolves back to the same address.
+ * @param {string} address - Ethereum address
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh] - Bypass the cache
+ * @returns {Promise<string|null>} Primary name, or null if none is set (or the lookup failed)
+ */
+export async function lookupEnsName(address, { refresh = false } = {}) {
+  try {
+    return await cached("ens", { reverse: address.toLowerCase() }, { ttl: CACHE_TTLS.ens, refresh }, async () => {
+      const web3 = getWeb3("eth");
+      const node = namehash(`${address.slice(2).toLowerCase()}.addr.reverse`);
+      const resolver = await getResolver(web3, node);
+      if (!resolver) return null;
+
+      const data = await callView(web3, resolver, eth.abi.encodeFunctionCall(NAME, [node]));
+      const name = data ? eth.abi.decodeParameter("string", data) : "";
+      if (!name) return null;
+
+      const forward = await resolveEnsName(name, { refresh });
+      return forward && forward.toLowerCase() === address.toLowerCase() ? name : null;
+    });
+  } catch (error) {
+    // Names are decoration in tool output; a failed lookup must not fail the tool
+    console.error(`ENS reverse lookup failed for ${address}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Read ENS text records of a name (e.g. "url", "com.twitter", "avatar")
+ * @param {string} name - ENS name
+ * @param {string[]} keys - Text record keys
+ * @returns {Promise<Object>} Value per key (null when unset)
+ */
+export async function getEnsTextRecords(name, keys) {
+  const web3 = getWeb3("eth");
+  const node = namehash(name.trim());
+  const resolver = await getResolver(web3, node);
+
+  const values = await Promise.all(keys.map(async key => {
+    if (!resolver) return null;
+    try {
+      const data = await callView(web3, resolver, eth.abi.encodeFunctionCall(TEXT, [node, key]));
+      return (data && eth.abi.decodeParameter("string", data)) || null;
+    } catch (error) {
+      // Resolvers without text record support revert
+      return null;
+    }
+  }));
+
+  return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+}
+
+/**
+ * Look up the resolver of a node in the ENS registry
+ * @param {Web3} web3 - Mainnet Web3 instance
+ * @param {string} node - Namehash
+ * @returns {Promise<string|null>} Resolver address, or null if none is set
+ */
+async function getResolver(web3, node) {
+  return decodeAddress(await callView(web3, ENS_REGISTRY_ADDRESS, eth.abi.encodeFunctionCall(RESOLVER, [node])));
+}
+
+/**
+ * eth_call returning null for empty results
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} to - Contract address
+ * @param {string} data - Calldata
+ * @returns {Promise<string|null>} Return data
+ */
+async function callView(web3, to, data) {
+  const result = await web3.eth.call({ to, data });
+  return result && result !== "0x" ? result : null;
+}
+
+/**
+ * Decode an address return value, treating the zero address as unset
+ * @param {string|null} data - Return data
+ * @returns {string|null} Address
+ */
+function decodeAddress(data) {
+  if (!data || data.length < 66) return null;
+  const address = `0x${data.slice(26, 66)}`;
+  return address === ZERO_ADDRESS ? null : address;
+}
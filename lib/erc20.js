@@ -0,0 +1,175 @@
+import { readFileSync } from "fs";
+import { getFunctionSelector } from "./signatures.js";
+import { aggregateCalls } from "./multicall.js";
+
+// Bundled list of widely held tokens per chain, used when no token list is given
+const TOKEN_LIST_FILE = new URL("./data/tokens.json", import.meta.url);
+
+let tokenList = null;
+
+/**
+ * Read name, symbol and decimals of a token. Missing or reverting getters
+ * come back as null; bytes32 names/symbols (e.g. MKR) are decoded too.
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} address - Token address
+ * @returns {Promise<Object>} Metadata as { name, symbol, decimals }
+ */
+export async function getTokenMetadata(web3, address) {
+  const [name, symbol, decimals] = await Promise.all([
+    callGetter(web3, address, "name()"),
+    callGetter(web3, address, "symbol()"),
+    callGetter(web3, address, "decimals()")
+  ]);
+
+  return {
+    name: decodeStringResult(web3, name),
+    symbol: decodeStringResult(web3, symbol),
+    decimals: decodeDecimalsResult(decimals)
+  };
+}
+
+/**
+ * Read ERC20 balances of several wallets directly from the chain, batching
+ * balanceOf/name/symbol/decimals through Multicall3. Only non-zero balances
+ * are returned; tokens whose balanceOf reverts are skipped.
+ * @param {Web3} web3 - Web3 instance
+ * @param {string[]} wallets - Wallet addresses
+ * @param {string[]} tokens - Token addresses
+ * @returns {Promise<Map<string, Array<Object>>>} Balances per wallet as { token_address, name, symbol, decimals, balance }
+ */
+export async function getTokenBalances(web3, wallets, tokens) {
+  const metadataCalls = tokens.flatMap(token => ["name()", "symbol()", "decimals()"].map(signature => ({
+    target: token,
+    callData: getFunctionSelector(signature)
+  })));
+  const balanceCalls = wallets.flatMap(wallet => tokens.map(token => ({
+    target: token,
+    callData: web3.eth.abi.encodeFunctionCall(
+      { name: "balanceOf", type: "function", inputs: [{ name: "account", type: "address" }] },
+      [wallet]
+    )
+  })));
+
+  const { results } = await aggregateCalls(web3, [...metadataCalls, ...balanceCalls]);
+  const returnData = result => (result.success && result.returnData !== "0x" ? result.returnData : null);
+
+  const metadata = tokens.map((token, index) => {
+    const [name, symbol, decimals] = results.slice(index * 3, index * 3 + 3).map(returnData);
+    return {
+      token_address: token,
+      name: decodeStringResult(web3, name),
+      symbol: decodeStringResult(web3, symbol),
+      decimals: decodeDecimalsResult(decimals)
+    };
+  });
+
+  const balances = new Map();
+  wallets.forEach((wallet, walletIndex) => {
+    const walletBalances = [];
+    tokens.forEach((token, tokenIndex) => {
+      const data = returnData(results[metadataCalls.length + walletIndex * tokens.length + tokenIndex]);
+      if (!data || data.length < 66) return;
+
+      const balance = BigInt(data.slice(0, 66));
+      if (balance > 0n) {
+        walletBalances.push({ ...metadata[tokenIndex], balance: balance.toString() });
+      }
+    });
+    balances.set(wallet, walletBalances);
+  });
+
+  return balances;
+}
+
+/**
+ * Addresses of the bundled token list for a chain
+ * @param {string} chain - Chain registry key
+ * @returns {string[]} Token addresses (empty if the chain has no list)
+ */
+export function getBundledTokens(chain) {
+  if (!tokenList) {
+    tokenList = JSON.parse(readFileSync(TOKEN_LIST_FILE, "utf8"));
+  }
+  return (tokenList[chain] || []).map(token => token.address);
+}
+
+/**
+ * Format a raw token amount with its decimals
+ * @param {bigint|string} amount - Raw amount
+ * @param {number|null} decimals - Token decimals (null leaves the amount raw)
+ * @returns {string} Human-readable amount
+ */
+export function formatTokenAmount(amount, decimals) {
+  const value = BigInt(amount);
+  if (!decimals) return value.toString();
+
+  const base = 10n ** BigInt(decimals);
+  const whole = value / base;
+  const fraction = (value % base).toString().padStart(decimals, "0").replace(/0+$/, "");
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+/**
+ * Convert a decimal amount (e.g. "1.5") to raw token units
+ * @param {string|number} amount - Human-readable amount
+ * @param {number|null} decimals - Token decimals (null for none)
+ * @returns {bigint} Raw amount
+ */
+export function parseTokenAmount(amount, decimals) {
+  const match = String(amount).trim().match(/^(\d+)(?:\.(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid amount "${amount}"; use a decimal number such as 1.5`);
+  }
+
+  const places = decimals || 0;
+  const fraction = (match[2] || "").replace(/0+$/, "");
+  if (fraction.length > places) {
+    throw new Error(`Amount "${amount}" has more than ${places} decimal places`);
+  }
+  return BigInt(match[1]) * 10n ** BigInt(places) + BigInt(fraction.padEnd(places, "0") || "0");
+}
+
+/**
+ * Call a no-argument getter, returning null if it reverts or is missing
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} address - Contract address
+ * @param {string} signature - Getter signature
+ * @returns {Promise<string|null>} Raw return data
+ */
+async function callGetter(web3, address, signature) {
+  try {
+    const result = await web3.eth.call({ to: address, data: getFunctionSelector(signature) });
+    return result && result !== "0x" ? result : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a string getter result that may be an ABI string or a bytes32
+ * @param {Web3} web3 - Web3 instance
+ * @param {string|null} data - Raw return data
+ * @returns {string|null} Decoded string
+ */
+function decodeStringResult(web3, data) {
+  if (!data) return null;
+
+  try {
+    if (data.length > 66) {
+      return web3.eth.abi.decodeParameter("string", data);
+    }
+    // bytes32: trim the zero padding
+    return web3.utils.hexToUtf8(data.replace(/(00)+$/, "")) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a decimals() result
+ * @param {string|null} data - Raw return data
+ * @returns {number|null} Decimals
+ */
+function decodeDecimalsResult(data) {
+  return data && data.length >= 66 ? Number(BigInt(data.slice(0, 66))) : null;
+}
@@ -0,0 +1,72 @@
+import { resolveEvmChain } from "./chains.js";
+import { cached } from "./cache.js";
+import { providerRequest } from "./http.js";
+
+/**
+ * Perform a GET request against the Etherscan v2 multichain API
+ * @param {string|Object} chain - Chain identifier or chain registry entry
+ * @param {Object} params - Query parameters (module, action, ...)
+ * @param {Object} [cacheOptions] - Cache the response ({ ttl, refresh, shouldCache }); omit to always fetch
+ * @returns {Promise<Object>} Parsed Etherscan response body
+ */
+export async function etherscanGet(chain, params, cacheOptions) {
+  const config = typeof chain === "object" ? chain : resolveEvmChain(chain);
+  if (!config.etherscanApiUrl) {
+    throw new Error(`${config.name} has no Etherscan API`);
+  }
+
+  const fetchResponse = async () => {
+    const response = await providerRequest("etherscan", {
+      method: "get",
+      url: config.etherscanApiUrl,
+      params: {
+        chainid: config.chainId,
+        ...params,
+        apikey: process.env.ETHERSCAN_API_KEY
+      }
+    }, { isRateLimited });
+    return response.data;
+  };
+
+  if (!cacheOptions) {
+    return fetchResponse();
+  }
+
+  // Failed lookups ("NOTOK", rate limits) are never cached
+  const { shouldCache = data => data?.status === "1", ...options } = cacheOptions;
+  return cached("etherscan", { chainId: config.chainId, ...params }, { ...options, shouldCache }, fetchResponse);
+}
+
+/**
+ * Perform a POST request against the Etherscan v2 multichain API, for
+ * actions such as source verification whose payload is too large for a query
+ * string. Responses are never cached, and only rate limited requests are
+ * retried: a submission that timed out may still have been accepted.
+ * @param {string|Object} chain - Chain identifier or chain registry entry
+ * @param {Object} params - Form fields (module, action, ...)
+ * @returns {Promise<Object>} Parsed Etherscan response body
+ */
+export async function etherscanPost(chain, params) {
+  const config = typeof chain === "object" ? chain : resolveEvmChain(chain);
+  if (!config.etherscanApiUrl) {
+    throw new Error(`${config.name} has no Etherscan API`);
+  }
+
+  const response = await providerRequest("etherscan", {
+    method: "post",
+    url: config.etherscanApiUrl,
+    params: { chainid: config.chainId },
+    data: new URLSearchParams({ ...params, apikey: process.env.ETHERSCAN_API_KEY || "" }),
+    headers: { "Content-Type": "application/x-www-form-urlencoded" }
+  }, { isRateLimited, idempotent: false });
+  return response.data;
+}
+
+/**
+ * Etherscan reports rate limiting as a normal response with status "0"
+ * @param {Object} data - Response body
+ * @returns {boolean} True if the request was rate limited
+ */
+function isRateLimited(data) {
+  return data?.status === "0" && /rate limit/i.test(String(data.result));
+}
@@ -0,0 +1,133 @@
+/**
+ * Priority fee percentile sampled from each block for the slow, standard and
+ * fast tiers
+ */
+export const FEE_TIERS = { slow: 10, standard: 50, fast: 90 };
+
+// Base fee change over the window beyond which it is reported as rising or falling
+const TREND_THRESHOLD_PERCENT = 10;
+
+/**
+ * Summarize recent fees from eth_feeHistory: the base fee of the next block
+ * and its trend over the window, priority fees per tier (median over the
+ * blocks of each tier's percentile, ignoring empty blocks) and the blob base
+ * fee. Nodes without eth_feeHistory get a single legacy gas price for every
+ * tier.
+ * @param {Web3} web3 - Web3 instance
+ * @param {number} blocks - Number of recent blocks to sample
+ * @returns {Promise<Object>} { eip1559, oldestBlock, newestBlock, baseFee, gasUsedRatio, tiers, blobBaseFee, blobGasUsedRatio, warnings } with fees in wei
+ */
+export async function getFeeOracle(web3, blocks) {
+  const warnings = [];
+  const percentiles = Object.values(FEE_TIERS);
+
+  let history;
+  try {
+    history = await web3.requestManager.send({
+      method: "eth_feeHistory",
+      params: [`0x${blocks.toString(16)}`, "latest", percentiles]
+    });
+  } catch (error) {
+    warnings.push(`eth_feeHistory is not available (${error.cause?.message || error.message}); using eth_gasPrice`);
+    return getLegacyOracle(web3, warnings);
+  }
+
+  const baseFees = (history.baseFeePerGas || []).map(BigInt);
+  if (baseFees.length < 2) {
+    warnings.push("The chain reports no base fee; using eth_gasPrice");
+    return getLegacyOracle(web3, warnings);
+  }
+
+  // baseFeePerGas has one more entry than the window: the block after the newest
+  const next = baseFees[baseFees.length - 1];
+  const window = baseFees.slice(0, -1);
+  const oldestBlock = Number(BigInt(history.oldestBlock));
+  const ratios = history.gasUsedRatio || [];
+
+  const nonEmpty = (history.reward || []).filter((reward, index) => ratios[index] > 0);
+  let priorityFees = percentiles.map((_, index) => median(nonEmpty.map(reward => BigInt(reward[index]))));
+  if (priorityFees.includes(null)) {
+    warnings.push("No transactions in the sampled blocks; priority fees come from eth_maxPriorityFeePerGas");
+    const suggested = BigInt(await web3.eth.getMaxPriorityFeePerGas());
+    priorityFees = percentiles.map(() => suggested);
+  }
+
+  const tiers = Object.fromEntries(Object.keys(FEE_TIERS).map((tier, index) => [tier, {
+    maxPriorityFeePerGas: priorityFees[index],
+    // Same headroom as the wallet: twice the base fee covers several full blocks
+    maxFeePerGas: next * 2n + priorityFees[index],
+    expected: next + priorityFees[index]
+  }]));
+
+  const changePercent = window[0] > 0n ? Number((next - window[0]) * 10000n / window[0]) / 100 : 0;
+  const blobFees = (history.baseFeePerBlobGas || []).map(BigInt);
+  const blobRatios = history.blobGasUsedRatio || [];
+
+  return {
+    eip1559: true,
+    oldestBlock,
+    newestBlock: oldestBlock + window.length - 1,
+    baseFee: {
+      next,
+      average: window.reduce((total, fee) => total + fee, 0n) / BigInt(window.length),
+      min: window.reduce((low, fee) => (fee < low ? fee : low)),
+      max: window.reduce((high, fee) => (fee > high ? fee : high)),
+      changePercent,
+      trend: changePercent > TREND_THRESHOLD_PERCENT ? "rising" : changePercent < -TREND_THRESHOLD_PERCENT ? "falling" : "stable"
+    },
+    gasUsedRatio: ratios.length ? ratios.reduce((total, ratio) => total + ratio, 0) / ratios.length : null,
+    tiers,
+    blobBaseFee: blobFees.length ? blobFees[blobFees.length - 1] : await getBlobBaseFee(web3),
+    blobGasUsedRatio: blobRatios.length ? blobRatios.reduce((total, ratio) => total + ratio, 0) / blobRatios.length : null,
+    warnings
+  };
+}
+
+/**
+ * Fee oracle for nodes without EIP-1559 fee history: every tier pays the
+ * node's gas price
+ * @param {Web3} web3 - Web3 instance
+ * @param {string[]} warnings - Collected warnings
+ * @returns {Promise<Object>} Oracle result without base fee or blob data
+ */
+async function getLegacyOracle(web3, warnings) {
+  const [gasPrice, blockNumber] = await Promise.all([web3.eth.getGasPrice(), web3.eth.getBlockNumber()]);
+  const price = BigInt(gasPrice);
+  const tier = { maxPriorityFeePerGas: null, maxFeePerGas: price, expected: price };
+
+  return {
+    eip1559: false,
+    oldestBlock: Number(blockNumber),
+    newestBlock: Number(blockNumber),
+    baseFee: null,
+    gasUsedRatio: null,
+    tiers: { slow: tier, standard: tier, fast: tier },
+    blobBaseFee: null,
+    blobGasUsedRatio: null,
+    warnings
+  };
+}
+
+/**
+ * Blob base fee of the next block from eth_blobBaseFee
+ * @param {Web3} web3 - Web3 instance
+ * @returns {Promise<bigint|null>} Blob base fee in wei, or null before Cancun or when unsupported
+ */
+async function getBlobBaseFee(web3) {
+  try {
+    return BigInt(await web3.requestManager.send({ method: "eth_blobBaseFee", params: [] }));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Median of a list of amounts
+ * @param {bigint[]} values - Amounts
+ * @returns {bigint|null} Median (lower middle for even counts), or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
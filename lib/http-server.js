@@ -0,0 +1,306 @@
+import { createHash, randomUUID, timingSafeEqual } from "crypto";
+import http from "http";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MINUTE = 60 * 1000;
+
+// Endpoints: Streamable HTTP, the legacy SSE stream and its message endpoint
+const MCP_PATH = "/mcp";
+const SSE_PATH = "/sse";
+const MESSAGES_PATH = "/messages";
+const HEALTH_PATH = "/health";
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 3000;
+const DEFAULT_SESSION_TIMEOUT_MINUTES = 30;
+const DEFAULT_MAX_SESSIONS = 100;
+
+// Largest JSON-RPC request body accepted
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const SWEEP_INTERVAL_MS = MINUTE;
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID",
+  "Access-Control-Expose-Headers": "Mcp-Session-Id",
+  "Access-Control-Max-Age": "600"
+};
+
+/**
+ * Read the HTTP transport settings from the environment:
+ * - MCP_HTTP_HOST / MCP_HTTP_PORT: Listen address (default 127.0.0.1:3000)
+ * - MCP_AUTH_TOKENS: Comma-separated tokens accepted as `Authorization: Bearer <token>` or `X-API-Key: <token>`
+ * - MCP_ALLOWED_ORIGINS: Comma-separated browser origins allowed to connect, or "*"
+ * - MCP_SESSION_TIMEOUT: Minutes of inactivity after which a session is closed (default 30)
+ * - MCP_MAX_SESSIONS: Most concurrent sessions (default 100)
+ * @returns {Object} { host, port, authTokens, allowedOrigins, sessionTimeoutMs, maxSessions }
+ */
+export function getHttpServerOptions() {
+  const list = value => (value || "").split(",").map(item => item.trim()).filter(Boolean);
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+
+  return {
+    host: process.env.MCP_HTTP_HOST || DEFAULT_HOST,
+    port: number(process.env.MCP_HTTP_PORT, DEFAULT_PORT),
+    authTokens: list(process.env.MCP_AUTH_TOKENS),
+    allowedOrigins: list(process.env.MCP_ALLOWED_ORIGINS),
+    sessionTimeoutMs: number(process.env.MCP_SESSION_TIMEOUT, DEFAULT_SESSION_TIMEOUT_MINUTES) * MINUTE,
+    maxSessions: number(process.env.MCP_MAX_SESSIONS, DEFAULT_MAX_SESSIONS)
+  };
+}
+
+/**
+ * Serve MCP over Streamable HTTP (POST/GET/DELETE /mcp) and the legacy
+ * HTTP+SSE transport (GET /sse, POST /messages), with GET /health for load
+ * balancers. Every session gets its own server from `createServer`, while
+ * RPC connections, the response cache and rate limiters are shared by the
+ * process. Requests need one of the configured tokens; without tokens the
+ * server only listens on a loopback address.
+ * @param {Function} createServer - Returns a new McpServer with the tools registered, given the auth info ({ token, clientId }) of the request opening the session, if any
+ * @param {Object} options - Settings from getHttpServerOptions
+ * @returns {Promise<http.Server>} Listening HTTP server
+ */
+export async function startHttpServer(createServer, options) {
+  const { host, port, authTokens, allowedOrigins, sessionTimeoutMs, maxSessions } = options;
+  if (authTokens.length === 0 && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`Refusing to listen on ${host} without authentication; set MCP_AUTH_TOKENS or use a loopback MCP_HTTP_HOST`);
+  }
+
+  const tokenHashes = authTokens.map(hashToken);
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  /**
+   * Connect a new server to a transport and track the session
+   * @param {string} id - Session ID
+   * @param {Object} transport - Streamable HTTP or SSE transport
+   * @param {string} kind - "streamable" or "sse"
+   * @param {Object} [auth] - Auth info of the request opening the session
+   * @returns {Promise<Object>} Session entry
+   */
+  const openSession = async (id, transport, kind, auth) => {
+    const session = { transport, kind, server: createServer(auth), clientId: auth?.clientId, lastSeen: Date.now() };
+    sessions.set(id, session);
+    // The server chains its own cleanup onto this handler when it connects
+    transport.onclose = () => sessions.delete(id);
+    await session.server.connect(transport);
+    return session;
+  };
+
+  const handleMcp = async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      // Sessions keep the permissions of the token that opened them
+      if (!session || session.kind !== "streamable" || session.clientId !== req.auth?.clientId) {
+        return sendError(res, 404, -32001, "Session not found; start a new session with an initialize request");
+      }
+      session.lastSeen = Date.now();
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== "POST") {
+      return sendError(res, 400, -32000, "Mcp-Session-Id header is required");
+    }
+    const body = await readJsonBody(req);
+    if (!isInitializeRequest(body)) {
+      return sendError(res, 400, -32000, "The first request of a session must be initialize");
+    }
+    if (sessions.size >= maxSessions) {
+      return sendError(res, 503, -32000, "Too many open sessions; try again later");
+    }
+
+    const id = randomUUID();
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: () => id });
+    await openSession(id, transport, "streamable", req.auth);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSse = async (req, res) => {
+    if (sessions.size >= maxSessions) {
+      return sendError(res, 503, -32000, "Too many open sessions; try again later");
+    }
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    await openSession(transport.sessionId, transport, "sse", req.auth);
+    res.on("close", () => transport.close().catch(() => {}));
+  };
+
+  const handleMessage = async (req, res, url) => {
+    const session = sessions.get(url.searchParams.get("sessionId"));
+    if (!session || session.kind !== "sse" || session.clientId !== req.auth?.clientId) {
+      return sendError(res, 404, -32001, "Session not found");
+    }
+    session.lastSeen = Date.now();
+    await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      // Browsers send Origin; only configured origins may use the server
+      const origin = req.headers.origin;
+      if (origin) {
+        if (!isOriginAllowed(origin, allowedOrigins)) {
+          return sendError(res, 403, -32000, `Origin ${origin} is not allowed`);
+        }
+        res.setHeader("Access-Control-Allow-Origin", origin);
+        res.setHeader("Vary", "Origin");
+        Object.entries(CORS_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+      }
+      if (req.method === "OPTIONS") {
+        res.writeHead(204).end();
+        return;
+      }
+
+      if (url.pathname === HEALTH_PATH && req.method === "GET") {
+        return sendJson(res, 200, {
+          status: "ok",
+          sessions: sessions.size,
+          uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000)
+        });
+      }
+
+      const token = getRequestToken(req);
+      if (tokenHashes.length > 0 && !(token && tokenHashes.some(hash => timingSafeEqual(hash, hashToken(token))))) {
+        res.setHeader("WWW-Authenticate", 'Bearer realm="mcp"');
+        return sendError(res, 401, -32001, "Missing or invalid bearer token or API key");
+      }
+      if (token) {
+        req.auth = { token, clientId: `token-${hashToken(token).toString("hex").slice(0, 8)}`, scopes: [] };
+      }
+
+      if (url.pathname === MCP_PATH && ["GET", "POST", "DELETE"].includes(req.method)) {
+        return await handleMcp(req, res);
+      }
+      if (url.pathname === SSE_PATH && req.method === "GET") {
+        return await handleSse(req, res);
+      }
+      if (url.pathname === MESSAGES_PATH && req.method === "POST") {
+        return await handleMessage(req, res, url);
+      }
+      sendError(res, 404, -32601, `No endpoint at ${req.method} ${url.pathname}`);
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.statusCode, -32700, error.message);
+      }
+      console.error(`Error handling ${req.method} ${url.pathname}:`, error);
+      if (!res.headersSent) {
+        sendError(res, 500, -32603, "Internal server error");
+      }
+    }
+  });
+
+  // Close Streamable HTTP sessions that have been idle for too long; legacy
+  // SSE sessions end when their stream disconnects
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - sessionTimeoutMs;
+    for (const session of sessions.values()) {
+      if (session.kind === "streamable" && session.lastSeen < cutoff) {
+        session.transport.close().catch(() => {});
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  server.on("close", () => {
+    clearInterval(sweeper);
+    for (const session of sessions.values()) {
+      session.transport.close().catch(() => {});
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  console.error(`MCP server listening on http://${host.includes(":") ? `[${host}]` : host}:${server.address().port}${MCP_PATH} (legacy SSE at ${SSE_PATH})`);
+  if (authTokens.length === 0) {
+    console.error("No MCP_AUTH_TOKENS set: the server accepts unauthenticated requests from this machine");
+  }
+  return server;
+}
+
+/**
+ * Token of a request, from `Authorization: Bearer <token>` or `X-API-Key`
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Token
+ */
+function getRequestToken(req) {
+  const bearer = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  const apiKey = req.headers["x-api-key"];
+  return typeof apiKey === "string" && apiKey.trim() ? apiKey.trim() : null;
+}
+
+/**
+ * Hash a token so tokens of any length compare in constant time
+ * @param {string} token - Token
+ * @returns {Buffer} SHA-256 digest
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest();
+}
+
+/**
+ * Whether a browser origin may use the server
+ * @param {string} origin - Origin header
+ * @param {string[]} allowedOrigins - Configured origins ("*" allows any)
+ * @returns {boolean} True if allowed
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+  return allowedOrigins.includes("*") || allowedOrigins.some(allowed => allowed.replace(/\/$/, "") === origin);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { statusCode: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (error) {
+    throw Object.assign(new Error(`Invalid JSON body: ${error.message}`), { statusCode: 400 });
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code, message }, id: null });
+}
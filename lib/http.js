@@ -0,0 +1,246 @@
+import { isReplaying, recordedAxios } from "./recorder.js";
+
+/**
+ * Default request rates per upstream provider, matched to their entry-level
+ * plans. Override with `<PROVIDER>_RATE_LIMIT` (requests per second), e.g.
+ * ETHERSCAN_RATE_LIMIT=10 on a paid Etherscan plan.
+ */
+export const PROVIDER_LIMITS = {
+  etherscan: { label: "Etherscan", requestsPerSecond: 5, burst: 5 },
+  moralis: { label: "Moralis", requestsPerSecond: 10, burst: 10 },
+  codex: { label: "Codex", requestsPerSecond: 5, burst: 5 },
+  rapidapi: { label: "RapidAPI", requestsPerSecond: 1, burst: 2 }
+};
+
+// Retry policy for transient failures
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+
+// Longest Retry-After we are willing to wait before giving up
+const MAX_RETRY_AFTER_MS = 60000;
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network error codes worth retrying
+const RETRYABLE_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "EPIPE", "ECONNREFUSED"];
+
+/**
+ * Error raised when a provider keeps rate limiting requests after all retries
+ */
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.provider - Provider key, e.g. "etherscan"
+   * @param {number} [details.retryAfterMs] - Suggested wait before trying again
+   */
+  constructor(message, { provider, retryAfterMs } = {}) {
+    super(message);
+    this.name = "RateLimitError";
+    this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const buckets = new Map();
+
+/**
+ * Send an axios request through the provider's rate limiter, retrying
+ * transient errors and 429/5xx responses with exponential backoff and jitter
+ * @param {string} provider - Provider key from PROVIDER_LIMITS
+ * @param {Object} config - axios request config
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.isRateLimited] - Detects rate limiting reported in a successful response body
+ * @param {boolean} [options.idempotent] - False for requests that must not be repeated once the provider may have processed them; only rate limits are retried
+ * @returns {Promise<Object>} axios response
+ */
+export async function providerRequest(provider, config, { isRateLimited, idempotent = true } = {}) {
+  const bucket = getBucket(provider);
+  const { label } = PROVIDER_LIMITS[provider];
+
+  for (let attempt = 0; ; attempt++) {
+    // Replayed responses do not count against the provider's limits
+    if (!isReplaying()) {
+      await bucket.take();
+    }
+
+    let retryAfterMs = null;
+    let failure;
+    try {
+      const response = await recordedAxios(provider, config);
+      if (!isRateLimited || !isRateLimited(response.data)) {
+        return response;
+      }
+      failure = new RateLimitError(`${label} rate limit reached`, { provider });
+    } catch (error) {
+      // A rejected (429) request was not processed, so it is safe to repeat either way
+      if (!isRetryable(error) || (!idempotent && error.response?.status !== 429)) throw error;
+      failure = error;
+      retryAfterMs = parseRetryAfter(error.response?.headers?.["retry-after"]);
+    }
+
+    const rateLimited = failure instanceof RateLimitError || failure.response?.status === 429;
+
+    if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) {
+      throw new RateLimitError(
+        `${label} rate limit exceeded; retry after ${Math.ceil(retryAfterMs / 1000)}s`,
+        { provider, retryAfterMs }
+      );
+    }
+
+    if (attempt >= MAX_RETRIES) {
+      if (rateLimited) {
+        throw new RateLimitError(
+          `${label} rate limit exceeded after ${MAX_RETRIES} retries; try again shortly or raise ${provider.toUpperCase()}_RATE_LIMIT on a paid plan`,
+          { provider, retryAfterMs: retryAfterMs ?? undefined }
+        );
+      }
+      throw failure;
+    }
+
+    const delay = retryAfterMs ?? backoffDelay(attempt);
+    console.error(`${label} request failed (${describeFailure(failure)}), retrying in ${delay}ms`);
+
+    // A rate limited provider pauses for everyone, not just this request
+    if (rateLimited) {
+      bucket.pause(delay);
+    }
+    await sleep(delay);
+  }
+}
+
+/**
+ * Token bucket for one provider. Waiters are served in arrival order.
+ */
+class TokenBucket {
+  /**
+   * @param {number} requestsPerSecond - Refill rate
+   * @param {number} burst - Bucket capacity
+   */
+  constructor(requestsPerSecond, burst) {
+    this.rate = requestsPerSecond;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until a request may be sent
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(() => this.waitForToken());
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Stop handing out tokens for a while (after a 429 or Retry-After)
+   * @param {number} ms - Pause length in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Refill the bucket and wait until it holds a whole token
+   * @returns {Promise<void>}
+   */
+  async waitForToken() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+      this.updatedAt = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+    }
+  }
+}
+
+/**
+ * Token bucket of a provider, created on first use
+ * @param {string} provider - Provider key
+ * @returns {TokenBucket} Bucket
+ */
+function getBucket(provider) {
+  if (!PROVIDER_LIMITS[provider]) {
+    throw new Error(`Unknown API provider "${provider}"`);
+  }
+
+  if (!buckets.has(provider)) {
+    const limits = PROVIDER_LIMITS[provider];
+    const override = parseFloat(process.env[`${provider.toUpperCase()}_RATE_LIMIT`]);
+    const rate = override > 0 ? override : limits.requestsPerSecond;
+    buckets.set(provider, new TokenBucket(rate, override > 0 ? Math.max(1, Math.floor(rate)) : limits.burst));
+  }
+  return buckets.get(provider);
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - axios error
+ * @returns {boolean} True for transient network errors and 429/5xx responses
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string} [value] - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Short description of a failure for logging
+ * @param {Error} error - Failure
+ * @returns {string} Description
+ */
+function describeFailure(error) {
+  if (error.response) return `HTTP ${error.response.status}`;
+  return error.code || error.message;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,118 @@
+/**
+ * Block span of one eth_getLogs request. Providers commonly cap ranges at
+ * 2k-10k blocks; a chunk the provider rejects is halved and retried.
+ * Override with LOGS_CHUNK_SIZE.
+ */
+const DEFAULT_CHUNK_SIZE = 2000;
+
+// eth_getLogs requests made for one page before handing back a cursor
+const MAX_CHUNKS_PER_PAGE = 25;
+
+// Provider errors that mean "ask for a smaller range"
+const RANGE_ERROR_PATTERN = /range|too (many|large|wide|big)|more than|limit|exceed|size/i;
+
+/**
+ * Fetch one page of logs over a block range, splitting it into chunks the RPC
+ * provider accepts. Logs are returned in chain order. A page ends when it
+ * holds `limit` logs or after a bounded number of chunks, whichever comes
+ * first; `nextCursor` then resumes the scan.
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} filter - Log filter ({ address, topics })
+ * @param {Object} range - Scan range
+ * @param {number} [range.fromBlock] - First block (ignored with a cursor)
+ * @param {number} [range.toBlock] - Last block (ignored with a cursor)
+ * @param {number} range.limit - Maximum logs to return
+ * @param {string} [range.cursor] - Cursor from a previous page
+ * @returns {Promise<Object>} { logs, fromBlock, toBlock, scannedToBlock, nextCursor }
+ */
+export async function fetchLogsPage(web3, filter, { fromBlock, toBlock, limit, cursor }) {
+  const position = cursor ? parseCursor(cursor) : { block: fromBlock, logIndex: -1, toBlock };
+  const lastBlock = position.toBlock;
+  const logs = [];
+
+  let start = position.block;
+  let chunkSize = getChunkSize();
+  let chunks = 0;
+
+  while (start <= lastBlock && chunks < MAX_CHUNKS_PER_PAGE) {
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+
+    let chunk;
+    try {
+      chunk = await web3.eth.getPastLogs({ ...filter, fromBlock: start, toBlock: end });
+    } catch (error) {
+      const message = `${error.message} ${error.cause?.message || ""}`;
+      if (chunkSize > 1 && RANGE_ERROR_PATTERN.test(message) && !/rate limit/i.test(message)) {
+        chunkSize = Math.ceil(chunkSize / 2);
+        console.error(`eth_getLogs rejected blocks ${start}-${end}, retrying with ${chunkSize}-block chunks`);
+        continue;
+      }
+      throw error;
+    }
+    chunks++;
+
+    const ordered = chunk
+      .filter(log => !log.removed)
+      .map(log => ({ ...log, blockNumber: Number(log.blockNumber), logIndex: Number(log.logIndex) }))
+      .filter(log => log.blockNumber > position.block || log.logIndex > position.logIndex)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    for (const log of ordered) {
+      if (logs.length === limit) {
+        const last = logs[logs.length - 1];
+        return {
+          logs,
+          fromBlock: position.block,
+          toBlock: lastBlock,
+          scannedToBlock: last.blockNumber,
+          nextCursor: formatCursor(last.blockNumber, last.logIndex, lastBlock)
+        };
+      }
+      logs.push(log);
+    }
+
+    start = end + 1;
+  }
+
+  return {
+    logs,
+    fromBlock: position.block,
+    toBlock: lastBlock,
+    scannedToBlock: start - 1,
+    nextCursor: start <= lastBlock ? formatCursor(start, -1, lastBlock) : null
+  };
+}
+
+/**
+ * Chunk size from LOGS_CHUNK_SIZE, or the default
+ * @returns {number} Blocks per eth_getLogs request
+ */
+function getChunkSize() {
+  const override = parseInt(process.env.LOGS_CHUNK_SIZE, 10);
+  return override > 0 ? override : DEFAULT_CHUNK_SIZE;
+}
+
+/**
+ * Encode a scan position. The range end is pinned so that "latest" does not
+ * move between pages.
+ * @param {number} block - Block to resume at
+ * @param {number} logIndex - Last log index already returned in that block (-1 for none)
+ * @param {number} toBlock - Last block of the range
+ * @returns {string} Cursor
+ */
+function formatCursor(block, logIndex, toBlock) {
+  return `${block}:${logIndex}:${toBlock}`;
+}
+
+/**
+ * Decode a cursor produced by formatCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object} { block, logIndex, toBlock }
+ */
+function parseCursor(cursor) {
+  const match = String(cursor).match(/^(\d+):(-1|\d+):(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid cursor "${cursor}"; pass the nextCursor of a previous page`);
+  }
+  return { block: Number(match[1]), logIndex: Number(match[2]), toBlock: Number(match[3]) };
+}
@@ -0,0 +1,132 @@
+import { cached } from "./cache.js";
+import { providerRequest, RateLimitError } from "./http.js";
+
+// Moralis Web3 Data API base URL
+const MORALIS_API_URL = "https://deep-index.moralis.io/api/v2.2";
+
+// Upper bound on cursor pages fetched for a single request
+const DEFAULT_MAX_PAGES = 50;
+
+/**
+ * Error raised when a Moralis request fails, carrying the HTTP status and
+ * the error body returned by Moralis (if any)
+ */
+export class MoralisApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number} [details.status] - HTTP status code
+   * @param {*} [details.body] - Response body returned by Moralis
+   * @param {string} [details.path] - API path that was requested
+   */
+  constructor(message, { status, body, path } = {}) {
+    super(message);
+    this.name = "MoralisApiError";
+    this.status = status;
+    this.body = body;
+    this.path = path;
+  }
+}
+
+/**
+ * Perform a single GET request against the Moralis API
+ * @param {string} path - API path, e.g. `/0xabc.../erc20`
+ * @param {Object} params - Query string parameters
+ * @returns {Promise<*>} Parsed response body
+ */
+export async function moralisGet(path, params = {}) {
+  // Use API key from environment variable
+  const apiKey = process.env.MORALIS_API_KEY;
+  if (!apiKey) {
+    throw new Error("MORALIS_API_KEY environment variable is not set");
+  }
+
+  try {
+    const response = await providerRequest("moralis", {
+      method: "get",
+      baseURL: MORALIS_API_URL,
+      url: path,
+      params,
+      headers: {
+        "X-API-Key": apiKey,
+        "accept": "application/json"
+      }
+    });
+    return response.data;
+  } catch (error) {
+    throw toMoralisError(error, path);
+  }
+}
+
+/**
+ * Fetch every page of a Moralis endpoint by following its `cursor`.
+ * Endpoints that return a plain array (no pagination) are returned as-is.
+ * @param {string} path - API path
+ * @param {Object} params - Query string parameters
+ * @param {Object} options - Pagination and cache options
+ * @param {number} [options.maxPages] - Maximum number of pages to fetch
+ * @param {number} [options.ttl] - Cache the combined result for this long (ms); omit to always fetch
+ * @param {boolean} [options.refresh] - Bypass a cached result
+ * @returns {Promise<Array>} All results across pages
+ */
+export async function moralisGetAll(path, params = {}, { maxPages = DEFAULT_MAX_PAGES, ttl, refresh = false } = {}) {
+  if (ttl === undefined) {
+    return fetchAllPages(path, params, maxPages);
+  }
+  return cached("moralis", { path, params }, { ttl, refresh }, () => fetchAllPages(path, params, maxPages));
+}
+
+/**
+ * Follow the `cursor` of a Moralis endpoint until every page is fetched
+ * @param {string} path - API path
+ * @param {Object} params - Query string parameters
+ * @param {number} maxPages - Maximum number of pages to fetch
+ * @returns {Promise<Array>} All results across pages
+ */
+async function fetchAllPages(path, params, maxPages) {
+  const results = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const data = await moralisGet(path, cursor ? { ...params, cursor } : params);
+
+    // Unpaginated endpoints return the result array directly
+    if (Array.isArray(data)) {
+      return results.concat(data);
+    }
+
+    results.push(...(data.result || []));
+    cursor = data.cursor || null;
+    pages++;
+  } while (cursor && pages < maxPages);
+
+  if (cursor) {
+    console.error(`Moralis pagination for ${path} stopped after ${maxPages} pages`);
+  }
+
+  return results;
+}
+
+/**
+ * Convert an axios error into a MoralisApiError with a readable message
+ * @param {Error} error - Error thrown by axios
+ * @param {string} path - API path that was requested
+ * @returns {MoralisApiError} Normalized error
+ */
+function toMoralisError(error, path) {
+  if (error instanceof RateLimitError) {
+    return new MoralisApiError(error.message, { status: 429, path });
+  }
+  if (!error.response) {
+    return new MoralisApiError(`Moralis request failed: ${error.message}`, { path });
+  }
+
+  const { status, data } = error.response;
+  const detail = data?.message || (typeof data === "string" && data) || error.message;
+  return new MoralisApiError(`Moralis API error (HTTP ${status}): ${detail}`, {
+    status,
+    body: data,
+    path
+  });
+}
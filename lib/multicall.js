@@ -0,0 +1,103 @@
+import { eth } from "web3";
+import { getRevertData } from "./abi.js";
+
+/**
+ * Multicall3 is deployed at the same address on every supported chain
+ * (https://github.com/mds1/multicall)
+ */
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Calls per aggregate3 request, keeping each eth_call within node gas and payload limits
+const MAX_BATCH_SIZE = 500;
+
+// aggregate3((address target, bool allowFailure, bytes callData)[]) returns ((bool success, bytes returnData)[])
+const AGGREGATE3 = {
+  type: "function",
+  name: "aggregate3",
+  inputs: [{
+    name: "calls",
+    type: "tuple[]",
+    components: [
+      { name: "target", type: "address" },
+      { name: "allowFailure", type: "bool" },
+      { name: "callData", type: "bytes" }
+    ]
+  }]
+};
+const AGGREGATE3_RESULT = {
+  name: "returnData",
+  type: "tuple[]",
+  components: [
+    { name: "success", type: "bool" },
+    { name: "returnData", type: "bytes" }
+  ]
+};
+
+/**
+ * Run several read-only calls in a single eth_call through Multicall3 (one
+ * per MAX_BATCH_SIZE calls). Where Multicall3 is not deployed (or only one
+ * call is given) the calls are sent individually instead. A reverting call
+ * does not fail the others.
+ * @param {Web3} web3 - Web3 instance
+ * @param {Array<Object>} calls - Calls as { target, callData }
+ * @param {string|number|bigint} [blockTag] - Block number or tag to call at
+ * @returns {Promise<Object>} { multicall, results: [{ success, returnData }] }
+ */
+export async function aggregateCalls(web3, calls, blockTag = "latest") {
+  const multicall = calls.length > 1 && await isMulticallDeployed(web3, blockTag);
+
+  if (!multicall) {
+    const results = await Promise.all(calls.map(call => callOnce(web3, call, blockTag)));
+    return { multicall: false, results };
+  }
+
+  const results = [];
+  for (let start = 0; start < calls.length; start += MAX_BATCH_SIZE) {
+    const batch = calls.slice(start, start + MAX_BATCH_SIZE);
+    const data = eth.abi.encodeFunctionCall(AGGREGATE3, [
+      batch.map(call => [call.target, true, call.callData])
+    ]);
+    const response = await web3.eth.call({ to: MULTICALL3_ADDRESS, data }, blockTag);
+    const decoded = eth.abi.decodeParameter(AGGREGATE3_RESULT, response);
+    results.push(...decoded.map(result => ({ success: result.success, returnData: result.returnData })));
+  }
+
+  return { multicall: true, results };
+}
+
+/**
+ * Check whether Multicall3 has code at the given block
+ * @param {Web3} web3 - Web3 instance
+ * @param {string|number|bigint} blockTag - Block number or tag
+ * @returns {Promise<boolean>} True if deployed
+ */
+async function isMulticallDeployed(web3, blockTag) {
+  try {
+    const code = await web3.eth.getCode(MULTICALL3_ADDRESS, blockTag);
+    return code !== "0x" && code !== "0x0";
+  } catch (error) {
+    console.error("Could not check for Multicall3:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Send one eth_call, turning a revert into an unsuccessful result
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} call - Call as { target, callData }
+ * @param {string|number|bigint} blockTag - Block number or tag
+ * @returns {Promise<Object>} Result as { success, returnData }
+ */
+async function callOnce(web3, call, blockTag) {
+  try {
+    const returnData = await web3.eth.call({ to: call.target, data: call.callData }, blockTag);
+    return { success: true, returnData };
+  } catch (error) {
+    // Reverts carry the revert data on the JSON-RPC error; anything else is a real failure
+    const revertData = getRevertData(error);
+    if (revertData === null) {
+      throw error;
+    }
+    return { success: false, returnData: revertData };
+  }
+}
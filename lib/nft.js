@@ -0,0 +1,494 @@
+import { lookup as dnsLookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import { recordedAxios } from "./recorder.js";
+import { eth, utils } from "web3";
+import { cached, CACHE_TTLS } from "./cache.js";
+import { aggregateCalls } from "./multicall.js";
+import { fetchLogsPage } from "./logs.js";
+import { getEventTopic } from "./signatures.js";
+
+// ERC165 interface IDs
+const ERC721_INTERFACE = "0x80ac58cd";
+const ERC1155_INTERFACE = "0xd9b67a26";
+const ERC721_ENUMERABLE_INTERFACE = "0x780e9d63";
+
+const TRANSFER_TOPIC = getEventTopic("Transfer(address,address,uint256)");
+const TRANSFER_SINGLE_TOPIC = getEventTopic("TransferSingle(address,address,address,uint256,uint256)");
+const TRANSFER_BATCH_TOPIC = getEventTopic("TransferBatch(address,address,address,uint256[],uint256[])");
+
+/**
+ * Gateways used for ipfs:// and ar:// URIs, tried in order. Override with
+ * NFT_IPFS_GATEWAYS (comma separated) and NFT_ARWEAVE_GATEWAY.
+ */
+const DEFAULT_IPFS_GATEWAYS = ["https://ipfs.io/ipfs/", "https://dweb.link/ipfs/"];
+const DEFAULT_ARWEAVE_GATEWAY = "https://arweave.net/";
+
+const METADATA_TIMEOUT_MS = 15000;
+const MAX_METADATA_BYTES = 2 * 1024 * 1024;
+const MAX_METADATA_REDIRECTS = 3;
+
+// Token URIs come from arbitrary contracts, so they may not reach loopback,
+// private, link-local or other non-public addresses of the server's network
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6"));
+
+// Largest ERC721 supply whose owners are counted with ownerOf reads
+const MAX_OWNER_SCAN = 5000;
+
+// Most candidate tokens verified when reconstructing holdings from logs
+const MAX_HOLDING_CANDIDATES = 2000;
+
+const uint256 = name => ({ name, type: "uint256" });
+const fn = (name, inputs = []) => ({ type: "function", name, inputs });
+
+const SUPPORTS_INTERFACE = fn("supportsInterface", [{ name: "interfaceId", type: "bytes4" }]);
+const TOKEN_URI = fn("tokenURI", [uint256("tokenId")]);
+const URI = fn("uri", [uint256("id")]);
+const OWNER_OF = fn("ownerOf", [uint256("tokenId")]);
+const BALANCE_OF_1155 = fn("balanceOf", [{ name: "account", type: "address" }, uint256("id")]);
+const TOKEN_BY_INDEX = fn("tokenByIndex", [uint256("index")]);
+const TOTAL_SUPPLY = fn("totalSupply");
+const TOTAL_SUPPLY_OF = fn("totalSupply", [uint256("id")]);
+
+/**
+ * Detect whether a contract is an ERC721 or ERC1155 collection through ERC165
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} contract - Contract address
+ * @returns {Promise<Object>} { standard ("ERC721", "ERC1155" or null), enumerable }
+ */
+export async function detectNftStandard(web3, contract) {
+  const { results } = await aggregateCalls(web3, [ERC721_INTERFACE, ERC1155_INTERFACE, ERC721_ENUMERABLE_INTERFACE]
+    .map(id => ({ target: contract, callData: eth.abi.encodeFunctionCall(SUPPORTS_INTERFACE, [id]) })));
+  const [erc721, erc1155, enumerable] = results.map(decodeBool);
+
+  return {
+    standard: erc721 ? "ERC721" : erc1155 ? "ERC1155" : null,
+    enumerable: erc721 && enumerable
+  };
+}
+
+/**
+ * Read the metadata URI of a token: tokenURI for ERC721, uri for ERC1155
+ * (with the {id} placeholder substituted)
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} contract - Contract address
+ * @param {bigint} tokenId - Token ID
+ * @param {string} standard - "ERC721" or "ERC1155"
+ * @returns {Promise<string|null>} URI, or null if the contract returns none
+ */
+export async function getTokenUri(web3, contract, tokenId, standard) {
+  const data = await web3.eth.call({
+    to: contract,
+    data: eth.abi.encodeFunctionCall(standard === "ERC1155" ? URI : TOKEN_URI, [tokenId])
+  });
+  if (!data || data === "0x") return null;
+
+  const uri = eth.abi.decodeParameter("string", data).trim();
+  if (!uri) return null;
+  // ERC1155 clients substitute the lowercase hex ID, padded to 64 characters
+  return standard === "ERC1155" ? uri.replace(/\{id\}/gi, tokenId.toString(16).padStart(64, "0")) : uri;
+}
+
+/**
+ * Translate an NFT URI to the HTTP URLs it can be fetched from
+ * @param {string} uri - http(s), ipfs:// or ar:// URI
+ * @returns {string[]} URLs to try in order (empty for unsupported schemes)
+ */
+export function toGatewayUrls(uri) {
+  if (/^https?:\/\//i.test(uri)) return [uri];
+
+  const ipfs = uri.match(/^ipfs:\/\/(?:ipfs\/)?(.+)$/i);
+  if (ipfs) return getIpfsGateways().map(gateway => `${gateway}${ipfs[1]}`);
+
+  const arweave = uri.match(/^ar:\/\/(.+)$/i);
+  if (arweave) return [`${getArweaveGateway()}${arweave[1]}`];
+
+  return [];
+}
+
+/**
+ * Load the metadata JSON behind a token URI. data: URIs are decoded in
+ * place; ipfs:// and ar:// URIs go through the configured gateways, falling
+ * back to the next IPFS gateway when one fails. http(s) URIs and redirects
+ * that lead to loopback, private or link-local hosts are refused, since the
+ * URI is chosen by the contract. Fetched metadata is cached.
+ * @param {string} uri - Token URI
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh] - Bypass the cache
+ * @returns {Promise<Object>} { metadata, url (the URL that answered, null for data: URIs) }
+ */
+export async function fetchNftMetadata(uri, { refresh = false } = {}) {
+  if (/^data:/i.test(uri)) {
+    return { metadata: parseJson(decodeDataUri(uri), "data: URI"), url: null };
+  }
+
+  const urls = toGatewayUrls(uri);
+  if (urls.length === 0) {
+    throw new Error(`Unsupported token URI scheme: ${uri.slice(0, 80)}`);
+  }
+  return cached("nft", { uri }, { ttl: CACHE_TTLS.nftMetadata, refresh }, () => fetchFromGateways(urls));
+}
+
+/**
+ * Read collection-level figures on-chain: name, symbol, total supply and,
+ * for ERC721 collections of up to MAX_OWNER_SCAN tokens, the number of
+ * distinct owners (by calling ownerOf for every token)
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} contract - Contract address
+ * @param {Object} nft - Detected standard ({ standard, enumerable })
+ * @param {bigint} [tokenId] - Token whose supply to read on ERC1155 contracts
+ * @returns {Promise<Object>} { name, symbol, totalSupply, tokenSupply, owners, warnings }
+ */
+export async function getCollectionStats(web3, contract, { standard, enumerable }, tokenId) {
+  const warnings = [];
+  const calls = [
+    { target: contract, callData: eth.abi.encodeFunctionSignature("name()") },
+    { target: contract, callData: eth.abi.encodeFunctionSignature("symbol()") },
+    { target: contract, callData: eth.abi.encodeFunctionCall(TOTAL_SUPPLY, []) }
+  ];
+  if (standard === "ERC1155" && tokenId !== undefined) {
+    calls.push({ target: contract, callData: eth.abi.encodeFunctionCall(TOTAL_SUPPLY_OF, [tokenId]) });
+  }
+
+  const { results } = await aggregateCalls(web3, calls);
+  const [name, symbol] = results.slice(0, 2).map(decodeString);
+  const [totalSupply, tokenSupply = null] = results.slice(2).map(decodeUint);
+
+  let owners = null;
+  if (standard === "ERC1155") {
+    warnings.push("ERC1155 owner counts need an indexer and are not read on-chain");
+  } else if (standard === "ERC721") {
+    if (totalSupply === null) {
+      warnings.push("The contract has no totalSupply(), so owners were not counted");
+    } else if (totalSupply > BigInt(MAX_OWNER_SCAN)) {
+      warnings.push(`Owners are only counted for collections of up to ${MAX_OWNER_SCAN} tokens`);
+    } else {
+      owners = await countOwners(web3, contract, Number(totalSupply), enumerable, warnings);
+    }
+  }
+
+  return {
+    name,
+    symbol,
+    totalSupply: totalSupply === null ? null : totalSupply.toString(),
+    tokenSupply: tokenSupply === null ? null : tokenSupply.toString(),
+    owners,
+    warnings
+  };
+}
+
+/**
+ * Reconstruct the NFTs a wallet holds from the ERC721 and ERC1155 transfers
+ * it received in a block range, then keep the tokens it still owns (checked
+ * with ownerOf / balanceOf). Tokens received before the range are missed.
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} wallet - Wallet address
+ * @param {Object} range - { fromBlock, toBlock } to scan
+ * @param {string[]} [contracts] - Only consider these collections
+ * @returns {Promise<Object>} { holdings: [{ contract, standard, tokenId, amount }], truncated }
+ */
+export async function findNftHoldings(web3, wallet, { fromBlock, toBlock }, contracts) {
+  const walletTopic = eth.abi.encodeParameter("address", wallet);
+  const address = contracts?.length ? contracts : undefined;
+
+  // ERC721 Transfer has `to` as the third topic, ERC1155 transfers as the fourth
+  const [received721, received1155] = await Promise.all([
+    fetchAllLogs(web3, { address, topics: [TRANSFER_TOPIC, null, walletTopic] }, fromBlock, toBlock),
+    fetchAllLogs(web3, { address, topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, null, walletTopic] }, fromBlock, toBlock)
+  ]);
+
+  const candidates = new Map();
+  const addCandidate = (contract, standard, tokenId) => {
+    candidates.set(`${contract.toLowerCase()}:${tokenId}`, { contract: utils.toChecksumAddress(contract), standard, tokenId });
+  };
+
+  // ERC20 Transfer logs share the topic but have no indexed token ID
+  received721.filter(log => log.topics.length === 4).forEach(log => addCandidate(log.address, "ERC721", BigInt(log.topics[3])));
+  received1155.forEach(log => {
+    if (log.topics[0].toLowerCase() === TRANSFER_SINGLE_TOPIC) {
+      addCandidate(log.address, "ERC1155", BigInt(eth.abi.decodeParameters(["uint256", "uint256"], log.data)[0]));
+    } else {
+      eth.abi.decodeParameters(["uint256[]", "uint256[]"], log.data)[0].forEach(id => addCandidate(log.address, "ERC1155", BigInt(id)));
+    }
+  });
+
+  const tokens = [...candidates.values()].slice(0, MAX_HOLDING_CANDIDATES);
+  const { results } = await aggregateCalls(web3, tokens.map(token => ({
+    target: token.contract,
+    callData: token.standard === "ERC721"
+      ? eth.abi.encodeFunctionCall(OWNER_OF, [token.tokenId])
+      : eth.abi.encodeFunctionCall(BALANCE_OF_1155, [wallet, token.tokenId])
+  })));
+
+  const holdings = tokens.flatMap((token, index) => {
+    const result = results[index];
+    if (!result.success || result.returnData.length < 66) return [];
+    if (token.standard === "ERC721") {
+      const owner = eth.abi.decodeParameter("address", result.returnData);
+      return owner.toLowerCase() === wallet.toLowerCase() ? [{ ...token, amount: 1n }] : [];
+    }
+    const amount = BigInt(result.returnData.slice(0, 66));
+    return amount > 0n ? [{ ...token, amount }] : [];
+  });
+
+  return { holdings, truncated: candidates.size > MAX_HOLDING_CANDIDATES };
+}
+
+/**
+ * Fetch metadata JSON from the first URL that answers
+ * @param {string[]} urls - Candidate URLs
+ * @returns {Promise<Object>} { metadata, url }
+ */
+async function fetchFromGateways(urls) {
+  const failures = [];
+  for (const url of urls) {
+    try {
+      const response = await fetchPublicUrl(url);
+      return { metadata: parseJson(response.data, url), url };
+    } catch (error) {
+      failures.push(`${url}: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+  }
+  throw new Error(`Could not fetch token metadata (${failures.join("; ")})`);
+}
+
+/**
+ * GET a metadata URL, refusing hosts that resolve to non-public addresses
+ * unless the URL is under a configured gateway. Redirects are followed by
+ * hand so that every hop is checked the same way.
+ * @param {string} url - http(s) URL
+ * @returns {Promise<Object>} axios response with the body as text
+ */
+async function fetchPublicUrl(url) {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    const trusted = isConfiguredGateway(current);
+    if (!trusted) {
+      assertPublicHost(new URL(current).hostname);
+    }
+
+    const response = await recordedAxios("nft", {
+      method: "get",
+      url: current,
+      timeout: METADATA_TIMEOUT_MS,
+      maxContentLength: MAX_METADATA_BYTES,
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400,
+      responseType: "text",
+      transformResponse: data => data,
+      // Checked at connection time, so a name cannot resolve differently after the check
+      ...(trusted ? {} : { lookup: resolvePublicHost })
+    });
+    if (response.status < 300) {
+      return response;
+    }
+
+    const location = response.headers.location;
+    if (!location) {
+      throw new Error(`HTTP ${response.status} without a Location header`);
+    }
+    if (redirects === MAX_METADATA_REDIRECTS) {
+      throw new Error(`More than ${MAX_METADATA_REDIRECTS} redirects`);
+    }
+    current = new URL(location, current).toString();
+    if (!/^https?:$/.test(new URL(current).protocol)) {
+      throw new Error(`Refusing to follow a redirect to ${current.slice(0, 80)}`);
+    }
+  }
+}
+
+/**
+ * Refuse an IP literal host in a non-public range (names are checked when
+ * they are resolved, by resolvePublicHost)
+ * @param {string} hostname - URL hostname
+ */
+function assertPublicHost(hostname) {
+  const address = hostname.replace(/^\[|\]$/g, "");
+  if (isIP(address) && isBlockedAddress(address)) {
+    throw new Error(`Refusing to fetch from ${hostname}, a loopback, private or link-local address`);
+  }
+}
+
+/**
+ * DNS lookup for axios that fails for names resolving to non-public addresses
+ * @param {string} hostname - Host name
+ * @returns {Promise<Array<Object>>} Addresses as { address, family }
+ */
+async function resolvePublicHost(hostname) {
+  const addresses = await dnsLookup(hostname, { all: true });
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) {
+    throw new Error(`Refusing to fetch from ${hostname}, which resolves to the non-public address ${blocked.address}`);
+  }
+  return addresses;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if blocked
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Whether a URL is under one of the configured IPFS or Arweave gateways,
+ * which the operator chose and may therefore be local
+ * @param {string} url - URL
+ * @returns {boolean} True for gateway URLs
+ */
+function isConfiguredGateway(url) {
+  return [...getIpfsGateways(), getArweaveGateway()].some(gateway => url.startsWith(gateway));
+}
+
+/**
+ * Count distinct ERC721 owners. Enumerable collections list their token IDs;
+ * others are probed at IDs 0 to totalSupply, which only covers sequential IDs.
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} contract - Contract address
+ * @param {number} supply - Total supply
+ * @param {boolean} enumerable - Whether the contract implements ERC721Enumerable
+ * @param {string[]} warnings - Collected warnings
+ * @returns {Promise<number|null>} Owner count, or null if not every token was found
+ */
+async function countOwners(web3, contract, supply, enumerable, warnings) {
+  let tokenIds = Array.from({ length: supply + 1 }, (_, index) => BigInt(index));
+  if (enumerable) {
+    const { results } = await aggregateCalls(web3, tokenIds.slice(0, supply).map(index => ({
+      target: contract,
+      callData: eth.abi.encodeFunctionCall(TOKEN_BY_INDEX, [index])
+    })));
+    tokenIds = results.map(decodeUint).filter(id => id !== null);
+  }
+
+  const { results } = await aggregateCalls(web3, tokenIds.map(id => ({
+    target: contract,
+    callData: eth.abi.encodeFunctionCall(OWNER_OF, [id])
+  })));
+  const owners = results
+    .filter(result => result.success && result.returnData.length >= 66)
+    .map(result => `0x${result.returnData.slice(26, 66).toLowerCase()}`);
+
+  if (owners.length < supply) {
+    warnings.push(`Only ${owners.length} of ${supply} tokens were found at IDs 0-${supply}; token IDs are not sequential, so owners were not counted`);
+    return null;
+  }
+  return new Set(owners).size;
+}
+
+/**
+ * Fetch every log of a filter over a block range, page by page
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} filter - Log filter ({ address, topics })
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Promise<Array<Object>>} Logs in chain order
+ */
+async function fetchAllLogs(web3, filter, fromBlock, toBlock) {
+  const logs = [];
+  let page = await fetchLogsPage(web3, filter, { fromBlock, toBlock, limit: Infinity });
+  logs.push(...page.logs);
+  while (page.nextCursor) {
+    page = await fetchLogsPage(web3, filter, { cursor: page.nextCursor, limit: Infinity });
+    logs.push(...page.logs);
+  }
+  return logs;
+}
+
+/**
+ * IPFS gateways from NFT_IPFS_GATEWAYS, or the defaults
+ * @returns {string[]} Gateway base URLs ending in a slash
+ */
+function getIpfsGateways() {
+  const configured = (process.env.NFT_IPFS_GATEWAYS || "").split(",").map(gateway => gateway.trim()).filter(Boolean);
+  return (configured.length ? configured : DEFAULT_IPFS_GATEWAYS).map(withTrailingSlash);
+}
+
+/**
+ * Arweave gateway from NFT_ARWEAVE_GATEWAY, or the default
+ * @returns {string} Gateway base URL ending in a slash
+ */
+function getArweaveGateway() {
+  return withTrailingSlash(process.env.NFT_ARWEAVE_GATEWAY?.trim() || DEFAULT_ARWEAVE_GATEWAY);
+}
+
+/**
+ * Append a slash to a URL that lacks one
+ * @param {string} url - URL
+ * @returns {string} URL ending in a slash
+ */
+function withTrailingSlash(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+/**
+ * Decode the content of a data: URI (base64 or percent-encoded)
+ * @param {string} uri - data: URI
+ * @returns {string} Decoded content
+ */
+function decodeDataUri(uri) {
+  const match = uri.match(/^data:([^,]*),(.*)$/is);
+  if (!match) {
+    throw new Error("Malformed data: URI");
+  }
+  return /;base64$/i.test(match[1])
+    ? Buffer.from(match[2], "base64").toString("utf8")
+    : decodeURIComponent(match[2]);
+}
+
+/**
+ * Parse metadata JSON, naming its source in errors
+ * @param {string} text - JSON text
+ * @param {string} source - Where the text came from
+ * @returns {Object} Parsed metadata
+ */
+function parseJson(text, source) {
+  try {
+    const metadata = JSON.parse(text);
+    if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+      throw new Error("not a JSON object");
+    }
+    return metadata;
+  } catch (error) {
+    throw new Error(`Token metadata from ${source} is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Decode a bool call result
+ * @param {Object} result - Call result ({ success, returnData })
+ * @returns {boolean} True only for a successful call returning true
+ */
+function decodeBool(result) {
+  return Boolean(result.success && result.returnData.length >= 66 && BigInt(result.returnData.slice(0, 66)) === 1n);
+}
+
+/**
+ * Decode a uint256 call result
+ * @param {Object} result - Call result ({ success, returnData })
+ * @returns {bigint|null} Value, or null if the call failed
+ */
+function decodeUint(result) {
+  return result.success && result.returnData.length >= 66 ? BigInt(result.returnData.slice(0, 66)) : null;
+}
+
+/**
+ * Decode a string call result
+ * @param {Object} result - Call result ({ success, returnData })
+ * @returns {string|null} Value, or null if the call failed or returned no string
+ */
+function decodeString(result) {
+  if (!result.success || result.returnData.length < 130) return null;
+  try {
+    return eth.abi.decodeParameter("string", result.returnData) || null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,35 @@
+import { eth } from "web3";
+import { aggregateCalls } from "./multicall.js";
+
+// Chainlink answers older than this are flagged as stale
+const STALE_AFTER_SECONDS = 24 * 60 * 60;
+
+const LATEST_ROUND_DATA = { type: "function", name: "latestRoundData", inputs: [] };
+const DECIMALS = { type: "function", name: "decimals", inputs: [] };
+
+/**
+ * Read the USD price of a chain's native currency from its Chainlink feed
+ * @param {Web3} web3 - Web3 instance of the chain
+ * @param {Object} chain - Chain registry entry
+ * @returns {Promise<Object|null>} { price, updatedAt (ISO date), stale, feed }, or null if the chain has no feed
+ */
+export async function getNativeUsdPrice(web3, chain) {
+  if (!chain.nativeUsdFeed) return null;
+
+  const { results: [round, decimals] } = await aggregateCalls(web3, [
+    { target: chain.nativeUsdFeed, callData: eth.abi.encodeFunctionCall(LATEST_ROUND_DATA, []) },
+    { target: chain.nativeUsdFeed, callData: eth.abi.encodeFunctionCall(DECIMALS, []) }
+  ]);
+  if (!round.success || !decimals.success || round.returnData.length < 2 + 64 * 5) {
+    throw new Error(`Could not read the Chainlink ${chain.nativeSymbol}/USD feed ${chain.nativeUsdFeed}`);
+  }
+
+  const { 1: answer, 3: updatedAt } = eth.abi.decodeParameters(["uint80", "int256", "uint256", "uint256", "uint80"], round.returnData);
+  const seconds = Number(updatedAt);
+  return {
+    price: Number(answer) / 10 ** Number(BigInt(decimals.returnData)),
+    updatedAt: new Date(seconds * 1000).toISOString(),
+    stale: Date.now() / 1000 - seconds > STALE_AFTER_SECONDS,
+    feed: chain.nativeUsdFeed
+  };
+}
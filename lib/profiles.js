@@ -0,0 +1,147 @@
+import { getEnabledToolGroups } from "./config.js";
+
+const MINUTE = 60 * 1000;
+
+// Length of each quota window
+const QUOTA_WINDOWS = {
+  minute: MINUTE,
+  hour: 60 * MINUTE,
+  day: 24 * 60 * MINUTE
+};
+
+// Client of sessions without a token (stdio, or HTTP on loopback without MCP_AUTH_TOKENS)
+const LOCAL_CLIENT_ID = "local";
+
+// Recent call times by profile, client and tool, shared by every session of the process
+const quotaUsage = new Map();
+
+/**
+ * Resolve the permission profile of a session: the profile its HTTP token is
+ * assigned to, or else the default `profile` setting. A profile can only
+ * narrow the server-wide `tools` settings, never widen them.
+ * @param {Object} config - Settings from loadConfig
+ * @param {Object} [auth] - Auth info of an HTTP session ({ token, clientId })
+ * @returns {Object} { name (null without a profile), clientId, groups, allow (Set, or null for every tool), deny (Set), quotas }
+ */
+export function resolveProfile(config, auth) {
+  const profiles = config.profiles || {};
+  const name = (auth?.token && Object.keys(profiles).find(key => profiles[key].tokens?.includes(auth.token)))
+    || config.profile
+    || null;
+  const profile = name ? profiles[name] : {};
+  const tools = profile.tools || {};
+
+  const groups = getEnabledToolGroups(config).filter(group =>
+    (!tools.enable || tools.enable.includes(group)) && !tools.disable?.includes(group)
+  );
+
+  // Both allow lists apply when both are set
+  const allowLists = [config.tools?.allow, tools.allow].filter(Boolean);
+  const allow = allowLists.length === 0 ? null
+    : new Set(allowLists.reduce((kept, list) => kept.filter(tool => list.includes(tool))));
+
+  return {
+    name,
+    clientId: auth?.clientId || LOCAL_CLIENT_ID,
+    groups,
+    allow,
+    deny: new Set([...(config.tools?.deny || []), ...(tools.deny || [])]),
+    quotas: profile.quotas || {}
+  };
+}
+
+/**
+ * Apply a profile to a server before any tools are registered: tools the
+ * profile does not expose are left out of the tool list, and tools with a
+ * quota refuse calls once the session's client has used it up
+ * @param {McpServer} server - Server without tools
+ * @param {Object} profile - Result of resolveProfile
+ */
+export function restrictTools(server, profile) {
+  const registerTool = server.registerTool.bind(server);
+
+  server.registerTool = (name, config, handler) => {
+    if (!isToolExposed(profile, name)) {
+      return undefined;
+    }
+    const quota = profile.quotas[name];
+    if (!quota) {
+      return registerTool(name, config, handler);
+    }
+
+    const key = JSON.stringify([profile.name, profile.clientId, name]);
+    return registerTool(name, config, async (...args) => {
+      const waitMs = takeQuota(key, quota);
+      if (waitMs > 0) {
+        return {
+          content: [{ type: "text", text: `Error: quota exceeded for ${name} (${quota.calls} calls per ${quota.per}); try again in ${formatWait(waitMs)}` }],
+          isError: true
+        };
+      }
+      return handler(...args);
+    });
+  };
+}
+
+/**
+ * Tool names named in the `tools` and profile settings that no enabled tool
+ * group registers, usually a typo (or a wallet tool without a signing key)
+ * @param {Object} config - Settings from loadConfig
+ * @param {string[]} toolNames - Tools registered by the enabled groups
+ * @returns {string[]} One message per unknown name
+ */
+export function findUnknownTools(config, toolNames) {
+  const references = [
+    ["tools.allow", config.tools?.allow],
+    ["tools.deny", config.tools?.deny],
+    ...Object.entries(config.profiles || {}).flatMap(([name, profile]) => [
+      [`profiles.${name}.tools.allow`, profile.tools?.allow],
+      [`profiles.${name}.tools.deny`, profile.tools?.deny],
+      [`profiles.${name}.quotas`, Object.keys(profile.quotas || {})]
+    ])
+  ];
+
+  return references.flatMap(([label, tools = []]) =>
+    tools.filter(tool => !toolNames.includes(tool)).map(tool => `${label}: no tool named ${tool}`)
+  );
+}
+
+/**
+ * Whether a profile exposes a tool
+ * @param {Object} profile - Result of resolveProfile
+ * @param {string} name - Tool name
+ * @returns {boolean} True if the tool is listed
+ */
+function isToolExposed(profile, name) {
+  return (!profile.allow || profile.allow.has(name)) && !profile.deny.has(name);
+}
+
+/**
+ * Record a call against a quota, sliding over the last window
+ * @param {string} key - Profile, client and tool
+ * @param {Object} quota - { calls, per }
+ * @returns {number} 0 if the call may proceed, otherwise milliseconds until it may
+ */
+function takeQuota(key, { calls, per }) {
+  const now = Date.now();
+  const windowMs = QUOTA_WINDOWS[per];
+  const recent = (quotaUsage.get(key) || []).filter(time => time > now - windowMs);
+
+  if (recent.length >= calls) {
+    quotaUsage.set(key, recent);
+    return recent[0] + windowMs - now;
+  }
+  recent.push(now);
+  quotaUsage.set(key, recent);
+  return 0;
+}
+
+/**
+ * Format a wait for a quota error
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "45 s" or "12 min"
+ */
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 120 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`;
+}
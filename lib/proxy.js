@@ -0,0 +1,155 @@
+import { getFunctionSelector } from "./signatures.js";
+
+// Standard proxy storage slots
+const EIP1967_IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const EIP1967_ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const EIP1967_BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+const EIP1822_PROXIABLE_SLOT = "0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7";
+const ZEPPELINOS_IMPLEMENTATION_SLOT = "0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3";
+
+// EIP-1167 runtime code around the embedded implementation address (PUSH1-PUSH20)
+const MINIMAL_PROXY_PATTERN = /^0x363d3d373d3d3d363d(6[0-9a-f]|7[0-3])([0-9a-f]+)5af43d82803e903d91602b57fd5bf3/i;
+
+/**
+ * Detect whether a contract is a proxy and resolve its implementation and admin
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} address - Contract address
+ * @param {string} bytecode - Runtime bytecode of the contract
+ * @returns {Promise<Object|null>} Proxy information, or null if not a proxy
+ */
+export async function detectProxy(web3, address, bytecode) {
+  // EIP-1167 minimal proxies embed the implementation in their bytecode
+  const minimalProxy = parseMinimalProxy(bytecode);
+  if (minimalProxy) {
+    return {
+      type: "EIP-1167 Minimal Proxy",
+      implementation: web3.utils.toChecksumAddress(minimalProxy),
+      admin: null,
+      beacon: null,
+      upgradeable: false,
+      upgradeAuthority: "None - EIP-1167 clones are immutable"
+    };
+  }
+
+  // EIP-1967 beacon proxies delegate to whatever the beacon reports
+  const beacon = await readAddressSlot(web3, address, EIP1967_BEACON_SLOT);
+  if (beacon) {
+    const implementation = await callAddressGetter(web3, beacon, "implementation()");
+    const beaconOwner = await callAddressGetter(web3, beacon, "owner()");
+    return {
+      type: "EIP-1967 Beacon Proxy",
+      implementation,
+      admin: null,
+      beacon,
+      upgradeable: true,
+      upgradeAuthority: beaconOwner
+        ? `Owner of beacon ${beacon}: ${beaconOwner}`
+        : `Whoever controls beacon ${beacon}`
+    };
+  }
+
+  const implementation =
+    await readAddressSlot(web3, address, EIP1967_IMPLEMENTATION_SLOT) ||
+    await readAddressSlot(web3, address, EIP1822_PROXIABLE_SLOT) ||
+    await readAddressSlot(web3, address, ZEPPELINOS_IMPLEMENTATION_SLOT);
+
+  if (!implementation) {
+    return null;
+  }
+
+  // Transparent proxies keep the upgrade admin in the proxy's admin slot
+  const admin = await readAddressSlot(web3, address, EIP1967_ADMIN_SLOT);
+  if (admin) {
+    const adminOwner = await callAddressGetter(web3, admin, "owner()");
+    return {
+      type: "EIP-1967 Transparent Proxy",
+      implementation,
+      admin,
+      beacon: null,
+      upgradeable: true,
+      upgradeAuthority: adminOwner
+        ? `ProxyAdmin ${admin}, owned by ${adminOwner}`
+        : `Proxy admin ${admin}`
+    };
+  }
+
+  // UUPS proxies delegate upgrades to the implementation's access control
+  const implementationCode = await web3.eth.getCode(implementation);
+  const isUups = implementationCode.includes(getFunctionSelector("proxiableUUID()").slice(2));
+  const owner = await callAddressGetter(web3, address, "owner()");
+  return {
+    type: isUups ? "EIP-1967 UUPS Proxy" : "EIP-1967 Proxy",
+    implementation,
+    admin: null,
+    beacon: null,
+    upgradeable: true,
+    upgradeAuthority: owner
+      ? `Contract owner ${owner} (upgrade logic lives in the implementation)`
+      : "Determined by the implementation's upgrade function (no owner() found)"
+  };
+}
+
+/**
+ * Extract the implementation address from EIP-1167 minimal proxy bytecode
+ * @param {string} bytecode - Runtime bytecode
+ * @returns {string|null} Implementation address, or null if not a minimal proxy
+ */
+export function parseMinimalProxy(bytecode) {
+  const match = (bytecode || "").match(MINIMAL_PROXY_PATTERN);
+  if (!match) return null;
+
+  // PUSHn carries n address bytes; vanity addresses with leading zeros use shorter pushes
+  const size = parseInt(match[1], 16) - 0x5f;
+  const addressHex = match[2];
+  if (addressHex.length !== size * 2) return null;
+
+  return `0x${addressHex.padStart(40, "0")}`;
+}
+
+/**
+ * Read an address stored in the low 20 bytes of a storage slot
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} address - Contract address
+ * @param {string} slot - Storage slot
+ * @returns {Promise<string|null>} Checksummed address, or null if the slot is empty
+ */
+export async function readAddressSlot(web3, address, slot) {
+  try {
+    const value = await web3.eth.getStorageAt(address, slot);
+    return toAddress(web3, value);
+  } catch (error) {
+    console.error(`Error reading storage slot ${slot} of ${address}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Call a no-argument getter that returns an address (e.g. owner())
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} address - Contract address
+ * @param {string} signature - Getter signature, e.g. "owner()"
+ * @returns {Promise<string|null>} Checksummed address, or null if the call fails
+ */
+export async function callAddressGetter(web3, address, signature) {
+  try {
+    const value = await web3.eth.call({ to: address, data: getFunctionSelector(signature) });
+    return toAddress(web3, value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convert a 32-byte word to a checksummed address
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} word - 32-byte hex value
+ * @returns {string|null} Checksummed address, or null for empty/zero values
+ */
+function toAddress(web3, word) {
+  const hex = (word || "").replace(/^0x/, "").slice(0, 64).padStart(64, "0");
+
+  // Anything in the upper 12 bytes means the word is not an address
+  if (!/^0{24}/.test(hex) || /^0{64}$/.test(hex)) return null;
+
+  return web3.utils.toChecksumAddress(`0x${hex.slice(24)}`);
+}
@@ -0,0 +1,322 @@
+import axios from "axios";
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+import { HttpProvider } from "web3";
+import { SWAP_DEADLINE_ARGUMENTS } from "./uniswap.js";
+
+const MANIFEST_FILE = "manifest.json";
+const FIXTURE_VERSION = 1;
+
+// API keys whose presence decides which provider a tool uses; a replay sets
+// exactly the ones that were set while recording
+const API_KEY_VARIABLES = ["ETHERSCAN_API_KEY", "MORALIS_API_KEY", "CODEX_API_KEY", "RAPIDAPI_KEY"];
+
+// Values never written to fixtures
+const SECRET_VARIABLES = [...API_KEY_VARIABLES, "MCP_AUTH_TOKENS", "WALLET_PRIVATE_KEY", "WALLET_KEYSTORE_PASSWORD"];
+
+// Query and form fields that carry API keys
+const SECRET_PARAMS = ["apikey", "api_key", "apiKey"];
+
+// Response headers the tools read
+const KEPT_HEADERS = ["content-type", "retry-after", "location"];
+
+// Placeholder for redacted values, and for API keys during a replay
+const REDACTED = "<redacted>";
+
+// Endpoint of the recording providers, which send through their upstream provider instead
+const REPLAY_RPC_URL = "http://replay.invalid";
+
+// JSON-RPC parameters that name an account
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+let recording = null;
+
+/**
+ * Start recording upstream traffic to, or replaying it from, a directory of
+ * fixtures. Every Etherscan, Moralis, Codex and RapidAPI request, NFT
+ * metadata download and JSON-RPC call then goes through the recorder. The
+ * response cache is turned off so that every request is recorded or replayed.
+ * - record: each request and its response (or error) is written to
+ *   `<dir>/<scope>/<name>-<hash>.json`, with API keys and tokens redacted.
+ *   Repeated requests keep every response in order, also across runs
+ *   recording into the same directory.
+ * - replay: responses are served from the fixtures in the order they were
+ *   recorded and nothing is sent; a request that was not recorded fails.
+ *   Only known volatile values (swap deadlines in router calldata) are
+ *   ignored when matching a request to its fixture.
+ * @param {Object} options - Recording options
+ * @param {string} options.mode - "record" or "replay"
+ * @param {string} options.dir - Fixture directory
+ */
+export function startRecording({ mode, dir }) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  recording = { mode, dir, fixtures: new Map(), served: new Map(), sequence: 0 };
+  process.env.CACHE_DISABLED = "true";
+
+  if (mode === "record") {
+    mkdirSync(dir, { recursive: true });
+    loadFixtures(dir);
+    writeFileSync(manifestPath, `${JSON.stringify({
+      version: FIXTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      apiKeys: API_KEY_VARIABLES.filter(name => process.env[name])
+    }, null, 2)}\n`);
+    console.error(`Recording upstream traffic to ${dir}`);
+    return;
+  }
+
+  if (!existsSync(manifestPath)) {
+    throw new Error(`${dir} is not a recording (no ${MANIFEST_FILE}); record one with --record`);
+  }
+  const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  for (const name of API_KEY_VARIABLES) {
+    if (manifest.apiKeys.includes(name)) {
+      process.env[name] = REDACTED;
+    } else {
+      delete process.env[name];
+    }
+  }
+
+  loadFixtures(dir);
+  console.error(`Replaying ${recording.fixtures.size} recorded requests from ${dir} (recorded ${manifest.recordedAt})`);
+}
+
+/**
+ * Whether requests are being served from fixtures instead of the network
+ * @returns {boolean} True in replay mode
+ */
+export function isReplaying() {
+  return recording?.mode === "replay";
+}
+
+/**
+ * Whether JSON-RPC providers should be created with createRecordingProvider
+ * @returns {boolean} True in record or replay mode
+ */
+export function isRecording() {
+  return recording !== null;
+}
+
+/**
+ * Send an axios request, through the recorder when one is active
+ * @param {string} scope - Upstream the request belongs to, e.g. "etherscan" or "nft"
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} axios response (or the recorded equivalent)
+ */
+export async function recordedAxios(scope, config) {
+  if (!recording) {
+    return axios(config);
+  }
+
+  const url = new URL(config.url, config.baseURL);
+  const request = {
+    method: (config.method || "get").toUpperCase(),
+    url: `${url.origin}${url.pathname}`,
+    params: withoutSecrets({ ...Object.fromEntries(url.searchParams), ...config.params }),
+    data: config.data instanceof URLSearchParams ? withoutSecrets(Object.fromEntries(config.data))
+      : typeof config.data === "string" ? config.data
+      : config.data ?? null
+  };
+  const graphqlField = typeof request.data?.query === "string" ? request.data.query.match(/\{\s*(\w+)/)?.[1] : null;
+  const route = [request.method, request.url, ...Object.keys(request.params).sort(), graphqlField].filter(Boolean).join(" ");
+
+  const outcome = await exchange(scope, request, route, async () => {
+    try {
+      const response = await axios(config);
+      return { status: response.status, headers: pickHeaders(response.headers), data: response.data };
+    } catch (error) {
+      return {
+        thrown: {
+          message: error.message,
+          code: error.code ?? null,
+          response: error.response
+            ? { status: error.response.status, headers: pickHeaders(error.response.headers), data: error.response.data }
+            : null
+        }
+      };
+    }
+  });
+
+  if (outcome.thrown) {
+    throw Object.assign(new Error(outcome.thrown.message), {
+      isAxiosError: true,
+      code: outcome.thrown.code ?? undefined,
+      config,
+      response: outcome.thrown.response ? { ...outcome.thrown.response, statusText: "", config } : undefined
+    });
+  }
+  return { status: outcome.status, statusText: "", headers: outcome.headers, data: outcome.data, config };
+}
+
+/**
+ * JSON-RPC provider for a chain that records or replays every call. Requests
+ * are keyed by chain, method and parameters, so fixtures do not depend on
+ * the RPC endpoint (or the API key in its URL). Swap deadlines in call
+ * parameters are zeroed in the key, since they embed the current time.
+ * @param {string} chain - Chain key
+ * @param {HttpProvider|null} upstream - Provider that sends the calls while recording (null for a replay)
+ * @returns {HttpProvider} Provider for `new Web3(...)`
+ */
+export function createRecordingProvider(chain, upstream) {
+  return new class extends HttpProvider {
+    async request(payload, requestOptions) {
+      const calls = [payload].flat();
+      const request = calls.map(({ method, params }) => ({ method, params: (params ?? []).map(withoutDeadline) }));
+      const target = calls.map(({ params }) => params?.[0]?.to ?? (ADDRESS_PATTERN.test(params?.[0]) ? params[0] : null)).find(Boolean);
+      const route = [...calls.map(call => call.method), target].filter(Boolean).join(" ");
+
+      const outcome = await exchange(`rpc-${chain}`, request, route, async () => {
+        try {
+          const response = await upstream.request(payload, requestOptions);
+          return { response: [response].flat().map(({ id, ...rest }) => rest) };
+        } catch (error) {
+          return { thrown: { message: error.message } };
+        }
+      });
+
+      if (outcome.thrown) {
+        throw new Error(outcome.thrown.message);
+      }
+      const responses = outcome.response.map((response, index) => ({ ...response, id: calls[index]?.id }));
+      return Array.isArray(payload) ? responses : responses[0];
+    }
+  }(REPLAY_RPC_URL);
+}
+
+/**
+ * Load the fixtures of a directory into the active recording, so a replay
+ * can serve them and a new recording appends to them
+ * @param {string} dir - Fixture directory
+ */
+function loadFixtures(dir) {
+  for (const scope of readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory())) {
+    for (const file of readdirSync(path.join(dir, scope.name)).filter(name => name.endsWith(".json"))) {
+      const fixture = { ...JSON.parse(readFileSync(path.join(dir, scope.name, file), "utf8")), file };
+      fixture.responses.sort((a, b) => a.sequence - b.sequence);
+      recording.fixtures.set(fixture.key, fixture);
+      recording.sequence = Math.max(recording.sequence, ...fixture.responses.map(response => response.sequence + 1));
+    }
+  }
+}
+
+/**
+ * Record or replay one request
+ * @param {string} scope - Fixture subdirectory
+ * @param {Object} request - Request, without secrets
+ * @param {string} route - Short description of the request, for fixture names and error messages
+ * @param {Function} send - Performs the request, resolving to a JSON-serializable outcome
+ * @returns {Promise<Object>} Outcome
+ */
+async function exchange(scope, request, route, send) {
+  const key = `${scope}:${hash(canonicalJson(request))}`;
+  const fullRoute = `${scope}:${route}`;
+
+  if (recording.mode === "replay") {
+    return replay(key, fullRoute, request);
+  }
+
+  const outcome = await send();
+  let fixture = recording.fixtures.get(key);
+  if (!fixture) {
+    const name = route.split(" ")[0].replace(/[^\w-]/g, "").slice(0, 40) || "request";
+    fixture = { version: FIXTURE_VERSION, key, route: fullRoute, file: `${name.toLowerCase()}-${key.split(":")[1]}.json`, request, responses: [] };
+    recording.fixtures.set(key, fixture);
+  }
+  fixture.responses.push({ sequence: recording.sequence++, ...outcome });
+
+  const scopeDir = path.join(recording.dir, scope);
+  mkdirSync(scopeDir, { recursive: true });
+  const { file, ...contents } = fixture;
+  writeFileSync(path.join(scopeDir, file), `${redact(JSON.stringify(contents, null, 2))}\n`);
+  return outcome;
+}
+
+/**
+ * Serve the next recorded response of the exact request. The last response
+ * is repeated once all have been served.
+ * @param {string} key - Request key
+ * @param {string} route - Request route, for the error message
+ * @param {Object} request - Request, for the error message
+ * @returns {Object} Outcome
+ */
+function replay(key, route, request) {
+  const responses = recording.fixtures.get(key)?.responses;
+  if (!responses?.length) {
+    throw new Error(`No recorded response for ${route} ${JSON.stringify(request).slice(0, 200)}; record it first with --record`);
+  }
+
+  const index = recording.served.get(key) || 0;
+  recording.served.set(key, index + 1);
+  const { sequence, ...outcome } = responses[Math.min(index, responses.length - 1)];
+  return outcome;
+}
+
+/**
+ * Copy of a JSON-RPC parameter with the deadline of a Uniswap swap call zeroed
+ * @param {*} param - Parameter
+ * @returns {*} Parameter
+ */
+function withoutDeadline(param) {
+  const data = param?.data ?? param?.input;
+  const argument = typeof data === "string" ? SWAP_DEADLINE_ARGUMENTS[data.slice(0, 10).toLowerCase()] : undefined;
+  if (argument === undefined) {
+    return param;
+  }
+  const start = 10 + argument * 64;
+  const normalised = `${data.slice(0, start)}${"0".repeat(64)}${data.slice(start + 64)}`;
+  return { ...param, ...(param.data !== undefined ? { data: normalised } : { input: normalised }) };
+}
+
+/**
+ * Copy of query or form fields without the ones carrying API keys
+ * @param {Object} params - Fields
+ * @returns {Object} Fields
+ */
+function withoutSecrets(params = {}) {
+  return Object.fromEntries(Object.entries(params).filter(([name, value]) => !SECRET_PARAMS.includes(name) && value !== undefined));
+}
+
+/**
+ * Response headers worth keeping in a fixture
+ * @param {Object} headers - axios response headers
+ * @returns {Object} Kept headers
+ */
+function pickHeaders(headers = {}) {
+  return Object.fromEntries(KEPT_HEADERS.filter(name => headers[name] !== undefined).map(name => [name, String(headers[name])]));
+}
+
+/**
+ * Replace configured secrets (API keys, tokens, wallet secrets, RPC URLs) in a text
+ * @param {string} text - Serialized fixture
+ * @returns {string} Redacted text
+ */
+function redact(text) {
+  // RPC URLs often embed an API key and appear in network error messages
+  const rpcVariables = Object.keys(process.env).filter(name => name.endsWith("_RPC_URL"));
+  const secrets = [...SECRET_VARIABLES, ...rpcVariables]
+    .flatMap(name => (process.env[name] || "").split(","))
+    .map(value => value.trim())
+    .filter(value => value.length >= 8 && value !== REDACTED);
+  return secrets.reduce((redacted, secret) => redacted.split(secret).join(REDACTED), text);
+}
+
+/**
+ * JSON with object keys sorted, so equal requests serialize identically
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, item) => item && typeof item === "object" && !Array.isArray(item)
+    ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => a.localeCompare(b)))
+    : typeof item === "bigint" ? item.toString() : item);
+}
+
+/**
+ * Short hash of a string
+ * @param {string} text - Text
+ * @returns {string} First 16 hex characters of its SHA-256
+ */
+function hash(text) {
+  return createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
@@ -0,0 +1,308 @@
+// Low-level calls on addresses
+const LOW_LEVEL_CALLS = ["call", "delegatecall", "staticcall", "callcode", "send"];
+
+// Identifiers whose members are builtins or calls into the contract itself
+const NON_EXTERNAL_BASES = ["this", "super", "msg", "block", "tx", "abi", "bytes", "string", "type"];
+
+// Members of arrays, bytes and strings
+const BUILTIN_MEMBERS = ["push", "pop", "concat"];
+
+// Operators that write to their left-hand side
+const ASSIGNMENT_OPERATORS = ["=", "+=", "-=", "*=", "/=", "%=", "|=", "&=", "^=", "<<=", ">>="];
+
+// Modifier names that conventionally restrict the caller
+const ACCESS_MODIFIER_PATTERN = /^(only|auth|requiresAuth|restricted|isOwner|isAdmin|isAuthorized|ownerOnly|adminOnly)/i;
+
+// Internal helpers that revert for unauthorized callers
+const ACCESS_CHECK_CALLS = ["_checkOwner", "_checkRole", "hasRole", "_onlyOwner", "_authorizeUpgrade", "_isAuthorized"];
+
+/**
+ * Return the kind of low-level call a FunctionCall node performs
+ * (`x.call(...)`, `x.call{value: v}(...)`, legacy `x.call.value(v)(...)`, ...)
+ * @param {Object} node - AST node
+ * @returns {string|null} "call", "delegatecall", "staticcall", "callcode", "send" or null
+ */
+export function getLowLevelCall(node) {
+  if (!node || node.type !== "FunctionCall") return null;
+
+  let callee = node.expression;
+  if (callee.type === "NameValueExpression") {
+    callee = callee.expression;
+  }
+  if (callee.type === "FunctionCall" && callee.expression.type === "MemberAccess" &&
+      ["value", "gas"].includes(callee.expression.memberName)) {
+    callee = callee.expression.expression;
+  }
+
+  return callee.type === "MemberAccess" && LOW_LEVEL_CALLS.includes(callee.memberName)
+    ? callee.memberName
+    : null;
+}
+
+/**
+ * Check whether a FunctionCall node calls another contract: a low-level
+ * `.call`, or a member call on a contract or address expression such as
+ * `IToken(t).transfer(...)` or `receiver.onERC721Received(...)`. Calls on
+ * `this`/`super`, library calls, builtins, `.send`/`.staticcall`/`.delegatecall`,
+ * Ether transfers (`payable(a).transfer(v)`) and bound functions on
+ * non-address elementary values (`x.add(y)`) are not counted.
+ * @param {Object} node - AST node
+ * @param {Object} fn - Enclosing FunctionDefinition node
+ * @param {Object} contract - Enclosing ContractDefinition node
+ * @param {Map<string, Object>} contracts - Project contracts by name
+ * @returns {boolean} True for an external call
+ */
+export function isExternalCall(node, fn, contract, contracts) {
+  const lowLevelCall = getLowLevelCall(node);
+  if (lowLevelCall) return lowLevelCall === "call";
+  if (!node || node.type !== "FunctionCall") return false;
+
+  const callee = node.expression.type === "NameValueExpression" ? node.expression.expression : node.expression;
+  if (callee.type !== "MemberAccess" || BUILTIN_MEMBERS.includes(callee.memberName)) return false;
+  // Ether transfers forward 2300 gas; ERC20 `transfer(to, amount)` takes two arguments
+  if (callee.memberName === "transfer" && node.arguments.length === 1) return false;
+
+  const base = callee.expression;
+  if (base.type === "Identifier") {
+    if (NON_EXTERNAL_BASES.includes(base.name)) return false;
+    if (contracts.get(base.name)?.node.kind === "library") return false;
+
+    const type = getDeclaredType(base.name, fn, contract, contracts);
+    if (type?.type === "ElementaryTypeName" && type.name !== "address") return false;
+  }
+  return true;
+}
+
+/**
+ * Find the declared type of a parameter, local or state variable
+ * @param {string} name - Variable name
+ * @param {Object} fn - Enclosing FunctionDefinition node
+ * @param {Object} contract - Enclosing ContractDefinition node
+ * @param {Map<string, Object>} contracts - Project contracts by name
+ * @returns {Object|null} TypeName node
+ */
+function getDeclaredType(name, fn, contract, contracts) {
+  const locals = [
+    ...(fn.parameters || []),
+    ...(fn.returnParameters || []),
+    ...findNodes(fn.body, node => node.type === "VariableDeclarationStatement").flatMap(node => node.variables.filter(Boolean))
+  ];
+  const local = locals.find(variable => variable.name === name);
+  if (local) return local.typeName;
+
+  const inherited = getInheritedContracts(contract.name, contracts).map(entry => entry.node);
+  const state = [contract, ...inherited].flatMap(getStateVariables).find(variable => variable.name === name);
+  return state?.node.typeName ?? null;
+}
+
+/**
+ * Check whether a node is a call to a global function such as `selfdestruct`
+ * @param {Object} node - AST node
+ * @param {string[]} names - Function names to match
+ * @returns {boolean} True if the node calls one of the names
+ */
+export function isCallTo(node, names) {
+  return node?.type === "FunctionCall" &&
+    node.expression.type === "Identifier" &&
+    names.includes(node.expression.name);
+}
+
+/**
+ * Check whether a node is `tx.origin`, `msg.sender`, `block.timestamp`, ...
+ * @param {Object} node - AST node
+ * @param {string} object - Global object name, e.g. "tx"
+ * @param {string} member - Member name, e.g. "origin"
+ * @returns {boolean} True if the node is the global member access
+ */
+export function isGlobalMember(node, object, member) {
+  return node?.type === "MemberAccess" &&
+    node.memberName === member &&
+    node.expression.type === "Identifier" &&
+    node.expression.name === object;
+}
+
+/**
+ * Check whether any node below `root` matches a predicate
+ * @param {Object} root - AST node to search
+ * @param {Function} predicate - Called with each node
+ * @returns {boolean} True if a matching node exists
+ */
+export function containsNode(root, predicate) {
+  return findNodes(root, predicate).length > 0;
+}
+
+/**
+ * Collect every node below `root` that matches a predicate, in source order
+ * @param {Object} root - AST node to search
+ * @param {Function} predicate - Called with each node
+ * @returns {Array<Object>} Matching nodes
+ */
+export function findNodes(root, predicate) {
+  const matches = [];
+  walk(root, node => {
+    if (predicate(node)) matches.push(node);
+  });
+
+  return matches.sort((a, b) => (a.range?.[0] ?? 0) - (b.range?.[0] ?? 0));
+}
+
+/**
+ * Call a function for `root` and every AST node below it
+ * @param {Object} root - AST node (or array of nodes)
+ * @param {Function} callback - Called with each node
+ */
+export function walk(root, callback) {
+  if (Array.isArray(root)) {
+    root.forEach(child => walk(child, callback));
+    return;
+  }
+  if (!root || typeof root !== "object" || typeof root.type !== "string") return;
+
+  callback(root);
+  for (const [key, value] of Object.entries(root)) {
+    if (key !== "loc" && key !== "range" && value && typeof value === "object") {
+      walk(value, callback);
+    }
+  }
+}
+
+/**
+ * Collect the variables written by an expression node
+ * @param {Object} node - AST node
+ * @returns {Array<Object>} Written variables as { name, node }
+ */
+export function getWrittenVariables(node) {
+  if (node.type === "BinaryOperation" && ASSIGNMENT_OPERATORS.includes(node.operator)) {
+    const targets = node.left.type === "TupleExpression" ? node.left.components.filter(Boolean) : [node.left];
+    return targets
+      .map(target => ({ name: getBaseIdentifier(target), node }))
+      .filter(write => write.name);
+  }
+
+  if (node.type === "UnaryOperation" && ["++", "--", "delete"].includes(node.operator)) {
+    const name = getBaseIdentifier(node.subExpression);
+    return name ? [{ name, node }] : [];
+  }
+
+  return [];
+}
+
+/**
+ * Resolve the root identifier of `a`, `a[i]`, `a.b` or `a[i].b`
+ * @param {Object} node - AST node
+ * @returns {string|null} Identifier name
+ */
+export function getBaseIdentifier(node) {
+  let current = node;
+  while (current) {
+    if (current.type === "Identifier") return current.name;
+    if (current.type === "IndexAccess") current = current.base;
+    else if (current.type === "MemberAccess") current = current.expression;
+    else return null;
+  }
+  return null;
+}
+
+/**
+ * Names of the state variables declared directly in a contract
+ * @param {Object} contract - ContractDefinition node
+ * @returns {Array<Object>} State variable declarations as { name, node }
+ */
+export function getStateVariables(contract) {
+  return contract.subNodes
+    .filter(node => node.type === "StateVariableDeclaration")
+    .flatMap(node => node.variables.map(variable => ({ name: variable.name, node: variable })));
+}
+
+/**
+ * Resolve all contracts a contract inherits from (transitively) within the project
+ * @param {string} contractName - Contract name
+ * @param {Map<string, Object>} contracts - Project contracts by name
+ * @returns {Array<Object>} Inherited project contract entries
+ */
+export function getInheritedContracts(contractName, contracts) {
+  const result = [];
+  const seen = new Set([contractName]);
+  const queue = [...(contracts.get(contractName)?.node.baseContracts || [])];
+
+  while (queue.length > 0) {
+    const name = queue.shift().baseName.namePath;
+    if (seen.has(name)) continue;
+    seen.add(name);
+
+    const entry = contracts.get(name);
+    if (entry) {
+      result.push(entry);
+      queue.push(...entry.node.baseContracts);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a function restricts its caller, via an access modifier,
+ * a msg.sender comparison or a known access-check helper
+ * @param {Object} fn - FunctionDefinition node
+ * @returns {boolean} True if the function appears access controlled
+ */
+export function hasAccessControl(fn) {
+  if (fn.modifiers.some(modifier => ACCESS_MODIFIER_PATTERN.test(modifier.name))) {
+    return true;
+  }
+
+  const referencesSender = node => containsNode(node, inner =>
+    isGlobalMember(inner, "msg", "sender") || isCallTo(inner, ["_msgSender"]) || isCallTo(inner, ACCESS_CHECK_CALLS)
+  );
+
+  return containsNode(fn.body, node =>
+    (isCallTo(node, ["require", "assert"]) && node.arguments.some(referencesSender)) ||
+    (node.type === "IfStatement" && referencesSender(node.condition)) ||
+    isCallTo(node, ACCESS_CHECK_CALLS)
+  );
+}
+
+/**
+ * Check whether a function can be called by anyone from outside the contract
+ * @param {Object} fn - FunctionDefinition node
+ * @returns {boolean} True for public/external (or pre-0.5 default) functions
+ */
+export function isExternallyCallable(fn) {
+  return !fn.isConstructor && ["public", "external", "default"].includes(fn.visibility);
+}
+
+/**
+ * Human-readable name of a function node
+ * @param {Object} fn - FunctionDefinition node
+ * @returns {string} Function label
+ */
+export function getFunctionLabel(fn) {
+  if (fn.isConstructor) return "constructor";
+  if (fn.isFallback) return "fallback";
+  if (fn.isReceiveEther) return "receive";
+  return fn.name;
+}
+
+/**
+ * List every function (with a body) in a source unit together with its contract
+ * @param {Object} ast - SourceUnit node
+ * @returns {Array<Object>} Entries of { contract, fn }
+ */
+export function getFunctions(ast) {
+  return ast.children
+    .filter(node => node.type === "ContractDefinition")
+    .flatMap(contract => contract.subNodes
+      .filter(node => node.type === "FunctionDefinition" && node.body)
+      .map(fn => ({ contract, fn })));
+}
+
+/**
+ * Names of the state variables visible in a contract (own and inherited)
+ * @param {Object} contract - ContractDefinition node
+ * @param {Map<string, Object>} contracts - Project contracts by name
+ * @returns {Set<string>} State variable names
+ */
+export function getVisibleStateVariables(contract, contracts) {
+  const inherited = getInheritedContracts(contract.name, contracts).map(entry => entry.node);
+  return new Set([contract, ...inherited].flatMap(node => getStateVariables(node).map(variable => variable.name)));
+}
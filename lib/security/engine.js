@@ -0,0 +1,156 @@
+import { readdir } from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { parse } from "@solidity-parser/parser";
+import builtinRules from "./rules/index.js";
+
+// Findings are sorted by severity, most severe first
+const SEVERITY_ORDER = ["High", "Medium", "Low", "Info"];
+
+// Maximum number of source lines kept in a finding's snippet
+const MAX_SNIPPET_LINES = 6;
+
+/**
+ * Load the built-in rules plus any custom rule modules. Custom rules live in
+ * the directory named by AUDIT_RULES_DIR; each `.js`/`.mjs` file default-exports
+ * a rule (or an array of rules) shaped like the modules in ./rules.
+ * @param {string} [rulesDir] - Directory containing custom rule modules
+ * @returns {Promise<Array<Object>>} Rules to run
+ */
+export async function loadRules(rulesDir = process.env.AUDIT_RULES_DIR) {
+  if (!rulesDir) {
+    return builtinRules;
+  }
+
+  const customRules = [];
+  let entries;
+  try {
+    entries = await readdir(rulesDir);
+  } catch (error) {
+    throw new Error(`Cannot load custom security rules from AUDIT_RULES_DIR (${rulesDir}): ${error.message}`);
+  }
+
+  for (const entry of entries.filter(name => /\.m?js$/.test(name)).sort()) {
+    const modulePath = path.resolve(rulesDir, entry);
+    const module = await import(pathToFileURL(modulePath).href);
+    const rules = Array.isArray(module.default) ? module.default : [module.default];
+
+    rules.forEach(rule => {
+      validateRule(rule, modulePath);
+      customRules.push(rule);
+    });
+  }
+
+  return [...builtinRules, ...customRules];
+}
+
+/**
+ * Parse Solidity source files and run every security rule over them
+ * @param {Array<Object>} files - Source files ({ path, content })
+ * @param {Object} options - Engine options
+ * @param {Array<Object>} [options.rules] - Rules to run (defaults to loadRules())
+ * @returns {Promise<Object>} Findings and per-file parse errors
+ */
+export async function runSecurityRules(files, { rules } = {}) {
+  const activeRules = rules || await loadRules();
+  const findings = [];
+  const parseErrors = [];
+
+  // Parse every file first so rules can resolve inheritance across files
+  const parsedFiles = [];
+  for (const file of files) {
+    try {
+      const ast = parse(file.content, { loc: true, range: true, tolerant: true });
+      parsedFiles.push({ file, ast });
+    } catch (error) {
+      parseErrors.push({ file: file.path, error: error.message });
+    }
+  }
+
+  const project = { contracts: indexContracts(parsedFiles) };
+
+  for (const { file, ast } of parsedFiles) {
+    const lines = file.content.split("\n");
+
+    for (const rule of activeRules) {
+      const context = {
+        file,
+        ast,
+        project,
+        report(node, { message, endNode } = {}) {
+          findings.push(createFinding(rule, file, lines, node, endNode || node, message));
+        }
+      };
+
+      try {
+        rule.check(context);
+      } catch (error) {
+        console.error(`Security rule ${rule.id} failed on ${file.path}:`, error);
+      }
+    }
+  }
+
+  findings.sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+    a.file.localeCompare(b.file) ||
+    a.startLine - b.startLine
+  );
+
+  return { findings, parseErrors };
+}
+
+/**
+ * Index every contract, interface and library by name
+ * @param {Array<Object>} parsedFiles - Parsed files ({ file, ast })
+ * @returns {Map<string, Object>} Contract name to { node, file }
+ */
+function indexContracts(parsedFiles) {
+  const contracts = new Map();
+  for (const { file, ast } of parsedFiles) {
+    ast.children
+      .filter(node => node.type === "ContractDefinition")
+      .forEach(node => contracts.set(node.name, { node, file }));
+  }
+  return contracts;
+}
+
+/**
+ * Build a finding with location and code snippet
+ * @param {Object} rule - Rule that produced the finding
+ * @param {Object} file - Source file
+ * @param {string[]} lines - Source lines of the file
+ * @param {Object} node - AST node where the finding starts
+ * @param {Object} endNode - AST node where the finding ends
+ * @param {string} [message] - Finding-specific description
+ * @returns {Object} Finding
+ */
+function createFinding(rule, file, lines, node, endNode, message) {
+  const startLine = node.loc?.start.line ?? 1;
+  const endLine = Math.max(endNode.loc?.end.line ?? startLine, startLine);
+  const snippetEnd = Math.min(endLine, startLine + MAX_SNIPPET_LINES - 1);
+
+  return {
+    ruleId: rule.id,
+    severity: rule.severity,
+    title: rule.title,
+    description: message || rule.description,
+    file: file.path,
+    startLine,
+    endLine,
+    snippet: lines.slice(startLine - 1, snippetEnd).join("\n")
+  };
+}
+
+/**
+ * Ensure a custom rule module has the required shape
+ * @param {Object} rule - Rule to validate
+ * @param {string} modulePath - Module the rule was loaded from
+ */
+function validateRule(rule, modulePath) {
+  if (!rule || typeof rule.id !== "string" || typeof rule.check !== "function") {
+    throw new Error(`Invalid security rule in ${modulePath}: rules need an "id" and a "check" function`);
+  }
+  if (!SEVERITY_ORDER.includes(rule.severity)) {
+    throw new Error(`Invalid severity "${rule.severity}" for rule ${rule.id}; use one of ${SEVERITY_ORDER.join(", ")}`);
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Flags `pragma solidity` ranges that allow compiling with untested compiler
+ * versions. Package dependencies (paths starting with "@") are skipped since
+ * libraries intentionally publish version ranges.
+ */
+export default {
+  id: "floating-pragma",
+  title: "Floating pragma",
+  severity: "Low",
+  description: "The compiler version is not pinned, so the contract may be deployed with a different compiler than it was tested with",
+
+  check({ ast, file, report }) {
+    if (file.path.startsWith("@")) return;
+
+    ast.children
+      .filter(node => node.type === "PragmaDirective" && node.name === "solidity" && /[\^~><*]|\|\|/.test(node.value))
+      .forEach(node => report(node, {
+        message: `pragma solidity ${node.value} allows multiple compiler versions; pin an exact version`
+      }));
+  }
+};
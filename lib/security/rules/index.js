@@ -0,0 +1,20 @@
+import reentrancy from "./reentrancy.js";
+import uncheckedCall from "./unchecked-call.js";
+import txOrigin from "./tx-origin.js";
+import unprotectedSelfdestruct from "./unprotected-selfdestruct.js";
+import unprotectedDelegatecall from "./unprotected-delegatecall.js";
+import shadowing from "./shadowing.js";
+import floatingPragma from "./floating-pragma.js";
+import timestampDependence from "./timestamp-dependence.js";
+
+// Built-in security rules, run on every verified contract
+export default [
+  reentrancy,
+  uncheckedCall,
+  txOrigin,
+  unprotectedSelfdestruct,
+  unprotectedDelegatecall,
+  shadowing,
+  floatingPragma,
+  timestampDependence
+];
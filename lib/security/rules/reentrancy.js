@@ -0,0 +1,44 @@
+import {
+  getFunctions,
+  getFunctionLabel,
+  isExternalCall,
+  getVisibleStateVariables,
+  getWrittenVariables,
+  findNodes
+} from "../ast-utils.js";
+
+// Modifiers that guard against reentrancy
+const REENTRANCY_GUARDS = ["nonReentrant", "noReentrancy", "noReentrant", "lock", "reentrancyGuard"];
+
+/**
+ * Flags functions that call another contract and write contract state
+ * afterwards, violating checks-effects-interactions.
+ */
+export default {
+  id: "reentrancy",
+  title: "State write after external call (reentrancy)",
+  severity: "High",
+  description: "Contract state is updated after an external call, so the callee can re-enter before the update",
+
+  check({ ast, project, report }) {
+    for (const { contract, fn } of getFunctions(ast)) {
+      if (["view", "pure"].includes(fn.stateMutability)) continue;
+      if (fn.modifiers.some(modifier => REENTRANCY_GUARDS.includes(modifier.name))) continue;
+
+      const [externalCall] = findNodes(fn.body, node => isExternalCall(node, fn, contract, project.contracts));
+      if (!externalCall) continue;
+
+      const stateVariables = getVisibleStateVariables(contract, project.contracts);
+      const stateWrite = findNodes(fn.body, node => node.range[0] > externalCall.range[1])
+        .flatMap(getWrittenVariables)
+        .find(write => stateVariables.has(write.name));
+
+      if (stateWrite) {
+        report(externalCall, {
+          endNode: stateWrite.node,
+          message: `${contract.name}.${getFunctionLabel(fn)}() writes state variable "${stateWrite.name}" after an external call; update state before calling out or add a reentrancy guard`
+        });
+      }
+    }
+  }
+};
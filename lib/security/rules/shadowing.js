@@ -0,0 +1,51 @@
+import {
+  getFunctions,
+  getFunctionLabel,
+  getInheritedContracts,
+  getStateVariables,
+  getVisibleStateVariables,
+  findNodes
+} from "../ast-utils.js";
+
+/**
+ * Flags state variables that redeclare an inherited state variable, and
+ * parameters or locals that shadow a state variable.
+ */
+export default {
+  id: "shadowing",
+  title: "Variable shadowing",
+  severity: "Low",
+  description: "A declaration hides another variable with the same name, which easily leads to reading or writing the wrong one",
+
+  check({ ast, project, report }) {
+    const contracts = ast.children.filter(node => node.type === "ContractDefinition");
+
+    for (const contract of contracts) {
+      const inherited = getInheritedContracts(contract.name, project.contracts);
+
+      getStateVariables(contract).forEach(variable => {
+        const base = inherited.find(entry => getStateVariables(entry.node).some(other => other.name === variable.name));
+        if (base) {
+          report(variable.node, {
+            message: `State variable "${variable.name}" in ${contract.name} shadows the one inherited from ${base.node.name}`
+          });
+        }
+      });
+    }
+
+    for (const { contract, fn } of getFunctions(ast)) {
+      const stateVariables = getVisibleStateVariables(contract, project.contracts);
+      const declarations = [
+        ...fn.parameters,
+        ...(fn.returnParameters || []),
+        ...findNodes(fn.body, node => node.type === "VariableDeclaration")
+      ];
+
+      declarations
+        .filter(declaration => declaration.name && stateVariables.has(declaration.name))
+        .forEach(declaration => report(declaration, {
+          message: `"${declaration.name}" in ${contract.name}.${getFunctionLabel(fn)}() shadows a state variable`
+        }));
+    }
+  }
+};
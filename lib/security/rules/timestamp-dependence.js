@@ -0,0 +1,31 @@
+import { getFunctions, getFunctionLabel, findNodes, isGlobalMember } from "../ast-utils.js";
+
+/**
+ * Flags functions whose comparisons depend on block.timestamp (or `now`).
+ */
+export default {
+  id: "timestamp-dependence",
+  title: "Timestamp dependence",
+  severity: "Low",
+  description: "Block timestamps can be nudged by block producers and should not gate critical logic",
+
+  check({ ast, report }) {
+    const isTimestamp = node =>
+      isGlobalMember(node, "block", "timestamp") || (node.type === "Identifier" && node.name === "now");
+
+    for (const { contract, fn } of getFunctions(ast)) {
+      // One finding per function is enough to point at the logic
+      const [comparison] = findNodes(fn.body, node =>
+        node.type === "BinaryOperation" &&
+        ["<", ">", "<=", ">=", "==", "!=", "%"].includes(node.operator) &&
+        (isTimestamp(node.left) || isTimestamp(node.right))
+      );
+
+      if (comparison) {
+        report(comparison, {
+          message: `${contract.name}.${getFunctionLabel(fn)}() branches on the block timestamp`
+        });
+      }
+    }
+  }
+};
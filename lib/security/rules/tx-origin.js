@@ -0,0 +1,24 @@
+import { findNodes, isGlobalMember } from "../ast-utils.js";
+
+/**
+ * Flags tx.origin comparisons used for authorization. `tx.origin == msg.sender`
+ * (an EOA-only check) is not an authorization pattern and is skipped.
+ */
+export default {
+  id: "tx-origin-auth",
+  title: "tx.origin used for authorization",
+  severity: "Medium",
+  description: "Authorizing with tx.origin lets any contract the owner interacts with act on their behalf (phishing)",
+
+  check({ ast, report }) {
+    const isTxOrigin = node => isGlobalMember(node, "tx", "origin");
+    const isSender = node => isGlobalMember(node, "msg", "sender");
+
+    findNodes(ast, node =>
+      node.type === "BinaryOperation" &&
+      ["==", "!="].includes(node.operator) &&
+      (isTxOrigin(node.left) || isTxOrigin(node.right)) &&
+      !(isSender(node.left) || isSender(node.right))
+    ).forEach(node => report(node));
+  }
+};
@@ -0,0 +1,40 @@
+import { getFunctions, getLowLevelCall, findNodes } from "../ast-utils.js";
+
+/**
+ * Flags low-level calls whose success flag is discarded or never read.
+ */
+export default {
+  id: "unchecked-low-level-call",
+  title: "Unchecked low-level call",
+  severity: "Medium",
+  description: "The return value of a low-level call is not checked, so a failed call goes unnoticed",
+
+  check({ ast, report }) {
+    for (const { fn } of getFunctions(ast)) {
+      // Calls used as a bare statement discard the success flag entirely
+      findNodes(fn.body, node => node.type === "ExpressionStatement" && getLowLevelCall(node.expression))
+        .forEach(statement => report(statement, {
+          message: `Result of .${getLowLevelCall(statement.expression)}() is ignored`
+        }));
+
+      // `(bool ok, ) = x.call(...)` needs `ok` to be read afterwards
+      findNodes(fn.body, node => node.type === "VariableDeclarationStatement" && getLowLevelCall(node.initialValue))
+        .forEach(statement => {
+          const success = statement.variables[0];
+          const isRead = success && findNodes(fn.body, node =>
+            node.type === "Identifier" &&
+            node.name === success.name &&
+            node.range[0] > statement.range[1]
+          ).length > 0;
+
+          if (!isRead) {
+            report(statement, {
+              message: success
+                ? `Success flag "${success.name}" of .${getLowLevelCall(statement.initialValue)}() is never checked`
+                : `Success flag of .${getLowLevelCall(statement.initialValue)}() is discarded`
+            });
+          }
+        });
+    }
+  }
+};
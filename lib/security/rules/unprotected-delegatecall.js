@@ -0,0 +1,31 @@
+import {
+  getFunctions,
+  getFunctionLabel,
+  getLowLevelCall,
+  hasAccessControl,
+  isExternallyCallable,
+  findNodes
+} from "../ast-utils.js";
+
+/**
+ * Flags delegatecall reachable from a public function without access control.
+ * Proxy fallbacks delegate by design and are skipped.
+ */
+export default {
+  id: "unprotected-delegatecall",
+  title: "Unprotected delegatecall",
+  severity: "High",
+  description: "Anyone can make the contract delegatecall, running foreign code against its storage",
+
+  check({ ast, report }) {
+    for (const { contract, fn } of getFunctions(ast)) {
+      if (fn.isFallback || fn.isReceiveEther) continue;
+      if (!isExternallyCallable(fn) || hasAccessControl(fn)) continue;
+
+      findNodes(fn.body, node => ["delegatecall", "callcode"].includes(getLowLevelCall(node)))
+        .forEach(node => report(node, {
+          message: `${contract.name}.${getFunctionLabel(fn)}() performs .${getLowLevelCall(node)}() without restricting the caller`
+        }));
+    }
+  }
+};
@@ -0,0 +1,29 @@
+import {
+  getFunctions,
+  getFunctionLabel,
+  hasAccessControl,
+  isCallTo,
+  isExternallyCallable,
+  findNodes
+} from "../ast-utils.js";
+
+/**
+ * Flags selfdestruct reachable from a public function without access control.
+ */
+export default {
+  id: "unprotected-selfdestruct",
+  title: "Unprotected selfdestruct",
+  severity: "High",
+  description: "Anyone can call a function that self-destructs the contract",
+
+  check({ ast, report }) {
+    for (const { contract, fn } of getFunctions(ast)) {
+      if (!isExternallyCallable(fn) || hasAccessControl(fn)) continue;
+
+      findNodes(fn.body, node => isCallTo(node, ["selfdestruct", "suicide"]))
+        .forEach(node => report(node, {
+          message: `${contract.name}.${getFunctionLabel(fn)}() calls selfdestruct without restricting the caller`
+        }));
+    }
+  }
+};
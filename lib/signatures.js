@@ -0,0 +1,83 @@
+import { readFileSync } from "fs";
+import { Web3 } from "web3";
+
+// Bundled offline signature database (text signatures, hashed on first use)
+const SIGNATURES_FILE = new URL("./data/signatures.json", import.meta.url);
+
+let functionIndex = null;
+let eventIndex = null;
+
+/**
+ * Compute the 4-byte selector of a function signature
+ * @param {string} signature - Text signature, e.g. "transfer(address,uint256)"
+ * @returns {string} Selector as 0x-prefixed hex
+ */
+export function getFunctionSelector(signature) {
+  return Web3.utils.sha3(signature).slice(0, 10);
+}
+
+/**
+ * Compute the topic hash of an event signature
+ * @param {string} signature - Text signature, e.g. "Transfer(address,address,uint256)"
+ * @returns {string} Topic hash as 0x-prefixed hex
+ */
+export function getEventTopic(signature) {
+  return Web3.utils.sha3(signature);
+}
+
+/**
+ * Look up the known function signatures for a selector
+ * @param {string} selector - 4-byte selector (with or without 0x prefix)
+ * @returns {string[]} Matching text signatures (empty if unknown)
+ */
+export function lookupFunction(selector) {
+  loadIndexes();
+  return functionIndex.get(normalizeHex(selector)) || [];
+}
+
+/**
+ * Look up the known event signatures for a topic hash
+ * @param {string} topic - 32-byte topic hash (with or without 0x prefix)
+ * @returns {string[]} Matching text signatures (empty if unknown)
+ */
+export function lookupEvent(topic) {
+  loadIndexes();
+  return eventIndex.get(normalizeHex(topic)) || [];
+}
+
+/**
+ * Build the selector and topic indexes from the bundled signature file
+ */
+function loadIndexes() {
+  if (functionIndex) return;
+
+  const data = JSON.parse(readFileSync(SIGNATURES_FILE, "utf8"));
+
+  functionIndex = buildIndex(data.functions, getFunctionSelector);
+  eventIndex = buildIndex(data.events, getEventTopic);
+}
+
+/**
+ * Index signatures by their hash
+ * @param {string[]} signatures - Text signatures
+ * @param {Function} hash - Hash function for a signature
+ * @returns {Map<string, string[]>} Hash to signatures
+ */
+function buildIndex(signatures, hash) {
+  const index = new Map();
+  for (const signature of signatures) {
+    const key = hash(signature);
+    index.set(key, [...(index.get(key) || []), signature]);
+  }
+  return index;
+}
+
+/**
+ * Lowercase a hex string and ensure it has a 0x prefix
+ * @param {string} value - Hex string
+ * @returns {string} Normalized hex string
+ */
+function normalizeHex(value) {
+  const hex = String(value).toLowerCase();
+  return hex.startsWith("0x") ? hex : `0x${hex}`;
+}
@@ -0,0 +1,323 @@
+import { utils } from "web3";
+import { getRevertData, decodeRevertReason, readFirstWord } from "./abi.js";
+import { getEventTopic } from "./signatures.js";
+import { formatTokenAmount } from "./erc20.js";
+
+/**
+ * eth_simulateV1 with `traceTransfers` reports ETH movements as ERC20-style
+ * Transfer logs emitted by this placeholder address
+ */
+export const NATIVE_TRANSFER_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const TRANSFER_TOPIC = getEventTopic("Transfer(address,address,uint256)");
+
+// Call frame types that move ETH from caller to callee
+const VALUE_TRANSFER_TYPES = ["CALL", "CREATE", "CREATE2", "SELFDESTRUCT"];
+
+/**
+ * Simulate a transaction without sending it. The outcome comes from
+ * eth_call and eth_estimateGas; internal calls, logs and ETH movements come
+ * from debug_traceCall (callTracer) or, where the debug namespace is not
+ * available, eth_simulateV1. Nodes offering neither only report the outcome.
+ * Logs and transfers of reverted frames are dropped.
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} tx - Transaction as { from, to, value, data, gas }
+ * @param {Object} [options] - Options
+ * @param {string|number} [options.blockTag] - Block to simulate on top of
+ * @returns {Promise<Object>} { success, returnData, revertReason, gasEstimate, gasUsed, traceSource, calls, logs, nativeTransfers, warnings }
+ */
+export async function simulateTransaction(web3, tx, { blockTag = "latest" } = {}) {
+  const request = {
+    from: tx.from,
+    to: tx.to || undefined,
+    value: `0x${BigInt(tx.value || 0).toString(16)}`,
+    data: tx.data || "0x",
+    gas: tx.gas ? `0x${tx.gas.toString(16)}` : undefined
+  };
+  const block = typeof blockTag === "number" ? `0x${blockTag.toString(16)}` : blockTag;
+  const warnings = [];
+
+  const [outcome, gasEstimate, trace] = await Promise.all([
+    runCall(web3, request, block),
+    estimateGas(web3, request, block, warnings),
+    traceCall(web3, request, block, warnings)
+  ]);
+
+  if (trace && trace.success !== outcome.success) {
+    warnings.push(`${trace.source} and eth_call disagree on whether the transaction succeeds; trusting eth_call`);
+  }
+
+  // Without a trace only the top-level call and its own value transfer are known
+  const value = BigInt(request.value);
+  const fallback = {
+    source: null,
+    gasUsed: null,
+    calls: [{
+      depth: 0,
+      type: request.to ? "CALL" : "CREATE",
+      from: request.from,
+      to: request.to || null,
+      value,
+      input: request.data,
+      output: outcome.returnData,
+      gasUsed: null,
+      error: outcome.success ? null : outcome.revertReason,
+      reverted: !outcome.success
+    }],
+    logs: [],
+    nativeTransfers: outcome.success && value > 0n && request.to ? [{ from: request.from, to: request.to, value }] : []
+  };
+  const { source, gasUsed, calls, logs, nativeTransfers } = trace || fallback;
+
+  return {
+    ...outcome,
+    gasEstimate,
+    gasUsed,
+    traceSource: source,
+    calls,
+    logs: outcome.success ? logs : [],
+    nativeTransfers: outcome.success ? nativeTransfers : [],
+    warnings
+  };
+}
+
+/**
+ * Net the ETH transfers and ERC20 Transfer logs of a simulation per address
+ * and token. Mints and burns only count for the receiving or sending side.
+ * @param {Object} simulation - Result of simulateTransaction
+ * @param {Object} context - Display context
+ * @param {string} context.nativeSymbol - Symbol of the chain's native currency
+ * @param {Map<string, Object>} context.tokenMetadata - Token metadata ({ symbol, decimals }) per lowercase address
+ * @returns {Array<Object>} Non-zero changes as { address, token, symbol, decimals, change, changeFormatted }
+ */
+export function computeBalanceChanges(simulation, { nativeSymbol, tokenMetadata }) {
+  // Changes per address (in order of appearance), then per token
+  const deltas = new Map();
+  const add = (address, token, amount) => {
+    if (address.toLowerCase() === ZERO_ADDRESS) return;
+    const holder = utils.toChecksumAddress(address);
+    if (!deltas.has(holder)) deltas.set(holder, new Map());
+    const tokens = deltas.get(holder);
+    tokens.set(token, (tokens.get(token) || 0n) + amount);
+  };
+
+  simulation.nativeTransfers.forEach(transfer => {
+    add(transfer.from, "native", -transfer.value);
+    add(transfer.to, "native", transfer.value);
+  });
+
+  simulation.logs
+    .filter(log => log.topics[0]?.toLowerCase() === TRANSFER_TOPIC && log.topics.length === 3 && readFirstWord(log.data) !== null)
+    .forEach(log => {
+      const token = utils.toChecksumAddress(log.address);
+      const amount = readFirstWord(log.data);
+      add(`0x${log.topics[1].slice(26)}`, token, -amount);
+      add(`0x${log.topics[2].slice(26)}`, token, amount);
+    });
+
+  return [...deltas.entries()].flatMap(([address, tokens]) => [...tokens.entries()]
+    .filter(([, change]) => change !== 0n)
+    .map(([token, change]) => {
+      const metadata = token === "native"
+        ? { symbol: nativeSymbol, decimals: 18 }
+        : tokenMetadata.get(token.toLowerCase()) || { symbol: null, decimals: null };
+      const magnitude = formatTokenAmount(change < 0n ? -change : change, metadata.decimals);
+      return {
+        address,
+        token,
+        symbol: metadata.symbol,
+        decimals: metadata.decimals,
+        change: change.toString(),
+        changeFormatted: `${change < 0n ? "-" : "+"}${magnitude}`
+      };
+    }));
+}
+
+/**
+ * Execute the transaction with eth_call
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} request - JSON-RPC transaction object
+ * @param {string} block - Block tag
+ * @returns {Promise<Object>} { success, returnData, revertReason }
+ */
+async function runCall(web3, request, block) {
+  try {
+    const returnData = await web3.eth.call(request, block);
+    return { success: true, returnData, revertReason: null };
+  } catch (error) {
+    const revertData = getRevertData(error);
+    if (error.name === "ContractExecutionError" || (revertData && revertData !== "0x")) {
+      return { success: false, returnData: revertData, revertReason: decodeRevertReason(revertData) };
+    }
+    // The node rejected the transaction itself (e.g. insufficient funds); connection errors are rethrown
+    if (error.cause?.message) {
+      return { success: false, returnData: null, revertReason: error.cause.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Estimate gas, returning null when the node cannot (e.g. the call reverts)
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} request - JSON-RPC transaction object
+ * @param {string} block - Block tag
+ * @param {string[]} warnings - Collected warnings
+ * @returns {Promise<number|null>} Gas estimate
+ */
+async function estimateGas(web3, request, block, warnings) {
+  try {
+    return Number(await web3.eth.estimateGas(request, block));
+  } catch (error) {
+    if (getRevertData(error) === null) {
+      warnings.push(`Gas estimation failed: ${error.cause?.message || error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Trace the transaction with debug_traceCall, falling back to eth_simulateV1
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} request - JSON-RPC transaction object
+ * @param {string} block - Block tag
+ * @param {string[]} warnings - Collected warnings
+ * @returns {Promise<Object|null>} { source, success, gasUsed, calls, logs, nativeTransfers }, or null if neither method is available
+ */
+async function traceCall(web3, request, block, warnings) {
+  const failures = [];
+
+  try {
+    const frame = await web3.requestManager.send({
+      method: "debug_traceCall",
+      params: [request, block, { tracer: "callTracer", tracerConfig: { withLog: true } }]
+    });
+    // Nodes that ignore the tracer answer with opcode-level struct logs instead
+    if (typeof frame?.type !== "string") {
+      throw new Error("the node did not return a callTracer frame");
+    }
+    const trace = { source: "debug_traceCall", success: !frame.error, gasUsed: toNumber(frame.gasUsed), calls: [], logs: [], nativeTransfers: [] };
+    flattenCallFrame(frame, 0, false, trace);
+    return trace;
+  } catch (error) {
+    failures.push(`debug_traceCall: ${error.cause?.message || error.message}`);
+  }
+
+  try {
+    const [simulatedBlock] = await web3.requestManager.send({
+      method: "eth_simulateV1",
+      params: [{ blockStateCalls: [{ calls: [request] }], traceTransfers: true, validation: false }, block]
+    });
+    const [result] = simulatedBlock.calls;
+    const success = BigInt(result.status) === 1n;
+    const logs = success ? result.logs || [] : [];
+    const isNativeTransfer = log => log.address.toLowerCase() === NATIVE_TRANSFER_ADDRESS.toLowerCase();
+
+    warnings.push("Internal calls are not available (node does not support debug_traceCall)");
+    return {
+      source: "eth_simulateV1",
+      success,
+      gasUsed: toNumber(result.gasUsed),
+      calls: [{
+        depth: 0,
+        type: request.to ? "CALL" : "CREATE",
+        from: request.from,
+        to: request.to || null,
+        value: BigInt(request.value),
+        input: request.data,
+        output: result.returnData || null,
+        gasUsed: toNumber(result.gasUsed),
+        error: success ? null : result.error?.message || "execution reverted",
+        reverted: !success
+      }],
+      logs: logs.filter(log => !isNativeTransfer(log)).map(toLog),
+      nativeTransfers: logs.filter(isNativeTransfer).map(log => ({
+        from: topicToAddress(log.topics[1]),
+        to: topicToAddress(log.topics[2]),
+        value: readFirstWord(log.data) ?? 0n
+      }))
+    };
+  } catch (error) {
+    failures.push(`eth_simulateV1: ${error.cause?.message || error.message}`);
+  }
+
+  warnings.push(`Internal calls, events and token balance changes are not available (${failures.join("; ")})`);
+  return null;
+}
+
+/**
+ * Walk a callTracer frame depth-first, collecting calls, logs and ETH
+ * transfers in execution order
+ * @param {Object} frame - callTracer frame
+ * @param {number} depth - Call depth
+ * @param {boolean} reverted - Whether an enclosing frame reverted
+ * @param {Object} trace - Accumulator with calls, logs and nativeTransfers arrays
+ */
+function flattenCallFrame(frame, depth, reverted, trace) {
+  const failed = reverted || Boolean(frame.error);
+  // DELEGATECALL and CALLCODE frames repeat the caller's value without moving it
+  const value = VALUE_TRANSFER_TYPES.includes(frame.type) ? BigInt(frame.value || 0) : 0n;
+
+  trace.calls.push({
+    depth,
+    type: frame.type,
+    from: frame.from,
+    to: frame.to || null,
+    value,
+    input: frame.input || "0x",
+    output: frame.output || null,
+    gasUsed: toNumber(frame.gasUsed),
+    error: frame.error ? frame.revertReason || frame.error : null,
+    reverted: failed
+  });
+
+  if (!failed && value > 0n) {
+    trace.nativeTransfers.push({ from: frame.from, to: frame.to, value });
+  }
+
+  // A log's position is the number of subcalls made before it was emitted
+  const logs = frame.logs || [];
+  let next = 0;
+  let emitted = 0;
+  const emitLogs = done => {
+    while (next < logs.length && (done || Number(logs[next].position) <= emitted)) {
+      if (!failed) trace.logs.push(toLog(logs[next]));
+      next++;
+    }
+  };
+
+  (frame.calls || []).forEach(child => {
+    emitLogs(false);
+    flattenCallFrame(child, depth + 1, failed, trace);
+    emitted++;
+  });
+  emitLogs(true);
+}
+
+/**
+ * Keep the fields of a log that callers use
+ * @param {Object} log - Trace or simulation log
+ * @returns {Object} { address, topics, data }
+ */
+function toLog(log) {
+  return { address: log.address, topics: log.topics || [], data: log.data || "0x" };
+}
+
+/**
+ * Read the address stored in a 32-byte topic
+ * @param {string} topic - Indexed topic
+ * @returns {string} Address
+ */
+function topicToAddress(topic) {
+  return `0x${topic.slice(26)}`;
+}
+
+/**
+ * Convert a hex quantity to a number
+ * @param {string|number|undefined} value - Quantity
+ * @returns {number|null} Number, or null when missing
+ */
+function toNumber(value) {
+  return value === undefined || value === null ? null : Number(BigInt(value));
+}
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/**
+ * @title ZkERC20
+ * @notice ERC20 token deployed by the zk-mcp deployToken tool. Minting,
+ * burning and pausing are chosen at deployment and cannot be enabled later.
+ */
+contract ZkERC20 {
+    string public name;
+    string public symbol;
+    uint8 public immutable decimals;
+    uint256 public totalSupply;
+
+    bool public immutable mintable;
+    bool public immutable burnable;
+    bool public immutable pausable;
+
+    address public owner;
+    bool public paused;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event Paused(address account);
+    event Unpaused(address account);
+
+    error Unauthorized();
+    error FeatureDisabled();
+    error TokenPaused();
+    error InsufficientBalance();
+    error InsufficientAllowance();
+    error InvalidAddress();
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert Unauthorized();
+        _;
+    }
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_,
+        uint256 initialSupply,
+        address owner_,
+        bool mintable_,
+        bool burnable_,
+        bool pausable_
+    ) {
+        if (owner_ == address(0)) revert InvalidAddress();
+        name = name_;
+        symbol = symbol_;
+        decimals = decimals_;
+        mintable = mintable_;
+        burnable = burnable_;
+        pausable = pausable_;
+        owner = owner_;
+        emit OwnershipTransferred(address(0), owner_);
+        if (initialSupply > 0) _mint(owner_, initialSupply);
+    }
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function approve(address spender, uint256 value) external returns (bool) {
+        allowance[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) external returns (bool) {
+        _spendAllowance(from, msg.sender, value);
+        _transfer(from, to, value);
+        return true;
+    }
+
+    function mint(address to, uint256 value) external onlyOwner {
+        if (!mintable) revert FeatureDisabled();
+        _mint(to, value);
+    }
+
+    function burn(uint256 value) external {
+        if (!burnable) revert FeatureDisabled();
+        _burn(msg.sender, value);
+    }
+
+    function burnFrom(address from, uint256 value) external {
+        if (!burnable) revert FeatureDisabled();
+        _spendAllowance(from, msg.sender, value);
+        _burn(from, value);
+    }
+
+    function pause() external onlyOwner {
+        if (!pausable) revert FeatureDisabled();
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyOwner {
+        if (!pausable) revert FeatureDisabled();
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        if (newOwner == address(0)) revert InvalidAddress();
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    function renounceOwnership() external onlyOwner {
+        emit OwnershipTransferred(owner, address(0));
+        owner = address(0);
+    }
+
+    function _transfer(address from, address to, uint256 value) private {
+        if (to == address(0)) revert InvalidAddress();
+        if (paused) revert TokenPaused();
+        uint256 balance = balanceOf[from];
+        if (balance < value) revert InsufficientBalance();
+        unchecked {
+            balanceOf[from] = balance - value;
+            balanceOf[to] += value;
+        }
+        emit Transfer(from, to, value);
+    }
+
+    function _mint(address to, uint256 value) private {
+        if (to == address(0)) revert InvalidAddress();
+        totalSupply += value;
+        unchecked {
+            balanceOf[to] += value;
+        }
+        emit Transfer(address(0), to, value);
+    }
+
+    function _burn(address from, uint256 value) private {
+        if (paused) revert TokenPaused();
+        uint256 balance = balanceOf[from];
+        if (balance < value) revert InsufficientBalance();
+        unchecked {
+            balanceOf[from] = balance - value;
+            totalSupply -= value;
+        }
+        emit Transfer(from, address(0), value);
+    }
+
+    function _spendAllowance(address from, address spender, uint256 value) private {
+        uint256 allowed = allowance[from][spender];
+        if (allowed != type(uint256).max) {
+            if (allowed < value) revert InsufficientAllowance();
+            unchecked {
+                allowance[from][spender] = allowed - value;
+            }
+        }
+    }
+}
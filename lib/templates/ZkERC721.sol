@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+interface IERC721Receiver {
+    function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) external returns (bytes4);
+}
+
+/**
+ * @title ZkERC721
+ * @notice ERC721 collection deployed by the zk-mcp deployToken tool. Token IDs
+ * start at 1 and are assigned in order. Minting, burning and pausing are
+ * chosen at deployment and cannot be enabled later.
+ */
+contract ZkERC721 {
+    string public name;
+    string public symbol;
+    string public baseURI;
+    uint256 public totalSupply;
+    uint256 public nextTokenId = 1;
+
+    bool public immutable mintable;
+    bool public immutable burnable;
+    bool public immutable pausable;
+
+    address public owner;
+    bool public paused;
+
+    mapping(uint256 => address) private _owners;
+    mapping(address => uint256) private _balances;
+    mapping(uint256 => address) public getApproved;
+    mapping(address => mapping(address => bool)) public isApprovedForAll;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event Paused(address account);
+    event Unpaused(address account);
+
+    error Unauthorized();
+    error FeatureDisabled();
+    error TokenPaused();
+    error NonexistentToken();
+    error InvalidAddress();
+    error UnsafeRecipient();
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert Unauthorized();
+        _;
+    }
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        string memory baseURI_,
+        uint256 initialSupply,
+        address owner_,
+        bool mintable_,
+        bool burnable_,
+        bool pausable_
+    ) {
+        if (owner_ == address(0)) revert InvalidAddress();
+        name = name_;
+        symbol = symbol_;
+        baseURI = baseURI_;
+        mintable = mintable_;
+        burnable = burnable_;
+        pausable = pausable_;
+        owner = owner_;
+        emit OwnershipTransferred(address(0), owner_);
+        for (uint256 i = 0; i < initialSupply; i++) _mint(owner_);
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == 0x01ffc9a7 // ERC165
+            || interfaceId == 0x80ac58cd // ERC721
+            || interfaceId == 0x5b5e139f; // ERC721Metadata
+    }
+
+    function balanceOf(address account) external view returns (uint256) {
+        if (account == address(0)) revert InvalidAddress();
+        return _balances[account];
+    }
+
+    function ownerOf(uint256 tokenId) public view returns (address) {
+        address holder = _owners[tokenId];
+        if (holder == address(0)) revert NonexistentToken();
+        return holder;
+    }
+
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        ownerOf(tokenId);
+        return bytes(baseURI).length > 0 ? string.concat(baseURI, _toString(tokenId)) : "";
+    }
+
+    function approve(address to, uint256 tokenId) external {
+        address holder = ownerOf(tokenId);
+        if (msg.sender != holder && !isApprovedForAll[holder][msg.sender]) revert Unauthorized();
+        getApproved[tokenId] = to;
+        emit Approval(holder, to, tokenId);
+    }
+
+    function setApprovalForAll(address operator, bool approved) external {
+        isApprovedForAll[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        if (to == address(0)) revert InvalidAddress();
+        if (paused) revert TokenPaused();
+        address holder = ownerOf(tokenId);
+        if (holder != from) revert Unauthorized();
+        if (!_isApprovedOrOwner(msg.sender, holder, tokenId)) revert Unauthorized();
+
+        delete getApproved[tokenId];
+        unchecked {
+            _balances[from] -= 1;
+            _balances[to] += 1;
+        }
+        _owners[tokenId] = to;
+        emit Transfer(from, to, tokenId);
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId) external {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId, bytes memory data) public {
+        transferFrom(from, to, tokenId);
+        if (to.code.length > 0) {
+            try IERC721Receiver(to).onERC721Received(msg.sender, from, tokenId, data) returns (bytes4 selector) {
+                if (selector != IERC721Receiver.onERC721Received.selector) revert UnsafeRecipient();
+            } catch {
+                revert UnsafeRecipient();
+            }
+        }
+    }
+
+    function mint(address to) external onlyOwner returns (uint256) {
+        if (!mintable) revert FeatureDisabled();
+        if (to == address(0)) revert InvalidAddress();
+        return _mint(to);
+    }
+
+    function burn(uint256 tokenId) external {
+        if (!burnable) revert FeatureDisabled();
+        if (paused) revert TokenPaused();
+        address holder = ownerOf(tokenId);
+        if (!_isApprovedOrOwner(msg.sender, holder, tokenId)) revert Unauthorized();
+
+        delete getApproved[tokenId];
+        delete _owners[tokenId];
+        unchecked {
+            _balances[holder] -= 1;
+            totalSupply -= 1;
+        }
+        emit Transfer(holder, address(0), tokenId);
+    }
+
+    function pause() external onlyOwner {
+        if (!pausable) revert FeatureDisabled();
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyOwner {
+        if (!pausable) revert FeatureDisabled();
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        if (newOwner == address(0)) revert InvalidAddress();
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    function renounceOwnership() external onlyOwner {
+        emit OwnershipTransferred(owner, address(0));
+        owner = address(0);
+    }
+
+    function _mint(address to) private returns (uint256 tokenId) {
+        tokenId = nextTokenId++;
+        _owners[tokenId] = to;
+        unchecked {
+            _balances[to] += 1;
+            totalSupply += 1;
+        }
+        emit Transfer(address(0), to, tokenId);
+    }
+
+    function _isApprovedOrOwner(address spender, address holder, uint256 tokenId) private view returns (bool) {
+        return spender == holder || getApproved[tokenId] == spender || isApprovedForAll[holder][spender];
+    }
+
+    function _toString(uint256 value) private pure returns (string memory) {
+        if (value == 0) return "0";
+        uint256 digits;
+        for (uint256 temp = value; temp != 0; temp /= 10) digits++;
+        bytes memory buffer = new bytes(digits);
+        while (value != 0) {
+            buffer[--digits] = bytes1(uint8(48 + (value % 10)));
+            value /= 10;
+        }
+        return string(buffer);
+    }
+}
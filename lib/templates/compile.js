@@ -0,0 +1,63 @@
+/**
+ * Compile the token templates into lib/data/token-templates.json, which
+ * bundles each template's ABI, creation bytecode and the exact standard-JSON
+ * compiler input (used again for Etherscan verification). The deployToken
+ * tool only reads that file, so solc is not a runtime dependency.
+ *
+ * Usage: npm install --no-save solc@0.8.24 && node lib/templates/compile.js
+ */
+import { readFileSync, writeFileSync } from "fs";
+import { createRequire } from "module";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SOLC_VERSION = "0.8.24";
+
+// paris avoids PUSH0 and later opcodes that some supported chains lack
+const SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+  evmVersion: "paris",
+  outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } }
+};
+
+const TEMPLATES = {
+  ERC20: "ZkERC20",
+  ERC721: "ZkERC721"
+};
+
+const directory = path.dirname(fileURLToPath(import.meta.url));
+const solc = createRequire(import.meta.url)("solc");
+
+if (!solc.version().startsWith(`${SOLC_VERSION}+`)) {
+  throw new Error(`solc ${SOLC_VERSION} is required, found ${solc.version()}`);
+}
+
+const output = {};
+for (const [standard, contractName] of Object.entries(TEMPLATES)) {
+  const sourcePath = `${contractName}.sol`;
+  const input = {
+    language: "Solidity",
+    sources: { [sourcePath]: { content: readFileSync(path.join(directory, sourcePath), "utf8") } },
+    settings: SETTINGS
+  };
+
+  const compiled = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (compiled.errors || []).filter(error => error.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(`Compiling ${sourcePath} failed:\n${errors.map(error => error.formattedMessage).join("\n")}`);
+  }
+
+  const contract = compiled.contracts[sourcePath][contractName];
+  output[standard] = {
+    contractName,
+    sourcePath,
+    compilerVersion: `v${solc.version().replace(/\.Emscripten.*$/, "")}`,
+    input,
+    abi: contract.abi,
+    bytecode: `0x${contract.evm.bytecode.object}`
+  };
+}
+
+const target = path.join(directory, "..", "data", "token-templates.json");
+writeFileSync(target, `${JSON.stringify(output, null, 2)}\n`);
+console.log(`Wrote ${Object.keys(output).join(", ")} to ${target}`);
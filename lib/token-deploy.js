@@ -0,0 +1,141 @@
+import { readFileSync } from "fs";
+import { eth, utils } from "web3";
+import { etherscanGet, etherscanPost } from "./etherscan.js";
+
+const TEMPLATES_FILE = new URL("./data/token-templates.json", import.meta.url);
+
+/**
+ * Optional features of the templates, each a constructor flag that cannot be
+ * changed after deployment
+ */
+export const TOKEN_FEATURES = ["mintable", "burnable", "pausable"];
+
+// Etherscan only accepts verification once it has indexed the new contract
+const VERIFY_SUBMIT_ATTEMPTS = 6;
+const VERIFY_STATUS_ATTEMPTS = 6;
+const VERIFY_RETRY_MS = 5000;
+
+let templates = null;
+
+/**
+ * Load a bundled token template (see lib/templates/compile.js)
+ * @param {string} standard - "ERC20" or "ERC721"
+ * @returns {Object} { contractName, sourcePath, compilerVersion, input, abi, bytecode }
+ */
+export function getTokenTemplate(standard) {
+  if (!templates) {
+    templates = JSON.parse(readFileSync(TEMPLATES_FILE, "utf8"));
+  }
+  if (!templates[standard]) {
+    throw new Error(`No bundled template for ${standard}; available: ${Object.keys(templates).join(", ")}`);
+  }
+  return templates[standard];
+}
+
+/**
+ * Build the creation transaction data of a template. The ERC20 constructor
+ * takes (name, symbol, decimals, initialSupply, owner, mintable, burnable,
+ * pausable); the ERC721 one takes a base URI in place of the decimals.
+ * @param {string} standard - "ERC20" or "ERC721"
+ * @param {Object} params - Constructor parameters
+ * @param {string} params.name - Token name
+ * @param {string} params.symbol - Token symbol
+ * @param {number} [params.decimals] - ERC20 decimals
+ * @param {string} [params.baseUri] - ERC721 base token URI
+ * @param {bigint} params.initialSupply - Raw ERC20 supply, or number of ERC721 tokens, minted to the owner
+ * @param {string} params.owner - Owner of the token and recipient of the initial supply
+ * @param {string[]} params.features - Enabled entries of TOKEN_FEATURES
+ * @returns {Object} { data, constructorArguments (ABI-encoded, without 0x) }
+ */
+export function encodeTokenDeployment(standard, { name, symbol, decimals, baseUri, initialSupply, owner, features }) {
+  const template = getTokenTemplate(standard);
+  const constructor = template.abi.find(item => item.type === "constructor");
+  const args = [
+    name,
+    symbol,
+    standard === "ERC20" ? decimals : baseUri,
+    initialSupply,
+    owner,
+    ...TOKEN_FEATURES.map(feature => features.includes(feature))
+  ];
+
+  const constructorArguments = eth.abi.encodeParameters(constructor.inputs.map(input => input.type), args).slice(2);
+  return { data: `${template.bytecode}${constructorArguments}`, constructorArguments };
+}
+
+/**
+ * Address of the contract an account creates with a given nonce
+ * (keccak256 of the RLP list [sender, nonce])
+ * @param {string} from - Deployer address
+ * @param {bigint|number} nonce - Deployer nonce
+ * @returns {string} Checksummed contract address
+ */
+export function getCreateAddress(from, nonce) {
+  const value = BigInt(nonce);
+  const nonceHex = value === 0n ? "" : value.toString(16).padStart(Math.ceil(value.toString(16).length / 2) * 2, "0");
+  const encodedNonce = value === 0n ? "80" : value < 0x80n ? nonceHex : `${(0x80 + nonceHex.length / 2).toString(16)}${nonceHex}`;
+  const payload = `94${from.slice(2).toLowerCase()}${encodedNonce}`;
+  const list = `${(0xc0 + payload.length / 2).toString(16)}${payload}`;
+  return utils.toChecksumAddress(`0x${utils.keccak256(`0x${list}`).slice(26)}`);
+}
+
+/**
+ * Submit the source of a deployed template to Etherscan for verification and
+ * wait briefly for the outcome. Submission is retried while Etherscan has not
+ * indexed the contract yet.
+ * @param {Object} chain - Chain registry entry
+ * @param {string} standard - "ERC20" or "ERC721"
+ * @param {string} address - Deployed contract address
+ * @param {string} constructorArguments - ABI-encoded constructor arguments, without 0x
+ * @returns {Promise<Object>} { status ("verified", "pending" or "failed"), guid, message }
+ */
+export async function verifyTokenContract(chain, standard, address, constructorArguments) {
+  const template = getTokenTemplate(standard);
+
+  let submitted;
+  for (let attempt = 1; ; attempt++) {
+    submitted = await etherscanPost(chain, {
+      module: "contract",
+      action: "verifysourcecode",
+      contractaddress: address,
+      sourceCode: JSON.stringify(template.input),
+      codeformat: "solidity-standard-json-input",
+      contractname: `${template.sourcePath}:${template.contractName}`,
+      compilerversion: template.compilerVersion,
+      // Etherscan's spelling
+      constructorArguements: constructorArguments
+    });
+    const notIndexed = submitted.status !== "1" && /unable to locate contract ?code|not found/i.test(String(submitted.result));
+    if (!notIndexed || attempt >= VERIFY_SUBMIT_ATTEMPTS) break;
+    await sleep(VERIFY_RETRY_MS);
+  }
+
+  if (submitted.status !== "1") {
+    const message = String(submitted.result || submitted.message);
+    return { status: /already verified/i.test(message) ? "verified" : "failed", guid: null, message };
+  }
+
+  const guid = submitted.result;
+  let message = "Pending in queue";
+  for (let attempt = 0; attempt < VERIFY_STATUS_ATTEMPTS; attempt++) {
+    await sleep(VERIFY_RETRY_MS);
+    const status = await etherscanGet(chain, { module: "contract", action: "checkverifystatus", guid });
+    message = String(status.result);
+    if (/pass|already verified/i.test(message)) {
+      return { status: "verified", guid, message };
+    }
+    if (!/pending|queue/i.test(message)) {
+      return { status: "failed", guid, message };
+    }
+  }
+  return { status: "pending", guid, message };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
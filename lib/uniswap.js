@@ -0,0 +1,316 @@
+import { eth } from "web3";
+import { aggregateCalls } from "./multicall.js";
+
+const MAINNET_DEPLOYMENT = {
+  v2Router: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
+  v3Quoter: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
+  v3Router: "0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45"
+};
+
+/**
+ * Uniswap contracts per chain: the V2 router, the V3 QuoterV2 and the V3
+ * SwapRouter02. Factories and the wrapped native token are read from the
+ * contracts themselves. Local dev nodes are assumed to be mainnet forks.
+ */
+export const UNISWAP_DEPLOYMENTS = {
+  eth: MAINNET_DEPLOYMENT,
+  base: {
+    v2Router: "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24",
+    v3Quoter: "0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a",
+    v3Router: "0x2626664c2603336E57B271c5C0b26F421741e481"
+  },
+  arbitrum: {
+    v2Router: "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24",
+    v3Quoter: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
+    v3Router: "0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45"
+  },
+  optimism: {
+    v2Router: "0x4A7b5Da61326A6379179b40d00F57E5bbDC962c2",
+    v3Quoter: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
+    v3Router: "0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45"
+  },
+  polygon: {
+    v2Router: "0xedf6066a2b290C185783862C7F4776A2C8077AD1",
+    v3Quoter: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
+    v3Router: "0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45"
+  },
+  bsc: {
+    v2Router: "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24",
+    v3Quoter: "0x78D78E420Da98ad378D7799bE8f4AF69033EB077",
+    v3Router: "0xB971eF87ede563556b2ED4b1C0b0019111Dd85d2"
+  },
+  sepolia: {
+    v2Router: "0xeE567Fe1712Faf6149d80dA1E6934E354124CfE3",
+    v3Quoter: "0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3",
+    v3Router: "0x3bFA4769FB09eefC5a80d6E87c3B9C650f7Ae48E"
+  },
+  local: MAINNET_DEPLOYMENT
+};
+
+// V3 fee tiers quoted, in hundredths of a basis point
+export const V3_FEE_TIERS = [100, 500, 3000, 10000];
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// SwapRouter02 keeps the output for itself when sent to this placeholder, so it can be unwrapped to ETH
+const ROUTER_AS_RECIPIENT = "0x0000000000000000000000000000000000000002";
+
+const Q192 = 2n ** 192n;
+
+const address = name => ({ name, type: "address" });
+const uint = (name, bits = 256) => ({ name, type: `uint${bits}` });
+const fn = (name, inputs = []) => ({ type: "function", name, inputs });
+
+const WETH = fn("WETH");
+const FACTORY = fn("factory");
+const TOKEN0 = fn("token0");
+const GET_AMOUNTS_OUT = fn("getAmountsOut", [uint("amountIn"), { name: "path", type: "address[]" }]);
+const GET_PAIR = fn("getPair", [address("tokenA"), address("tokenB")]);
+const GET_RESERVES = fn("getReserves");
+const GET_POOL = fn("getPool", [address("tokenA"), address("tokenB"), uint("fee", 24)]);
+const SLOT0 = fn("slot0");
+const QUOTE_EXACT_INPUT_SINGLE = fn("quoteExactInputSingle", [{
+  name: "params",
+  type: "tuple",
+  components: [address("tokenIn"), address("tokenOut"), uint("amountIn"), uint("fee", 24), uint("sqrtPriceLimitX96", 160)]
+}]);
+const SWAP_EXACT_TOKENS_FOR_TOKENS = fn("swapExactTokensForTokens", [
+  uint("amountIn"), uint("amountOutMin"), { name: "path", type: "address[]" }, address("to"), uint("deadline")
+]);
+const SWAP_EXACT_ETH_FOR_TOKENS = fn("swapExactETHForTokens", [
+  uint("amountOutMin"), { name: "path", type: "address[]" }, address("to"), uint("deadline")
+]);
+const SWAP_EXACT_TOKENS_FOR_ETH = fn("swapExactTokensForETH", [
+  uint("amountIn"), uint("amountOutMin"), { name: "path", type: "address[]" }, address("to"), uint("deadline")
+]);
+const EXACT_INPUT_SINGLE = fn("exactInputSingle", [{
+  name: "params",
+  type: "tuple",
+  components: [
+    address("tokenIn"), address("tokenOut"), uint("fee", 24), address("recipient"),
+    uint("amountIn"), uint("amountOutMinimum"), uint("sqrtPriceLimitX96", 160)
+  ]
+}]);
+const UNWRAP_WETH9 = fn("unwrapWETH9", [uint("amountMinimum"), address("recipient")]);
+const MULTICALL = fn("multicall", [uint("deadline"), { name: "data", type: "bytes[]" }]);
+
+/**
+ * Position of the deadline argument per router function selector. Every
+ * deadline is a static head word, so it sits at a fixed calldata offset.
+ */
+export const SWAP_DEADLINE_ARGUMENTS = Object.fromEntries([
+  [SWAP_EXACT_TOKENS_FOR_TOKENS, 4],
+  [SWAP_EXACT_ETH_FOR_TOKENS, 3],
+  [SWAP_EXACT_TOKENS_FOR_ETH, 4],
+  [MULTICALL, 0]
+].map(([abi, argument]) => [eth.abi.encodeFunctionSignature(abi), argument]));
+
+// Factory and wrapped native token per chain; they never change
+const coreAddresses = new Map();
+
+/**
+ * Get the Uniswap deployment of a chain
+ * @param {Object} chain - Chain registry entry
+ * @returns {Object} { v2Router, v3Quoter, v3Router }
+ */
+export function getUniswapDeployment(chain) {
+  const deployment = UNISWAP_DEPLOYMENTS[chain.key];
+  if (!deployment) {
+    throw new Error(`Uniswap is not supported on ${chain.name}. Supported chains: ${Object.keys(UNISWAP_DEPLOYMENTS).join(", ")}`);
+  }
+  return deployment;
+}
+
+/**
+ * Quote an exact-input swap on every candidate route: Uniswap V2 directly
+ * and through the wrapped native token, and Uniswap V3 directly in each fee
+ * tier. Price impact is measured against the pool prices before the swap
+ * (including the LP fee).
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} swap - Swap to quote
+ * @param {string} swap.tokenIn - Token address, or "native"
+ * @param {string} swap.tokenOut - Token address, or "native"
+ * @param {bigint} swap.amountIn - Raw input amount
+ * @returns {Promise<Object>} { wrappedNative, routes } with routes as { protocol, router, path, fees, amountOut, priceImpact, gasEstimate }, best first
+ */
+export async function getSwapQuotes(web3, chain, { tokenIn, tokenOut, amountIn }) {
+  const deployment = getUniswapDeployment(chain);
+  const core = await getCoreAddresses(web3, chain, deployment);
+  const wrap = token => (token === "native" ? core.wrappedNative : token);
+  const [from, to] = [wrap(tokenIn), wrap(tokenOut)];
+
+  if (!from || !to) {
+    throw new Error(`Could not read the wrapped native token of ${chain.name} from the Uniswap V2 router`);
+  }
+  if (from.toLowerCase() === to.toLowerCase()) {
+    throw new Error("The input and output tokens are the same; wrapping is not a swap");
+  }
+
+  const candidates = [];
+  if (core.v2Factory) {
+    candidates.push({ protocol: "v2", router: deployment.v2Router, path: [from, to], fees: null });
+    if (![from, to].some(token => token.toLowerCase() === core.wrappedNative.toLowerCase())) {
+      candidates.push({ protocol: "v2", router: deployment.v2Router, path: [from, core.wrappedNative, to], fees: null });
+    }
+  }
+  if (core.v3Factory) {
+    V3_FEE_TIERS.forEach(fee => candidates.push({ protocol: "v3", router: deployment.v3Router, path: [from, to], fees: [fee] }));
+  }
+
+  // Round one: quotes plus the pools they go through
+  const quoteCalls = candidates.map(route => route.protocol === "v2"
+    ? { target: deployment.v2Router, callData: eth.abi.encodeFunctionCall(GET_AMOUNTS_OUT, [amountIn, route.path]) }
+    : { target: deployment.v3Quoter, callData: eth.abi.encodeFunctionCall(QUOTE_EXACT_INPUT_SINGLE, [[from, to, amountIn, route.fees[0], 0]]) });
+  const poolCalls = candidates.map(route => route.path.slice(1).map((token, hop) => route.protocol === "v2"
+    ? { target: core.v2Factory, callData: eth.abi.encodeFunctionCall(GET_PAIR, [route.path[hop], token]) }
+    : { target: core.v3Factory, callData: eth.abi.encodeFunctionCall(GET_POOL, [route.path[hop], token, route.fees[hop]]) }));
+
+  const { results } = await aggregateCalls(web3, [...quoteCalls, ...poolCalls.flat()]);
+  let next = quoteCalls.length;
+  const pools = poolCalls.map(calls => calls.map(() => decodeAddress(results[next++])));
+
+  // Round two: pool state for the price impact
+  const uniquePools = [...new Set(pools.flat().filter(Boolean))];
+  const isV2Pool = new Set(candidates.flatMap((route, index) => (route.protocol === "v2" ? pools[index] : [])).filter(Boolean));
+  const { results: stateResults } = await aggregateCalls(web3, uniquePools.flatMap(pool => [
+    { target: pool, callData: eth.abi.encodeFunctionCall(isV2Pool.has(pool) ? GET_RESERVES : SLOT0, []) },
+    { target: pool, callData: eth.abi.encodeFunctionCall(TOKEN0, []) }
+  ]));
+  const poolState = new Map(uniquePools.map((pool, index) => [pool, {
+    state: stateResults[index * 2],
+    token0: decodeAddress(stateResults[index * 2 + 1])
+  }]));
+
+  const routes = candidates.flatMap((route, index) => {
+    const quote = results[index];
+    if (!quote.success || quote.returnData === "0x") return [];
+
+    let amountOut;
+    let gasEstimate = null;
+    if (route.protocol === "v2") {
+      const amounts = eth.abi.decodeParameter("uint256[]", quote.returnData);
+      amountOut = BigInt(amounts[amounts.length - 1]);
+    } else {
+      const decoded = eth.abi.decodeParameters(["uint256", "uint160", "uint32", "uint256"], quote.returnData);
+      amountOut = BigInt(decoded[0]);
+      gasEstimate = Number(decoded[3]);
+    }
+    if (amountOut === 0n) return [];
+
+    const priceImpact = measurePriceImpact(route, pools[index].map(pool => poolState.get(pool)), amountIn, amountOut);
+    return [{ ...route, amountOut, priceImpact, gasEstimate }];
+  });
+
+  routes.sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : 0));
+  return { wrappedNative: core.wrappedNative, routes };
+}
+
+/**
+ * Build the router call for a quoted route (exact input, output to `recipient`)
+ * @param {Object} route - Route from getSwapQuotes
+ * @param {Object} swap - Swap parameters
+ * @param {bigint} swap.amountIn - Raw input amount
+ * @param {bigint} swap.minimumOut - Raw minimum output
+ * @param {string} swap.recipient - Receiver of the output
+ * @param {number} swap.deadline - Unix timestamp after which the swap reverts
+ * @param {boolean} swap.nativeIn - Pay with the native currency
+ * @param {boolean} swap.nativeOut - Receive the native currency
+ * @returns {Object} Transaction as { to, data, value }
+ */
+export function buildSwapTransaction(route, { amountIn, minimumOut, recipient, deadline, nativeIn, nativeOut }) {
+  if (route.protocol === "v2") {
+    const data = nativeIn
+      ? eth.abi.encodeFunctionCall(SWAP_EXACT_ETH_FOR_TOKENS, [minimumOut, route.path, recipient, deadline])
+      : eth.abi.encodeFunctionCall(nativeOut ? SWAP_EXACT_TOKENS_FOR_ETH : SWAP_EXACT_TOKENS_FOR_TOKENS, [
+        amountIn, minimumOut, route.path, recipient, deadline
+      ]);
+    return { to: route.router, data, value: nativeIn ? amountIn : 0n };
+  }
+
+  const calls = [eth.abi.encodeFunctionCall(EXACT_INPUT_SINGLE, [[
+    route.path[0], route.path[1], route.fees[0], nativeOut ? ROUTER_AS_RECIPIENT : recipient, amountIn, minimumOut, 0
+  ]])];
+  if (nativeOut) {
+    calls.push(eth.abi.encodeFunctionCall(UNWRAP_WETH9, [minimumOut, recipient]));
+  }
+  return {
+    to: route.router,
+    data: eth.abi.encodeFunctionCall(MULTICALL, [deadline, calls]),
+    value: nativeIn ? amountIn : 0n
+  };
+}
+
+/**
+ * Read the factories and wrapped native token behind a deployment
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} deployment - Uniswap deployment
+ * @returns {Promise<Object>} { wrappedNative, v2Factory, v3Factory } (null where a contract is missing)
+ */
+async function getCoreAddresses(web3, chain, deployment) {
+  if (coreAddresses.has(chain.key)) return coreAddresses.get(chain.key);
+
+  const { results } = await aggregateCalls(web3, [
+    { target: deployment.v2Router, callData: eth.abi.encodeFunctionCall(WETH, []) },
+    { target: deployment.v2Router, callData: eth.abi.encodeFunctionCall(FACTORY, []) },
+    { target: deployment.v3Quoter, callData: eth.abi.encodeFunctionCall(FACTORY, []) }
+  ]);
+  const [wrappedNative, v2Factory, v3Factory] = results.map(decodeAddress);
+  if (!v2Factory && !v3Factory) {
+    throw new Error(`No Uniswap contracts found on ${chain.name}`);
+  }
+
+  const core = { wrappedNative, v2Factory, v3Factory };
+  coreAddresses.set(chain.key, core);
+  return core;
+}
+
+/**
+ * Price impact of a quote: how far the execution price falls short of the
+ * pool price before the swap, in percent
+ * @param {Object} route - Candidate route
+ * @param {Array<Object|undefined>} pools - State of each hop's pool ({ state, token0 })
+ * @param {bigint} amountIn - Raw input amount
+ * @param {bigint} amountOut - Raw quoted output
+ * @returns {number|null} Price impact in percent, or null if a pool could not be read
+ */
+function measurePriceImpact(route, pools, amountIn, amountOut) {
+  // Execution price over pool price, as numerator / denominator
+  let numerator = amountOut;
+  let denominator = amountIn;
+
+  for (const [hop, pool] of pools.entries()) {
+    if (!pool?.state.success || !pool.token0 || pool.state.returnData.length < 130) return null;
+    const tokenIn = route.path[hop];
+    const inIsToken0 = tokenIn.toLowerCase() === pool.token0.toLowerCase();
+
+    if (route.protocol === "v2") {
+      const reserve0 = BigInt(pool.state.returnData.slice(0, 66));
+      const reserve1 = BigInt(`0x${pool.state.returnData.slice(66, 130)}`);
+      if (reserve0 === 0n || reserve1 === 0n) return null;
+      numerator *= inIsToken0 ? reserve0 : reserve1;
+      denominator *= inIsToken0 ? reserve1 : reserve0;
+    } else {
+      // Pool price of token0 in token1 is (sqrtPriceX96 / 2^96)^2
+      const sqrtPriceSquared = BigInt(pool.state.returnData.slice(0, 66)) ** 2n;
+      if (sqrtPriceSquared === 0n) return null;
+      numerator *= inIsToken0 ? Q192 : sqrtPriceSquared;
+      denominator *= inIsToken0 ? sqrtPriceSquared : Q192;
+    }
+  }
+
+  const ratioPpm = numerator * 1_000_000n / denominator;
+  return Number(1_000_000n - ratioPpm) / 10_000;
+}
+
+/**
+ * Decode an address result, treating failures and the zero address as missing
+ * @param {Object} result - Call result ({ success, returnData })
+ * @returns {string|null} Checksummed address
+ */
+function decodeAddress(result) {
+  if (!result?.success || !result.returnData || result.returnData.length < 66) return null;
+  const decoded = eth.abi.decodeParameter("address", result.returnData);
+  return decoded === ZERO_ADDRESS ? null : decoded;
+}
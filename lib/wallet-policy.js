@@ -0,0 +1,208 @@
+import { existsSync, readFileSync } from "fs";
+import os from "os";
+import path from "path";
+import { z } from "zod";
+import { addressSchema } from "./address.js";
+import { resolveEvmChain } from "./chains.js";
+import { parseTokenAmount, formatTokenAmount } from "./erc20.js";
+import { readAuditLog } from "./wallet.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_UINT256 = 2n ** 256n - 1n;
+
+// Actions whose amounts count towards the daily limits
+const SPEND_ACTIONS = ["sendEth", "transferToken", "swap"];
+
+const amountSchema = z.union([z.string(), z.number()])
+  .transform(String)
+  .pipe(z.string().regex(/^\d+(\.\d+)?$/, 'Amounts must be decimal numbers such as "0.5"'));
+
+// Limits in whole units of the asset (ETH, or tokens after applying their decimals)
+const limitSchema = z.object({
+  perTransaction: amountSchema,
+  daily: amountSchema
+}).strict();
+
+/**
+ * Wallet policy file. Example:
+ * {
+ *   "dryRun": false,
+ *   "allowlist": ["0x...", "alice.eth"],
+ *   "allowUnlimitedApprovals": false,
+ *   "chains": {
+ *     "sepolia": {
+ *       "native": { "perTransaction": "0.1", "daily": "0.5" },
+ *       "tokens": { "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238": { "perTransaction": "100", "daily": "500" } }
+ *     }
+ *   }
+ * }
+ * Only chains listed under "chains" can be used, and only for assets with a
+ * limit. Without an allowlist any recipient or spender is accepted; the
+ * wallet itself is always accepted (e.g. as the recipient of a swap).
+ */
+const policySchema = z.object({
+  dryRun: z.boolean().default(true),
+  allowlist: z.array(addressSchema).optional(),
+  allowUnlimitedApprovals: z.boolean().default(false),
+  chains: z.record(z.object({
+    native: limitSchema.optional(),
+    tokens: z.record(limitSchema).default({})
+  }).strict()).default({})
+}).strict();
+
+/**
+ * Path of the wallet policy file (WALLET_POLICY_FILE, or ~/.config/zk-mcp/wallet-policy.json)
+ * @returns {string} Policy file path
+ */
+export function getPolicyPath() {
+  return process.env.WALLET_POLICY_FILE || path.join(os.homedir(), ".config", "zk-mcp", "wallet-policy.json");
+}
+
+/**
+ * Load and validate the wallet policy. It is read on every use so edits
+ * apply without a restart. A missing file means the default policy: dry runs
+ * only, with no chain enabled.
+ * @returns {Promise<Object>} { file, dryRun, allowlist (Set of lowercase addresses, or null), allowUnlimitedApprovals, chains (Map by chain key) }
+ */
+export async function loadWalletPolicy() {
+  const file = getPolicyPath();
+
+  let raw = {};
+  if (existsSync(file)) {
+    try {
+      raw = JSON.parse(readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read wallet policy ${file}: ${error.message}`);
+    }
+  }
+
+  const parsed = await policySchema.safeParseAsync(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join(".") || "(root)"}: ${issue.message}`);
+    throw new Error(`Invalid wallet policy ${file}: ${issues.join("; ")}`);
+  }
+
+  const chains = new Map();
+  for (const [chain, limits] of Object.entries(parsed.data.chains)) {
+    const tokens = new Map(Object.entries(limits.tokens).map(([token, limit]) => [token.toLowerCase(), limit]));
+    let config;
+    try {
+      config = resolveEvmChain(chain);
+    } catch (error) {
+      throw new Error(`Invalid wallet policy ${file}: ${error.message}`);
+    }
+    chains.set(config.key, { native: limits.native || null, tokens });
+  }
+
+  return {
+    file,
+    dryRun: parsed.data.dryRun,
+    allowlist: parsed.data.allowlist ? new Set(parsed.data.allowlist.map(address => address.toLowerCase())) : null,
+    allowUnlimitedApprovals: parsed.data.allowUnlimitedApprovals,
+    chains
+  };
+}
+
+/**
+ * Check a wallet action against the policy. Transfers and the input of swaps
+ * are held to the per-transaction limit and to the daily limit over a rolling
+ * 24 hours (from the audit log); approvals to the per-transaction limit.
+ * Revoking an approval and deploying a token only need the chain to be
+ * enabled.
+ * @param {Object} policy - Policy from loadWalletPolicy
+ * @param {Object} request - Action to check
+ * @param {string} request.action - "sendEth", "transferToken", "approveToken", "swap" or "deployToken"
+ * @param {Object} request.chain - Chain registry entry
+ * @param {string} request.asset - "native" or token address
+ * @param {string} request.symbol - Asset symbol for messages
+ * @param {number|null} request.decimals - Asset decimals
+ * @param {bigint} request.amount - Raw amount (MAX_UINT256 for an unlimited approval)
+ * @param {string} request.counterparty - Recipient or spender
+ * @param {string} request.from - Wallet address
+ * @returns {Object} { allowed, violations, perTransactionLimit, dailyLimit, spentLast24h } (limits as formatted amounts, null if none apply)
+ */
+export function checkWalletPolicy(policy, { action, chain, asset, symbol, decimals, amount, counterparty, from }) {
+  const violations = [];
+  const chainPolicy = policy.chains.get(chain.key);
+  const format = value => `${formatTokenAmount(value, decimals)} ${symbol}`;
+
+  if (!chainPolicy) {
+    violations.push(`${chain.name} is not enabled in the wallet policy`);
+  }
+  const result = { perTransactionLimit: null, dailyLimit: null, spentLast24h: null };
+
+  // A deployment creates a contract owned by the wallet and moves no funds
+  if (action === "deployToken") {
+    return { allowed: violations.length === 0, violations, ...result };
+  }
+
+  const isSelf = counterparty.toLowerCase() === from.toLowerCase();
+  if (policy.allowlist && !isSelf && !policy.allowlist.has(counterparty.toLowerCase())) {
+    violations.push(`${counterparty} is not on the wallet policy allowlist`);
+  }
+
+  const limit = asset === "native" ? chainPolicy?.native : chainPolicy?.tokens.get(asset.toLowerCase());
+
+  if (action === "approveToken" && amount === 0n) {
+    return { allowed: violations.length === 0, violations, ...result };
+  }
+  if (chainPolicy && !limit) {
+    violations.push(`The wallet policy has no limit for ${symbol} on ${chain.name}`);
+  }
+
+  if (limit) {
+    const perTransaction = parseTokenAmount(limit.perTransaction, decimals);
+    result.perTransactionLimit = formatTokenAmount(perTransaction, decimals);
+
+    if (action === "approveToken") {
+      if (amount === MAX_UINT256) {
+        if (!policy.allowUnlimitedApprovals) {
+          violations.push("Unlimited approvals are disabled by the wallet policy");
+        }
+      } else if (amount > perTransaction) {
+        violations.push(`Approving ${format(amount)} exceeds the per-transaction limit of ${format(perTransaction)}`);
+      }
+    } else {
+      const daily = parseTokenAmount(limit.daily, decimals);
+      const spent = getSpentLast24h(chain.key, asset);
+      result.dailyLimit = formatTokenAmount(daily, decimals);
+      result.spentLast24h = formatTokenAmount(spent, decimals);
+      const verb = action === "swap" ? "Swapping" : "Sending";
+
+      if (amount > perTransaction) {
+        violations.push(`${verb} ${format(amount)} exceeds the per-transaction limit of ${format(perTransaction)}`);
+      }
+      if (spent + amount > daily) {
+        violations.push(`${verb} ${format(amount)} after ${format(spent)} in the last 24 hours exceeds the daily limit of ${format(daily)}`);
+      }
+    }
+  }
+
+  return { allowed: violations.length === 0, violations, ...result };
+}
+
+/**
+ * Sum the amounts of an asset sent in the last 24 hours according to the
+ * audit log, including transactions that are still pending. Transactions that
+ * failed to broadcast or reverted do not count.
+ * @param {string} chain - Chain key
+ * @param {string} asset - "native" or token address
+ * @returns {bigint} Raw amount spent
+ */
+function getSpentLast24h(chain, asset) {
+  const entries = readAuditLog();
+  const since = Date.now() - DAY_MS;
+  const unspent = new Set(entries
+    .filter(entry => entry.event === "failed" || (entry.event === "mined" && entry.status === "reverted"))
+    .map(entry => entry.hash));
+
+  return entries
+    .filter(entry => entry.event === "signed" &&
+      SPEND_ACTIONS.includes(entry.action) &&
+      entry.chain === chain &&
+      String(entry.asset).toLowerCase() === asset.toLowerCase() &&
+      Date.parse(entry.time) >= since &&
+      !unspent.has(entry.hash))
+    .reduce((total, entry) => total + BigInt(entry.amount), 0n);
+}
@@ -0,0 +1,234 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from "fs";
+import os from "os";
+import path from "path";
+import { eth } from "web3";
+
+// How long a broadcast transaction is awaited before it is reported as pending
+const RECEIPT_TIMEOUT_MS = 60 * 1000;
+const RECEIPT_POLL_MS = 1000;
+
+// Priority fee used when the node does not implement eth_maxPriorityFeePerGas
+const DEFAULT_PRIORITY_FEE = 1_500_000_000n;
+
+// Gas limit headroom over the node's estimate
+const GAS_MARGIN_PERCENT = 20n;
+
+let account = null;
+
+// Tail of the queue of live actions per chain and wallet
+const locks = new Map();
+
+// Next nonce per chain and wallet, assigned locally once read from the node
+const nonces = new Map();
+
+/**
+ * Whether a signing key has been configured, through WALLET_PRIVATE_KEY or
+ * WALLET_KEYSTORE (path of an encrypted JSON keystore, unlocked with
+ * WALLET_KEYSTORE_PASSWORD). Without one the wallet tools are not registered.
+ * @returns {boolean} True if a key is configured
+ */
+export function isWalletConfigured() {
+  return Boolean(process.env.WALLET_PRIVATE_KEY || process.env.WALLET_KEYSTORE);
+}
+
+/**
+ * Load the configured account, decrypting the keystore on first use
+ * @returns {Promise<Object>} web3 account ({ address, privateKey })
+ */
+export async function getWalletAccount() {
+  if (account) return account;
+
+  if (process.env.WALLET_PRIVATE_KEY) {
+    const key = process.env.WALLET_PRIVATE_KEY.trim();
+    account = eth.accounts.privateKeyToAccount(key.startsWith("0x") ? key : `0x${key}`);
+  } else if (process.env.WALLET_KEYSTORE) {
+    if (!process.env.WALLET_KEYSTORE_PASSWORD) {
+      throw new Error("WALLET_KEYSTORE is set but WALLET_KEYSTORE_PASSWORD is missing");
+    }
+    const keystore = readFileSync(process.env.WALLET_KEYSTORE, "utf8");
+    account = await eth.accounts.decrypt(keystore, process.env.WALLET_KEYSTORE_PASSWORD);
+  } else {
+    throw new Error("No wallet configured; set WALLET_PRIVATE_KEY or WALLET_KEYSTORE");
+  }
+
+  return account;
+}
+
+/**
+ * Run a task once every earlier task for the same key has settled, so that a
+ * policy check, the signature and the audit log entry it depends on are never
+ * interleaved with another live action of the same wallet on the same chain
+ * @param {string} key - Lock key (chain and wallet address)
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Result of the task
+ */
+export function withWalletLock(key, task) {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+/**
+ * Nonce the next transaction of an address will be signed with. Inside
+ * withWalletLock this is the nonce signAndSendTransaction is about to use.
+ * @param {Web3} web3 - Web3 instance of the target chain
+ * @param {string} address - Wallet address
+ * @returns {Promise<bigint>} Nonce
+ */
+export async function getNextNonce(web3, address) {
+  const nonceKey = `${await web3.eth.getChainId()}:${address.toLowerCase()}`;
+  return nonces.has(nonceKey)
+    ? nonces.get(nonceKey)
+    : BigInt(await web3.eth.getTransactionCount(address, "pending"));
+}
+
+/**
+ * Sign a transaction with the wallet key and broadcast it. Chain ID and fees
+ * are filled in from the node; the gas limit is the estimate plus a margin.
+ * The nonce is read from the node once per chain and then counted up locally,
+ * so call this inside withWalletLock. The signed transaction is recorded in
+ * the audit log before it is broadcast.
+ * @param {Web3} web3 - Web3 instance of the target chain
+ * @param {Object} tx - Transaction as { to, value, data } (no `to` for a contract creation)
+ * @param {Object} details - Audit log fields ({ action, chain, asset, amount, recipient })
+ * @param {number} gasEstimate - Gas estimate from the simulation
+ * @returns {Promise<Object>} { hash, entry } to pass to waitForTransaction
+ */
+export async function signAndSendTransaction(web3, tx, details, gasEstimate) {
+  const wallet = await getWalletAccount();
+  const [chainId, fees] = await Promise.all([web3.eth.getChainId(), getFeeFields(web3)]);
+  const nonceKey = `${chainId}:${wallet.address.toLowerCase()}`;
+  const nonce = await getNextNonce(web3, wallet.address);
+
+  const signed = await web3.eth.accounts.signTransaction({
+    from: wallet.address,
+    to: tx.to,
+    value: BigInt(tx.value || 0),
+    data: tx.data || "0x",
+    gas: BigInt(gasEstimate) * (100n + GAS_MARGIN_PERCENT) / 100n,
+    nonce,
+    chainId,
+    ...fees
+  }, wallet.privateKey);
+  const hash = signed.transactionHash;
+  const entry = { ...details, from: wallet.address, to: tx.to, hash };
+
+  appendAuditLog({ event: "signed", ...entry, nonce: Number(nonce) });
+  try {
+    await web3.requestManager.send({ method: "eth_sendRawTransaction", params: [signed.rawTransaction] });
+  } catch (error) {
+    // The nonce may or may not have been used; read it from the node next time
+    nonces.delete(nonceKey);
+    appendAuditLog({ event: "failed", ...entry, error: error.cause?.message || error.message });
+    throw error;
+  }
+  nonces.set(nonceKey, nonce + 1n);
+  return { hash, entry };
+}
+
+/**
+ * Wait for a broadcast transaction and record its outcome in the audit log
+ * @param {Web3} web3 - Web3 instance of the target chain
+ * @param {Object} sent - Result of signAndSendTransaction
+ * @returns {Promise<Object>} { hash, status ("confirmed", "reverted" or "pending"), blockNumber, gasUsed, contractAddress }
+ */
+export async function waitForTransaction(web3, { hash, entry }) {
+  const receipt = await waitForReceipt(web3, hash);
+  const result = {
+    hash,
+    status: !receipt ? "pending" : BigInt(receipt.status) === 1n ? "confirmed" : "reverted",
+    blockNumber: receipt ? Number(receipt.blockNumber) : null,
+    gasUsed: receipt ? Number(receipt.gasUsed) : null,
+    contractAddress: receipt?.contractAddress || null
+  };
+  if (receipt) {
+    appendAuditLog({
+      event: "mined",
+      ...entry,
+      status: result.status,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+      ...(result.contractAddress ? { contractAddress: result.contractAddress } : {})
+    });
+  }
+  return result;
+}
+
+/**
+ * Path of the wallet audit log (WALLET_AUDIT_LOG, or ~/.local/share/zk-mcp/wallet-audit.jsonl)
+ * @returns {string} Audit log path
+ */
+export function getAuditLogPath() {
+  return process.env.WALLET_AUDIT_LOG || path.join(os.homedir(), ".local", "share", "zk-mcp", "wallet-audit.jsonl");
+}
+
+/**
+ * Read every audit log entry, skipping unreadable lines
+ * @returns {Array<Object>} Entries in the order they were written
+ */
+export function readAuditLog() {
+  const file = getAuditLogPath();
+  if (!existsSync(file)) return [];
+
+  return readFileSync(file, "utf8").split("\n").filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      console.error(`Skipping unreadable wallet audit log line: ${line}`);
+      return [];
+    }
+  });
+}
+
+/**
+ * Append an entry to the audit log (one JSON object per line)
+ * @param {Object} entry - Entry fields
+ */
+function appendAuditLog(entry) {
+  const file = getAuditLogPath();
+  mkdirSync(path.dirname(file), { recursive: true });
+  appendFileSync(file, `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`);
+}
+
+/**
+ * Fee fields for the next block: EIP-1559 fees where the chain has a base
+ * fee, a legacy gas price otherwise
+ * @param {Web3} web3 - Web3 instance
+ * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+ */
+async function getFeeFields(web3) {
+  const block = await web3.eth.getBlock("latest");
+  if (block.baseFeePerGas === undefined || block.baseFeePerGas === null) {
+    return { gasPrice: await web3.eth.getGasPrice() };
+  }
+
+  let priorityFee;
+  try {
+    priorityFee = BigInt(await web3.eth.getMaxPriorityFeePerGas());
+  } catch (error) {
+    priorityFee = DEFAULT_PRIORITY_FEE;
+  }
+  // Twice the base fee covers several consecutive full blocks
+  return { maxFeePerGas: BigInt(block.baseFeePerGas) * 2n + priorityFee, maxPriorityFeePerGas: priorityFee };
+}
+
+/**
+ * Poll for a transaction receipt
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} hash - Transaction hash
+ * @returns {Promise<Object|null>} Receipt, or null if not mined within RECEIPT_TIMEOUT_MS
+ */
+async function waitForReceipt(web3, hash) {
+  const deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const receipt = await web3.eth.getTransactionReceipt(hash).catch(() => null);
+    if (receipt) return receipt;
+    await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+  }
+  return null;
+}
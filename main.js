@@ -1,23 +1,72 @@
+#!/usr/bin/env node
 /**
  * Ethereum Tools for Claude MCP
- * 
+ *
  * This is the main entry point for the Ethereum Tools server. It initializes the
  * MCP server, sets up Web3 connectivity, and registers the various tools for
  * smart contract analysis, balance checking, and blockchain data retrieval.
- * 
- * Environment variables required:
- * - ETH_RPC_URL: Ethereum RPC endpoint
- * - MORALIS_API_KEY: API key for Moralis
+ *
+ * Usage:
+ *   node main.js [--config <file>] [--rpc <[chain=]url>] [--transport stdio|http] [--read-only]
+ *                [--enable <groups>] [--disable <groups>] [--profile <name>] [--record <dir> | --replay <dir>]
+ *   node main.js doctor [options]   Check the configured RPC endpoints and API keys
+ *
+ * Settings come from, in increasing order of precedence, a JSON or YAML config
+ * file (--config or MCP_CONFIG, see config.example.yaml), environment variables
+ * (and .env) and command line options. Invalid settings stop the server at startup.
+ * Permission profiles in the config file restrict the exposed tools and set call
+ * quotas, for every session (--profile) or for the HTTP tokens assigned to them.
+ *
+ * Environment variables:
+ * - ETH_RPC_URL: Ethereum RPC endpoint (also used to resolve ENS names)
+ * - <CHAIN>_RPC_URL: Optional RPC endpoint(s) for other chains (e.g. BASE_RPC_URL, or LOCAL_RPC_URL for an anvil/hardhat node)
+ * - MORALIS_API_KEY: API key for Moralis (without it, getTokensBalance reads balances on-chain)
  * - ETHERSCAN_API_KEY: API key for Etherscan
- * 
+ * - CODEX_API_KEY / RAPIDAPI_KEY: API keys for token analysis and Twitter search
+ * - AUDIT_RULES_DIR: Optional directory of custom security rule modules
+ * - CACHE_FILE: Optional path of the response cache (default ~/.cache/zk-mcp/cache.json)
+ * - CACHE_DISABLED: Set to "true" to turn the response cache off
+ * - <PROVIDER>_RATE_LIMIT: Optional requests per second for ETHERSCAN, MORALIS, CODEX or RAPIDAPI
+ * - LOGS_CHUNK_SIZE: Optional block span of each eth_getLogs request (default 2000)
+ * - WALLET_PRIVATE_KEY or WALLET_KEYSTORE + WALLET_KEYSTORE_PASSWORD: Optional signing key; enables the wallet and deployToken tools
+ * - WALLET_POLICY_FILE: Wallet spend policy (default ~/.config/zk-mcp/wallet-policy.json)
+ * - WALLET_AUDIT_LOG: Log of signed transactions (default ~/.local/share/zk-mcp/wallet-audit.jsonl)
+ * - NFT_IPFS_GATEWAYS: Optional comma-separated IPFS gateways for NFT metadata (default ipfs.io, dweb.link)
+ * - NFT_ARWEAVE_GATEWAY: Optional Arweave gateway for NFT metadata (default arweave.net)
+ * - MCP_CONFIG: Optional config file, as --config
+ * - MCP_READ_ONLY: Set to "true" to ignore the signing key, as --read-only
+ * - MCP_ENABLE_TOOLS / MCP_DISABLE_TOOLS: Comma-separated tool groups, as --enable / --disable
+ * - MCP_PROFILE: Permission profile defined in the config file, as --profile
+ * - MCP_RECORD_MODE / MCP_RECORD_DIR: "record" upstream traffic to fixtures in a directory, or "replay" it offline, as --record / --replay
+ * - MCP_TRANSPORT: "stdio" (default) or "http" to serve Streamable HTTP and legacy SSE for several clients
+ * - MCP_HTTP_HOST / MCP_HTTP_PORT: HTTP listen address (default 127.0.0.1:3000)
+ * - MCP_AUTH_TOKENS: Comma-separated bearer tokens / API keys accepted by the HTTP transport
+ * - MCP_ALLOWED_ORIGINS: Comma-separated browser origins allowed by the HTTP transport (CORS)
+ * - MCP_SESSION_TIMEOUT / MCP_MAX_SESSIONS: HTTP session idle timeout in minutes (default 30) and limit (default 100)
+ *
  * @module ethereum-tools
  */
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { Web3 } from "web3";
+import { Command, InvalidArgumentError, Option } from "commander";
 import dotenv from "dotenv";
 import https from 'https';
+import path from "path";
+import { getWeb3, resolveChain } from "./lib/chains.js";
+import { startHttpServer, getHttpServerOptions } from "./lib/http-server.js";
+import {
+  TOOL_GROUPS,
+  ConfigError,
+  loadConfig,
+  applyConfig,
+  getEnabledToolGroups,
+  getConfiguredChains
+} from "./lib/config.js";
+import { resolveProfile, restrictTools, findUnknownTools } from "./lib/profiles.js";
+import { startRecording } from "./lib/recorder.js";
+import { isWalletConfigured } from "./lib/wallet.js";
+import { runDoctor, formatDoctorReport } from "./lib/doctor.js";
 
 // Import tool registration functions
 import { registerAuditTool } from "./tools/audit.js";
@@ -27,6 +76,38 @@ import { registerProfitabilityTools } from "./tools/profitability.js";
 import { registerUtilityTools } from "./tools/utility.js";
 import { registerTokenAnalysisTools } from "./tools/token-analysis.js";
 import { registerTwitterTools } from "./tools/twitter.js";
+import { registerTokenRiskTools } from "./tools/token-risk.js";
+import { registerCacheTools } from "./tools/cache.js";
+import { registerTransactionTools } from "./tools/transactions.js";
+import { registerContractTools } from "./tools/contracts.js";
+import { registerEnsTools } from "./tools/ens.js";
+import { registerWalletTools } from "./tools/wallet.js";
+import { registerSwapTools } from "./tools/swap.js";
+import { registerDeployTools } from "./tools/deploy.js";
+import { registerGasTools } from "./tools/gas.js";
+import { registerNftTools } from "./tools/nft.js";
+
+// Registration function and tool names of each tool group (see TOOL_GROUPS).
+// Groups marked needsWallet register nothing without a signing key.
+const TOOL_REGISTRARS = {
+  "utility": { register: registerUtilityTools, tools: ["add"] },
+  "balance": { register: registerBalanceTools, tools: ["getEthBalance", "getTransactionCount"] },
+  "transactions": { register: registerTransactionTools, tools: ["getTransaction", "simulateTransaction"] },
+  "contracts": { register: registerContractTools, tools: ["callContract", "getContractEvents"] },
+  "ens": { register: registerEnsTools, tools: ["resolveEns"] },
+  "tokens": { register: registerTokenTools, tools: ["getTokensBalance"] },
+  "wallet": { register: registerWalletTools, tools: ["sendEth", "transferToken", "approveToken"], needsWallet: true },
+  "swap": { register: registerSwapTools, tools: ["getSwapQuote", "executeSwap"] },
+  "deploy": { register: registerDeployTools, tools: ["deployToken"], needsWallet: true },
+  "gas": { register: registerGasTools, tools: ["getGasOracle"] },
+  "nft": { register: registerNftTools, tools: ["getNftMetadata", "getNftHoldings"] },
+  "profitability": { register: registerProfitabilityTools, tools: ["getWalletPnl"] },
+  "audit": { register: registerAuditTool, tools: ["auditContract", "getContractSource"] },
+  "token-risk": { register: registerTokenRiskTools, tools: ["scanTokenRisk"] },
+  "token-analysis": { register: registerTokenAnalysisTools, tools: ["getTokenInfo", "getTokenPriceHistory", "analyzeToken"] },
+  "twitter": { register: registerTwitterTools, tools: ["searchTwitter", "twitterSearchHelp"] },
+  "cache": { register: registerCacheTools, tools: ["getCacheStats", "clearCache"] }
+};
 
 // Add global error handling to prevent crashes
 process.on('uncaughtException', (err) => {
@@ -36,36 +117,204 @@ process.on('uncaughtException', (err) => {
 // Load environment variables from .env file
 dotenv.config();
 
-// Show environment variable status for debugging
-console.error('Environment variables loaded:');
-console.error('- ETH_RPC_URL present:', !!process.env.ETH_RPC_URL);
-console.error('- MORALIS_API_KEY present:', !!process.env.MORALIS_API_KEY);
-console.error('- ETHERSCAN_API_KEY present:', !!process.env.ETHERSCAN_API_KEY);
+/**
+ * Create an MCP server with the tools of the session's permission profile
+ * registered. The stdio transport uses one; the HTTP transport creates one
+ * per session, all sharing the same Web3 instances, cache and quotas.
+ * @param {Web3} web3 - Default (Ethereum mainnet) Web3 instance
+ * @param {Object} config - Settings from loadConfig
+ * @param {Object} [auth] - Auth info of an HTTP session ({ token, clientId })
+ * @returns {McpServer} Server ready to connect to a transport
+ */
+function createServer(web3, config, auth) {
+  const server = new McpServer({
+    name: "Ethereum Tools",
+    version: "1.0.0"
+  });
 
-// Create an MCP server with metadata
-const server = new McpServer({
-  name: "Ethereum Tools",
-  version: "1.0.0"
-});
+  // Register the tools - each tool group is managed in a separate module
+  const profile = resolveProfile(config, auth);
+  restrictTools(server, profile);
+  profile.groups.forEach(group => TOOL_REGISTRARS[group].register(server, web3));
+
+  return server;
+}
+
+/**
+ * Names of the tools registered by some tool groups
+ * @param {string[]} groups - Tool groups
+ * @returns {string[]} Tool names
+ */
+function getToolNames(groups) {
+  return groups
+    .filter(group => !TOOL_REGISTRARS[group].needsWallet || isWalletConfigured())
+    .flatMap(group => TOOL_REGISTRARS[group].tools);
+}
+
+/**
+ * Start the server on the configured transport
+ * @param {Object} config - Settings from loadConfig, already applied to the environment
+ */
+async function startServer(config) {
+  // Show environment variable status for debugging
+  console.error('Environment variables loaded:');
+  console.error('- ETH_RPC_URL present:', !!process.env.ETH_RPC_URL);
+  console.error('- MORALIS_API_KEY present:', !!process.env.MORALIS_API_KEY);
+  console.error('- ETHERSCAN_API_KEY present:', !!process.env.ETHERSCAN_API_KEY);
+
+  // Recording has to start before any Web3 instance is created
+  if (config.recording?.mode && config.recording.mode !== "off") {
+    try {
+      startRecording(config.recording);
+    } catch (error) {
+      console.error(`Could not start the ${config.recording.mode}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Initialize the default (Ethereum mainnet) Web3 instance from the chain registry,
+  // which uses ETH_RPC_URL when set and falls back to a public node otherwise
+  const web3 = getWeb3("eth");
+
+  const profile = resolveProfile(config);
+  if (profile.name || profile.groups.length < TOOL_GROUPS.length || config.readOnly) {
+    console.error(`${profile.name ? `Profile ${profile.name}, tool` : "Tool"} groups: ${profile.groups.join(", ") || "none"}${config.readOnly ? " (read-only)" : ""}`);
+  }
+  findUnknownTools(config, getToolNames(getEnabledToolGroups(config)))
+    .forEach(message => console.error(`Warning: ${message}`));
+
+  if (config.transport?.type === "http") {
+    let httpServer;
+    try {
+      httpServer = await startHttpServer(auth => createServer(web3, config, auth), getHttpServerOptions());
+    } catch (error) {
+      console.error(`Could not start the HTTP server: ${error.message}`);
+      process.exit(1);
+    }
+    const shutdown = () => {
+      httpServer.close(() => process.exit(0));
+      // Open SSE streams would otherwise keep the server from closing
+      httpServer.closeAllConnections();
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  } else {
+    // Start receiving messages on stdin and sending messages on stdout
+    await createServer(web3, config).connect(new StdioServerTransport());
+  }
+}
+
+/**
+ * Load and validate the settings and export them to the environment, exiting
+ * with the list of problems if they are invalid
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} Settings
+ */
+function loadSettings(options) {
+  const overrides = {};
+  if (options.rpc) overrides.rpc = options.rpc;
+  if (options.transport || options.host || options.port) {
+    overrides.transport = { type: options.transport, host: options.host, port: options.port };
+    Object.keys(overrides.transport).forEach(key => overrides.transport[key] === undefined && delete overrides.transport[key]);
+  }
+  if (options.readOnly) overrides.readOnly = true;
+  if (options.profile) overrides.profile = options.profile;
+  if (options.record) overrides.recording = { mode: "record", dir: path.resolve(options.record) };
+  if (options.replay) overrides.recording = { mode: "replay", dir: path.resolve(options.replay) };
+  if (options.enable || options.disable) {
+    overrides.tools = { ...(options.enable && { enable: options.enable }), ...(options.disable && { disable: options.disable }) };
+  }
+
+  try {
+    const config = loadConfig({ configPath: options.config, overrides });
+    applyConfig(config);
+    return config;
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse an --rpc value, "<url>" for Ethereum or "<chain>=<url>", adding it to
+ * the endpoints given so far
+ * @param {string} value - Option value
+ * @param {Object} previous - Endpoints by chain key
+ * @returns {Object} Endpoints by chain key
+ */
+function parseRpcOption(value, previous = {}) {
+  const match = value.match(/^([a-z0-9-]+)=(.+)$/i);
+  let chain;
+  try {
+    chain = resolveChain(match ? match[1] : "eth");
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+  const url = match ? match[2] : value;
+  return { ...previous, [chain.key]: [...(previous[chain.key] || []), url] };
+}
+
+/**
+ * Parse an --enable / --disable value, a comma-separated list of tool groups
+ * @param {string} value - Option value
+ * @param {string[]} previous - Groups given so far
+ * @returns {string[]} Groups
+ */
+function parseGroupsOption(value, previous = []) {
+  const groups = value.split(",").map(group => group.trim()).filter(Boolean);
+  const unknown = groups.filter(group => !TOOL_GROUPS.includes(group));
+  if (unknown.length > 0) {
+    throw new InvalidArgumentError(`Unknown tool group ${unknown.join(", ")}; available: ${TOOL_GROUPS.join(", ")}`);
+  }
+  return [...previous, ...groups];
+}
+
+/**
+ * Parse a --port value
+ * @param {string} value - Option value
+ * @returns {number} Port
+ */
+function parsePortOption(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new InvalidArgumentError("Must be a port number between 1 and 65535");
+  }
+  return port;
+}
+
+const program = new Command()
+  .name("zk-mcp")
+  .description("Ethereum Tools MCP server for smart contract analysis, balance checking and blockchain data retrieval")
+  .option("-c, --config <file>", "JSON or YAML config file (default $MCP_CONFIG)")
+  .option("--rpc <endpoint>", "RPC endpoint: <url> for Ethereum or <chain>=<url>; repeat for more chains or fallbacks", parseRpcOption)
+  .addOption(new Option("--transport <type>", "MCP transport").choices(["stdio", "http"]))
+  .option("--host <host>", "HTTP transport listen address")
+  .option("--port <port>", "HTTP transport port", parsePortOption)
+  .option("--read-only", "Ignore the signing key, so no tool can sign or send transactions")
+  .option("--enable <groups>", `Only register these comma-separated tool groups (${TOOL_GROUPS.join(", ")})`, parseGroupsOption)
+  .option("--disable <groups>", "Do not register these comma-separated tool groups", parseGroupsOption)
+  .option("--profile <name>", "Permission profile from the config file for stdio and HTTP sessions without a profile token")
+  .addOption(new Option("--record <dir>", "Record every upstream request and response to fixtures in this directory").conflicts("replay"))
+  .option("--replay <dir>", "Serve upstream responses from a recording instead of the network")
+  .action(async options => {
+    await startServer(loadSettings(options));
+  });
+
+program.command("doctor")
+  .description("Check that each configured RPC endpoint and API key works, then exit")
+  .action(async (options, command) => {
+    const config = loadSettings(command.optsWithGlobals());
+    const profile = resolveProfile(config);
+    console.log(`⚙️  Config file: ${command.optsWithGlobals().config || process.env.MCP_CONFIG || "none (environment only)"}`);
+    if (profile.name) {
+      console.log(`👤 Profile: ${profile.name} (of ${Object.keys(config.profiles).join(", ")})`);
+    }
+    console.log(`🧰 Tool groups: ${profile.groups.join(", ") || "none"}${config.readOnly ? " (read-only)" : ""}\n`);
+
+    const report = await runDoctor(getConfiguredChains(config));
+    console.log(formatDoctorReport(report));
+    process.exit(report.ok ? 0 : 1);
+  });
 
-// Initialize Web3 with the provider from .env or fallback
-// Added check to handle template literals that weren't properly substituted
-const eth_rpc = process.env.ETH_RPC_URL;
-const web3 = new Web3(
-  (eth_rpc && !eth_rpc.includes("${")) ? eth_rpc : 'https://eth.llamarpc.com'
-);
-
-// Register all tools - each tool group is managed in a separate module
-registerUtilityTools(server);
-registerBalanceTools(server, web3);
-registerTokenTools(server);
-registerProfitabilityTools(server);
-registerAuditTool(server);
-registerTokenAnalysisTools(server);
-registerTwitterTools(server);
-
-// Start receiving messages on stdin and sending messages on stdout
-const transport = new StdioServerTransport();
-
-// Connect the server to the transport
-await server.connect(transport);
\ No newline at end of file
+await program.parseAsync();
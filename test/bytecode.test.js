@@ -0,0 +1,30 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { disassemble, extractSelectors } from "../lib/bytecode.js";
+
+// Dispatcher entries: DUP1 PUSHn <selector> EQ PUSH2 <dest> JUMPI
+const entry = (push, selector) => `80${push}${selector}1461001057`;
+
+describe("extractSelectors", () => {
+  it("reads PUSH4 selectors in both dispatcher forms", () => {
+    // PUSH4 <selector> DUP2 EQ PUSH2 <dest> JUMPI
+    const code = `0x${entry("63", "a9059cbb")}6370a082318114610020575b`;
+    assert.deepEqual(extractSelectors(disassemble(code)), ["0xa9059cbb", "0x70a08231"]);
+  });
+
+  it("left-pads selectors pushed with PUSH1-PUSH3", () => {
+    const code = `0x${entry("62", "fdd58e")}${entry("61", "abcd")}${entry("60", "01")}`;
+    assert.deepEqual(extractSelectors(disassemble(code)), ["0x00fdd58e", "0x0000abcd", "0x00000001"]);
+  });
+
+  it("ignores short pushes outside the selector comparison", () => {
+    // PUSH1 0x04 CALLDATASIZE LT PUSH2 <dest> JUMPI, then PUSH1 0x00 DUP1 ... EQ
+    const code = "0x6004361061003057600080351461004057";
+    assert.deepEqual(extractSelectors(disassemble(code)), []);
+  });
+
+  it("skips the 0xffffffff mask and duplicates", () => {
+    const code = `0x${entry("63", "ffffffff")}${entry("63", "a9059cbb")}${entry("63", "a9059cbb")}`;
+    assert.deepEqual(extractSelectors(disassemble(code)), ["0xa9059cbb"]);
+  });
+});
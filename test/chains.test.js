@@ -0,0 +1,109 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { Web3 } from "web3";
+import { resolveChain, resolveEvmChain, getRpcUrls, getRpcEnvName, FailoverProvider } from "../lib/chains.js";
+import { listen, close } from "./helpers.js";
+
+describe("chain registry", () => {
+  it("resolves keys, aliases and decimal or hex chain IDs", () => {
+    assert.equal(resolveChain().key, "eth");
+    assert.equal(resolveChain("Arbitrum").key, "arbitrum");
+    assert.equal(resolveChain("8453").key, "base");
+    assert.equal(resolveChain("0x2105").key, "base");
+    assert.throws(() => resolveChain("nope"), /Unsupported chain "nope"/);
+  });
+
+  it("resolves the local dev node under its aliases and chain ID", () => {
+    for (const alias of ["local", "localhost", "anvil", "hardhat", "devnet", "31337", "0x7a69"]) {
+      assert.equal(resolveChain(alias).key, "local", alias);
+    }
+    const local = resolveEvmChain("anvil");
+    assert.equal(local.chainId, 31337);
+    assert.equal(local.testnet, true);
+    assert.deepEqual(local.rpcUrls, ["http://127.0.0.1:8545"]);
+  });
+
+  it("rejects non-EVM chains where an EVM chain is required", () => {
+    assert.equal(resolveChain("solana").evm, false);
+    assert.throws(() => resolveEvmChain("sol"), /not an EVM chain/);
+  });
+});
+
+describe("getRpcUrls", () => {
+  const saved = { ...process.env };
+  after(() => {
+    process.env = saved;
+  });
+
+  it("names the override variable after the chain key", () => {
+    assert.equal(getRpcEnvName("base-sepolia"), "BASE_SEPOLIA_RPC_URL");
+    assert.equal(getRpcEnvName("anvil"), "LOCAL_RPC_URL");
+  });
+
+  it("prefers a comma-separated override list over the registry defaults", () => {
+    process.env.LOCAL_RPC_URL = " http://127.0.0.1:9545 , http://127.0.0.1:9546,";
+    assert.deepEqual(getRpcUrls("local"), ["http://127.0.0.1:9545", "http://127.0.0.1:9546"]);
+  });
+
+  it("ignores unsubstituted template literals", () => {
+    process.env.LOCAL_RPC_URL = "${LOCAL_RPC_URL}";
+    assert.deepEqual(getRpcUrls("local"), ["http://127.0.0.1:8545"]);
+  });
+});
+
+describe("FailoverProvider", () => {
+  let down, failing, healthy, rejecting;
+  const calls = { failing: 0, healthy: 0, rejecting: 0 };
+
+  before(async () => {
+    // Nothing listens on the port of a closed server
+    down = await listen(http.createServer());
+    await close(down.server);
+    failing = await listen(http.createServer((request, response) => {
+      calls.failing++;
+      response.writeHead(502, { "content-type": "text/html" });
+      response.end("<html>Bad gateway</html>");
+    }));
+    healthy = await listen(http.createServer((request, response) => {
+      calls.healthy++;
+      let body = "";
+      request.on("data", chunk => body += chunk);
+      request.on("end", () => {
+        response.writeHead(200, { "content-type": "application/json" });
+        response.end(JSON.stringify({ jsonrpc: "2.0", id: JSON.parse(body).id, result: "0x2a" }));
+      });
+    }));
+    rejecting = await listen(http.createServer((request, response) => {
+      calls.rejecting++;
+      response.writeHead(401, { "content-type": "application/json" });
+      response.end(JSON.stringify({ jsonrpc: "2.0", id: 1, error: { code: -32000, message: "unauthorized" } }));
+    }));
+  });
+
+  after(async () => {
+    await Promise.all([failing, healthy, rejecting].map(({ server }) => close(server)));
+  });
+
+  it("moves past unreachable endpoints and 5xx responses, then sticks to the one that answered", async () => {
+    const web3 = new Web3(new FailoverProvider("local", [down.url, failing.url, healthy.url]));
+
+    assert.equal(await web3.eth.getBlockNumber(), 42n);
+    assert.equal(await web3.eth.getBlockNumber(), 42n);
+    assert.equal(calls.failing, 1);
+    assert.equal(calls.healthy, 2);
+  });
+
+  it("returns 4xx responses without trying the next endpoint", async () => {
+    const web3 = new Web3(new FailoverProvider("local", [rejecting.url, healthy.url]));
+    const healthyCalls = calls.healthy;
+
+    await assert.rejects(web3.eth.getBlockNumber());
+    assert.equal(calls.rejecting, 1);
+    assert.equal(calls.healthy, healthyCalls);
+  });
+
+  it("only accepts http(s) endpoints", () => {
+    assert.throws(() => new FailoverProvider("local", [healthy.url, "ws://127.0.0.1:8546"]), /must be http\(s\) URLs/);
+  });
+});
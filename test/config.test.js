@@ -0,0 +1,118 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import path from "path";
+import { loadConfig, applyConfig, getEnabledToolGroups, ConfigError, TOOL_GROUPS } from "../lib/config.js";
+import { tempDir } from "./helpers.js";
+
+const baseEnv = { ...process.env };
+
+/**
+ * Write a config file into a fresh directory
+ * @param {string} name - File name, e.g. "config.yaml"
+ * @param {string} contents - File contents
+ * @returns {string} File path
+ */
+function writeConfig(name, contents) {
+  const file = path.join(tempDir("config"), name);
+  writeFileSync(file, contents);
+  return file;
+}
+
+/**
+ * Issues reported by loadConfig
+ * @param {Object} options - loadConfig options
+ * @returns {string[]} Issues
+ */
+function getIssues(options) {
+  try {
+    loadConfig(options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    return error.issues;
+  }
+  assert.fail("expected a ConfigError");
+}
+
+describe("loadConfig", () => {
+  beforeEach(() => {
+    process.env = { ...baseEnv };
+    for (const name of Object.keys(process.env)) {
+      if (/^(MCP_|WALLET_|CACHE_)|_RPC_URL$|_API_KEY$/.test(name)) delete process.env[name];
+    }
+  });
+
+  it("reads YAML files and resolves relative paths against the file", () => {
+    const file = writeConfig("config.yaml", [
+      "rpc:",
+      "  local: [http://127.0.0.1:8545, http://127.0.0.1:8546]",
+      "tools:",
+      "  disable: twitter",
+      "cache:",
+      "  file: ./cache.json"
+    ].join("\n"));
+
+    const config = loadConfig({ configPath: file });
+    assert.deepEqual(config.rpc.local, ["http://127.0.0.1:8545", "http://127.0.0.1:8546"]);
+    assert.deepEqual(config.tools.disable, ["twitter"]);
+    assert.equal(config.cache.file, path.join(path.dirname(file), "cache.json"));
+
+    applyConfig(config);
+    assert.equal(process.env.LOCAL_RPC_URL, "http://127.0.0.1:8545,http://127.0.0.1:8546");
+    assert.equal(process.env.CACHE_FILE, config.cache.file);
+  });
+
+  it("reports every invalid or unknown setting of a file", () => {
+    const file = writeConfig("config.json", JSON.stringify({
+      rpc: { local: "ftp://example.com" },
+      transport: { port: 70000 },
+      tools: { enable: ["wallets"] },
+      cach: {}
+    }));
+
+    const issues = getIssues({ configPath: file });
+    assert.equal(issues.length, 4, issues.join("\n"));
+    assert.ok(issues.some(issue => issue.includes("rpc.local")));
+    assert.ok(issues.some(issue => issue.includes("transport.port")));
+    assert.ok(issues.some(issue => issue.includes("tools.enable")));
+    assert.ok(issues.some(issue => issue.includes("cach")));
+  });
+
+  it("names the environment variable behind an invalid setting", () => {
+    process.env.MCP_HTTP_PORT = "eighty";
+    assert.ok(getIssues({}).some(issue => issue.includes("MCP_HTTP_PORT")));
+  });
+
+  it("lets command line overrides win over the environment and the file", () => {
+    process.env.MCP_TRANSPORT = "http";
+    const file = writeConfig("config.yaml", "transport:\n  type: http\n  port: 4000\n");
+
+    const config = loadConfig({ configPath: file, overrides: { transport: { type: "stdio" } } });
+    assert.equal(config.transport.type, "stdio");
+    assert.equal(config.transport.port, 4000);
+  });
+
+  it("checks profiles and tool conflicts across the merged settings", () => {
+    const file = writeConfig("config.yaml", [
+      "tools:",
+      "  allow: [getEthBalance]",
+      "  deny: [getEthBalance]",
+      "profiles:",
+      "  a: { tokens: [shared] }",
+      "  b: { tokens: [shared] }",
+      "profile: missing"
+    ].join("\n"));
+
+    assert.deepEqual(getIssues({ configPath: file }), [
+      "tools: getEthBalance cannot be in both allow and deny",
+      "profiles a and b share a token",
+      "profile missing is not defined; profiles: a, b"
+    ]);
+  });
+
+  it("leaves out the signing tool groups in read-only mode", () => {
+    const config = loadConfig({ overrides: { readOnly: true } });
+    assert.deepEqual(getEnabledToolGroups(config), TOOL_GROUPS.filter(group => !["wallet", "deploy"].includes(group)));
+    assert.ok(getIssues({ overrides: { readOnly: true, tools: { enable: ["wallet"] } } })[0].includes("read-only mode"));
+  });
+});
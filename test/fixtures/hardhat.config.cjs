@@ -0,0 +1,6 @@
+// Hardhat network for the local node tests: anvil/hardhat chain ID and default accounts
+module.exports = {
+  networks: {
+    hardhat: { chainId: 31337 }
+  }
+};
@@ -0,0 +1,35 @@
+import { mkdtempSync } from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Start an HTTP server on a free loopback port
+ * @param {http.Server} server - Server to start
+ * @returns {Promise<Object>} { server, url }
+ */
+export function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+/**
+ * Stop an HTTP server, dropping idle keep-alive connections
+ * @param {http.Server} server - Server to stop
+ * @returns {Promise<void>} Resolves once closed
+ */
+export function close(server) {
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
+
+/**
+ * Create an empty temporary directory
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Directory path
+ */
+export function tempDir(prefix) {
+  return mkdtempSync(path.join(os.tmpdir(), `zk-mcp-${prefix}-`));
+}
@@ -0,0 +1,147 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { startHttpServer } from "../lib/http-server.js";
+import { close } from "./helpers.js";
+
+const OPTIONS = {
+  host: "127.0.0.1",
+  port: 0,
+  authTokens: ["alpha-token", "beta-token"],
+  allowedOrigins: ["https://app.example"],
+  sessionTimeoutMs: 60000,
+  maxSessions: 2
+};
+
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "http-server-test", version: "1.0.0" } }
+};
+
+const INITIALIZED = { jsonrpc: "2.0", method: "notifications/initialized" };
+
+/**
+ * Create an MCP server without tools, recording the auth info it was opened with
+ * @param {Array<Object>} opened - Collected auth info
+ * @returns {Function} Server factory for startHttpServer
+ */
+function serverFactory(opened) {
+  return auth => {
+    opened.push(auth);
+    return new McpServer({ name: "http-server-test", version: "1.0.0" });
+  };
+}
+
+describe("startHttpServer", () => {
+  let server, url;
+  const opened = [];
+
+  before(async () => {
+    server = await startHttpServer(serverFactory(opened), OPTIONS);
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await close(server);
+  });
+
+  /**
+   * POST a JSON-RPC message to /mcp
+   * @param {Object} body - Message
+   * @param {Object} [headers] - Extra request headers
+   * @returns {Promise<Response>} Response, with its body consumed so the connection is released
+   */
+  const post = async (body, headers = {}) => {
+    const response = await fetch(`${url}/mcp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream", ...headers },
+      body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+    await response.text();
+    return response;
+  };
+
+  it("answers health checks without a token", async () => {
+    const response = await fetch(`${url}/health`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, "ok");
+  });
+
+  it("rejects requests without a valid token", async () => {
+    const missing = await post(INITIALIZE);
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers.get("www-authenticate"), /^Bearer/);
+
+    const wrong = await post(INITIALIZE, { Authorization: "Bearer gamma-token" });
+    assert.equal(wrong.status, 401);
+    assert.equal(opened.length, 0);
+  });
+
+  it("rejects browser origins that are not allowed", async () => {
+    const response = await post(INITIALIZE, { Authorization: "Bearer alpha-token", Origin: "https://evil.example" });
+    assert.equal(response.status, 403);
+    assert.equal(response.headers.get("access-control-allow-origin"), null);
+    assert.equal(opened.length, 0);
+  });
+
+  it("answers unknown endpoints with 404", async () => {
+    const response = await fetch(`${url}/admin`, { headers: { "X-API-Key": "alpha-token" } });
+    assert.equal(response.status, 404);
+  });
+
+  it("refuses bodies over the size limit with 413", async () => {
+    const response = await post(`{"padding":"${"x".repeat(4 * 1024 * 1024)}"}`, { Authorization: "Bearer alpha-token" });
+    assert.equal(response.status, 413);
+  });
+
+  it("binds a session to the token that opened it", async () => {
+    const initialized = await post(INITIALIZE, { Authorization: "Bearer alpha-token", Origin: "https://app.example" });
+    assert.equal(initialized.status, 200);
+    assert.equal(initialized.headers.get("access-control-allow-origin"), "https://app.example");
+    const sessionId = initialized.headers.get("mcp-session-id");
+    assert.ok(sessionId);
+    assert.match(opened.at(-1).clientId, /^token-/);
+
+    const stolen = await post(INITIALIZED, { Authorization: "Bearer beta-token", "Mcp-Session-Id": sessionId });
+    assert.equal(stolen.status, 404);
+
+    // Either header carries the token
+    const owner = await post(INITIALIZED, { "X-API-Key": "alpha-token", "Mcp-Session-Id": sessionId });
+    assert.equal(owner.status, 202);
+  });
+
+  it("refuses sessions beyond maxSessions", async () => {
+    const second = await post(INITIALIZE, { Authorization: "Bearer beta-token" });
+    assert.equal(second.status, 200);
+
+    const third = await post(INITIALIZE, { Authorization: "Bearer beta-token" });
+    assert.equal(third.status, 503);
+    assert.equal(opened.length, OPTIONS.maxSessions);
+  });
+});
+
+describe("startHttpServer without tokens", () => {
+  it("refuses to listen on a non-loopback host", async () => {
+    await assert.rejects(
+      startHttpServer(serverFactory([]), { ...OPTIONS, host: "0.0.0.0", authTokens: [] }),
+      /Refusing to listen on 0\.0\.0\.0 without authentication/
+    );
+  });
+
+  it("accepts unauthenticated requests on loopback", async () => {
+    const server = await startHttpServer(serverFactory([]), { ...OPTIONS, authTokens: [] });
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/mcp`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream" },
+        body: JSON.stringify(INITIALIZE)
+      });
+      assert.equal(response.status, 200);
+      await response.text();
+    } finally {
+      await close(server);
+    }
+  });
+});
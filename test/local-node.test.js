@@ -0,0 +1,168 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { writeFileSync } from "fs";
+import { createRequire } from "module";
+import path from "path";
+import { fileURLToPath } from "url";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { tempDir } from "./helpers.js";
+
+// First two default accounts of anvil and hardhat
+const WALLET_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const WALLET = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const RECIPIENT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+const NODE_START_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Start a hardhat node on a free port, unless LOCAL_RPC_URL already points
+ * at a running anvil or hardhat node
+ * @returns {Promise<Object>} { url, child (null for an external node) }
+ */
+async function startLocalNode() {
+  if (process.env.LOCAL_RPC_URL) {
+    return { url: process.env.LOCAL_RPC_URL, child: null };
+  }
+
+  const cli = createRequire(import.meta.url).resolve("hardhat/internal/cli/cli.js");
+  const config = fileURLToPath(new URL("./fixtures/hardhat.config.cjs", import.meta.url));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [cli, "--config", config, "node", "--hostname", "127.0.0.1", "--port", String(port)], {
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("hardhat node did not start")), NODE_START_TIMEOUT_MS);
+    let output = "";
+    child.stdout.on("data", chunk => {
+      output += chunk;
+      if (output.includes("Started HTTP")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`hardhat node exited with ${code}: ${output}`));
+    });
+  });
+  return { url: `http://127.0.0.1:${port}`, child };
+}
+
+/**
+ * Call a tool and return its structured result, failing on tool errors
+ * @param {Client} client - Connected MCP client
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} Structured content
+ */
+async function callTool(client, name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  assert.ok(!result.isError, result.content?.[0]?.text);
+  return result.structuredContent;
+}
+
+describe("local node end to end", { timeout: 120 * 1000 }, () => {
+  const dir = tempDir("local-node");
+  const policyFile = path.join(dir, "wallet-policy.json");
+  let node, client, web3;
+
+  /**
+   * Write the wallet policy: live transactions on the local chain only
+   * @param {Object} tokens - Token limits by address
+   */
+  const writePolicy = (tokens = {}) => writeFileSync(policyFile, JSON.stringify({
+    dryRun: false,
+    chains: { local: { native: { perTransaction: "1", daily: "1.5" }, tokens } }
+  }));
+
+  before(async () => {
+    node = await startLocalNode();
+    Object.assign(process.env, {
+      LOCAL_RPC_URL: node.url,
+      WALLET_PRIVATE_KEY: WALLET_KEY,
+      WALLET_POLICY_FILE: policyFile,
+      WALLET_AUDIT_LOG: path.join(dir, "wallet-audit.jsonl"),
+      CACHE_DISABLED: "true"
+    });
+    writePolicy();
+
+    // Imported once the environment is set, as main.js does after loading its config
+    const { getWeb3 } = await import("../lib/chains.js");
+    const { registerWalletTools } = await import("../tools/wallet.js");
+    const { registerDeployTools } = await import("../tools/deploy.js");
+    const { registerTransactionTools } = await import("../tools/transactions.js");
+
+    web3 = getWeb3("local");
+    const server = new McpServer({ name: "test", version: "1.0.0" });
+    [registerWalletTools, registerDeployTools, registerTransactionTools].forEach(register => register(server, web3));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "test", version: "1.0.0" });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  after(async () => {
+    await client?.close();
+    node?.child?.kill();
+  });
+
+  let token;
+
+  it("deploys an ERC20 token from the bundled template", async () => {
+    const deployed = await callTool(client, "deployToken", {
+      standard: "ERC20", name: "Test Token", symbol: "TST", supply: "1000", chain: "local", dryRun: false
+    });
+
+    assert.equal(deployed.wallet.status, "confirmed");
+    assert.equal(deployed.owner, WALLET);
+    assert.equal(deployed.initialSupplyRaw, (1000n * 10n ** 18n).toString());
+    token = deployed.contractAddress;
+    assert.equal(deployed.wallet.to, token);
+    assert.notEqual(await web3.eth.getCode(token), "0x");
+  });
+
+  it("simulates a token transfer without sending it", async () => {
+    const data = web3.eth.abi.encodeFunctionCall({
+      type: "function", name: "transfer", inputs: [{ name: "to", type: "address" }, { name: "amount", type: "uint256" }]
+    }, [RECIPIENT, (5n * 10n ** 18n).toString()]);
+
+    const simulation = await callTool(client, "simulateTransaction", { from: WALLET, to: token, data, chain: "local" });
+    assert.equal(simulation.success, true);
+    assert.equal(BigInt(simulation.returnData), 1n);
+    assert.ok(simulation.gasEstimate > 21000);
+  });
+
+  it("transfers tokens within the policy and refuses them without a limit", async () => {
+    const refused = await client.callTool({
+      name: "transferToken", arguments: { token, to: RECIPIENT, amount: "10", chain: "local", dryRun: false }
+    });
+    assert.equal(refused.isError, true);
+    assert.match(refused.content[0].text, /no limit for TST/);
+
+    writePolicy({ [token]: { perTransaction: "100", daily: "100" } });
+    const sent = await callTool(client, "transferToken", { token, to: RECIPIENT, amount: "10", chain: "local", dryRun: false });
+    assert.equal(sent.status, "confirmed");
+
+    const balance = await web3.eth.call({
+      to: token,
+      data: web3.eth.abi.encodeFunctionCall({ type: "function", name: "balanceOf", inputs: [{ name: "a", type: "address" }] }, [RECIPIENT])
+    });
+    assert.equal(BigInt(balance), 10n * 10n ** 18n);
+  });
+
+  it("holds concurrent sends to the daily limit", async () => {
+    const send = () => client.callTool({ name: "sendEth", arguments: { to: RECIPIENT, amount: "0.9", chain: "local", dryRun: false } });
+    const results = await Promise.all([send(), send()]);
+
+    const confirmed = results.filter(result => !result.isError);
+    const refused = results.filter(result => result.isError);
+    assert.equal(confirmed.length, 1);
+    assert.equal(confirmed[0].structuredContent.status, "confirmed");
+    assert.equal(refused.length, 1);
+    assert.match(refused[0].content[0].text, /exceeds the daily limit of 1.5 ETH/);
+  });
+});
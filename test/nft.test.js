@@ -0,0 +1,66 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { fetchNftMetadata, toGatewayUrls } from "../lib/nft.js";
+import { listen, close } from "./helpers.js";
+
+describe("fetchNftMetadata", () => {
+  let server;
+  let requests = 0;
+
+  before(async () => {
+    process.env.CACHE_DISABLED = "true";
+    server = await listen(http.createServer((request, response) => {
+      requests++;
+      if (request.url.startsWith("/ipfs/redirect")) {
+        response.writeHead(302, { location: "/internal/secret" });
+        response.end();
+        return;
+      }
+      response.writeHead(200, { "content-type": "application/json" });
+      response.end(JSON.stringify({ name: "Token #1", path: request.url }));
+    }));
+  });
+
+  after(async () => {
+    delete process.env.NFT_IPFS_GATEWAYS;
+    await close(server.server);
+  });
+
+  it("maps ipfs:// and ar:// URIs to gateway URLs", () => {
+    assert.deepEqual(toGatewayUrls("ipfs://ipfs/Qm1/1.json"), ["https://ipfs.io/ipfs/Qm1/1.json", "https://dweb.link/ipfs/Qm1/1.json"]);
+    assert.deepEqual(toGatewayUrls("ar://abc"), ["https://arweave.net/abc"]);
+    assert.deepEqual(toGatewayUrls("ftp://example.com/1"), []);
+  });
+
+  it("decodes data: URIs in place", async () => {
+    const uri = `data:application/json;base64,${Buffer.from('{"name":"Inline"}').toString("base64")}`;
+    assert.deepEqual(await fetchNftMetadata(uri), { metadata: { name: "Inline" }, url: null });
+  });
+
+  it("refuses token URIs on loopback, private and link-local hosts", async () => {
+    const port = new URL(server.url).port;
+    for (const uri of [
+      `http://127.0.0.1:${port}/metadata/1`,
+      `http://localhost:${port}/metadata/1`,
+      `http://[::1]:${port}/metadata/1`,
+      `http://[::ffff:127.0.0.1]:${port}/metadata/1`,
+      "http://169.254.169.254/latest/meta-data/",
+      "http://10.0.0.1/metadata/1",
+      "http://192.168.1.1/metadata/1"
+    ]) {
+      await assert.rejects(fetchNftMetadata(uri), /Refusing to fetch/, uri);
+    }
+    assert.equal(requests, 0);
+  });
+
+  it("trusts configured gateways but checks where they redirect", async () => {
+    process.env.NFT_IPFS_GATEWAYS = `${server.url}/ipfs/`;
+
+    const { metadata } = await fetchNftMetadata("ipfs://Qm1/1.json");
+    assert.deepEqual(metadata, { name: "Token #1", path: "/ipfs/Qm1/1.json" });
+
+    await assert.rejects(fetchNftMetadata("ipfs://redirect"), /Refusing to fetch/);
+    assert.equal(requests, 2);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveProfile, restrictTools, findUnknownTools } from "../lib/profiles.js";
+
+/**
+ * Stand-in for McpServer that keeps the registered handlers
+ * @returns {Object} { registerTool, tools }
+ */
+function createServerStub() {
+  const tools = new Map();
+  return { tools, registerTool: (name, config, handler) => tools.set(name, handler) };
+}
+
+describe("permission profiles", () => {
+  const config = {
+    tools: { deny: ["searchTwitter"] },
+    profiles: {
+      research: {
+        tokens: ["research-token"],
+        tools: { disable: ["wallet"], allow: ["getEthBalance", "auditContract", "searchTwitter"] },
+        quotas: { auditContract: { calls: 2, per: "hour" } }
+      }
+    }
+  };
+
+  it("resolves the profile of an HTTP token and narrows the server-wide settings", () => {
+    const profile = resolveProfile(config, { token: "research-token", clientId: "client-1" });
+    assert.equal(profile.name, "research");
+    assert.equal(profile.clientId, "client-1");
+    assert.ok(!profile.groups.includes("wallet"));
+
+    const server = createServerStub();
+    restrictTools(server, profile);
+    for (const name of ["getEthBalance", "auditContract", "searchTwitter", "sendEth"]) {
+      server.registerTool(name, {}, async () => ({ content: [{ type: "text", text: name }] }));
+    }
+    assert.deepEqual([...server.tools.keys()], ["getEthBalance", "auditContract"]);
+  });
+
+  it("uses no profile for sessions without a matching token", () => {
+    const profile = resolveProfile(config, { token: "other", clientId: "client-2" });
+    assert.equal(profile.name, null);
+    assert.equal(profile.allow, null);
+  });
+
+  it("refuses calls past a quota, per client", async () => {
+    const call = async clientId => {
+      const server = createServerStub();
+      restrictTools(server, resolveProfile(config, { token: "research-token", clientId }));
+      server.registerTool("auditContract", {}, async () => ({ content: [{ type: "text", text: "ok" }] }));
+      return server.tools.get("auditContract")();
+    };
+
+    assert.equal((await call("quota-a")).isError, undefined);
+    assert.equal((await call("quota-a")).isError, undefined);
+    const refused = await call("quota-a");
+    assert.equal(refused.isError, true);
+    assert.match(refused.content[0].text, /quota exceeded for auditContract \(2 calls per hour\)/);
+    assert.equal((await call("quota-b")).isError, undefined);
+  });
+
+  it("reports tool names no enabled group registers", () => {
+    assert.deepEqual(findUnknownTools(config, ["getEthBalance", "auditContract"]), [
+      "tools.deny: no tool named searchTwitter",
+      "profiles.research.tools.allow: no tool named searchTwitter"
+    ]);
+  });
+});
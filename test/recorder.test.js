@@ -0,0 +1,100 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "fs";
+import http from "http";
+import path from "path";
+import { Web3, HttpProvider } from "web3";
+import { startRecording, recordedAxios, createRecordingProvider } from "../lib/recorder.js";
+import { buildSwapTransaction } from "../lib/uniswap.js";
+import { listen, close, tempDir } from "./helpers.js";
+
+const API_KEY = "etherscan-secret-key";
+const CONTRACT_A = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const CONTRACT_B = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const ROUTE = { protocol: "v2", router: CONTRACT_A, path: [CONTRACT_A, CONTRACT_B] };
+
+/**
+ * Router calldata for a V2 ETH-to-token swap with a given deadline
+ * @param {number} deadline - Unix timestamp
+ * @returns {Object} Transaction
+ */
+const swapCall = deadline => buildSwapTransaction(ROUTE, {
+  amountIn: 10n ** 18n, minimumOut: 1n, recipient: CONTRACT_B, deadline, nativeIn: true, nativeOut: false
+});
+
+describe("recorder", () => {
+  const dir = tempDir("recording");
+  let etherscan, rpc;
+
+  before(async () => {
+    // Echoes the requested address, so responses tell requests apart
+    etherscan = await listen(http.createServer((request, response) => {
+      const url = new URL(request.url, "http://localhost");
+      response.writeHead(200, { "content-type": "application/json", "x-ignored": "1" });
+      response.end(JSON.stringify({ status: "1", result: [{ address: url.searchParams.get("address") }] }));
+    }));
+    // Answers eth_call with the calldata's last byte
+    rpc = await listen(http.createServer((request, response) => {
+      let body = "";
+      request.on("data", chunk => body += chunk);
+      request.on("end", () => {
+        const { id, params } = JSON.parse(body);
+        response.writeHead(200, { "content-type": "application/json" });
+        response.end(JSON.stringify({ jsonrpc: "2.0", id, result: `0x${params[0].data.slice(-2).padStart(64, "0")}` }));
+      });
+    }));
+  });
+
+  after(async () => {
+    await Promise.all([etherscan, rpc].filter(Boolean).map(({ server }) => close(server)));
+  });
+
+  const getSource = address => recordedAxios("etherscan", {
+    url: `${etherscan.url}/api`,
+    params: { module: "contract", action: "getsourcecode", address, apikey: process.env.ETHERSCAN_API_KEY }
+  });
+
+  it("records HTTP and JSON-RPC traffic without secrets", async () => {
+    process.env.ETHERSCAN_API_KEY = API_KEY;
+    startRecording({ mode: "record", dir });
+    const web3 = new Web3(createRecordingProvider("local", new HttpProvider(rpc.url)));
+
+    const response = await getSource(CONTRACT_A);
+    assert.deepEqual(response.data.result, [{ address: CONTRACT_A }]);
+    assert.equal(await web3.eth.call({ to: CONTRACT_A, data: "0x12345601" }), `0x${"01".padStart(64, "0")}`);
+    await web3.eth.call({ to: ROUTE.router, ...swapCall(1_700_000_000) });
+
+    const manifest = JSON.parse(readFileSync(path.join(dir, "manifest.json"), "utf8"));
+    assert.deepEqual(manifest.apiKeys, ["ETHERSCAN_API_KEY"]);
+    const fixtures = ["etherscan", "rpc-local"].flatMap(scope =>
+      readdirSync(path.join(dir, scope)).map(file => readFileSync(path.join(dir, scope, file), "utf8")));
+    assert.equal(fixtures.length, 3);
+    assert.ok(fixtures.every(fixture => !fixture.includes(API_KEY)));
+    assert.ok(fixtures.every(fixture => !fixture.includes("x-ignored")));
+  });
+
+  it("replays recorded responses offline", async () => {
+    await close(etherscan.server);
+    await close(rpc.server);
+    startRecording({ mode: "replay", dir });
+    const web3 = new Web3(createRecordingProvider("local", null));
+
+    assert.equal(process.env.ETHERSCAN_API_KEY, "<redacted>");
+    assert.deepEqual((await getSource(CONTRACT_A)).data.result, [{ address: CONTRACT_A }]);
+    assert.equal(await web3.eth.call({ to: CONTRACT_A, data: "0x12345601" }), `0x${"01".padStart(64, "0")}`);
+  });
+
+  it("matches swap calls whatever their deadline", async () => {
+    const web3 = new Web3(createRecordingProvider("local", null));
+    const result = await web3.eth.call({ to: ROUTE.router, ...swapCall(1_800_000_000) });
+    assert.match(result, /^0x[0-9a-f]{64}$/);
+  });
+
+  it("fails on requests that were not recorded instead of serving a similar one", async () => {
+    const web3 = new Web3(createRecordingProvider("local", null));
+
+    await assert.rejects(getSource(CONTRACT_B), /No recorded response for etherscan:GET/);
+    await assert.rejects(web3.eth.call({ to: CONTRACT_A, data: "0x12345602" }), /No recorded response for rpc-local:eth_call/);
+    await assert.rejects(web3.eth.call({ to: ROUTE.router, ...swapCall(1_800_000_000), value: 1n }), /No recorded response/);
+  });
+});
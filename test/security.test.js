@@ -0,0 +1,208 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { writeFile } from "fs/promises";
+import path from "path";
+import { runSecurityRules, loadRules } from "../lib/security/engine.js";
+import { tempDir } from "./helpers.js";
+
+/**
+ * Run the built-in rules over a contract body and keep the reentrancy findings
+ * @param {string} body - Solidity declared inside `contract Vault { ... }`
+ * @returns {Promise<Array<Object>>} Findings
+ */
+async function findReentrancy(body) {
+  const content = `pragma solidity 0.8.24;
+interface IToken { function transfer(address to, uint256 amount) external returns (bool); }
+library Math { function add(uint256 a, uint256 b) internal pure returns (uint256) { return a + b; } }
+contract Vault {
+  using Math for uint256;
+  mapping(address => uint256) balances;
+  uint256 total;
+  address token;
+  ${body}
+}`;
+  const { findings } = await runSecurityRules([{ path: "Vault.sol", content }]);
+  return findings.filter(finding => finding.ruleId === "reentrancy");
+}
+
+describe("reentrancy rule", () => {
+  it("flags a state write after a low-level call", async () => {
+    const findings = await findReentrancy(`function withdraw() external {
+      (bool ok, ) = msg.sender.call{value: balances[msg.sender]}("");
+      require(ok);
+      balances[msg.sender] = 0;
+    }`);
+    assert.equal(findings.length, 1);
+    assert.match(findings[0].description, /Vault\.withdraw\(\) writes state variable "balances"/);
+  });
+
+  it("flags a state write after a high-level contract call", async () => {
+    const findings = await findReentrancy(`function withdraw() external {
+      IToken(token).transfer(msg.sender, balances[msg.sender]);
+      balances[msg.sender] = 0;
+    }`);
+    assert.equal(findings.length, 1);
+  });
+
+  it("ignores library calls, Ether transfers and calls on this", async () => {
+    const findings = await findReentrancy(`function settle(uint256 amount) external {
+      total = amount.add(1);
+      payable(msg.sender).transfer(amount);
+      this.settled();
+      total = 0;
+    }
+    function settled() external {}`);
+    assert.deepEqual(findings, []);
+  });
+
+  it("skips functions with a reentrancy guard, matched by exact name", async () => {
+    const guarded = await findReentrancy(`modifier nonReentrant() { _; }
+    function withdraw() external nonReentrant {
+      IToken(token).transfer(msg.sender, 1);
+      total = 0;
+    }`);
+    assert.deepEqual(guarded, []);
+
+    const unguarded = await findReentrancy(`modifier whenUnlocked() { _; }
+    function withdraw() external whenUnlocked {
+      IToken(token).transfer(msg.sender, 1);
+      total = 0;
+    }`);
+    assert.equal(unguarded.length, 1);
+  });
+});
+
+/**
+ * Run the built-in rules over a source file and keep one rule's findings
+ * @param {string} ruleId - Rule to keep
+ * @param {string} content - Solidity source
+ * @param {string} [file] - Source path
+ * @returns {Promise<Array<Object>>} Findings
+ */
+async function findRule(ruleId, content, file = "Contract.sol") {
+  const { findings } = await runSecurityRules([{ path: file, content }]);
+  return findings.filter(finding => finding.ruleId === ruleId);
+}
+
+describe("unchecked low-level call rule", () => {
+  it("flags ignored and unread success flags but not checked ones", async () => {
+    const findings = await findRule("unchecked-low-level-call", `pragma solidity 0.8.24;
+contract Payer {
+  function ignored(address to) external { to.call(""); }
+  function unread(address to) external { (bool ok, ) = to.call(""); }
+  function checked(address to) external { (bool ok, ) = to.call(""); require(ok, "failed"); }
+}`);
+    assert.deepEqual(findings.map(finding => finding.startLine), [3, 4]);
+    assert.match(findings[0].description, /Result of \.call\(\) is ignored/);
+    assert.match(findings[1].description, /Success flag "ok"/);
+  });
+});
+
+describe("tx.origin rule", () => {
+  it("flags authorization by tx.origin but not the EOA check", async () => {
+    const findings = await findRule("tx-origin-auth", `pragma solidity 0.8.24;
+contract Owned {
+  address owner;
+  function auth() external view { require(tx.origin == owner); }
+  function onlyEoa() external view { require(tx.origin == msg.sender); }
+}`);
+    assert.deepEqual(findings.map(finding => finding.startLine), [4]);
+  });
+});
+
+describe("unprotected selfdestruct and delegatecall rules", () => {
+  const content = `pragma solidity 0.8.24;
+contract Box {
+  address owner;
+  modifier onlyOwner() { require(msg.sender == owner); _; }
+  function kill() external { selfdestruct(payable(msg.sender)); }
+  function ownerKill() external onlyOwner { selfdestruct(payable(owner)); }
+  function run(address target, bytes calldata data) external { target.delegatecall(data); }
+  function ownerRun(address target, bytes calldata data) external onlyOwner { (bool ok, ) = target.delegatecall(data); require(ok); }
+  fallback() external { (bool ok, ) = owner.delegatecall(msg.data); require(ok); }
+}`;
+
+  it("flags selfdestruct without access control", async () => {
+    const findings = await findRule("unprotected-selfdestruct", content);
+    assert.deepEqual(findings.map(finding => finding.startLine), [5]);
+    assert.match(findings[0].description, /Box\.kill\(\) calls selfdestruct/);
+  });
+
+  it("flags delegatecall without access control, skipping proxy fallbacks", async () => {
+    const findings = await findRule("unprotected-delegatecall", content);
+    assert.deepEqual(findings.map(finding => finding.startLine), [7]);
+  });
+});
+
+describe("shadowing rule", () => {
+  it("flags redeclared inherited state and shadowing locals", async () => {
+    const findings = await findRule("shadowing", `pragma solidity 0.8.24;
+contract Base { uint256 fee; }
+contract Child is Base {
+  uint256 fee;
+  uint256 limit;
+  function setLimit(uint256 limit) external {}
+  function other(uint256 amount) external { uint256 total = amount; }
+}`);
+    assert.deepEqual(findings.map(finding => finding.startLine), [4, 6]);
+  });
+});
+
+describe("floating pragma rule", () => {
+  it("flags version ranges outside package dependencies", async () => {
+    const floating = "pragma solidity ^0.8.0;\ncontract A {}";
+    assert.equal((await findRule("floating-pragma", floating)).length, 1);
+    assert.equal((await findRule("floating-pragma", "pragma solidity >=0.8.0 <0.9.0;\ncontract A {}")).length, 1);
+    assert.deepEqual(await findRule("floating-pragma", "pragma solidity 0.8.24;\ncontract A {}"), []);
+    assert.deepEqual(await findRule("floating-pragma", floating, "@openzeppelin/contracts/A.sol"), []);
+  });
+});
+
+describe("timestamp dependence rule", () => {
+  it("flags comparisons on block.timestamp", async () => {
+    const findings = await findRule("timestamp-dependence", `pragma solidity 0.8.24;
+contract Sale {
+  uint256 end;
+  function buy() external view { require(block.timestamp < end); }
+}`);
+    assert.deepEqual(findings.map(finding => finding.startLine), [4]);
+  });
+
+  it("ignores the words known and unknown", async () => {
+    const findings = await findRule("timestamp-dependence", `pragma solidity 0.8.24;
+contract Registry {
+  // Entries are either known or unknown
+  mapping(address => bool) known;
+  function isUnknown(address who) external view returns (bool unknown) { unknown = !known[who]; }
+}`);
+    assert.deepEqual(findings, []);
+  });
+});
+
+describe("custom rules", () => {
+  it("loads rule modules from a directory", async () => {
+    const dir = tempDir("rules");
+    await writeFile(path.join(dir, "no-assembly.mjs"), `export default {
+  id: "no-assembly", title: "Inline assembly", severity: "Info", description: "Uses inline assembly",
+  check({ ast, report }) {
+    const visit = node => {
+      if (!node || typeof node !== "object") return;
+      if (node.type === "InlineAssemblyStatement") report(node);
+      Object.values(node).forEach(child => Array.isArray(child) ? child.forEach(visit) : visit(child));
+    };
+    visit(ast);
+  }
+};`);
+    const rules = await loadRules(dir);
+    const { findings } = await runSecurityRules([{
+      path: "Asm.sol",
+      content: "pragma solidity 0.8.24;\ncontract Asm {\n  function f() external { assembly { stop() } }\n}"
+    }], { rules });
+    assert.deepEqual(findings.filter(finding => finding.ruleId === "no-assembly").map(finding => finding.startLine), [3]);
+  });
+
+  it("reports a missing rules directory as an engine error", async () => {
+    const missing = path.join(tempDir("rules"), "missing");
+    await assert.rejects(loadRules(missing), /Cannot load custom security rules from AUDIT_RULES_DIR/);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { Web3 } from "web3";
+import { simulateTransaction, computeBalanceChanges, NATIVE_TRANSFER_ADDRESS } from "../lib/simulation.js";
+import { listen, close } from "./helpers.js";
+
+const WALLET = "0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266";
+const ROUTER = "0x7a250d5630b4cf539739df2c5dacb4c659f2488d";
+const TOKEN = "0x1f9840a85d5af5bf1d1762f925bdaddc4201f984";
+const POOL = "0xd3d2e2692501a5c9ca623199d38826e513033a17";
+const LIBRARY = "0x00000000000000000000000000000000000000aa";
+
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+const word = value => BigInt(value).toString(16).padStart(64, "0");
+const topic = address => `0x${address.slice(2).padStart(64, "0")}`;
+const transferLog = (token, from, to, amount, position) => ({
+  address: token, topics: [TRANSFER_TOPIC, topic(from), topic(to)], data: `0x${word(amount)}`, ...(position === undefined ? {} : { position: `0x${position.toString(16)}` })
+});
+
+// callTracer frame of a swap: the router forwards ETH to the pool, which sends tokens back.
+// A reverted probe and a DELEGATECALL must not move anything.
+const CALL_TRACER_FRAME = {
+  type: "CALL", from: WALLET, to: ROUTER, value: "0xde0b6b3a7640000", gasUsed: "0x1d4c0", input: "0x7ff36ab5", output: "0x",
+  calls: [
+    {
+      type: "CALL", from: ROUTER, to: POOL, value: "0xde0b6b3a7640000", gasUsed: "0x9c40", input: "0x022c0d9f",
+      logs: [transferLog(TOKEN, POOL, WALLET, 500n, 0)]
+    },
+    {
+      type: "STATICCALL", from: ROUTER, to: TOKEN, gasUsed: "0x100", input: "0x70a08231", error: "execution reverted",
+      logs: [transferLog(TOKEN, TOKEN, ROUTER, 1n, 0)]
+    },
+    { type: "DELEGATECALL", from: ROUTER, to: LIBRARY, value: "0xde0b6b3a7640000", gasUsed: "0x200", input: "0x12345678" }
+  ],
+  // Emitted after the first two subcalls
+  logs: [{ address: ROUTER, topics: ["0x1c411e9a96e071241c2f21f7726b17ae89e3cab4c78be50e062b03a9fffbbad1"], data: "0x", position: "0x2" }]
+};
+
+// eth_simulateV1 result of the same swap: ETH movements appear as Transfer logs of NATIVE_TRANSFER_ADDRESS
+const SIMULATE_V1_RESULT = [{
+  calls: [{
+    status: "0x1",
+    gasUsed: "0x1d4c0",
+    returnData: "0x",
+    logs: [
+      transferLog(NATIVE_TRANSFER_ADDRESS, WALLET, ROUTER, 10n ** 18n),
+      transferLog(NATIVE_TRANSFER_ADDRESS, ROUTER, POOL, 10n ** 18n),
+      transferLog(TOKEN, POOL, WALLET, 500n)
+    ]
+  }]
+}];
+
+// Default struct logger output, returned by nodes that ignore the tracer option
+const STRUCT_LOGS = { gas: 21000, failed: false, returnValue: "", structLogs: [{ pc: 0, op: "STOP" }] };
+
+describe("simulateTransaction", () => {
+  let rpc, web3;
+  // Result (or error) per method; the tests swap the tracing methods
+  const responses = {};
+
+  before(async () => {
+    rpc = await listen(http.createServer((request, response) => {
+      let body = "";
+      request.on("data", chunk => body += chunk);
+      request.on("end", () => {
+        const { id, method } = JSON.parse(body);
+        const answer = responses[method] ?? { error: { code: -32601, message: `the method ${method} does not exist` } };
+        response.writeHead(200, { "content-type": "application/json" });
+        response.end(JSON.stringify({ jsonrpc: "2.0", id, ...answer }));
+      });
+    }));
+    web3 = new Web3(rpc.url);
+    Object.assign(responses, { eth_call: { result: "0x" }, eth_estimateGas: { result: "0x1e848" } });
+  });
+
+  after(async () => {
+    await close(rpc.server);
+  });
+
+  const simulate = () => simulateTransaction(web3, { from: WALLET, to: ROUTER, value: 10n ** 18n, data: "0x7ff36ab5" });
+
+  const balanceChanges = simulation => computeBalanceChanges(simulation, {
+    nativeSymbol: "ETH",
+    tokenMetadata: new Map([[TOKEN, { symbol: "UNI", decimals: 0 }]])
+  }).map(({ address, symbol, changeFormatted }) => `${address.toLowerCase()} ${changeFormatted} ${symbol}`);
+
+  it("flattens callTracer frames in execution order, dropping reverted frames and delegated value", async () => {
+    responses.debug_traceCall = { result: CALL_TRACER_FRAME };
+    delete responses.eth_simulateV1;
+
+    const simulation = await simulate();
+    assert.equal(simulation.traceSource, "debug_traceCall");
+    assert.equal(simulation.gasUsed, 120000);
+    assert.equal(simulation.gasEstimate, 125000);
+    assert.deepEqual(simulation.calls.map(call => `${call.depth} ${call.type} ${call.to} ${call.value} ${call.reverted}`), [
+      `0 CALL ${ROUTER} ${10n ** 18n} false`,
+      `1 CALL ${POOL} ${10n ** 18n} false`,
+      `1 STATICCALL ${TOKEN} 0 true`,
+      `1 DELEGATECALL ${LIBRARY} 0 false`
+    ]);
+    assert.deepEqual(simulation.logs.map(log => log.address), [TOKEN, ROUTER]);
+    assert.deepEqual(simulation.nativeTransfers.map(transfer => `${transfer.from} ${transfer.to}`), [`${WALLET} ${ROUTER}`, `${ROUTER} ${POOL}`]);
+    assert.deepEqual(simulation.warnings, []);
+
+    assert.deepEqual(balanceChanges(simulation), [
+      `${WALLET} -1 ETH`,
+      `${WALLET} +500 UNI`,
+      `${POOL} +1 ETH`,
+      `${POOL} -500 UNI`
+    ]);
+  });
+
+  it("falls back to eth_simulateV1 transfer logs without debug_traceCall", async () => {
+    delete responses.debug_traceCall;
+    responses.eth_simulateV1 = { result: SIMULATE_V1_RESULT };
+
+    const simulation = await simulate();
+    assert.equal(simulation.traceSource, "eth_simulateV1");
+    assert.equal(simulation.calls.length, 1);
+    assert.deepEqual(simulation.logs.map(log => log.address), [TOKEN]);
+    assert.equal(simulation.nativeTransfers.length, 2);
+    assert.match(simulation.warnings[0], /Internal calls are not available/);
+    assert.deepEqual(balanceChanges(simulation), [
+      `${WALLET} -1 ETH`,
+      `${WALLET} +500 UNI`,
+      `${POOL} +1 ETH`,
+      `${POOL} -500 UNI`
+    ]);
+  });
+
+  it("does not take struct logs for a callTracer frame", async () => {
+    responses.debug_traceCall = { result: STRUCT_LOGS };
+    delete responses.eth_simulateV1;
+
+    const simulation = await simulate();
+    assert.equal(simulation.traceSource, null);
+    assert.deepEqual(simulation.calls.map(call => call.type), ["CALL"]);
+    assert.match(simulation.warnings.at(-1), /did not return a callTracer frame/);
+    assert.deepEqual(balanceChanges(simulation), [`${WALLET} -1 ETH`, `${ROUTER} +1 ETH`]);
+  });
+});
+
+describe("computeBalanceChanges", () => {
+  it("reads only the first word of Transfer data and skips logs without one", () => {
+    const simulation = {
+      nativeTransfers: [],
+      logs: [
+        { ...transferLog(TOKEN, POOL, WALLET, 500n), data: `0x${word(500n)}${word(7n)}` },
+        { ...transferLog(TOKEN, WALLET, POOL, 0n), data: "0x" },
+        { ...transferLog(TOKEN, WALLET, POOL, 0n), data: "0x01" }
+      ]
+    };
+    const changes = computeBalanceChanges(simulation, { nativeSymbol: "ETH", tokenMetadata: new Map() });
+    assert.deepEqual(changes.map(change => `${change.address.toLowerCase()} ${change.change}`), [`${POOL} -500`, `${WALLET} 500`]);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import path from "path";
+import { resolveChain } from "../lib/chains.js";
+import { loadWalletPolicy, checkWalletPolicy, MAX_UINT256 } from "../lib/wallet-policy.js";
+import { withWalletLock } from "../lib/wallet.js";
+import { tempDir } from "./helpers.js";
+
+const WALLET = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const RECIPIENT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const TOKEN = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const ETH = 10n ** 18n;
+
+const local = resolveChain("local");
+
+/**
+ * Write a policy file and load it
+ * @param {Object} policy - Policy file contents
+ * @returns {Promise<Object>} Loaded policy
+ */
+async function usePolicy(policy) {
+  writeFileSync(process.env.WALLET_POLICY_FILE, JSON.stringify(policy));
+  return loadWalletPolicy();
+}
+
+/**
+ * Write audit log entries, timestamped now unless given
+ * @param {Array<Object>} entries - Entries
+ */
+function writeAuditLog(entries) {
+  const lines = entries.map(entry => JSON.stringify({ time: new Date().toISOString(), chain: "local", from: WALLET, ...entry }));
+  writeFileSync(process.env.WALLET_AUDIT_LOG, lines.map(line => `${line}\n`).join(""));
+}
+
+const sendEth = amount => ({
+  action: "sendEth", chain: local, asset: "native", symbol: "ETH", decimals: 18, amount, counterparty: RECIPIENT, from: WALLET
+});
+
+describe("wallet policy", () => {
+  beforeEach(() => {
+    const dir = tempDir("policy");
+    process.env.WALLET_POLICY_FILE = path.join(dir, "wallet-policy.json");
+    process.env.WALLET_AUDIT_LOG = path.join(dir, "wallet-audit.jsonl");
+  });
+
+  it("defaults to dry runs with no chain enabled", async () => {
+    const policy = await loadWalletPolicy();
+    assert.equal(policy.dryRun, true);
+
+    const check = checkWalletPolicy(policy, sendEth(1n));
+    assert.equal(check.allowed, false);
+    assert.deepEqual(check.violations, ["Local dev node is not enabled in the wallet policy"]);
+  });
+
+  it("rejects invalid policy files with the offending path", async () => {
+    writeFileSync(process.env.WALLET_POLICY_FILE, JSON.stringify({ chains: { local: { native: { perTransaction: "1" } } } }));
+    await assert.rejects(loadWalletPolicy(), /chains\.local\.native\.daily/);
+
+    writeFileSync(process.env.WALLET_POLICY_FILE, JSON.stringify({ chains: { nowhere: {} } }));
+    await assert.rejects(loadWalletPolicy(), /Unsupported chain "nowhere"/);
+  });
+
+  it("enforces the per-transaction limit", async () => {
+    const policy = await usePolicy({ chains: { anvil: { native: { perTransaction: "1", daily: "5" } } } });
+
+    assert.equal(checkWalletPolicy(policy, sendEth(ETH)).allowed, true);
+    const check = checkWalletPolicy(policy, sendEth(ETH + 1n));
+    assert.equal(check.allowed, false);
+    assert.match(check.violations[0], /exceeds the per-transaction limit of 1 ETH/);
+  });
+
+  it("counts signed and pending transactions towards the daily limit, but not failed or reverted ones", async () => {
+    const policy = await usePolicy({ chains: { local: { native: { perTransaction: "1", daily: "1.5" } } } });
+    const amount = (9n * ETH / 10n).toString();
+    writeAuditLog([
+      { event: "signed", action: "sendEth", asset: "native", amount, hash: "0x01" },
+      { event: "signed", action: "sendEth", asset: "native", amount, hash: "0x02" },
+      { event: "failed", action: "sendEth", asset: "native", amount, hash: "0x02" },
+      { event: "signed", action: "sendEth", asset: "native", amount, hash: "0x03" },
+      { event: "mined", action: "sendEth", asset: "native", amount, hash: "0x03", status: "reverted" },
+      { event: "signed", action: "sendEth", asset: "native", amount, hash: "0x04", time: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() }
+    ]);
+
+    const check = checkWalletPolicy(policy, sendEth(9n * ETH / 10n));
+    assert.equal(check.spentLast24h, "0.9");
+    assert.equal(check.allowed, false);
+    assert.match(check.violations[0], /after 0.9 ETH in the last 24 hours exceeds the daily limit of 1.5 ETH/);
+    assert.equal(checkWalletPolicy(policy, sendEth(6n * ETH / 10n)).allowed, true);
+  });
+
+  it("holds recipients to the allowlist, except the wallet itself", async () => {
+    const policy = await usePolicy({
+      allowlist: [WALLET.replace("f39F", "f39f")],
+      chains: { local: { native: { perTransaction: "1", daily: "1" } } }
+    });
+
+    assert.match(checkWalletPolicy(policy, sendEth(1n)).violations[0], /is not on the wallet policy allowlist/);
+    assert.equal(checkWalletPolicy(policy, { ...sendEth(1n), counterparty: WALLET }).allowed, true);
+  });
+
+  it("limits approvals and refuses unlimited ones unless allowed", async () => {
+    const limits = { local: { tokens: { [TOKEN]: { perTransaction: "100", daily: "100" } } } };
+    const approve = amount => ({
+      action: "approveToken", chain: local, asset: TOKEN, symbol: "TKN", decimals: 6, amount, counterparty: RECIPIENT, from: WALLET
+    });
+
+    let policy = await usePolicy({ chains: limits });
+    assert.equal(checkWalletPolicy(policy, approve(100_000_000n)).allowed, true);
+    assert.match(checkWalletPolicy(policy, approve(100_000_001n)).violations[0], /Approving 100.000001 TKN/);
+    assert.match(checkWalletPolicy(policy, approve(MAX_UINT256)).violations[0], /Unlimited approvals are disabled/);
+    // Revoking needs no limit
+    assert.equal(checkWalletPolicy(policy, { ...approve(0n), asset: RECIPIENT }).allowed, true);
+
+    policy = await usePolicy({ allowUnlimitedApprovals: true, chains: limits });
+    assert.equal(checkWalletPolicy(policy, approve(MAX_UINT256)).allowed, true);
+  });
+
+  it("requires a limit for every asset the wallet moves", async () => {
+    const policy = await usePolicy({ chains: { local: {} } });
+    const check = checkWalletPolicy(policy, {
+      action: "transferToken", chain: local, asset: TOKEN, symbol: "TKN", decimals: 18, amount: 1n, counterparty: RECIPIENT, from: WALLET
+    });
+    assert.deepEqual(check.violations, ["The wallet policy has no limit for TKN on Local dev node"]);
+  });
+});
+
+describe("withWalletLock", () => {
+  it("runs tasks for the same key one at a time, in order, even after a failure", async () => {
+    const events = [];
+    const task = (name, ms, fail) => async () => {
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      events.push(`${name} end`);
+      if (fail) throw new Error(name);
+      return name;
+    };
+
+    const results = await Promise.allSettled([
+      withWalletLock("local:a", task("first", 20, true)),
+      withWalletLock("local:a", task("second", 5)),
+      withWalletLock("local:b", task("other", 1))
+    ]);
+
+    assert.deepEqual(results.map(result => result.value ?? result.reason.message), ["first", "second", "other"]);
+    assert.deepEqual(events.filter(event => !event.startsWith("other")), ["first start", "first end", "second start", "second end"]);
+    assert.ok(events.indexOf("other end") < events.indexOf("first end"));
+  });
+});
@@ -1,11 +1,92 @@
 // Ethereum Contract Analyzer Tool for MCP Server
 import { z } from 'zod';
-import axios from 'axios';
-import { Web3 } from 'web3';
+import { resolveEvmChain, getWeb3 } from '../lib/chains.js';
+import { etherscanGet } from '../lib/etherscan.js';
+import { analyzeBytecode } from '../lib/bytecode.js';
+import { getFunctionSelector } from '../lib/signatures.js';
+import { detectProxy } from '../lib/proxy.js';
+import { parseEtherscanSource, findSourceFile } from '../lib/contract-source.js';
+import { runSecurityRules } from '../lib/security/engine.js';
+import { CACHE_TTLS } from '../lib/cache.js';
+import { RateLimitError } from '../lib/http.js';
+import { addressSchema } from '../lib/address.js';
+import { lookupEnsName } from '../lib/ens.js';
 
-// Use Etherscan API key from environment variables
-const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
-console.error('Etherscan API key set:', !!ETHERSCAN_API_KEY);
+// How many proxy hops to follow when resolving implementations
+const MAX_PROXY_DEPTH = 3;
+
+// Maximum number of source lines returned by a single getContractSource call
+const MAX_SOURCE_LINES = 400;
+
+// Maximum number of security findings listed in the text report
+const MAX_REPORTED_ISSUES = 20;
+
+// Text signatures that must all be present for a contract to match a standard
+const STANDARD_SIGNATURES = {
+  isERC20: ['totalSupply()', 'balanceOf(address)', 'transfer(address,uint256)', 'transferFrom(address,address,uint256)', 'approve(address,uint256)', 'allowance(address,address)'],
+  isERC721: ['balanceOf(address)', 'ownerOf(uint256)', 'safeTransferFrom(address,address,uint256)', 'transferFrom(address,address,uint256)', 'approve(address,uint256)', 'getApproved(uint256)', 'setApprovalForAll(address,bool)', 'isApprovedForAll(address,address)'],
+  isERC1155: ['balanceOf(address,uint256)', 'balanceOfBatch(address[],uint256[])', 'setApprovalForAll(address,bool)', 'isApprovedForAll(address,address)', 'safeTransferFrom(address,address,uint256,uint256,bytes)', 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)']
+};
+
+// Structured output schemas shared by the audit tools
+const compilerSchema = z.object({
+  language: z.string(),
+  format: z.string(),
+  compilerVersion: z.string().nullable(),
+  optimizer: z.object({ enabled: z.boolean(), runs: z.number().nullable() }),
+  evmVersion: z.string(),
+  libraries: z.record(z.string()),
+  licenseType: z.string().nullable()
+});
+
+const contractReportSchema = z.object({
+  address: z.string(),
+  chain: z.string(),
+  isContract: z.boolean(),
+  isVerified: z.boolean(),
+  contractName: z.string().nullable(),
+  ensName: z.string().nullable(),
+  contractCreator: z.string().nullable(),
+  contractCreatorEnsName: z.string().nullable(),
+  creationTx: z.string().nullable(),
+  creationTimestamp: z.number().nullable(),
+  balance: z.string().nullable(),
+  nativeSymbol: z.string().nullable(),
+  transactionCount: z.number().nullable(),
+  compiler: compilerSchema.nullable(),
+  standards: z.object({ isERC20: z.boolean(), isERC721: z.boolean(), isERC1155: z.boolean() }).nullable(),
+  probableType: z.string().nullable(),
+  functions: z.array(z.object({ name: z.string(), signature: z.string(), stateMutability: z.string() })),
+  events: z.array(z.object({ name: z.string(), signature: z.string() })),
+  inferredInterface: z.array(z.object({ selector: z.string(), signatures: z.array(z.string()) })),
+  proxy: z.object({
+    type: z.string(),
+    implementation: z.string().nullable(),
+    admin: z.string().nullable(),
+    beacon: z.string().nullable(),
+    upgradeable: z.boolean(),
+    upgradeAuthority: z.string()
+  }).nullable(),
+  dangerousOpcodes: z.array(z.object({
+    opcode: z.string(),
+    severity: z.string(),
+    count: z.number(),
+    offsets: z.array(z.number()),
+    description: z.string()
+  })),
+  securityFindings: z.array(z.object({
+    ruleId: z.string(),
+    severity: z.string(),
+    title: z.string(),
+    description: z.string(),
+    file: z.string(),
+    startLine: z.number(),
+    endLine: z.number(),
+    snippet: z.string()
+  })),
+  securityEngineError: z.string().nullable(),
+  error: z.string().nullable()
+});
 
 // Register for global error handling
 process.on('uncaughtException', (err) => {
@@ -18,27 +99,46 @@ process.on('uncaughtException', (err) => {
  */
 export function registerAuditTool(server) {
   console.error('Registering audit tool...');
-  server.tool("auditContract",
-    { 
-      address: z.string().regex(/^0x[a-fA-F0-9]{40}$/, "Invalid Ethereum address"),
-      chain: z.string().optional().default("eth")
+  server.registerTool("auditContract",
+    {
+      inputSchema: {
+        address: addressSchema,
+        chain: z.string().optional().default("eth"),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and refetch explorer data")
+      },
+      outputSchema: {
+        ...contractReportSchema.shape,
+        implementation: contractReportSchema.nullable()
+      }
     },
-    async ({ address, chain }) => {
+    async ({ address, chain, refresh }) => {
       try {
-        // Use the web3 instance from the environment variable or default public node
-        console.error('Creating Web3 instance with URL:', process.env.ETH_RPC_URL);
-        const web3 = new Web3(process.env.ETH_RPC_URL || 'https://eth.llamarpc.com');
+        // Resolve the chain and use its shared web3 instance
+        const chainConfig = resolveEvmChain(chain);
+        const web3 = getWeb3(chainConfig.key);
         
         // Perform the contract analysis
-        console.error('Analyzing address:', address);
-        const result = await analyzeAddress(web3, address);
+        console.error(`Analyzing address ${address} on ${chainConfig.name}`);
+        const result = await analyzeAddress(web3, address, chainConfig, { refresh });
+        
+        // Primary names live on mainnet; a contract elsewhere is a different account
+        const [ensName, creatorEnsName] = await Promise.all([
+          chainConfig.key === 'eth' || !result.isContract ? lookupEnsName(address) : null,
+          result.contractCreator ? lookupEnsName(result.contractCreator) : null
+        ]);
+        result.ensName = ensName;
+        result.contractCreatorEnsName = creatorEnsName;
         
         // Format the output for MCP response
         return {
           content: [{ 
             type: "text", 
             text: formatAnalysisResults(result)
-          }]
+          }],
+          structuredContent: {
+            ...summarizeAnalysis(result, chainConfig),
+            implementation: result.implementation ? summarizeAnalysis(result.implementation, chainConfig) : null
+          }
         };
       } catch (error) {
         console.error('Error in auditContract:', error);
@@ -46,7 +146,77 @@ export function registerAuditTool(server) {
           content: [{ 
             type: "text", 
             text: `Error analyzing contract: ${error.message}`
-          }]
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+  
+  server.registerTool("getContractSource",
+    {
+      inputSchema: {
+        address: addressSchema,
+        chain: z.string().optional().default("eth"),
+        file: z.string().optional().describe("File path or name to read; omit to list the contract's files"),
+        startLine: z.number().int().positive().optional().describe("First line to return (1-based)"),
+        endLine: z.number().int().positive().optional().describe("Last line to return (inclusive)"),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and refetch the source")
+      },
+      outputSchema: {
+        address: z.string(),
+        chain: z.string(),
+        contractName: z.string().nullable(),
+        compiler: compilerSchema,
+        files: z.array(z.object({ path: z.string(), lineCount: z.number() })),
+        file: z.object({
+          path: z.string(),
+          startLine: z.number(),
+          endLine: z.number(),
+          totalLines: z.number(),
+          truncated: z.boolean(),
+          content: z.string()
+        }).optional()
+      }
+    },
+    async ({ address, chain, file, startLine, endLine, refresh }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const verificationInfo = await checkIfVerified(address, chainConfig, { refresh });
+        
+        if (!verificationInfo.isVerified) {
+          return {
+            content: [{ type: "text", text: `Contract ${address} is not verified on ${chainConfig.name}, no source available` }],
+            isError: true
+          };
+        }
+        
+        const source = verificationInfo.source;
+        const structuredContent = {
+          address,
+          chain: chainConfig.key,
+          contractName: verificationInfo.contractName || null,
+          compiler: summarizeCompiler(source),
+          files: source.files.map(({ path, lineCount }) => ({ path, lineCount }))
+        };
+        
+        if (!file) {
+          return {
+            content: [{ type: "text", text: formatSourceListing(verificationInfo.contractName, source) }],
+            structuredContent
+          };
+        }
+        
+        const range = readSourceRange(findSourceFile(source.files, file), startLine, endLine);
+        return {
+          content: [{ type: "text", text: formatSourceFile(range) }],
+          structuredContent: { ...structuredContent, file: range }
+        };
+      } catch (error) {
+        console.error('Error in getContractSource:', error);
+        return {
+          content: [{ type: "text", text: `Error fetching contract source: ${error.message}` }],
+          isError: true
         };
       }
     }
@@ -58,9 +228,13 @@ export function registerAuditTool(server) {
  * Analyze an Ethereum address
  * @param {Web3} web3 - Web3 instance
  * @param {string} address - Ethereum address to analyze
- * @returns {Promise<Object>} Analysis results
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.depth] - Number of proxy hops already followed
+ * @param {boolean} [options.refresh] - Bypass cached explorer responses
+ * @returns {Promise<Object>} Analysis results; `failed` is set when the analysis itself errored
  */
-async function analyzeAddress(web3, address) {
+export async function analyzeAddress(web3, address, chain, { depth = 0, refresh = false } = {}) {
   try {
     // Validate address
     if (!web3.utils.isAddress(address)) {
@@ -75,6 +249,7 @@ async function analyzeAddress(web3, address) {
     
     let result = {
       address: formattedAddress,
+      chain: chain.name,
       isContract: isContract,
       isVerified: false,
       contractName: null,
@@ -91,36 +266,52 @@ async function analyzeAddress(web3, address) {
     if (!isContract) {
       result.error = 'Address is not a contract';
       
-      // Check ETH balance
-      const balance = await web3.eth.getBalance(formattedAddress);
+      // Check ETH balance and transaction count
+      const [balance, txCount] = await Promise.all([
+        web3.eth.getBalance(formattedAddress),
+        web3.eth.getTransactionCount(formattedAddress)
+      ]);
       result.ethBalance = web3.utils.fromWei(balance, 'ether');
-      
-      // Check transaction count
-      const txCount = await web3.eth.getTransactionCount(formattedAddress);
+      result.nativeSymbol = chain.nativeSymbol;
       result.transactionCount = txCount;
       
       return result;
     }
     
-    // Get creation info
-    const creationInfo = await getContractCreationInfo(formattedAddress);
+    // Step 2: Creation info, verification status and bytecode do not depend on
+    // each other, so fetch them concurrently (each provider stays within its rate limit)
+    const [creationInfo, verificationInfo, bytecode] = await Promise.all([
+      getContractCreationInfo(formattedAddress, chain, { refresh }),
+      checkIfVerified(formattedAddress, chain, { refresh }),
+      web3.eth.getCode(formattedAddress)
+    ]);
+    
     if (creationInfo) {
       result.contractCreator = creationInfo.contractCreator;
       result.creationTx = creationInfo.txHash;
       result.creationTimestamp = creationInfo.timestamp;
     }
-    
-    // Step 2: Check if contract is verified on Etherscan
-    const verificationInfo = await checkIfVerified(formattedAddress);
     result.isVerified = verificationInfo.isVerified;
-    
-    // Get bytecode regardless of verification status
-    const bytecode = await web3.eth.getCode(formattedAddress);
     result.contractCode = bytecode;
     
+    // Disassemble the bytecode to recover the dispatcher selectors and risky opcodes
+    result.bytecodeAnalysis = analyzeBytecode(bytecode);
+    
+    // Detect proxies; the implementation is analysed alongside the security rules below
+    result.proxy = await detectProxy(web3, formattedAddress, bytecode);
+    let followImplementation = false;
+    if (result.proxy && result.proxy.implementation) {
+      if (depth < MAX_PROXY_DEPTH) {
+        followImplementation = true;
+      } else {
+        console.error(`Not following proxy ${formattedAddress}: maximum depth ${MAX_PROXY_DEPTH} reached`);
+      }
+    }
+    
     // Step 3: If verified, get contract code and ABI
     if (verificationInfo.isVerified) {
       result.sourceCode = verificationInfo.sourceCode;
+      result.source = verificationInfo.source;
       result.contractName = verificationInfo.contractName;
       result.abi = verificationInfo.abi;
 
@@ -129,30 +320,79 @@ async function analyzeAddress(web3, address) {
     } else {
       result.error = 'Contract is not verified on Etherscan';
       
-      // Attempt to detect contract type from bytecode
-      result.probableType = await detectContractTypeFromBytecode(bytecode);
+      // Infer the interface and standards from the dispatcher selectors
+      const selectors = result.bytecodeAnalysis.functions.map(func => func.selector);
+      result.standards = detectStandardsFromSelectors(selectors);
+      result.probableType = detectContractTypeFromBytecode(result.bytecodeAnalysis, result.standards);
     }
     
-    // Add security analysis if verified (basic heuristics)
-    if (verificationInfo.isVerified && verificationInfo.sourceCode) {
-      result.securityAnalysis = analyzeContractSecurity(verificationInfo.sourceCode);
+    // Analyse the implementation while the security rules run (verified source only)
+    const [implementation, securityAnalysis] = await Promise.all([
+      followImplementation ? analyzeAddress(web3, result.proxy.implementation, chain, { depth: depth + 1, refresh }) : null,
+      verificationInfo.isVerified && verificationInfo.source ? analyzeContractSecurity(verificationInfo.source) : null
+    ]);
+    if (implementation) {
+      result.implementation = implementation;
+    }
+    if (securityAnalysis) {
+      result.securityAnalysis = securityAnalysis;
     }
     
     return result;
     
   } catch (error) {
+    // Rate limiting is reported to the caller instead of as a half-empty analysis
+    if (error instanceof RateLimitError) {
+      throw error;
+    }
     console.error('Error analyzing address:', error);
     return {
       address: address,
+      chain: chain.name,
       isContract: false,
       isVerified: false,
       contractCode: null,
       sourceCode: null,
+      failed: true,
       error: error.message
     };
   }
 }
 
+/**
+ * Fetch the verified ABI of a contract. For proxies the implementation's ABI is
+ * appended, so callers can decode calls and events that the proxy forwards.
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} address - Contract address
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} [options] - Request options
+ * @param {boolean} [options.refresh] - Bypass cached explorer responses
+ * @returns {Promise<Object>} ABI (null if nothing is verified), contract name and implementation address
+ */
+export async function getContractAbi(web3, address, chain, { refresh = false } = {}) {
+  const [verificationInfo, bytecode] = await Promise.all([
+    checkIfVerified(address, chain, { refresh }),
+    web3.eth.getCode(address)
+  ]);
+  const abi = verificationInfo.isVerified ? [...verificationInfo.abi] : [];
+  let contractName = verificationInfo.isVerified ? verificationInfo.contractName : null;
+  
+  const proxy = await detectProxy(web3, address, bytecode);
+  if (proxy?.implementation) {
+    const implementationInfo = await checkIfVerified(proxy.implementation, chain, { refresh });
+    if (implementationInfo.isVerified) {
+      abi.push(...implementationInfo.abi);
+      contractName = implementationInfo.contractName || contractName;
+    }
+  }
+  
+  return {
+    abi: abi.length > 0 ? abi : null,
+    contractName,
+    implementation: proxy?.implementation || null
+  };
+}
+
 /**
  * Check if an address is a contract
  * @param {Web3} web3 - Web3 instance
@@ -174,14 +414,18 @@ async function checkIfContract(web3, address) {
 /**
  * Get contract creation information from Etherscan
  * @param {string} address - Contract address
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} [options] - Request options
+ * @param {boolean} [options.refresh] - Bypass cached responses
  * @returns {Promise<Object>} Creation information
  */
-async function getContractCreationInfo(address) {
+async function getContractCreationInfo(address, chain, { refresh = false } = {}) {
   try {
-    const url = `https://api.etherscan.io/api?module=contract&action=getcontractcreation&contractaddresses=${address}&apikey=${ETHERSCAN_API_KEY}`;
-    const response = await axios.get(url);
-    
-    const data = response.data;
+    const data = await etherscanGet(chain, {
+      module: 'contract',
+      action: 'getcontractcreation',
+      contractaddresses: address
+    }, { ttl: CACHE_TTLS.contractCreation, refresh });
     if (data.status !== '1' || !data.result || !data.result[0]) {
       return null;
     }
@@ -191,16 +435,27 @@ async function getContractCreationInfo(address) {
     let timestamp = null;
     
     try {
-      const txUrl = `https://api.etherscan.io/api?module=proxy&action=eth_getTransactionByHash&txhash=${txHash}&apikey=${ETHERSCAN_API_KEY}`;
-      const txResponse = await axios.get(txUrl);
+      const txData = await etherscanGet(chain, {
+        module: 'proxy',
+        action: 'eth_getTransactionByHash',
+        txhash: txHash
+      }, {
+        ttl: CACHE_TTLS.transaction,
+        refresh,
+        // Pending transactions have no block yet and must be refetched
+        shouldCache: txData => !!txData?.result?.blockNumber
+      });
       
-      if (txResponse.data.result && txResponse.data.result.blockNumber) {
-        const blockNumber = parseInt(txResponse.data.result.blockNumber, 16);
-        const blockUrl = `https://api.etherscan.io/api?module=block&action=getblockreward&blockno=${blockNumber}&apikey=${ETHERSCAN_API_KEY}`;
-        const blockResponse = await axios.get(blockUrl);
+      if (txData.result && txData.result.blockNumber) {
+        const blockNumber = parseInt(txData.result.blockNumber, 16);
+        const blockData = await etherscanGet(chain, {
+          module: 'block',
+          action: 'getblockreward',
+          blockno: blockNumber
+        }, { ttl: CACHE_TTLS.block, refresh });
         
-        if (blockResponse.data.status === '1' && blockResponse.data.result) {
-          timestamp = blockResponse.data.result.timeStamp;
+        if (blockData.status === '1' && blockData.result) {
+          timestamp = blockData.result.timeStamp;
         }
       }
     } catch (error) {
@@ -221,14 +476,23 @@ async function getContractCreationInfo(address) {
 /**
  * Check if a contract is verified on Etherscan
  * @param {string} address - Contract address to check
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} [options] - Request options
+ * @param {boolean} [options.refresh] - Bypass cached responses
  * @returns {Promise<Object>} Verification information
  */
-async function checkIfVerified(address) {
+async function checkIfVerified(address, chain, { refresh = false } = {}) {
   try {
-    const url = `https://api.etherscan.io/api?module=contract&action=getsourcecode&address=${address}&apikey=${ETHERSCAN_API_KEY}`;
-    const response = await axios.get(url);
-    
-    const data = response.data;
+    const data = await etherscanGet(chain, {
+      module: 'contract',
+      action: 'getsourcecode',
+      address: address
+    }, {
+      ttl: CACHE_TTLS.contractSource,
+      refresh,
+      // Unverified contracts may be verified later, so only verified source is kept
+      shouldCache: data => data?.status === '1' && data.result?.[0]?.SourceCode?.length > 2
+    });
     if (data.status !== '1' || !data.result || !data.result[0]) {
       return { isVerified: false };
     }
@@ -241,9 +505,14 @@ async function checkIfVerified(address) {
       isVerified: isVerified,
       contractName: contractData.ContractName,
       sourceCode: contractData.SourceCode,
+      source: isVerified ? parseEtherscanSource(contractData) : null,
       abi: isVerified ? JSON.parse(contractData.ABI) : null
     };
   } catch (error) {
+    // Without an answer from Etherscan we cannot claim the contract is unverified
+    if (error instanceof RateLimitError) {
+      throw error;
+    }
     console.error('Error checking verification status:', error);
     return { isVerified: false };
   }
@@ -287,90 +556,87 @@ async function detectContractStandards(address, abi) {
 }
 
 /**
- * Attempt to detect contract type from bytecode
- * @param {string} bytecode - Contract bytecode
- * @returns {Promise<string>} Probable contract type
+ * Detect contract standards from the function selectors found in bytecode
+ * @param {Array<string>} selectors - Function selectors from the dispatcher
+ * @returns {Object} Detected standards
  */
-async function detectContractTypeFromBytecode(bytecode) {
-  // This is a simple heuristic approach, more advanced detection would require deeper analysis
-  
-  // Look for common bytecode patterns
-  if (bytecode.includes('06fdde03') && bytecode.includes('95d89b41') && bytecode.includes('18160ddd')) {
-    return 'Likely Token (ERC20/ERC721)';
-  }
-  
-  if (bytecode.includes('01ffc9a7')) {
-    return 'Supports ERC165 Interface Detection';
-  }
+function detectStandardsFromSelectors(selectors) {
+  const standards = {};
   
-  if (bytecode.includes('e8a3d485')) {
-    return 'Possible Uniswap-related contract';
+  for (const [standard, signatures] of Object.entries(STANDARD_SIGNATURES)) {
+    standards[standard] = signatures.every(signature => selectors.includes(getFunctionSelector(signature)));
   }
   
-  if (bytecode.includes('6080604052')) {
-    return 'Solidity 0.4.x+ Contract';
-  }
-  
-  return 'Unknown Contract Type';
+  return standards;
 }
 
 /**
- * Basic security analysis of contract source code
- * @param {string} sourceCode - Contract source code
- * @returns {Object} Security issues found
+ * Attempt to detect contract type from bytecode analysis
+ * @param {Object} bytecodeAnalysis - Result of analyzeBytecode
+ * @param {Object} standards - Standards detected from selectors
+ * @returns {string} Probable contract type
  */
-function analyzeContractSecurity(sourceCode) {
-  const issues = [];
-  
-  // Check for reentrancy vulnerabilities
-  if (sourceCode.includes('call.value') && !sourceCode.includes('ReentrancyGuard')) {
-    issues.push({
-      severity: 'High',
-      issue: 'Potential reentrancy vulnerability',
-      description: 'Contract uses call.value without ReentrancyGuard or checks-effects-interactions pattern'
-    });
+function detectContractTypeFromBytecode(bytecodeAnalysis, standards) {
+  const { functions, dangerousOpcodes } = bytecodeAnalysis;
+  const signatures = functions.flatMap(func => func.signatures);
+  
+  if (standards.isERC20) return 'ERC20 Token';
+  if (standards.isERC721) return 'ERC721 NFT Collection';
+  if (standards.isERC1155) return 'ERC1155 Multi Token';
+  
+  if (['getReserves()', 'token0()', 'token1()'].every(sig => signatures.includes(sig))) {
+    return 'Uniswap V2-style Liquidity Pair';
   }
   
-  // Check for tx.origin usage
-  if (sourceCode.includes('tx.origin')) {
-    issues.push({
-      severity: 'Medium',
-      issue: 'tx.origin used for authentication',
-      description: 'Using tx.origin for authentication can be exploited by phishing attacks'
-    });
+  if (signatures.includes('getOwners()') && signatures.includes('getThreshold()')) {
+    return 'Multisig Wallet (Safe-style)';
   }
   
-  // Check for unchecked external calls
-  if ((sourceCode.includes('.call(') || sourceCode.includes('.delegatecall(')) && 
-      !sourceCode.match(/require\s*\(\s*.*\.call\s*\(/g)) {
-    issues.push({
-      severity: 'Medium',
-      issue: 'Unchecked external call',
-      description: 'External calls without checking return value can lead to silent failures'
-    });
+  // A contract with no dispatcher that delegates every call is almost certainly a proxy
+  if (functions.length === 0 && dangerousOpcodes.some(op => op.opcode === 'DELEGATECALL')) {
+    return 'Proxy (delegates all calls)';
   }
   
-  // Check for use of block.timestamp
-  if (sourceCode.includes('block.timestamp') || sourceCode.includes('now')) {
-    issues.push({
-      severity: 'Low',
-      issue: 'Timestamp dependence',
-      description: 'Using block.timestamp for critical logic can be manipulated by miners'
-    });
+  if (signatures.includes('supportsInterface(bytes4)')) {
+    return 'Supports ERC165 Interface Detection';
   }
   
-  // Check for self-destruct without access control
-  if (sourceCode.includes('selfdestruct') || sourceCode.includes('suicide')) {
-    issues.push({
-      severity: 'High',
-      issue: 'Unprotected self-destruct',
-      description: 'Self-destruct functionality found - ensure it has proper access controls'
-    });
+  return functions.length > 0
+    ? `Custom Contract (${functions.length} functions)`
+    : 'Unknown Contract Type';
+}
+
+/**
+ * Run the Solidity security rule engine over the contract's source files
+ * @param {Object} source - Parsed contract source
+ * @returns {Promise<Object>} Security findings
+ */
+async function analyzeContractSecurity(source) {
+  if (source.language !== 'Solidity') {
+    return {
+      issuesFound: false,
+      issues: [],
+      skipped: `Security rules only support Solidity (contract is written in ${source.language})`
+    };
+  }
+  
+  // A broken rule setup (e.g. a missing AUDIT_RULES_DIR) fails the rule run, not the analysis
+  let findings, parseErrors;
+  try {
+    ({ findings, parseErrors } = await runSecurityRules(source.files));
+  } catch (error) {
+    console.error('Security rule engine failed:', error);
+    return {
+      issuesFound: false,
+      issues: [],
+      engineError: error.message
+    };
   }
   
   return {
-    issuesFound: issues.length > 0,
-    issues: issues
+    issuesFound: findings.length > 0,
+    issues: findings,
+    parseErrors
   };
 }
 
@@ -423,6 +689,142 @@ function extractEventSignatures(abi) {
     });
 }
 
+/**
+ * Format compiler settings of a verified contract
+ * @param {Object} source - Parsed contract source
+ * @returns {Array<string>} Formatted lines
+ */
+function formatCompilerSettings(source) {
+  const output = [];
+  const optimizer = source.optimizer.enabled ? `enabled (${source.optimizer.runs} runs)` : 'disabled';
+  
+  output.push(`🛠️ Compiler: ${source.compilerVersion || 'Unknown'} (${source.language})`);
+  output.push(`⚙️ Optimizer: ${optimizer}, EVM version: ${source.evmVersion}`);
+  output.push(`📂 Source Files: ${source.files.length} (${source.format})`);
+  
+  const libraries = Object.entries(source.libraries);
+  if (libraries.length > 0) {
+    output.push(`📚 Libraries: ${libraries.map(([name, address]) => `${name} @ ${address}`).join(', ')}`);
+  }
+  
+  return output;
+}
+
+/**
+ * Format the file listing of a verified contract
+ * @param {string} contractName - Contract name
+ * @param {Object} source - Parsed contract source
+ * @returns {string} Formatted listing
+ */
+function formatSourceListing(contractName, source) {
+  const output = [];
+  
+  output.push(`=== 📂 SOURCE FILES: ${contractName || 'Unknown'} ===`);
+  output.push(...formatCompilerSettings(source));
+  output.push('');
+  source.files.forEach(file => {
+    output.push(`   - ${file.path} (${file.lineCount} lines)`);
+  });
+  output.push(`\nUse the "file" argument (and optionally startLine/endLine) to read a file.`);
+  
+  return output.join('\n');
+}
+
+/**
+ * Read a line range of a source file, capped at MAX_SOURCE_LINES
+ * @param {Object} file - Source file ({ path, content })
+ * @param {number} [startLine] - First line (1-based)
+ * @param {number} [endLine] - Last line (inclusive)
+ * @returns {Object} Range with path, line bounds, truncation flag and content
+ */
+function readSourceRange(file, startLine = 1, endLine) {
+  const lines = file.content.replace(/\n$/, '').split('\n');
+  const from = Math.min(startLine, lines.length);
+  const requestedTo = Math.min(endLine || lines.length, lines.length);
+  const to = Math.min(requestedTo, from + MAX_SOURCE_LINES - 1);
+  
+  if (requestedTo < from) {
+    throw new Error(`endLine (${endLine}) is before startLine (${startLine})`);
+  }
+  
+  return {
+    path: file.path,
+    startLine: from,
+    endLine: to,
+    totalLines: lines.length,
+    truncated: to < requestedTo,
+    content: lines.slice(from - 1, to).join('\n')
+  };
+}
+
+/**
+ * Format a source range with line numbers
+ * @param {Object} range - Result of readSourceRange
+ * @returns {string} Numbered source lines
+ */
+function formatSourceFile(range) {
+  const width = String(range.endLine).length;
+  const output = [`=== ${range.path} (lines ${range.startLine}-${range.endLine} of ${range.totalLines}) ===`];
+  
+  range.content.split('\n').forEach((line, index) => {
+    output.push(`${String(range.startLine + index).padStart(width)} | ${line}`);
+  });
+  
+  if (range.truncated) {
+    output.push(`\n... truncated at ${MAX_SOURCE_LINES} lines, continue with startLine ${range.endLine + 1}`);
+  }
+  
+  return output.join('\n');
+}
+
+/**
+ * Compiler settings of a verified contract, without the file contents
+ * @param {Object} source - Parsed contract source
+ * @returns {Object} Compiler settings
+ */
+function summarizeCompiler(source) {
+  const { files, ...compiler } = source;
+  return compiler;
+}
+
+/**
+ * Build the structured summary of an analysis, leaving out raw bytecode and
+ * source text (available through getContractSource)
+ * @param {Object} result - Result of analyzeAddress
+ * @param {Object} chain - Chain registry entry
+ * @returns {Object} Structured contract report
+ */
+function summarizeAnalysis(result, chain) {
+  const creationTimestamp = parseInt(result.creationTimestamp, 10);
+  
+  return {
+    address: result.address,
+    chain: chain.key,
+    isContract: result.isContract,
+    isVerified: !!result.isVerified,
+    contractName: result.contractName || null,
+    ensName: result.ensName || null,
+    contractCreator: result.contractCreator || null,
+    contractCreatorEnsName: result.contractCreatorEnsName || null,
+    creationTx: result.creationTx || null,
+    creationTimestamp: Number.isNaN(creationTimestamp) ? null : creationTimestamp,
+    balance: result.ethBalance ?? null,
+    nativeSymbol: result.nativeSymbol ?? null,
+    transactionCount: result.transactionCount === undefined ? null : Number(result.transactionCount),
+    compiler: result.source ? summarizeCompiler(result.source) : null,
+    standards: result.standards || null,
+    probableType: result.probableType || null,
+    functions: extractFunctionSignatures(result.abi).map(({ name, signature, stateMutability }) => ({ name, signature, stateMutability })),
+    events: extractEventSignatures(result.abi).map(({ name, signature }) => ({ name, signature })),
+    inferredInterface: result.bytecodeAnalysis?.functions || [],
+    proxy: result.proxy || null,
+    dangerousOpcodes: result.bytecodeAnalysis?.dangerousOpcodes || [],
+    securityFindings: result.securityAnalysis?.issues || [],
+    securityEngineError: result.securityAnalysis?.engineError || null,
+    error: result.error || null
+  };
+}
+
 /**
  * Format analysis results into a user-friendly string
  * @param {Object} result - Analysis results
@@ -432,11 +834,12 @@ function formatAnalysisResults(result) {
   let output = [];
   
   output.push('=== 📊 CONTRACT ANALYSIS RESULTS ===');
-  output.push(`📍 Address: ${result.address}`);
+  output.push(`📍 Address: ${result.address}${result.ensName ? ` (${result.ensName})` : ''}`);
+  output.push(`⛓️ Chain: ${result.chain}`);
   output.push(`📜 Is Contract: ${result.isContract ? '✅ Yes' : '❌ No'}`);
   
   if (!result.isContract) {
-    output.push(`💰 ETH Balance: ${result.ethBalance} ETH`);
+    output.push(`💰 Balance: ${result.ethBalance} ${result.nativeSymbol}`);
     output.push(`🔄 Transaction Count: ${result.transactionCount}`);
     return output.join('\n');
   }
@@ -444,7 +847,7 @@ function formatAnalysisResults(result) {
   output.push(`🔐 Is Verified: ${result.isVerified ? '✅ Yes' : '❌ No'}`);
   
   if (result.contractCreator) {
-    output.push(`👤 Contract Creator: ${result.contractCreator}`);
+    output.push(`👤 Contract Creator: ${result.contractCreator}${result.contractCreatorEnsName ? ` (${result.contractCreatorEnsName})` : ''}`);
     output.push(`🧾 Creation Tx: ${result.creationTx}`);
     output.push(`⏰ Creation Time: ${new Date(result.creationTimestamp * 1000).toLocaleString()}`);
   }
@@ -452,6 +855,10 @@ function formatAnalysisResults(result) {
   if (result.isVerified) {
     output.push(`📋 Contract Name: ${result.contractName || 'Unknown'}`);
     
+    if (result.source) {
+      output.push(...formatCompilerSettings(result.source));
+    }
+    
     if (result.standards) {
       output.push('\n📑 CONTRACT STANDARDS:');
       output.push(`   ERC20: ${result.standards.isERC20 ? '✅ Yes' : '❌ No'}`);
@@ -483,22 +890,87 @@ function formatAnalysisResults(result) {
     }
     
     if (result.securityAnalysis && result.securityAnalysis.issuesFound) {
-      output.push('\n⚠️ SECURITY ISSUES:');
-      result.securityAnalysis.issues.forEach(issue => {
-        output.push(`   [${issue.severity}] ${issue.issue}`);
+      const issues = result.securityAnalysis.issues;
+      
+      output.push(`\n⚠️ SECURITY ISSUES (${issues.length}):`);
+      issues.slice(0, MAX_REPORTED_ISSUES).forEach(issue => {
+        const lines = issue.startLine === issue.endLine ? `${issue.startLine}` : `${issue.startLine}-${issue.endLine}`;
+        output.push(`   [${issue.severity}] ${issue.title} (${issue.ruleId})`);
+        output.push(`     📄 ${issue.file}:${lines}`);
         output.push(`     ${issue.description}`);
+        issue.snippet.split('\n').forEach(line => output.push(`     > ${line.trim()}`));
       });
+      
+      if (issues.length > MAX_REPORTED_ISSUES) {
+        output.push(`   ... and ${issues.length - MAX_REPORTED_ISSUES} more issues`);
+      }
+    }
+    
+    if (result.securityAnalysis?.skipped) {
+      output.push(`\nℹ️ ${result.securityAnalysis.skipped}`);
+    }
+    
+    if (result.securityAnalysis?.engineError) {
+      output.push(`\n⚠️ Security rules did not run: ${result.securityAnalysis.engineError}`);
+    }
+    
+    if (result.securityAnalysis?.parseErrors?.length > 0) {
+      output.push(`\nℹ️ Could not parse: ${result.securityAnalysis.parseErrors.map(e => e.file).join(', ')}`);
     }
   } else {
     if (result.probableType) {
       output.push(`🔍 Probable Contract Type: ${result.probableType}`);
     }
-    output.push('\n❌ Contract is not verified on Etherscan. Limited analysis available.');
+    
+    if (result.bytecodeAnalysis && result.bytecodeAnalysis.functions.length > 0) {
+      const functions = result.bytecodeAnalysis.functions;
+      const known = functions.filter(func => func.signatures.length > 0).length;
+      
+      output.push(`\n🧩 INFERRED INTERFACE (${functions.length} functions, ${known} identified):`);
+      functions.slice(0, 15).forEach(func => {
+        output.push(`   - ${func.selector} ${func.signatures.join(' | ') || '(unknown)'}`);
+      });
+      
+      if (functions.length > 15) {
+        output.push(`   ... and ${functions.length - 15} more functions`);
+      }
+    }
+    
+    output.push('\n❌ Contract is not verified on Etherscan. Interface inferred from bytecode.');
+  }
+  
+  if (result.proxy) {
+    output.push(`\n🔀 PROXY: ${result.proxy.type}`);
+    output.push(`   Implementation: ${result.proxy.implementation || 'Unknown'}`);
+    if (result.proxy.admin) {
+      output.push(`   Admin: ${result.proxy.admin}`);
+    }
+    if (result.proxy.beacon) {
+      output.push(`   Beacon: ${result.proxy.beacon}`);
+    }
+    output.push(`   Upgradeable: ${result.proxy.upgradeable ? '⚠️ Yes' : '✅ No'}`);
+    output.push(`   🔑 Who can upgrade: ${result.proxy.upgradeAuthority}`);
+  }
+  
+  if (result.bytecodeAnalysis && result.bytecodeAnalysis.dangerousOpcodes.length > 0) {
+    output.push('\n🧨 DANGEROUS OPCODES:');
+    result.bytecodeAnalysis.dangerousOpcodes.forEach(op => {
+      output.push(`   [${op.severity}] ${op.opcode} (${op.count}x)`);
+      output.push(`     ${op.description}`);
+    });
   }
   
   if (result.error) {
     output.push(`\n⚠️ Info: ${result.error}`);
   }
   
+  if (result.implementation) {
+    // Nest the implementation report under the proxy, dropping its title line
+    output.push('\n=== 🧬 IMPLEMENTATION ANALYSIS ===');
+    formatAnalysisResults(result.implementation).split('\n').slice(1).forEach(line => {
+      output.push(line ? `  ${line}` : line);
+    });
+  }
+  
   return output.join('\n');
 }
\ No newline at end of file
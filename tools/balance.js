@@ -1,44 +1,97 @@
 import { z } from "zod";
 import { Web3 } from "web3";
+import { resolveEvmChain, getWeb3 } from "../lib/chains.js";
+import { addressSchema } from "../lib/address.js";
+import { lookupEnsName } from "../lib/ens.js";
 
 /**
  * Registers Ethereum balance tools with the MCP server
  * @param {McpServer} server - The MCP server instance
- * @param {Web3} web3 - The initialized Web3 instance
+ * @param {Web3} web3 - The initialized Web3 instance, used when no chain is given
  */
 export function registerBalanceTools(server, web3) {
   // Add ETH balance tool
-  server.tool("getEthBalance",
-    { address: z.string().regex(/^0x[a-fA-F0-9]{40}$/, "Invalid Ethereum address") },
-    async ({ address }) => {
+  server.registerTool("getEthBalance",
+    {
+      inputSchema: {
+        address: addressSchema,
+        chain: z.string().optional()
+      },
+      outputSchema: {
+        address: z.string(),
+        ensName: z.string().nullable(),
+        chain: z.string(),
+        chainId: z.number(),
+        balanceWei: z.string(),
+        balance: z.string(),
+        symbol: z.string()
+      }
+    },
+    async ({ address, chain }) => {
       try {
-        const balanceWei = await web3.eth.getBalance(address);
-        const balanceEth = web3.utils.fromWei(balanceWei, 'ether');
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const [balanceWei, ensName] = await Promise.all([
+          chainWeb3.eth.getBalance(address),
+          lookupEnsName(address)
+        ]);
+        const balanceEth = chainWeb3.utils.fromWei(balanceWei, 'ether');
+        const label = ensName ? `${address} (${ensName})` : address;
         return {
-          content: [{ type: "text", text: `Balance for ${address}: ${balanceEth} ETH` }]
+          content: [{ type: "text", text: `Balance for ${label} on ${chainConfig.name}: ${balanceEth} ${chainConfig.nativeSymbol}` }],
+          structuredContent: {
+            address,
+            ensName,
+            chain: chainConfig.key,
+            chainId: chainConfig.chainId,
+            balanceWei: balanceWei.toString(),
+            balance: balanceEth,
+            symbol: chainConfig.nativeSymbol
+          }
         };
       } catch (error) {
         return {
-          content: [{ type: "text", text: `Error fetching balance: ${error.message}` }]
+          content: [{ type: "text", text: `Error fetching balance: ${error.message}` }],
+          isError: true
         };
       }
     }
   );
 
   // Add transaction count (nonce) tool
-  server.tool("getTransactionCount",
-    { address: z.string().regex(/^0x[a-fA-F0-9]{40}$/, "Invalid Ethereum address") },
-    async ({ address }) => {
+  server.registerTool("getTransactionCount",
+    {
+      inputSchema: {
+        address: addressSchema,
+        chain: z.string().optional()
+      },
+      outputSchema: {
+        address: z.string(),
+        chain: z.string(),
+        chainId: z.number(),
+        transactionCount: z.number()
+      }
+    },
+    async ({ address, chain }) => {
       try {
-        const transactionCount = await web3.eth.getTransactionCount(address);
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const transactionCount = await chainWeb3.eth.getTransactionCount(address);
         return {
-          content: [{ type: "text", text: `Transaction count (nonce) for ${address}: ${transactionCount}` }]
+          content: [{ type: "text", text: `Transaction count (nonce) for ${address} on ${chainConfig.name}: ${transactionCount}` }],
+          structuredContent: {
+            address,
+            chain: chainConfig.key,
+            chainId: chainConfig.chainId,
+            transactionCount: Number(transactionCount)
+          }
         };
       } catch (error) {
         return {
-          content: [{ type: "text", text: `Error fetching transaction count: ${error.message}` }]
+          content: [{ type: "text", text: `Error fetching transaction count: ${error.message}` }],
+          isError: true
         };
       }
     }
   );
-} 
\ No newline at end of file
+}
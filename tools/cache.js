@@ -0,0 +1,82 @@
+import { z } from "zod";
+import { getCacheStats, clearCache } from "../lib/cache.js";
+
+/**
+ * Registers cache inspection and maintenance tools with the MCP server
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerCacheTools(server) {
+  // Add cache statistics tool
+  server.registerTool("getCacheStats",
+    {
+      inputSchema: {},
+      outputSchema: {
+        enabled: z.boolean(),
+        file: z.string(),
+        totalEntries: z.number(),
+        namespaces: z.record(z.object({
+          entries: z.number(),
+          expired: z.number(),
+          hits: z.number(),
+          misses: z.number(),
+          refreshes: z.number()
+        }))
+      }
+    },
+    async () => {
+      const stats = getCacheStats();
+      return {
+        content: [{ type: "text", text: formatCacheStats(stats) }],
+        structuredContent: stats
+      };
+    }
+  );
+
+  // Add cache clearing tool
+  server.registerTool("clearCache",
+    {
+      inputSchema: {
+        namespace: z.string().optional()
+          .describe('Only clear one data source (e.g. "etherscan", "moralis", "codex", "ens", "nft"); omit to clear everything')
+      },
+      outputSchema: {
+        namespace: z.string().nullable(),
+        removed: z.number()
+      }
+    },
+    async ({ namespace }) => {
+      const removed = clearCache(namespace);
+      const scope = namespace ? `${namespace} entries` : "entries";
+      return {
+        content: [{ type: "text", text: `Removed ${removed} cached ${scope}` }],
+        structuredContent: { namespace: namespace ?? null, removed }
+      };
+    }
+  );
+}
+
+/**
+ * Format cache statistics for display
+ * @param {Object} stats - Result of getCacheStats
+ * @returns {string} Formatted statistics
+ */
+function formatCacheStats(stats) {
+  if (!stats.enabled) {
+    return "Response cache is disabled (CACHE_DISABLED is set)";
+  }
+
+  const output = [`Response cache: ${stats.file}`, `Stored entries: ${stats.totalEntries}`];
+  const namespaces = Object.entries(stats.namespaces);
+
+  if (namespaces.length === 0) {
+    output.push("No cached data yet");
+  }
+  namespaces.forEach(([namespace, counters]) => {
+    const lookups = counters.hits + counters.misses;
+    const hitRate = lookups > 0 ? `${((counters.hits / lookups) * 100).toFixed(1)}%` : "n/a";
+    output.push(`- ${namespace}: ${counters.entries} entries (${counters.expired} expired), ` +
+      `${counters.hits} hits, ${counters.misses} misses, ${counters.refreshes} refreshes, hit rate ${hitRate}`);
+  });
+
+  return output.join("\n");
+}
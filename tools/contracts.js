@@ -0,0 +1,578 @@
+import { z } from "zod";
+import { eth } from "web3";
+import { resolveEvmChain, getWeb3 } from "../lib/chains.js";
+import { addressSchema } from "../lib/address.js";
+import {
+  formatSignature,
+  parseFunctionSignature,
+  parseEventSignature,
+  encodeFunctionCall,
+  encodeEventTopic,
+  decodeFunctionOutput,
+  decodeEventLog,
+  decodeRevertReason
+} from "../lib/abi.js";
+import { aggregateCalls } from "../lib/multicall.js";
+import { fetchLogsPage } from "../lib/logs.js";
+import { BLOCK_TAGS, parseBlockTag, findBlockByTimestamp, parseTimestamp } from "../lib/blocks.js";
+import { getContractAbi } from "./audit.js";
+
+// Largest batch accepted by callContract
+const MAX_CALLS = 50;
+
+// Range searched by getContractEvents when no start block or date is given
+const DEFAULT_LOOKBACK_BLOCKS = 10000;
+
+const functionSchema = z.string().min(1)
+  .describe('Function name ("balanceOf") or signature ("balanceOf(address)"); unverified contracts need the return types too, e.g. "balanceOf(address) returns (uint256)"');
+const argsSchema = z.array(z.any()).optional().default([])
+  .describe("Function arguments in order; pass large integers as decimal or hex strings and tuples as arrays or objects");
+const blockTagSchema = z.union([z.number().int().nonnegative(), z.string()]);
+const dateSchema = z.union([z.number().int().nonnegative(), z.string()]);
+
+/**
+ * Registers contract interaction tools with the MCP server
+ * @param {McpServer} server - The MCP server instance
+ * @param {Web3} web3 - The initialized Web3 instance, used when no chain is given
+ */
+export function registerContractTools(server, web3) {
+  server.registerTool("callContract",
+    {
+      inputSchema: {
+        address: addressSchema.optional().describe("Contract to call (single call)"),
+        function: functionSchema.optional(),
+        args: argsSchema,
+        calls: z.array(z.object({
+          address: addressSchema,
+          function: functionSchema,
+          args: argsSchema
+        })).max(MAX_CALLS).optional().describe("Several calls to batch; use instead of address/function/args"),
+        blockTag: blockTagSchema.optional()
+          .describe(`Block number or tag (${BLOCK_TAGS.join(", ")}); defaults to latest`),
+        chain: z.string().optional(),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache when fetching contract ABIs")
+      },
+      outputSchema: {
+        chain: z.string(),
+        blockTag: z.string(),
+        multicall: z.boolean(),
+        results: z.array(z.object({
+          address: z.string(),
+          contractName: z.string().nullable(),
+          function: z.string().nullable(),
+          source: z.enum(["abi", "signature"]).nullable(),
+          success: z.boolean(),
+          outputs: z.array(z.object({
+            name: z.string(),
+            type: z.string(),
+            value: z.any()
+          })).nullable(),
+          returnData: z.string().nullable(),
+          error: z.string().nullable()
+        }))
+      }
+    },
+    async ({ address, function: fn, args, calls, blockTag, chain, refresh }) => {
+      try {
+        if (calls && (address || fn)) {
+          throw new Error("Pass either address/function/args or calls, not both");
+        }
+        if (!calls && !(address && fn)) {
+          throw new Error("Pass address and function, or a list of calls");
+        }
+
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const block = parseBlockTag(blockTag);
+        const requests = calls || [{ address, function: fn, args }];
+
+        const result = await callFunctions(chainWeb3, chainConfig, requests, block, { refresh });
+
+        // A single failed call is an error; a batch reports failures per call
+        if (!calls && !result.results[0].success) {
+          const [failed] = result.results;
+          return {
+            content: [{ type: "text", text: `Call to ${failed.function || fn} on ${failed.address} failed: ${failed.error}` }],
+            isError: true
+          };
+        }
+
+        return {
+          content: [{ type: "text", text: formatCallResults(result, chainConfig) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in callContract:", error);
+        return {
+          content: [{ type: "text", text: `Error calling contract: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool("getContractEvents",
+    {
+      inputSchema: {
+        address: addressSchema,
+        event: z.string().min(1)
+          .describe('Event name from the verified ABI ("Transfer") or a signature with indexed markers ("Transfer(address indexed from, address indexed to, uint256 value)")'),
+        filters: z.record(z.any()).optional()
+          .describe("Values of indexed arguments by name, e.g. { \"to\": \"0x...\" }; an array matches any of its values"),
+        fromBlock: blockTagSchema.optional().describe(`First block; defaults to the last ${DEFAULT_LOOKBACK_BLOCKS} blocks`),
+        toBlock: blockTagSchema.optional().describe("Last block; defaults to latest"),
+        fromDate: dateSchema.optional().describe("Start time (ISO 8601 or Unix seconds), instead of fromBlock"),
+        toDate: dateSchema.optional().describe("End time (ISO 8601 or Unix seconds), instead of toBlock"),
+        limit: z.number().int().min(1).max(1000).optional().default(100).describe("Events per page"),
+        cursor: z.string().optional().describe("nextCursor of the previous page; the range is taken from the cursor"),
+        withTimestamps: z.boolean().optional().default(false).describe("Add block timestamps to each event (one extra request per block)"),
+        chain: z.string().optional(),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache when fetching the contract ABI")
+      },
+      outputSchema: {
+        address: z.string(),
+        chain: z.string(),
+        contractName: z.string().nullable(),
+        event: z.string(),
+        fromBlock: z.number(),
+        toBlock: z.number(),
+        scannedToBlock: z.number(),
+        count: z.number(),
+        events: z.array(z.object({
+          blockNumber: z.number(),
+          timestamp: z.number().nullable(),
+          transactionHash: z.string(),
+          logIndex: z.number(),
+          args: z.record(z.any()).nullable(),
+          raw: z.object({ topics: z.array(z.string()), data: z.string() }).optional()
+        })),
+        nextCursor: z.string().nullable()
+      }
+    },
+    async ({ address, event, filters, fromBlock, toBlock, fromDate, toDate, limit, cursor, withTimestamps, chain, refresh }) => {
+      try {
+        if (fromBlock !== undefined && fromDate !== undefined) {
+          throw new Error("Pass either fromBlock or fromDate, not both");
+        }
+        if (toBlock !== undefined && toDate !== undefined) {
+          throw new Error("Pass either toBlock or toDate, not both");
+        }
+
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const contractAddress = chainWeb3.utils.toChecksumAddress(address);
+
+        const { abi, contractName } = await getContractAbi(chainWeb3, contractAddress, chainConfig, { refresh })
+          .catch(error => {
+            // A full event signature still works without the ABI
+            console.error(`Could not fetch ABI of ${contractAddress}:`, error.message);
+            return { abi: null, contractName: null };
+          });
+        const fragment = resolveEvent(abi, event);
+        const topics = buildTopics(fragment, filters || {});
+
+        // A cursor carries its own position and range end
+        const range = cursor ? {} : await resolveBlockRange(chainWeb3, { fromBlock, toBlock, fromDate, toDate });
+        const page = await fetchLogsPage(chainWeb3, { address: contractAddress, topics }, { ...range, limit, cursor });
+        const timestamps = withTimestamps ? await fetchBlockTimestamps(chainWeb3, page.logs) : new Map();
+
+        const result = {
+          address: contractAddress,
+          chain: chainConfig.key,
+          contractName,
+          event: formatSignature(fragment),
+          fromBlock: page.fromBlock,
+          toBlock: page.toBlock,
+          scannedToBlock: page.scannedToBlock,
+          count: page.logs.length,
+          events: page.logs.map(log => formatEventRow(fragment, log, timestamps)),
+          nextCursor: page.nextCursor
+        };
+
+        return {
+          content: [{ type: "text", text: formatEvents(result, chainConfig) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in getContractEvents:", error);
+        return {
+          content: [{ type: "text", text: `Error fetching contract events: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Resolve, encode and run a batch of calls, then decode their results
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {Array<Object>} requests - Calls as { address, function, args }
+ * @param {string|number} blockTag - Block number or tag
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Bypass cached explorer responses
+ * @returns {Promise<Object>} Call results
+ */
+async function callFunctions(web3, chain, requests, blockTag, { refresh }) {
+  const abis = await fetchAbis(web3, chain, requests, refresh);
+
+  // Encoding problems are reported per call and keep the rest of the batch going
+  const prepared = requests.map(request => {
+    const address = web3.utils.toChecksumAddress(request.address);
+    const contract = abis.get(address.toLowerCase()) || { abi: null, contractName: null };
+    const entry = { address, contractName: contract.contractName, function: null, source: null };
+    try {
+      const { fragment, source } = resolveFunction(contract.abi, request.function, request.args.length);
+      entry.function = formatSignature(fragment);
+      entry.source = source;
+      entry.fragment = fragment;
+      entry.callData = encodeFunctionCall(fragment, request.args);
+    } catch (error) {
+      entry.error = error.message;
+    }
+    return entry;
+  });
+
+  const runnable = prepared.filter(entry => entry.callData);
+  const { multicall, results } = runnable.length > 0
+    ? await aggregateCalls(web3, runnable.map(entry => ({ target: entry.address, callData: entry.callData })), blockTag)
+    : { multicall: false, results: [] };
+  runnable.forEach((entry, index) => {
+    entry.response = results[index];
+  });
+
+  return {
+    chain: chain.key,
+    blockTag: String(blockTag),
+    multicall,
+    results: prepared.map(decodeCallResult)
+  };
+}
+
+/**
+ * Fetch verified ABIs (following proxies) for calls that need them: calls by
+ * function name, and signatures without return types
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {Array<Object>} requests - Calls as { address, function, args }
+ * @param {boolean} refresh - Bypass cached explorer responses
+ * @returns {Promise<Map<string, Object>>} { abi, contractName } per lowercase address
+ */
+async function fetchAbis(web3, chain, requests, refresh) {
+  const addresses = [...new Set(requests
+    .filter(request => !/\)\s*returns\s*\(/.test(request.function))
+    .map(request => request.address.toLowerCase()))];
+  const abis = new Map();
+
+  await Promise.all(addresses.map(async address => {
+    try {
+      const { abi, contractName } = await getContractAbi(web3, web3.utils.toChecksumAddress(address), chain, { refresh });
+      abis.set(address, { abi, contractName });
+    } catch (error) {
+      // Calls with a full signature still work without the ABI
+      console.error(`Could not fetch ABI of ${address}:`, error.message);
+    }
+  }));
+
+  return abis;
+}
+
+/**
+ * Find the ABI entry for a function name or signature. A signature that is
+ * not in the ABI (or has no ABI) is used as given.
+ * @param {Array<Object>|null} abi - Contract ABI
+ * @param {string} fn - Function name or signature
+ * @param {number} argCount - Number of arguments given, to pick between overloads
+ * @returns {Object} { fragment, source }
+ */
+function resolveFunction(abi, fn, argCount) {
+  const functions = (abi || []).filter(item => item.type === "function");
+
+  if (fn.includes("(")) {
+    const parsed = parseFunctionSignature(fn);
+    const match = functions.find(item => formatSignature(item) === formatSignature(parsed));
+    if (match) {
+      return { fragment: match, source: "abi" };
+    }
+    return { fragment: parsed, source: "signature" };
+  }
+
+  if (!abi) {
+    throw new Error(`No verified ABI for this contract; pass a full signature such as "${fn}(<argument types>) returns (<return types>)"`);
+  }
+
+  const candidates = functions.filter(item => item.name === fn);
+  if (candidates.length === 0) {
+    const names = [...new Set(functions.map(item => item.name))];
+    throw new Error(`No function "${fn}" in the contract ABI. Available: ${names.join(", ") || "none"}`);
+  }
+
+  const byArity = candidates.filter(item => (item.inputs || []).length === argCount);
+  if (byArity.length === 1) {
+    return { fragment: byArity[0], source: "abi" };
+  }
+  if (candidates.length === 1) {
+    return { fragment: candidates[0], source: "abi" };
+  }
+  throw new Error(`"${fn}" is overloaded; pass one of: ${candidates.map(formatSignature).join(", ")}`);
+}
+
+/**
+ * Decode the outcome of one prepared call
+ * @param {Object} entry - Prepared call with its eth_call response
+ * @returns {Object} Call result
+ */
+function decodeCallResult(entry) {
+  const result = {
+    address: entry.address,
+    contractName: entry.contractName,
+    function: entry.function,
+    source: entry.source,
+    success: false,
+    outputs: null,
+    returnData: entry.response?.returnData ?? null,
+    error: entry.error || null
+  };
+
+  if (!entry.response) return result;
+
+  if (!entry.response.success) {
+    result.error = decodeRevertReason(entry.response.returnData);
+    return result;
+  }
+
+  // Signatures without a returns clause come back as raw data
+  if (!entry.fragment.outputs) {
+    result.success = true;
+    return result;
+  }
+
+  try {
+    result.outputs = decodeFunctionOutput(entry.fragment.outputs, entry.response.returnData);
+    result.success = true;
+  } catch (error) {
+    result.error = `Could not decode return data: ${error.message}`;
+  }
+  return result;
+}
+
+/**
+ * Find the ABI entry of an event by name or signature. A signature that is
+ * not in the ABI (or has no ABI) is used as given.
+ * @param {Array<Object>|null} abi - Contract ABI
+ * @param {string} event - Event name or signature
+ * @returns {Object} ABI event entry
+ */
+function resolveEvent(abi, event) {
+  const events = (abi || []).filter(item => item.type === "event" && !item.anonymous);
+
+  if (event.includes("(")) {
+    const parsed = parseEventSignature(event);
+    return events.find(item => formatSignature(item) === formatSignature(parsed)) || parsed;
+  }
+
+  if (!abi) {
+    throw new Error(`No verified ABI for this contract; pass a full signature such as "${event}(<type> indexed <name>, <type> <name>)"`);
+  }
+
+  const candidates = events.filter(item => item.name === event);
+  if (candidates.length === 0) {
+    const names = [...new Set(events.map(item => item.name))];
+    throw new Error(`No event "${event}" in the contract ABI. Available: ${names.join(", ") || "none"}`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`"${event}" is overloaded; pass one of: ${candidates.map(formatSignature).join(", ")}`);
+  }
+  return candidates[0];
+}
+
+/**
+ * Build the eth_getLogs topic filter for an event and indexed-argument filters
+ * @param {Object} fragment - ABI event entry
+ * @param {Object} filters - Values (or arrays of alternatives) by indexed argument name
+ * @returns {Array<string|Array<string>|null>} Topics
+ */
+function buildTopics(fragment, filters) {
+  const indexed = fragment.inputs.filter(input => input.indexed);
+
+  for (const name of Object.keys(filters)) {
+    if (!indexed.some(input => input.name === name)) {
+      const names = indexed.map(input => input.name).join(", ") || "none";
+      throw new Error(`Cannot filter on "${name}": not an indexed argument of ${formatSignature(fragment)} (indexed: ${names})`);
+    }
+  }
+
+  const topics = [
+    eth.abi.encodeEventSignature(formatSignature(fragment)),
+    ...indexed.map(input => {
+      const value = filters[input.name];
+      if (value === undefined || value === null) return null;
+      return Array.isArray(value)
+        ? value.map(item => encodeEventTopic(input, item))
+        : encodeEventTopic(input, value);
+    })
+  ];
+
+  // Trailing wildcards are implied
+  while (topics[topics.length - 1] === null) topics.pop();
+  return topics;
+}
+
+/**
+ * Turn block numbers, tags and dates into a numeric block range
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} options - Range as given to the tool
+ * @returns {Promise<Object>} { fromBlock, toBlock }
+ */
+async function resolveBlockRange(web3, { fromBlock, toBlock, fromDate, toDate }) {
+  const end = toDate !== undefined
+    ? await findBlockByTimestamp(web3, parseTimestamp(toDate), { closest: "before" })
+    : await resolveBlockNumber(web3, parseBlockTag(toBlock));
+
+  const start = fromDate !== undefined
+    ? await findBlockByTimestamp(web3, parseTimestamp(fromDate), { closest: "after" })
+    : fromBlock !== undefined
+      ? await resolveBlockNumber(web3, parseBlockTag(fromBlock))
+      : Math.max(0, end - DEFAULT_LOOKBACK_BLOCKS + 1);
+
+  if (start > end) {
+    throw new Error(`Empty block range: ${start} is after ${end}`);
+  }
+  return { fromBlock: start, toBlock: end };
+}
+
+/**
+ * Resolve a block tag to its number
+ * @param {Web3} web3 - Web3 instance
+ * @param {number|string} blockTag - Block number or tag
+ * @returns {Promise<number>} Block number
+ */
+async function resolveBlockNumber(web3, blockTag) {
+  if (typeof blockTag === "number") return blockTag;
+  if (blockTag === "earliest") return 0;
+
+  const block = await web3.eth.getBlock(blockTag);
+  return Number(block.number);
+}
+
+/**
+ * Fetch the timestamps of the blocks that contain the given logs
+ * @param {Web3} web3 - Web3 instance
+ * @param {Array<Object>} logs - Logs
+ * @returns {Promise<Map<number, number>>} Timestamp per block number
+ */
+async function fetchBlockTimestamps(web3, logs) {
+  const blocks = [...new Set(logs.filter(log => log.blockTimestamp === undefined).map(log => log.blockNumber))];
+  const entries = await Promise.all(blocks.map(async number => {
+    const block = await web3.eth.getBlock(number);
+    return [number, Number(block.timestamp)];
+  }));
+  return new Map(entries);
+}
+
+/**
+ * Decode a log into an event row
+ * @param {Object} fragment - ABI event entry
+ * @param {Object} log - Log with numeric blockNumber and logIndex
+ * @param {Map<number, number>} timestamps - Block timestamps, when requested
+ * @returns {Object} Event row
+ */
+function formatEventRow(fragment, log, timestamps) {
+  const decoded = decodeEventLog([fragment], log);
+  // Some nodes include the block time in logs; otherwise it comes from the fetched blocks
+  const timestamp = log.blockTimestamp !== undefined ? Number(log.blockTimestamp) : timestamps.get(log.blockNumber) ?? null;
+
+  const row = {
+    blockNumber: log.blockNumber,
+    timestamp,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    args: decoded
+      ? Object.fromEntries(decoded.args.map((arg, index) => [arg.name || `arg${index}`, arg.value]))
+      : null
+  };
+
+  // Logs that do not match the ABI layout (e.g. another contract's event with the same topic) stay raw
+  if (!decoded) {
+    row.raw = { topics: log.topics, data: log.data };
+  }
+  return row;
+}
+
+/**
+ * Format call results for display
+ * @param {Object} result - Call results
+ * @param {Object} chain - Chain registry entry
+ * @returns {string} Formatted report
+ */
+function formatCallResults(result, chain) {
+  const output = [];
+
+  output.push("=== 📞 CONTRACT CALL ===");
+  output.push(`⛓️ Chain: ${chain.name}`);
+  output.push(`🧱 Block: ${result.blockTag}`);
+  if (result.results.length > 1) {
+    output.push(`📦 Calls: ${result.results.length}${result.multicall ? " (batched via Multicall3)" : ""}`);
+  }
+
+  result.results.forEach((call, index) => {
+    const name = call.function
+      ? `${call.contractName ? `${call.contractName}.` : ""}${call.function}`
+      : "(unresolved function)";
+    output.push(`\n[${index + 1}] ${name} @ ${call.address}`);
+    if (!call.success) {
+      output.push(`   ❌ ${call.error}`);
+    } else if (!call.outputs) {
+      output.push(`   ✅ Raw return data: ${call.returnData}`);
+    } else if (call.outputs.length === 0) {
+      output.push("   ✅ No return values");
+    } else {
+      call.outputs.forEach(item => output.push(`   ✅ ${item.name} (${item.type}): ${formatValue(item.value)}`));
+    }
+  });
+
+  return output.join("\n");
+}
+
+/**
+ * Format a page of events for display
+ * @param {Object} result - Events page
+ * @param {Object} chain - Chain registry entry
+ * @returns {string} Formatted report
+ */
+function formatEvents(result, chain) {
+  const output = [];
+
+  output.push("=== 🔔 CONTRACT EVENTS ===");
+  output.push(`📄 Contract: ${result.contractName ? `${result.contractName} (${result.address})` : result.address}`);
+  output.push(`⛓️ Chain: ${chain.name}`);
+  output.push(`📝 Event: ${result.event}`);
+  output.push(`🧱 Blocks: ${result.fromBlock} - ${result.toBlock} (scanned to ${result.scannedToBlock})`);
+  output.push(`📊 Events on this page: ${result.count}`);
+
+  result.events.forEach(row => {
+    const time = row.timestamp ? ` ${new Date(row.timestamp * 1000).toISOString()}` : "";
+    output.push(`\n[${row.blockNumber}:${row.logIndex}]${time} tx ${row.transactionHash}`);
+    if (row.args) {
+      Object.entries(row.args).forEach(([name, value]) => output.push(`   ${name}: ${formatValue(value)}`));
+    } else {
+      output.push(`   (could not decode) topics ${row.raw.topics.join(", ")} data ${row.raw.data}`);
+    }
+  });
+
+  if (result.nextCursor) {
+    output.push(`\n➡️ More events may follow; call again with cursor "${result.nextCursor}"`);
+  }
+
+  return output.join("\n");
+}
+
+/**
+ * Render a decoded value on one line
+ * @param {*} value - Plain decoded value
+ * @returns {string} Display string
+ */
+function formatValue(value) {
+  return typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+}
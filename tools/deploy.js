@@ -0,0 +1,275 @@
+import { z } from "zod";
+import { resolveEvmChain, getWeb3 } from "../lib/chains.js";
+import { addressSchema } from "../lib/address.js";
+import { parseTokenAmount, formatTokenAmount } from "../lib/erc20.js";
+import { getFeeOracle } from "../lib/gas.js";
+import { getNativeUsdPrice } from "../lib/price-feed.js";
+import { isWalletConfigured, getWalletAccount } from "../lib/wallet.js";
+import {
+  TOKEN_FEATURES,
+  getTokenTemplate,
+  encodeTokenDeployment,
+  verifyTokenContract
+} from "../lib/token-deploy.js";
+import { walletResultSchema, executeWalletAction, formatWalletResult } from "./wallet.js";
+
+// ERC721 tokens are minted one by one in the constructor, so keep the batch affordable
+const MAX_ERC721_INITIAL_SUPPLY = 100;
+
+// Recent blocks sampled for the deployment cost estimate
+const FEE_SAMPLE_BLOCKS = 10;
+
+/**
+ * Registers the token deployment tool with the MCP server. Like the wallet
+ * tools it needs a signing key, and deployments go through the wallet policy
+ * and a simulation before anything is signed.
+ * @param {McpServer} server - The MCP server instance
+ * @param {Web3} web3 - The initialized Web3 instance, used when no chain is given
+ */
+export function registerDeployTools(server, web3) {
+  if (!isWalletConfigured()) {
+    return;
+  }
+
+  server.registerTool("deployToken",
+    {
+      inputSchema: {
+        standard: z.enum(["ERC20", "ERC721"]),
+        name: z.string().trim().min(1).max(64).describe("Token name, e.g. My Token"),
+        symbol: z.string().trim().min(1).max(16).describe("Token symbol, e.g. MTK"),
+        supply: z.string().trim().regex(/^\d+(\.\d+)?$/, "Supply must be a decimal number such as 1000000").optional().default("0")
+          .describe(`Initial supply minted to the owner: whole tokens for ERC20, a number of NFTs (at most ${MAX_ERC721_INITIAL_SUPPLY}) for ERC721`),
+        decimals: z.number().int().min(0).max(36).optional().describe("ERC20 decimals (default 18)"),
+        baseUri: z.string().trim().optional().describe("ERC721 base token URI; token N gets <baseUri>N"),
+        features: z.array(z.enum(TOKEN_FEATURES)).optional().default([])
+          .describe("Owner-only minting, holder burning and owner pausing; cannot be enabled after deployment"),
+        owner: addressSchema.optional().describe("Owner and recipient of the initial supply; defaults to the wallet"),
+        verify: z.boolean().optional().default(false).describe("Submit the source to Etherscan for verification once deployed"),
+        chain: z.string().optional(),
+        dryRun: z.boolean().optional().default(true)
+          .describe("Only simulate and check the policy (default); pass false to sign and broadcast")
+      },
+      outputSchema: {
+        standard: z.enum(["ERC20", "ERC721"]),
+        template: z.string(),
+        compilerVersion: z.string(),
+        name: z.string(),
+        symbol: z.string(),
+        decimals: z.number().nullable(),
+        baseUri: z.string().nullable(),
+        initialSupply: z.string(),
+        initialSupplyRaw: z.string(),
+        features: z.array(z.string()),
+        owner: z.string(),
+        contractAddress: z.string(),
+        estimatedCost: z.object({
+          gas: z.number(),
+          native: z.string(),
+          usd: z.number().nullable()
+        }).nullable(),
+        wallet: z.object(walletResultSchema),
+        verification: z.object({
+          status: z.enum(["verified", "pending", "failed", "skipped"]),
+          guid: z.string().nullable(),
+          message: z.string(),
+          url: z.string().nullable()
+        }).nullable()
+      }
+    },
+    async ({ standard, name, symbol, supply, decimals, baseUri, features, owner, verify, chain, dryRun }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const account = await getWalletAccount();
+        const tokenOwner = chainWeb3.utils.toChecksumAddress(owner || account.address);
+
+        if (/^0x0{40}$/.test(tokenOwner)) {
+          throw new Error("The owner cannot be the zero address");
+        }
+        if (standard === "ERC721" && decimals !== undefined) {
+          throw new Error("decimals only applies to ERC20 tokens");
+        }
+        if (standard === "ERC20" && baseUri !== undefined) {
+          throw new Error("baseUri only applies to ERC721 collections");
+        }
+        const tokenDecimals = standard === "ERC20" ? decimals ?? 18 : null;
+        const initialSupply = parseSupply(standard, supply, tokenDecimals);
+
+        const template = getTokenTemplate(standard);
+        const { data, constructorArguments } = encodeTokenDeployment(standard, {
+          name,
+          symbol,
+          decimals: tokenDecimals,
+          baseUri: baseUri || "",
+          initialSupply,
+          owner: tokenOwner,
+          features
+        });
+
+        const wallet = await executeWalletAction(chainWeb3, chainConfig, {
+          action: "deployToken",
+          tx: { value: 0n, data },
+          asset: "native",
+          token: null,
+          symbol: chainConfig.nativeSymbol,
+          decimals: 18,
+          amount: 0n,
+          dryRun,
+          contractMetadata: { symbol, decimals: tokenDecimals }
+        });
+
+        const estimatedCost = wallet.simulation.gasEstimate === null
+          ? null
+          : await estimateCost(chainWeb3, chainConfig, wallet.simulation.gasEstimate);
+
+        let verification = null;
+        if (verify && wallet.status === "confirmed") {
+          verification = await verifyDeployment(chainConfig, standard, wallet.to, constructorArguments);
+        }
+
+        const result = {
+          standard,
+          template: template.contractName,
+          compilerVersion: template.compilerVersion,
+          name,
+          symbol,
+          decimals: tokenDecimals,
+          baseUri: standard === "ERC721" ? baseUri || "" : null,
+          initialSupply: formatTokenAmount(initialSupply, tokenDecimals),
+          initialSupplyRaw: initialSupply.toString(),
+          features: TOKEN_FEATURES.filter(feature => features.includes(feature)),
+          owner: tokenOwner,
+          contractAddress: wallet.to,
+          estimatedCost,
+          wallet,
+          verification
+        };
+
+        return {
+          content: [{ type: "text", text: formatDeployment(result, chainConfig, verify) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in deployToken:", error);
+        return {
+          content: [{ type: "text", text: `Error deploying token: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Convert the requested initial supply to the constructor argument
+ * @param {string} standard - "ERC20" or "ERC721"
+ * @param {string} supply - Whole tokens (ERC20) or number of NFTs (ERC721)
+ * @param {number|null} decimals - ERC20 decimals
+ * @returns {bigint} Raw ERC20 supply or NFT count
+ */
+function parseSupply(standard, supply, decimals) {
+  if (standard === "ERC20") {
+    return parseTokenAmount(supply, decimals);
+  }
+  if (!/^\d+$/.test(supply) || BigInt(supply) > BigInt(MAX_ERC721_INITIAL_SUPPLY)) {
+    throw new Error(`The initial ERC721 supply must be a whole number of at most ${MAX_ERC721_INITIAL_SUPPLY}; mint more afterwards with the mintable feature`);
+  }
+  return BigInt(supply);
+}
+
+/**
+ * Price a deployment at the standard tier of the gas oracle
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {number} gas - Gas estimate
+ * @returns {Promise<Object|null>} { gas, native, usd }, or null if fees could not be read
+ */
+async function estimateCost(web3, chain, gas) {
+  try {
+    const [oracle, price] = await Promise.all([
+      getFeeOracle(web3, FEE_SAMPLE_BLOCKS),
+      getNativeUsdPrice(web3, chain).catch(() => null)
+    ]);
+    const wei = oracle.tiers.standard.expected * BigInt(gas);
+    return {
+      gas,
+      native: formatTokenAmount(wei, 18),
+      usd: price ? Number(wei) / 1e18 * price.price : null
+    };
+  } catch (error) {
+    console.error("Could not estimate the deployment cost:", error);
+    return null;
+  }
+}
+
+/**
+ * Submit a confirmed deployment to Etherscan, reporting why when it cannot be
+ * @param {Object} chain - Chain registry entry
+ * @param {string} standard - "ERC20" or "ERC721"
+ * @param {string} address - Deployed contract address
+ * @param {string} constructorArguments - ABI-encoded constructor arguments, without 0x
+ * @returns {Promise<Object>} { status, guid, message, url }
+ */
+async function verifyDeployment(chain, standard, address, constructorArguments) {
+  const url = chain.explorerUrl ? `${chain.explorerUrl}/address/${address}#code` : null;
+  if (!chain.etherscanApiUrl) {
+    return { status: "skipped", guid: null, message: `${chain.name} has no Etherscan API`, url };
+  }
+  if (!process.env.ETHERSCAN_API_KEY) {
+    return { status: "skipped", guid: null, message: "ETHERSCAN_API_KEY is not set", url };
+  }
+
+  try {
+    return { ...await verifyTokenContract(chain, standard, address, constructorArguments), url };
+  } catch (error) {
+    console.error("Error verifying deployed token:", error);
+    return { status: "failed", guid: null, message: error.message, url };
+  }
+}
+
+/**
+ * Format a deployment result for display
+ * @param {Object} result - Structured deployment result
+ * @param {Object} chain - Chain registry entry
+ * @param {boolean} verify - Whether verification was requested
+ * @returns {string} Formatted report
+ */
+function formatDeployment(result, chain, verify) {
+  const output = [formatWalletResult(result.wallet, chain)];
+  const statuses = { verified: "✅ Verified", pending: "⏳ Pending", failed: "❌ Failed", skipped: "⏭️ Skipped" };
+
+  output.push(`\n🪙 ${result.standard} TOKEN:`);
+  output.push(`   Name: ${result.name} (${result.symbol})`);
+  output.push(`   Template: ${result.template} (solc ${result.compilerVersion})`);
+  if (result.decimals !== null) {
+    output.push(`   Decimals: ${result.decimals}`);
+  }
+  if (result.baseUri) {
+    output.push(`   Base URI: ${result.baseUri}`);
+  }
+  output.push(`   Initial supply: ${result.initialSupply}${result.standard === "ERC721" ? " NFTs" : ` ${result.symbol}`} to ${result.owner}`);
+  output.push(`   Features: ${result.features.length ? result.features.join(", ") : "none (fixed supply, not pausable)"}`);
+  if (result.wallet.status === "simulated") {
+    output.push(`   Expected address: ${result.contractAddress} (if the wallet sends nothing else first)`);
+  }
+
+  if (result.estimatedCost) {
+    const { gas, native, usd } = result.estimatedCost;
+    output.push(`\n⛽ Estimated cost: ${native} ${chain.nativeSymbol}${usd === null ? "" : ` ($${usd.toFixed(2)})`} for ${gas.toLocaleString("en-US")} gas`);
+  }
+
+  if (result.verification) {
+    const { status, guid, message, url } = result.verification;
+    output.push(`\n🔍 VERIFICATION: ${statuses[status]}`);
+    output.push(`   ${message}${guid ? ` (GUID ${guid})` : ""}`);
+    if (url && status !== "skipped") {
+      output.push(`   ${url}`);
+    }
+  } else if (verify) {
+    output.push(result.wallet.dryRun
+      ? "\n🔍 Verification is submitted after a live deployment"
+      : "\n🔍 Verification was not submitted because the deployment is not confirmed");
+  }
+
+  return output.join("\n");
+}
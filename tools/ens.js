@@ -0,0 +1,90 @@
+import { z } from "zod";
+import { isEnsName, resolveEnsName, lookupEnsName, getEnsTextRecords } from "../lib/ens.js";
+
+// Text record keys read when none are requested
+const DEFAULT_TEXT_KEYS = ["url", "avatar", "description", "com.twitter", "com.github", "email"];
+
+/**
+ * Registers ENS lookup tools with the MCP server
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerEnsTools(server) {
+  server.registerTool("resolveEns",
+    {
+      inputSchema: {
+        nameOrAddress: z.string().trim().min(1).describe("ENS name to resolve, or address to reverse-resolve"),
+        textRecords: z.array(z.string()).max(20).optional()
+          .describe(`Text record keys to read; defaults to ${DEFAULT_TEXT_KEYS.join(", ")}`),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and query ENS again")
+      },
+      outputSchema: {
+        name: z.string().nullable(),
+        address: z.string().nullable(),
+        primaryName: z.string().nullable(),
+        textRecords: z.record(z.string().nullable())
+      }
+    },
+    async ({ nameOrAddress, textRecords, refresh }) => {
+      try {
+        const keys = textRecords || DEFAULT_TEXT_KEYS;
+        let name;
+        let address;
+
+        if (/^0x[a-fA-F0-9]{40}$/.test(nameOrAddress)) {
+          address = nameOrAddress;
+          name = await lookupEnsName(address, { refresh });
+        } else if (isEnsName(nameOrAddress)) {
+          name = nameOrAddress;
+          address = await resolveEnsName(name, { refresh });
+        } else {
+          throw new Error(`"${nameOrAddress}" is neither an address nor an ENS name`);
+        }
+
+        const [primaryName, records] = await Promise.all([
+          address ? lookupEnsName(address, { refresh }) : null,
+          name ? getEnsTextRecords(name, keys) : {}
+        ]);
+
+        const result = { name, address, primaryName, textRecords: records };
+        return {
+          content: [{ type: "text", text: formatEnsResult(nameOrAddress, result) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in resolveEns:", error);
+        return {
+          content: [{ type: "text", text: `Error resolving ENS: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Format an ENS lookup for display
+ * @param {string} query - Name or address looked up
+ * @param {Object} result - Lookup result
+ * @returns {string} Formatted result
+ */
+function formatEnsResult(query, result) {
+  if (!result.name) {
+    return `${query} has no primary ENS name`;
+  }
+  if (!result.address) {
+    return `${result.name} does not resolve to an address`;
+  }
+
+  const output = [`${result.name} → ${result.address}`];
+  output.push(result.primaryName === result.name
+    ? "Primary name: yes"
+    : `Primary name: ${result.primaryName || "none"}`);
+
+  const records = Object.entries(result.textRecords).filter(([, value]) => value !== null);
+  if (records.length > 0) {
+    output.push("Text records:");
+    records.forEach(([key, value]) => output.push(`- ${key}: ${value}`));
+  }
+
+  return output.join("\n");
+}
@@ -0,0 +1,215 @@
+import { z } from "zod";
+import { resolveEvmChain, getWeb3 } from "../lib/chains.js";
+import { formatTokenAmount } from "../lib/erc20.js";
+import { getFeeOracle } from "../lib/gas.js";
+import { getNativeUsdPrice } from "../lib/price-feed.js";
+
+// Typical gas used by common operations, for the cost estimates
+const OPERATIONS = [
+  { operation: "nativeTransfer", gas: 21000 },
+  { operation: "erc20Transfer", gas: 65000 },
+  { operation: "uniswapSwap", gas: 150000 }
+];
+
+const TIERS = ["slow", "standard", "fast"];
+
+const costSchema = z.object({
+  native: z.string(),
+  usd: z.number().nullable()
+});
+
+/**
+ * Registers the gas oracle tool with the MCP server
+ * @param {McpServer} server - The MCP server instance
+ * @param {Web3} web3 - The initialized Web3 instance, used when no chain is given
+ */
+export function registerGasTools(server, web3) {
+  server.registerTool("getGasOracle",
+    {
+      inputSchema: {
+        blocks: z.number().int().min(1).max(1024).optional().default(20)
+          .describe("Number of recent blocks to sample (default 20)"),
+        chain: z.string().optional()
+      },
+      outputSchema: {
+        chain: z.string(),
+        nativeSymbol: z.string(),
+        eip1559: z.boolean(),
+        oldestBlock: z.number(),
+        newestBlock: z.number(),
+        baseFee: z.object({
+          nextGwei: z.number(),
+          averageGwei: z.number(),
+          minGwei: z.number(),
+          maxGwei: z.number(),
+          changePercent: z.number(),
+          trend: z.enum(["rising", "falling", "stable"])
+        }).nullable(),
+        gasUsedRatio: z.number().nullable(),
+        tiers: z.object(Object.fromEntries(TIERS.map(tier => [tier, z.object({
+          maxPriorityFeeGwei: z.number().nullable(),
+          maxFeeGwei: z.number(),
+          expectedGwei: z.number()
+        })]))),
+        blobBaseFeeGwei: z.number().nullable(),
+        blobGasUsedRatio: z.number().nullable(),
+        nativeUsdPrice: z.number().nullable(),
+        priceUpdatedAt: z.string().nullable(),
+        costs: z.array(z.object({
+          operation: z.string(),
+          gas: z.number(),
+          ...Object.fromEntries(TIERS.map(tier => [tier, costSchema]))
+        })),
+        warnings: z.array(z.string())
+      }
+    },
+    async ({ blocks, chain }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+
+        const [oracle, price] = await Promise.all([
+          getFeeOracle(chainWeb3, blocks),
+          getNativeUsdPrice(chainWeb3, chainConfig).catch(error => ({ error }))
+        ]);
+
+        const warnings = [...oracle.warnings];
+        const usdPrice = price && !price.error ? price.price : null;
+        if (price?.error) {
+          warnings.push(`No USD price: ${price.error.message}`);
+        } else if (price?.stale) {
+          warnings.push(`The Chainlink ${chainConfig.nativeSymbol}/USD price was last updated ${price.updatedAt}`);
+        } else if (!price) {
+          warnings.push(`No Chainlink ${chainConfig.nativeSymbol}/USD feed is configured for ${chainConfig.name}; costs are not priced in USD`);
+        }
+
+        const result = {
+          chain: chainConfig.key,
+          nativeSymbol: chainConfig.nativeSymbol,
+          eip1559: oracle.eip1559,
+          oldestBlock: oracle.oldestBlock,
+          newestBlock: oracle.newestBlock,
+          baseFee: oracle.baseFee && {
+            nextGwei: toGwei(oracle.baseFee.next),
+            averageGwei: toGwei(oracle.baseFee.average),
+            minGwei: toGwei(oracle.baseFee.min),
+            maxGwei: toGwei(oracle.baseFee.max),
+            changePercent: oracle.baseFee.changePercent,
+            trend: oracle.baseFee.trend
+          },
+          gasUsedRatio: oracle.gasUsedRatio,
+          tiers: Object.fromEntries(TIERS.map(tier => [tier, {
+            maxPriorityFeeGwei: oracle.tiers[tier].maxPriorityFeePerGas === null ? null : toGwei(oracle.tiers[tier].maxPriorityFeePerGas),
+            maxFeeGwei: toGwei(oracle.tiers[tier].maxFeePerGas),
+            expectedGwei: toGwei(oracle.tiers[tier].expected)
+          }])),
+          blobBaseFeeGwei: oracle.blobBaseFee === null ? null : toGwei(oracle.blobBaseFee),
+          blobGasUsedRatio: oracle.blobGasUsedRatio,
+          nativeUsdPrice: usdPrice,
+          priceUpdatedAt: price && !price.error ? price.updatedAt : null,
+          costs: OPERATIONS.map(({ operation, gas }) => ({
+            operation,
+            gas,
+            ...Object.fromEntries(TIERS.map(tier => {
+              const wei = oracle.tiers[tier].expected * BigInt(gas);
+              return [tier, {
+                native: formatTokenAmount(wei, 18),
+                usd: usdPrice === null ? null : Number(wei) / 1e18 * usdPrice
+              }];
+            }))
+          })),
+          warnings
+        };
+
+        return {
+          content: [{ type: "text", text: formatGasOracle(result, chainConfig) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in getGasOracle:", error);
+        return {
+          content: [{ type: "text", text: `Error fetching gas oracle: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Convert an amount in wei to gwei
+ * @param {bigint} wei - Amount in wei
+ * @returns {number} Amount in gwei
+ */
+function toGwei(wei) {
+  return Number(wei) / 1e9;
+}
+
+/**
+ * Round a fee for display, keeping small values readable
+ * @param {number} value - Fee or amount
+ * @returns {string} Value with four significant digits
+ */
+function formatFee(value) {
+  return String(Number(value.toPrecision(4)));
+}
+
+/**
+ * Format a gas oracle result for display
+ * @param {Object} result - Structured oracle result
+ * @param {Object} chain - Chain registry entry
+ * @returns {string} Formatted report
+ */
+function formatGasOracle(result, chain) {
+  const output = [];
+  const labels = {
+    nativeTransfer: `${chain.nativeSymbol} transfer`,
+    erc20Transfer: "ERC20 transfer",
+    uniswapSwap: "Uniswap swap"
+  };
+  const icons = { slow: "🐢", standard: "🚶", fast: "🚀" };
+  const trends = { rising: "📈", falling: "📉", stable: "➡️" };
+
+  output.push("=== ⛽ GAS ORACLE ===");
+  output.push(`⛓️ Chain: ${chain.name}`);
+  if (result.eip1559) {
+    const usage = result.gasUsedRatio === null ? "" : `, ${Math.round(result.gasUsedRatio * 100)}% full on average`;
+    output.push(`📦 Blocks: ${result.oldestBlock}–${result.newestBlock} (${result.newestBlock - result.oldestBlock + 1} sampled${usage})`);
+  }
+
+  if (result.baseFee) {
+    const { nextGwei, averageGwei, minGwei, maxGwei, changePercent, trend } = result.baseFee;
+    output.push(`${trends[trend]} Base fee: ${formatFee(nextGwei)} gwei, ${trend} (${changePercent > 0 ? "+" : ""}${changePercent}% over the window; avg ${formatFee(averageGwei)}, min ${formatFee(minGwei)}, max ${formatFee(maxGwei)})`);
+  } else {
+    output.push(`💲 Gas price: ${formatFee(result.tiers.standard.expectedGwei)} gwei (no EIP-1559 fee history)`);
+  }
+
+  if (result.eip1559) {
+    output.push("\n🎚️ FEE TIERS (priority fee / expected price / max fee, gwei):");
+    TIERS.forEach(tier => {
+      const fees = result.tiers[tier];
+      output.push(`   ${icons[tier]} ${tier}: ${formatFee(fees.maxPriorityFeeGwei)} / ${formatFee(fees.expectedGwei)} / ${formatFee(fees.maxFeeGwei)}`);
+    });
+  }
+
+  if (result.blobBaseFeeGwei !== null) {
+    const usage = result.blobGasUsedRatio === null ? "" : ` (${Math.round(result.blobGasUsedRatio * 100)}% of blob capacity used)`;
+    output.push(`\n🫧 Blob base fee: ${formatFee(result.blobBaseFeeGwei)} gwei${usage}`);
+  }
+
+  if (result.nativeUsdPrice !== null) {
+    output.push(`\n💵 ${chain.nativeSymbol} price: $${result.nativeUsdPrice.toFixed(2)} (Chainlink, ${result.priceUpdatedAt})`);
+  }
+
+  output.push(`\n💸 ESTIMATED COSTS (${TIERS.join(" / ")}):`);
+  result.costs.forEach(cost => {
+    const amounts = TIERS.map(tier => (cost[tier].usd === null
+      ? `${formatFee(Number(cost[tier].native))} ${chain.nativeSymbol}`
+      : `$${cost[tier].usd < 0.01 ? cost[tier].usd.toPrecision(2) : cost[tier].usd.toFixed(2)}`));
+    output.push(`   ${labels[cost.operation]} (${cost.gas.toLocaleString("en-US")} gas): ${amounts.join(" / ")}`);
+  });
+
+  result.warnings.forEach(warning => output.push(`⚠️ ${warning}`));
+
+  return output.join("\n");
+}
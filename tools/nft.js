@@ -0,0 +1,434 @@
+import { z } from "zod";
+import { resolveEvmChain, getMoralisChain, getWeb3 } from "../lib/chains.js";
+import { addressSchema } from "../lib/address.js";
+import { lookupEnsName } from "../lib/ens.js";
+import { moralisGetAll } from "../lib/moralis.js";
+import { CACHE_TTLS } from "../lib/cache.js";
+import { getTokenMetadata } from "../lib/erc20.js";
+import {
+  detectNftStandard,
+  getTokenUri,
+  toGatewayUrls,
+  fetchNftMetadata,
+  getCollectionStats,
+  findNftHoldings
+} from "../lib/nft.js";
+
+// Range scanned for transfers by getNftHoldings when no start block is given
+const DEFAULT_LOOKBACK_BLOCKS = 100000;
+
+// Largest number of collections getNftHoldings can be limited to
+const MAX_CONTRACTS = 50;
+
+const OWNER_OF = {
+  type: "function",
+  name: "ownerOf",
+  inputs: [{ name: "tokenId", type: "uint256" }]
+};
+
+const tokenIdSchema = z.string().trim().regex(/^(\d+|0x[0-9a-fA-F]+)$/, "Token ID must be a decimal or hex integer")
+  .describe("Token ID (decimal or hex)");
+
+/**
+ * Registers NFT tools with the MCP server
+ * @param {McpServer} server - The MCP server instance
+ * @param {Web3} web3 - The initialized Web3 instance, used when no chain is given
+ */
+export function registerNftTools(server, web3) {
+  server.registerTool("getNftMetadata",
+    {
+      inputSchema: {
+        contract: addressSchema.describe("NFT collection address or ENS name"),
+        tokenId: tokenIdSchema,
+        chain: z.string().optional(),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and refetch the metadata")
+      },
+      outputSchema: {
+        chain: z.string(),
+        contract: z.string(),
+        tokenId: z.string(),
+        standard: z.enum(["ERC721", "ERC1155"]).nullable(),
+        owner: z.string().nullable(),
+        tokenUri: z.string().nullable(),
+        metadataUrl: z.string().nullable(),
+        metadata: z.record(z.any()).nullable(),
+        name: z.string().nullable(),
+        description: z.string().nullable(),
+        image: z.string().nullable(),
+        imageUrl: z.string().nullable(),
+        attributes: z.array(z.any()),
+        collection: z.object({
+          name: z.string().nullable(),
+          symbol: z.string().nullable(),
+          totalSupply: z.string().nullable(),
+          tokenSupply: z.string().nullable(),
+          owners: z.number().nullable()
+        }),
+        warnings: z.array(z.string())
+      }
+    },
+    async ({ contract, tokenId, chain, refresh }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const id = BigInt(tokenId);
+        const warnings = [];
+
+        const detected = await detectNftStandard(chainWeb3, contract);
+        const [{ standard, tokenUri }, collection] = await Promise.all([
+          readTokenUri(chainWeb3, contract, id, detected.standard, warnings),
+          getCollectionStats(chainWeb3, contract, detected, id)
+        ]);
+        warnings.push(...collection.warnings);
+
+        const owner = standard === "ERC721" ? await readOwner(chainWeb3, contract, id) : null;
+
+        let metadata = null;
+        let metadataUrl = null;
+        if (tokenUri) {
+          try {
+            ({ metadata, url: metadataUrl } = await fetchNftMetadata(tokenUri, { refresh }));
+          } catch (error) {
+            warnings.push(error.message);
+          }
+        }
+
+        const image = asString(metadata?.image ?? metadata?.image_url);
+        const result = {
+          chain: chainConfig.key,
+          contract: chainWeb3.utils.toChecksumAddress(contract),
+          tokenId: id.toString(),
+          standard,
+          owner,
+          tokenUri,
+          metadataUrl,
+          metadata,
+          name: asString(metadata?.name),
+          description: asString(metadata?.description),
+          image,
+          imageUrl: image ? toGatewayUrls(image)[0] || null : null,
+          attributes: Array.isArray(metadata?.attributes) ? metadata.attributes : [],
+          collection: {
+            name: collection.name,
+            symbol: collection.symbol,
+            totalSupply: collection.totalSupply,
+            tokenSupply: collection.tokenSupply,
+            owners: collection.owners
+          },
+          warnings
+        };
+
+        return {
+          content: [{ type: "text", text: formatNftMetadata(result, chainConfig) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in getNftMetadata:", error);
+        return {
+          content: [{ type: "text", text: `Error fetching NFT metadata: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool("getNftHoldings",
+    {
+      inputSchema: {
+        address: addressSchema.describe("Wallet address or ENS name"),
+        contracts: z.array(addressSchema).min(1).max(MAX_CONTRACTS).optional()
+          .describe("Only list NFTs of these collections"),
+        chain: z.string().optional(),
+        source: z.enum(["auto", "moralis", "onchain"]).optional().default("auto")
+          .describe("auto uses Moralis when MORALIS_API_KEY is set, Transfer logs otherwise"),
+        fromBlock: z.number().int().nonnegative().optional()
+          .describe(`First block scanned for transfers (onchain source); defaults to the last ${DEFAULT_LOOKBACK_BLOCKS} blocks`),
+        excludeSpam: z.boolean().optional().default(true),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and fetch fresh holdings")
+      },
+      outputSchema: {
+        address: z.string(),
+        ensName: z.string().nullable(),
+        chain: z.string(),
+        source: z.enum(["moralis", "onchain"]),
+        fromBlock: z.number().nullable(),
+        toBlock: z.number().nullable(),
+        count: z.number(),
+        nfts: z.array(z.object({
+          contract: z.string(),
+          standard: z.string().nullable(),
+          tokenId: z.string(),
+          amount: z.string(),
+          collectionName: z.string().nullable(),
+          symbol: z.string().nullable(),
+          name: z.string().nullable(),
+          image: z.string().nullable()
+        })),
+        truncated: z.boolean(),
+        warnings: z.array(z.string())
+      }
+    },
+    async ({ address, contracts, chain, source, fromBlock, excludeSpam, refresh }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const holdingsSource = source === "auto"
+          ? (process.env.MORALIS_API_KEY && chainConfig.moralisChain ? "moralis" : "onchain")
+          : source;
+
+        const [holdings, ensName] = await Promise.all([
+          holdingsSource === "moralis"
+            ? fetchMoralisNfts(chainConfig, address, contracts, { excludeSpam, refresh })
+            : fetchOnchainNfts(chainWeb3, address, contracts, fromBlock),
+          lookupEnsName(address)
+        ]);
+
+        const result = {
+          address,
+          ensName,
+          chain: chainConfig.key,
+          source: holdingsSource,
+          fromBlock: holdings.fromBlock ?? null,
+          toBlock: holdings.toBlock ?? null,
+          count: holdings.nfts.length,
+          nfts: holdings.nfts,
+          truncated: holdings.truncated,
+          warnings: holdings.warnings
+        };
+
+        return {
+          content: [{ type: "text", text: formatNftHoldings(result, chainConfig) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in getNftHoldings:", error);
+        return {
+          content: [{ type: "text", text: `Error fetching NFT holdings: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Read a token's URI, trying tokenURI and then uri when the contract does not
+ * declare its standard through ERC165
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} contract - Contract address
+ * @param {bigint} tokenId - Token ID
+ * @param {string|null} standard - Detected standard
+ * @param {string[]} warnings - Collected warnings
+ * @returns {Promise<Object>} { standard, tokenUri } (both null if neither call works)
+ */
+async function readTokenUri(web3, contract, tokenId, standard, warnings) {
+  const attempts = standard ? [standard] : ["ERC721", "ERC1155"];
+  if (!standard) {
+    warnings.push("The contract does not report ERC721 or ERC1155 support (ERC165); trying tokenURI and uri");
+  }
+
+  for (const attempt of attempts) {
+    try {
+      return { standard: attempt, tokenUri: await getTokenUri(web3, contract, tokenId, attempt) };
+    } catch (error) {
+      warnings.push(`${attempt === "ERC1155" ? "uri" : "tokenURI"}(${tokenId}) failed: ${error.cause?.message || error.message}`);
+    }
+  }
+  return { standard, tokenUri: null };
+}
+
+/**
+ * Read the owner of an ERC721 token
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} contract - Contract address
+ * @param {bigint} tokenId - Token ID
+ * @returns {Promise<string|null>} Owner, or null if the token does not exist
+ */
+async function readOwner(web3, contract, tokenId) {
+  try {
+    const data = await web3.eth.call({ to: contract, data: web3.eth.abi.encodeFunctionCall(OWNER_OF, [tokenId]) });
+    return web3.eth.abi.decodeParameter("address", data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List a wallet's NFTs from Moralis
+ * @param {Object} chainConfig - Chain registry entry
+ * @param {string} wallet - Wallet address
+ * @param {string[]} [contracts] - Only keep these collections
+ * @param {Object} options - { excludeSpam, refresh }
+ * @returns {Promise<Object>} { nfts, truncated, warnings }
+ */
+async function fetchMoralisNfts(chainConfig, wallet, contracts, { excludeSpam, refresh }) {
+  const items = await moralisGetAll(`/${wallet}/nft`, {
+    chain: getMoralisChain(chainConfig.key),
+    format: "decimal",
+    normalizeMetadata: true,
+    exclude_spam: excludeSpam
+  }, { ttl: CACHE_TTLS.nftHoldings, refresh });
+
+  const wanted = contracts ? new Set(contracts.map(contract => contract.toLowerCase())) : null;
+  const nfts = items
+    .filter(item => !wanted || wanted.has(item.token_address.toLowerCase()))
+    .map(item => ({
+      contract: item.token_address,
+      standard: item.contract_type || null,
+      tokenId: String(item.token_id),
+      amount: String(item.amount ?? 1),
+      collectionName: item.name ?? null,
+      symbol: item.symbol ?? null,
+      name: asString(item.normalized_metadata?.name),
+      image: asString(item.normalized_metadata?.image)
+    }));
+
+  return { nfts, truncated: false, warnings: [] };
+}
+
+/**
+ * Reconstruct a wallet's NFTs from Transfer logs and verify them on-chain
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} wallet - Wallet address
+ * @param {string[]} [contracts] - Only consider these collections
+ * @param {number} [fromBlock] - First block to scan
+ * @returns {Promise<Object>} { nfts, fromBlock, toBlock, truncated, warnings }
+ */
+async function fetchOnchainNfts(web3, wallet, contracts, fromBlock) {
+  const toBlock = Number(await web3.eth.getBlockNumber());
+  const start = fromBlock ?? Math.max(0, toBlock - DEFAULT_LOOKBACK_BLOCKS + 1);
+  if (start > toBlock) {
+    throw new Error(`fromBlock ${start} is after the latest block ${toBlock}`);
+  }
+
+  const { holdings, truncated } = await findNftHoldings(web3, wallet, { fromBlock: start, toBlock }, contracts);
+
+  const collections = [...new Set(holdings.map(holding => holding.contract))];
+  const metadata = new Map(await Promise.all(collections.map(async contract => [contract, await getTokenMetadata(web3, contract)])));
+
+  const warnings = [];
+  if (start > 0) {
+    warnings.push(`Only NFTs received since block ${start} are found; pass fromBlock: 0 (or the block the wallet was first funded) for its full history`);
+  }
+  if (truncated) {
+    warnings.push("Too many tokens were received in this range; only the first ones were checked");
+  }
+
+  return {
+    nfts: holdings.map(holding => ({
+      contract: holding.contract,
+      standard: holding.standard,
+      tokenId: holding.tokenId.toString(),
+      amount: holding.amount.toString(),
+      collectionName: metadata.get(holding.contract).name,
+      symbol: metadata.get(holding.contract).symbol,
+      name: null,
+      image: null
+    })),
+    fromBlock: start,
+    toBlock,
+    truncated,
+    warnings
+  };
+}
+
+/**
+ * Keep a metadata value only if it is a non-empty string
+ * @param {*} value - Metadata value
+ * @returns {string|null} String value
+ */
+function asString(value) {
+  return typeof value === "string" && value.trim() ? value : null;
+}
+
+/**
+ * Shorten long values such as data: URIs for display
+ * @param {string} value - Value
+ * @returns {string} Value cut to 120 characters
+ */
+function truncate(value) {
+  return value.length > 120 ? `${value.slice(0, 117)}...` : value;
+}
+
+/**
+ * Format NFT metadata for display
+ * @param {Object} result - Structured metadata result
+ * @param {Object} chain - Chain registry entry
+ * @returns {string} Formatted report
+ */
+function formatNftMetadata(result, chain) {
+  const output = [];
+  const { collection } = result;
+
+  output.push("=== 🖼️ NFT METADATA ===");
+  output.push(`⛓️ Chain: ${chain.name}`);
+  output.push(`📜 Contract: ${result.contract}${result.standard ? ` (${result.standard})` : ""}`);
+  output.push(`🔢 Token ID: ${result.tokenId}`);
+  if (result.owner) {
+    output.push(`👤 Owner: ${result.owner}`);
+  }
+  if (result.name) {
+    output.push(`🏷️ Name: ${result.name}`);
+  }
+  if (result.description) {
+    output.push(`📝 Description: ${truncate(result.description.replace(/\s+/g, " "))}`);
+  }
+  if (result.image) {
+    output.push(`🎨 Image: ${truncate(result.imageUrl || result.image)}`);
+  }
+  if (result.tokenUri) {
+    output.push(`🔗 Token URI: ${truncate(result.tokenUri)}`);
+  }
+
+  if (result.attributes.length > 0) {
+    output.push("\n🧬 ATTRIBUTES:");
+    result.attributes.forEach(attribute => {
+      output.push(attribute && typeof attribute === "object"
+        ? `   ${attribute.trait_type ?? "?"}: ${attribute.value ?? ""}`
+        : `   ${attribute}`);
+    });
+  }
+
+  output.push("\n📚 COLLECTION:");
+  output.push(`   Name: ${collection.name || "Unknown"}${collection.symbol ? ` (${collection.symbol})` : ""}`);
+  if (collection.totalSupply !== null) {
+    output.push(`   Total supply: ${collection.totalSupply}`);
+  }
+  if (collection.tokenSupply !== null) {
+    output.push(`   Supply of this token: ${collection.tokenSupply}`);
+  }
+  if (collection.owners !== null) {
+    output.push(`   Owners: ${collection.owners}`);
+  }
+
+  result.warnings.forEach(warning => output.push(`⚠️ ${warning}`));
+
+  return output.join("\n");
+}
+
+/**
+ * Format a wallet's NFT holdings for display
+ * @param {Object} result - Structured holdings result
+ * @param {Object} chain - Chain registry entry
+ * @returns {string} Formatted list
+ */
+function formatNftHoldings(result, chain) {
+  const output = [];
+
+  output.push("=== 🖼️ NFT HOLDINGS ===");
+  output.push(`👤 Wallet: ${result.ensName ? `${result.address} (${result.ensName})` : result.address}`);
+  output.push(`⛓️ Chain: ${chain.name}`);
+  output.push(`📡 Source: ${result.source === "moralis" ? "Moralis" : `Transfer logs in blocks ${result.fromBlock}-${result.toBlock}`}`);
+  output.push(`🔢 NFTs: ${result.count}`);
+
+  result.nfts.forEach(nft => {
+    const collection = nft.collectionName || nft.symbol || "Unknown collection";
+    const amount = nft.standard === "ERC1155" ? ` ×${nft.amount}` : "";
+    const name = nft.name ? ` "${nft.name}"` : "";
+    output.push(`- ${collection} #${truncate(nft.tokenId)}${amount}${name} - ${nft.contract}`);
+  });
+
+  result.warnings.forEach(warning => output.push(`⚠️ ${warning}`));
+
+  return output.join("\n");
+}
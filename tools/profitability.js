@@ -1,9 +1,8 @@
 import { z } from "zod";
-import { exec } from 'child_process';
-import { promisify } from 'util';
-
-// Convert exec to promise-based
-const execPromise = promisify(exec);
+import { moralisGetAll } from "../lib/moralis.js";
+import { resolveChain, getMoralisChain } from "../lib/chains.js";
+import { CACHE_TTLS } from "../lib/cache.js";
+import { addressSchema } from "../lib/address.js";
 
 /**
  * Registers profitability analysis tools with the MCP server
@@ -11,29 +10,35 @@ const execPromise = promisify(exec);
  */
 export function registerProfitabilityTools(server) {
   // Add wallet profitability tool
-  server.tool("getWalletPnl",
-    { 
-      address: z.string().regex(/^0x[a-fA-F0-9]{40}$/, "Invalid Ethereum address"),
-      chain: z.string().optional().default("eth")
+  server.registerTool("getWalletPnl",
+    {
+      inputSchema: {
+        address: addressSchema,
+        chain: z.string().optional().default("eth"),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and fetch fresh profitability data")
+      },
+      outputSchema: {
+        address: z.string(),
+        chain: z.string(),
+        summary: z.object({
+          tokenCount: z.number(),
+          totalInvestedUsd: z.number(),
+          totalRealizedProfitUsd: z.number(),
+          profitableTokens: z.number(),
+          unprofitableTokens: z.number()
+        }),
+        // Per-token entries are passed through as returned by Moralis
+        tokens: z.array(z.object({}).passthrough())
+      }
     },
-    async ({ address, chain }) => {
+    async ({ address, chain, refresh }) => {
       try {
-        // Use API key from environment variable
-        const apiKey = process.env.MORALIS_API_KEY;
-        if (!apiKey) {
-          throw new Error("MORALIS_API_KEY environment variable is not set");
-        }
-        
-        // Format the URL for PowerShell request
-        const url = `https://deep-index.moralis.io/api/v2.2/wallets/${address}/profitability?chain=${chain}`;
-        const psCommand = `powershell -Command "Invoke-RestMethod -Method Get -Uri '${url}' -Headers @{'X-API-Key'='${apiKey}'; 'accept'='application/json'} | ConvertTo-Json -Depth 10"`;
+        const chainConfig = resolveChain(chain);
         
-        // Execute PowerShell command
-        const { stdout } = await execPromise(psCommand);
-        const response = JSON.parse(stdout);
-        
-        // Get profit/loss data from the response
-        const tokens = response.result || [];
+        // Get profit/loss data for every token from Moralis
+        const tokens = await moralisGetAll(`/wallets/${address}/profitability`, {
+          chain: getMoralisChain(chainConfig.key)
+        }, { ttl: CACHE_TTLS.walletPnl, refresh });
         
         // Process data - calculate some summary statistics
         let totalRealizedProfit = 0;
@@ -56,23 +61,42 @@ export function registerProfitabilityTools(server) {
           }
         });
         
+        const tokenLines = tokens.map(token =>
+          `- ${token.symbol || token.token_address}: invested $${parseFloat(token.total_usd_invested || 0).toFixed(2)}, ` +
+          `realized $${parseFloat(token.realized_profit_usd || 0).toFixed(2)} ` +
+          `(${parseFloat(token.realized_profit_percentage || 0).toFixed(2)}%)`
+        );
+        
         return {
           content: [{ 
             type: "text", 
-            text: `Wallet PnL for ${address} on chain ${chain}:\n` +
+            text: `Wallet PnL for ${address} on ${chainConfig.name}:\n` +
                   `Summary: ${tokens.length} tokens analyzed\n` +
                   `Total invested: $${totalInvested.toFixed(2)}\n` +
                   `Total realized profit/loss: $${totalRealizedProfit.toFixed(2)}\n` +
-                  `Profitable tokens: ${profitableTokens}, Unprofitable tokens: ${unprofitableTokens}\n\n` +
-                  `Detailed results: ${JSON.stringify(tokens, null, 2)}`
-          }]
+                  `Profitable tokens: ${profitableTokens}, Unprofitable tokens: ${unprofitableTokens}` +
+                  (tokenLines.length > 0 ? `\n\n${tokenLines.join("\n")}` : "")
+          }],
+          structuredContent: {
+            address,
+            chain: chainConfig.key,
+            summary: {
+              tokenCount: tokens.length,
+              totalInvestedUsd: totalInvested,
+              totalRealizedProfitUsd: totalRealizedProfit,
+              profitableTokens,
+              unprofitableTokens
+            },
+            tokens
+          }
         };
       } catch (error) {
         return {
           content: [{ 
             type: "text", 
             text: `Error fetching wallet profitability: ${error.message}`
-          }]
+          }],
+          isError: true
         };
       }
     }
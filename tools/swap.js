@@ -0,0 +1,361 @@
+import { z } from "zod";
+import { resolveEvmChain, getWeb3 } from "../lib/chains.js";
+import { addressSchema } from "../lib/address.js";
+import { encodeFunctionCall } from "../lib/abi.js";
+import { getTokenMetadata, parseTokenAmount, formatTokenAmount } from "../lib/erc20.js";
+import { getSwapQuotes, buildSwapTransaction } from "../lib/uniswap.js";
+import { isWalletConfigured, getWalletAccount } from "../lib/wallet.js";
+import { walletResultSchema, getErc20Metadata, executeWalletAction, formatWalletResult } from "./wallet.js";
+
+const ALLOWANCE = {
+  type: "function",
+  name: "allowance",
+  inputs: [{ name: "owner", type: "address" }, { name: "spender", type: "address" }]
+};
+
+const tokenSchema = z.union([z.literal("native"), addressSchema]);
+const amountSchema = z.string().trim().regex(/^\d+(\.\d+)?$/, "Amount must be a decimal number such as 1.5");
+const slippageSchema = z.number().min(0).max(50).optional().default(0.5)
+  .describe("Slippage tolerance in percent used for the minimum output (default 0.5)");
+
+const tokenInfoSchema = z.object({
+  address: z.string().nullable(),
+  symbol: z.string(),
+  decimals: z.number()
+});
+const routeSchema = z.object({
+  protocol: z.enum(["v2", "v3"]),
+  router: z.string(),
+  path: z.array(z.string()),
+  fees: z.array(z.number()).nullable(),
+  amountOut: z.string(),
+  amountOutFormatted: z.string(),
+  minimumOut: z.string(),
+  minimumOutFormatted: z.string(),
+  priceImpact: z.number().nullable(),
+  gasEstimate: z.number().nullable()
+});
+const quoteSchema = {
+  chain: z.string(),
+  tokenIn: tokenInfoSchema,
+  tokenOut: tokenInfoSchema,
+  amountIn: z.string(),
+  amountInRaw: z.string(),
+  slippage: z.number(),
+  best: routeSchema,
+  routes: z.array(routeSchema)
+};
+
+/**
+ * Registers the Uniswap swap tools with the MCP server
+ * @param {McpServer} server - The MCP server instance
+ * @param {Web3} web3 - The initialized Web3 instance, used when no chain is given
+ */
+export function registerSwapTools(server, web3) {
+  server.registerTool("getSwapQuote",
+    {
+      inputSchema: {
+        tokenIn: tokenSchema.describe('Token to sell (address or ENS name), or "native" for ETH / the chain\'s native currency'),
+        tokenOut: tokenSchema.describe('Token to buy (address or ENS name), or "native"'),
+        amountIn: amountSchema.describe("Amount to sell in whole units, e.g. 1.5"),
+        slippage: slippageSchema,
+        chain: z.string().optional()
+      },
+      outputSchema: quoteSchema
+    },
+    async ({ tokenIn, tokenOut, amountIn, slippage, chain }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+
+        const { quote, labels } = await quoteSwap(chainWeb3, chainConfig, { tokenIn, tokenOut, amountIn, slippage });
+        return {
+          content: [{ type: "text", text: formatQuote(quote, chainConfig, labels) }],
+          structuredContent: quote
+        };
+      } catch (error) {
+        console.error("Error in getSwapQuote:", error);
+        return {
+          content: [{ type: "text", text: `Error getting swap quote: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool("executeSwap",
+    {
+      inputSchema: {
+        tokenIn: tokenSchema.describe('Token to sell (address or ENS name), or "native" for ETH / the chain\'s native currency'),
+        tokenOut: tokenSchema.describe('Token to buy (address or ENS name), or "native"'),
+        amountIn: amountSchema.describe("Amount to sell in whole units, e.g. 1.5"),
+        slippage: slippageSchema,
+        protocol: z.enum(["v2", "v3"]).optional().describe("Only use routes of this Uniswap version"),
+        recipient: addressSchema.optional()
+          .describe("Receiver of the output; defaults to the configured wallet, required without one"),
+        deadlineMinutes: z.number().int().min(1).max(24 * 60).optional().default(20)
+          .describe("Minutes until the swap expires (default 20)"),
+        chain: z.string().optional(),
+        dryRun: z.boolean().optional().default(true)
+          .describe("With a wallet configured: only simulate and check the policy (default); pass false to sign and broadcast")
+      },
+      outputSchema: {
+        ...quoteSchema,
+        recipient: z.string(),
+        deadline: z.number(),
+        transaction: z.object({
+          to: z.string(),
+          data: z.string(),
+          value: z.string()
+        }),
+        approvalRequired: z.object({
+          token: z.string(),
+          spender: z.string(),
+          allowance: z.string(),
+          amount: z.string()
+        }).nullable(),
+        wallet: z.object(walletResultSchema).nullable()
+      }
+    },
+    async ({ tokenIn, tokenOut, amountIn, slippage, protocol, recipient, deadlineMinutes, chain, dryRun }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const account = isWalletConfigured() ? await getWalletAccount() : null;
+
+        const receiver = recipient || account?.address;
+        if (!receiver) {
+          throw new Error("No wallet is configured, so a recipient is required to build the unsigned transaction");
+        }
+
+        const { quote, labels, route, minimumOut } = await quoteSwap(chainWeb3, chainConfig, {
+          tokenIn, tokenOut, amountIn, slippage, protocol
+        });
+        const amountInRaw = BigInt(quote.amountInRaw);
+        const deadline = Math.floor(Date.now() / 1000) + deadlineMinutes * 60;
+        const tx = buildSwapTransaction(route, {
+          amountIn: amountInRaw,
+          minimumOut,
+          recipient: receiver,
+          deadline,
+          nativeIn: tokenIn === "native",
+          nativeOut: tokenOut === "native"
+        });
+
+        // The router pulls the input token, so the wallet must have approved it
+        let approvalRequired = null;
+        if (account && quote.tokenIn.address) {
+          const allowance = BigInt(await chainWeb3.eth.call({
+            to: quote.tokenIn.address,
+            data: encodeFunctionCall(ALLOWANCE, [account.address, route.router])
+          }));
+          if (allowance < amountInRaw) {
+            approvalRequired = {
+              token: quote.tokenIn.address,
+              spender: route.router,
+              allowance: formatTokenAmount(allowance, quote.tokenIn.decimals),
+              amount: quote.amountIn
+            };
+          }
+        }
+
+        let wallet = null;
+        if (account) {
+          if (approvalRequired && !dryRun) {
+            throw new Error(`The Uniswap router ${route.router} may only spend ${approvalRequired.allowance} ${quote.tokenIn.symbol}; approve at least ${quote.amountIn} with approveToken first`);
+          }
+          wallet = await executeWalletAction(chainWeb3, chainConfig, {
+            action: "swap",
+            tx,
+            counterparty: receiver,
+            asset: quote.tokenIn.address || "native",
+            token: quote.tokenIn.address,
+            symbol: quote.tokenIn.symbol,
+            decimals: quote.tokenIn.decimals,
+            amount: amountInRaw,
+            dryRun,
+            tokenMetadata: new Map(quote.tokenOut.address ? [[quote.tokenOut.address.toLowerCase(), quote.tokenOut]] : [])
+          });
+        }
+
+        const result = {
+          ...quote,
+          recipient: chainWeb3.utils.toChecksumAddress(receiver),
+          deadline,
+          transaction: { to: tx.to, data: tx.data, value: tx.value.toString() },
+          approvalRequired,
+          wallet
+        };
+        return {
+          content: [{ type: "text", text: formatSwap(result, chainConfig, labels) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in executeSwap:", error);
+        return {
+          content: [{ type: "text", text: `Error executing swap: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Quote a swap on every Uniswap route and pick the one with the most output
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} swap - Swap as { tokenIn, tokenOut, amountIn, slippage, protocol }
+ * @returns {Promise<Object>} { quote (structured result), labels (symbol per lowercase address), route (best raw route), minimumOut }
+ */
+async function quoteSwap(web3, chain, { tokenIn, tokenOut, amountIn, slippage, protocol }) {
+  const [inToken, outToken] = await Promise.all([
+    describeToken(web3, chain, tokenIn),
+    describeToken(web3, chain, tokenOut)
+  ]);
+  const amountInRaw = parseTokenAmount(amountIn, inToken.decimals);
+  if (amountInRaw === 0n) {
+    throw new Error("The amount to swap must be greater than zero");
+  }
+
+  const { wrappedNative, routes } = await getSwapQuotes(web3, chain, {
+    tokenIn: inToken.address || "native",
+    tokenOut: outToken.address || "native",
+    amountIn: amountInRaw
+  });
+  const candidates = routes.filter(route => !protocol || route.protocol === protocol);
+  if (candidates.length === 0) {
+    throw new Error(`No Uniswap ${protocol ? `${protocol.toUpperCase()} ` : ""}route with liquidity for ${inToken.symbol} → ${outToken.symbol} on ${chain.name}`);
+  }
+
+  const labels = new Map([[inToken, tokenIn], [outToken, tokenOut]]
+    .map(([token, input]) => [(token.address || wrappedNative).toLowerCase(), input === "native" ? `W${chain.nativeSymbol}` : token.symbol]));
+  if (!labels.has(wrappedNative.toLowerCase())) {
+    const metadata = await getTokenMetadata(web3, wrappedNative);
+    labels.set(wrappedNative.toLowerCase(), metadata.symbol || wrappedNative);
+  }
+
+  const slippageBps = BigInt(Math.round(slippage * 100));
+  const minimumOf = amount => amount * (10000n - slippageBps) / 10000n;
+  const formatted = candidates.map(route => ({
+    protocol: route.protocol,
+    router: route.router,
+    path: route.path,
+    fees: route.fees,
+    amountOut: route.amountOut.toString(),
+    amountOutFormatted: formatTokenAmount(route.amountOut, outToken.decimals),
+    minimumOut: minimumOf(route.amountOut).toString(),
+    minimumOutFormatted: formatTokenAmount(minimumOf(route.amountOut), outToken.decimals),
+    priceImpact: route.priceImpact,
+    gasEstimate: route.gasEstimate
+  }));
+
+  return {
+    quote: {
+      chain: chain.key,
+      tokenIn: inToken,
+      tokenOut: outToken,
+      amountIn: formatTokenAmount(amountInRaw, inToken.decimals),
+      amountInRaw: amountInRaw.toString(),
+      slippage,
+      best: formatted[0],
+      routes: formatted
+    },
+    labels,
+    route: candidates[0],
+    minimumOut: minimumOf(candidates[0].amountOut)
+  };
+}
+
+/**
+ * Symbol and decimals of a swap token
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {string} token - Token address, or "native"
+ * @returns {Promise<Object>} { address (null for the native currency), symbol, decimals }
+ */
+async function describeToken(web3, chain, token) {
+  if (token === "native") {
+    return { address: null, symbol: chain.nativeSymbol, decimals: 18 };
+  }
+  const metadata = await getErc20Metadata(web3, token);
+  return { address: web3.utils.toChecksumAddress(token), symbol: metadata.symbol || token, decimals: metadata.decimals };
+}
+
+/**
+ * Short description of a route, e.g. "V3 0.05%" or "V2 via WETH"
+ * @param {Object} route - Formatted route
+ * @param {Map<string, string>} labels - Symbol per lowercase address
+ * @returns {string} Route label
+ */
+function describeRoute(route, labels) {
+  if (route.protocol === "v3") {
+    return `V3 ${route.fees.map(fee => `${fee / 10000}%`).join(" → ")}`;
+  }
+  const hops = route.path.slice(1, -1).map(token => labels.get(token.toLowerCase()) || token);
+  return hops.length ? `V2 via ${hops.join(" → ")}` : "V2";
+}
+
+/**
+ * Format a swap quote for display
+ * @param {Object} quote - Structured quote
+ * @param {Object} chain - Chain registry entry
+ * @param {Map<string, string>} labels - Symbol per lowercase address
+ * @returns {string} Formatted report
+ */
+function formatQuote(quote, chain, labels) {
+  const output = [];
+  const { best, tokenIn, tokenOut } = quote;
+
+  output.push("=== 🦄 SWAP QUOTE ===");
+  output.push(`⛓️ Chain: ${chain.name}`);
+  output.push(`💱 ${quote.amountIn} ${tokenIn.symbol} → ${tokenOut.symbol}`);
+  output.push(`🏆 Best route: Uniswap ${describeRoute(best, labels)}`);
+  output.push(`💰 Expected output: ${best.amountOutFormatted} ${tokenOut.symbol}`);
+  output.push(`🛡️ Minimum output (${quote.slippage}% slippage): ${best.minimumOutFormatted} ${tokenOut.symbol}`);
+  output.push(`📉 Price impact: ${best.priceImpact === null ? "unknown" : `${best.priceImpact}%`}`);
+  if (best.gasEstimate !== null) {
+    output.push(`⛽ Gas estimate: ${best.gasEstimate}`);
+  }
+
+  if (quote.routes.length > 1) {
+    output.push("\n📊 ALL ROUTES:");
+    quote.routes.forEach(route => {
+      const impact = route.priceImpact === null ? "" : ` (impact ${route.priceImpact}%)`;
+      output.push(`   ${describeRoute(route, labels)}: ${route.amountOutFormatted} ${tokenOut.symbol}${impact}`);
+    });
+  }
+
+  return output.join("\n");
+}
+
+/**
+ * Format a built (and possibly signed) swap for display
+ * @param {Object} result - Structured swap result
+ * @param {Object} chain - Chain registry entry
+ * @param {Map<string, string>} labels - Symbol per lowercase address
+ * @returns {string} Formatted report
+ */
+function formatSwap(result, chain, labels) {
+  const output = [formatQuote(result, chain, labels)];
+
+  output.push("\n📦 TRANSACTION:");
+  output.push(`   To: ${result.transaction.to} (Uniswap ${result.best.protocol.toUpperCase()} router)`);
+  output.push(`   Value: ${formatTokenAmount(result.transaction.value, 18)} ${chain.nativeSymbol}`);
+  output.push(`   Recipient: ${result.recipient}`);
+  output.push(`   Deadline: ${new Date(result.deadline * 1000).toISOString()}`);
+  output.push(`   Data: ${result.transaction.data}`);
+
+  if (result.approvalRequired) {
+    const { spender, allowance, amount } = result.approvalRequired;
+    output.push(`\n⚠️ APPROVAL REQUIRED: the router ${spender} may spend ${allowance} ${result.tokenIn.symbol}, the swap needs ${amount}. Use approveToken first.`);
+  }
+
+  if (result.wallet) {
+    output.push(`\n${formatWalletResult(result.wallet, chain)}`);
+  } else {
+    output.push("\n🔑 No wallet is configured; sign and send this transaction with your own wallet.");
+  }
+
+  return output.join("\n");
+}
@@ -1,28 +1,76 @@
 import { z } from "zod";
-import axios from "axios";
+import { resolveChain, getCodexNetworkId } from "../lib/chains.js";
+import { cached, CACHE_TTLS, getBarsTtl } from "../lib/cache.js";
+import { providerRequest } from "../lib/http.js";
 
 // Configuration
 const API_URL = 'https://graph.codex.io/graphql';
 
+// Codex returns some numeric fields as strings (e.g. volumes)
+const numberish = z.union([z.number(), z.string()]).nullable().optional();
+
+// Structured output schemas
+const tokenInfoSchema = z.object({
+  name: z.string().nullable(),
+  symbol: z.string().nullable(),
+  address: z.string().nullable(),
+  totalSupply: numberish,
+  circulatingSupply: numberish,
+  circulationPercentage: z.number().nullable()
+});
+
+const barSchema = z.object({
+  t: z.number(),
+  o: numberish,
+  h: numberish,
+  l: numberish,
+  c: numberish,
+  v: numberish,
+  volume: numberish,
+  transactions: numberish,
+  buyers: numberish,
+  sellers: numberish,
+  traders: numberish,
+  liquidity: numberish,
+  buyVolume: numberish,
+  sellVolume: numberish,
+  buys: numberish,
+  sells: numberish,
+  volumeNativeToken: numberish
+});
+
 /**
  * Registers token analysis tools with the MCP server
  * @param {McpServer} server - The MCP server instance
  */
 export function registerTokenAnalysisTools(server) {
   // Add token info tool
-  server.tool("getTokenInfo",
-    { 
-      address: z.string().min(1, "Token address is required"),
-      networkId: z.number().int().positive().default(1).describe("Network ID (1 for Ethereum, 101 for Solana)")
+  server.registerTool("getTokenInfo",
+    {
+      inputSchema: {
+        address: z.string().min(1, "Token address is required"),
+        chain: z.string().optional().default("eth").describe("Chain name or ID (e.g. eth, base, arbitrum, bsc, solana)"),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and fetch fresh data from Codex")
+      },
+      outputSchema: {
+        found: z.boolean(),
+        chain: z.string(),
+        token: tokenInfoSchema.nullable()
+      }
     },
-    async ({ address, networkId }) => {
+    async ({ address, chain, refresh }) => {
       try {
+        // Resolve the chain to its Codex networkId
+        const chainConfig = resolveChain(chain);
+        const networkId = getCodexNetworkId(chainConfig.key);
+        
         // Get token info from Codex API
-        const tokenInfo = await fetchTokenInfo(address, networkId);
+        const tokenInfo = await fetchTokenInfo(address, networkId, { refresh });
         
         if (!tokenInfo) {
           return {
-            content: [{ type: "text", text: `No token information found for ${address} on network ${networkId}` }]
+            content: [{ type: "text", text: `No token information found for ${address} on ${chainConfig.name}` }],
+            structuredContent: { found: false, chain: chainConfig.key, token: null }
           };
         }
         
@@ -30,36 +78,62 @@ export function registerTokenAnalysisTools(server) {
         const response = formatTokenInfoResponse(tokenInfo);
         
         return {
-          content: [{ type: "text", text: response }]
+          content: [{ type: "text", text: response }],
+          structuredContent: { found: true, chain: chainConfig.key, token: summarizeTokenInfo(tokenInfo) }
         };
       } catch (error) {
         return {
-          content: [{ type: "text", text: `Error fetching token info: ${error.message}` }]
+          content: [{ type: "text", text: `Error fetching token info: ${error.message}` }],
+          isError: true
         };
       }
     }
   );
   
   // Add token price history tool
-  server.tool("getTokenPriceHistory",
-    { 
-      address: z.string().min(1, "Token address is required"),
-      networkId: z.number().int().positive().default(1).describe("Network ID (1 for Ethereum, 101 for Solana)"),
-      days: z.number().int().positive().default(7).describe("Number of days of history"),
-      resolution: z.string().default("1D").describe("Time resolution (e.g. 1D, 1H, 60)")
+  server.registerTool("getTokenPriceHistory",
+    {
+      inputSchema: {
+        address: z.string().min(1, "Token address is required"),
+        chain: z.string().optional().default("eth").describe("Chain name or ID (e.g. eth, base, arbitrum, bsc, solana)"),
+        days: z.number().int().positive().default(7).describe("Number of days of history"),
+        resolution: z.string().default("1D").describe("Time resolution (e.g. 1D, 1H, 60)"),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and fetch fresh data from Codex")
+      },
+      outputSchema: {
+        address: z.string(),
+        chain: z.string(),
+        resolution: z.string(),
+        bars: z.array(barSchema),
+        priceChangePercent: z.number().nullable(),
+        totalTransactions: z.number(),
+        totalTraders: z.number()
+      }
     },
-    async ({ address, networkId, days, resolution }) => {
+    async ({ address, chain, days, resolution, refresh }) => {
       try {
+        // Resolve the chain to its Codex networkId
+        const chainConfig = resolveChain(chain);
+        const networkId = getCodexNetworkId(chainConfig.key);
+        
         // Calculate time range
         const to = Math.floor(Date.now() / 1000);
         const from = to - (60 * 60 * 24 * days);
         
         // Get chart data from Codex API
-        const chartData = await fetchChartData(address, networkId, resolution, from, to);
+        const chartData = await fetchChartData(address, networkId, resolution, from, to, { refresh });
+        const structuredContent = {
+          address,
+          chain: chainConfig.key,
+          resolution,
+          bars: chartData || [],
+          ...summarizeChartData(chartData || [])
+        };
         
         if (!chartData || chartData.length === 0) {
           return {
-            content: [{ type: "text", text: `No price history found for ${address} on network ${networkId}` }]
+            content: [{ type: "text", text: `No price history found for ${address} on ${chainConfig.name}` }],
+            structuredContent
           };
         }
         
@@ -67,31 +141,71 @@ export function registerTokenAnalysisTools(server) {
         const response = formatChartDataResponse(chartData);
         
         return {
-          content: [{ type: "text", text: response }]
+          content: [{ type: "text", text: response }],
+          structuredContent
         };
       } catch (error) {
         return {
-          content: [{ type: "text", text: `Error fetching token price history: ${error.message}` }]
+          content: [{ type: "text", text: `Error fetching token price history: ${error.message}` }],
+          isError: true
         };
       }
     }
   );
   
   // Add advanced token analysis tool
-  server.tool("analyzeToken",
-    { 
-      address: z.string().min(1, "Token address is required"),
-      networkId: z.number().int().positive().default(1).describe("Network ID (1 for Ethereum, 101 for Solana)"),
-      days: z.number().int().positive().default(30).describe("Number of days to analyze")
+  server.registerTool("analyzeToken",
+    {
+      inputSchema: {
+        address: z.string().min(1, "Token address is required"),
+        chain: z.string().optional().default("eth").describe("Chain name or ID (e.g. eth, base, arbitrum, bsc, solana)"),
+        days: z.number().int().positive().default(30).describe("Number of days to analyze"),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and fetch fresh data from Codex")
+      },
+      outputSchema: {
+        found: z.boolean(),
+        chain: z.string(),
+        days: z.number(),
+        token: tokenInfoSchema.nullable(),
+        priceChangePercent: z.number().nullable(),
+        totalTransactions: z.number(),
+        totalTraders: z.number(),
+        volatility: z.object({
+          averageDailyMovePercent: z.number(),
+          maxDailyIncreasePercent: z.number(),
+          maxDailyDecreasePercent: z.number()
+        }).nullable(),
+        tradingPattern: z.object({
+          peakHourUtc: z.number(),
+          topHours: z.array(z.object({ hourUtc: z.number(), volume: z.number(), transactions: z.number() }))
+        }).nullable(),
+        volume: z.object({
+          buyVolume: z.number(),
+          sellVolume: z.number(),
+          buySellRatio: z.number().nullable()
+        }).nullable()
+      }
     },
-    async ({ address, networkId, days }) => {
+    async ({ address, chain, days, refresh }) => {
       try {
+        // Resolve the chain to its Codex networkId
+        const chainConfig = resolveChain(chain);
+        const networkId = getCodexNetworkId(chainConfig.key);
+        
         // Get token info
-        const tokenInfo = await fetchTokenInfo(address, networkId);
+        const tokenInfo = await fetchTokenInfo(address, networkId, { refresh });
         
         if (!tokenInfo) {
           return {
-            content: [{ type: "text", text: `No token information found for ${address} on network ${networkId}` }]
+            content: [{ type: "text", text: `No token information found for ${address} on ${chainConfig.name}` }],
+            structuredContent: {
+              found: false,
+              chain: chainConfig.key,
+              days,
+              token: null,
+              ...summarizeChartData([]),
+              ...computeTokenMetrics([], [])
+            }
           };
         }
         
@@ -100,29 +214,57 @@ export function registerTokenAnalysisTools(server) {
         const from = to - (60 * 60 * 24 * days);
         
         // Fetch daily data
-        const dailyData = await fetchChartData(address, networkId, "1D", from, to);
+        const dailyData = await fetchChartData(address, networkId, "1D", from, to, { refresh });
         
         // Fetch hourly data (last 7 days only to limit data size)
         const recentFrom = to - (60 * 60 * 24 * Math.min(days, 7));
-        const hourlyData = await fetchChartData(address, networkId, "60", recentFrom, to);
+        const hourlyData = await fetchChartData(address, networkId, "60", recentFrom, to, { refresh });
         
         // Perform analysis
-        const analysis = performTokenAnalysis(tokenInfo, dailyData, hourlyData, days);
+        const metrics = computeTokenMetrics(dailyData, hourlyData);
+        const analysis = performTokenAnalysis(tokenInfo, dailyData, metrics, days);
         
         return {
-          content: [{ type: "text", text: analysis }]
+          content: [{ type: "text", text: analysis }],
+          structuredContent: {
+            found: true,
+            chain: chainConfig.key,
+            days,
+            token: summarizeTokenInfo(tokenInfo),
+            ...summarizeChartData(dailyData),
+            ...metrics
+          }
         };
       } catch (error) {
         return {
-          content: [{ type: "text", text: `Error performing token analysis: ${error.message}` }]
+          content: [{ type: "text", text: `Error performing token analysis: ${error.message}` }],
+          isError: true
         };
       }
     }
   );
 }
 
+// Fetch token information, cached for CACHE_TTLS.tokenInfo
+async function fetchTokenInfo(address, networkId, { refresh = false } = {}) {
+  return cached("codex", { query: "getTokenInfo", address, networkId }, {
+    ttl: CACHE_TTLS.tokenInfo,
+    refresh,
+    shouldCache: info => info !== null
+  }, () => requestTokenInfo(address, networkId));
+}
+
+// Fetch chart bars, cached by resolution. The window always ends "now", so
+// bars are keyed by its length and reused until the resolution's TTL expires
+async function fetchChartData(address, networkId, resolution, from, to, { refresh = false } = {}) {
+  return cached("codex", { query: "getBars", address, networkId, resolution, span: to - from }, {
+    ttl: getBarsTtl(resolution),
+    refresh
+  }, () => requestChartData(address, networkId, resolution, from, to));
+}
+
 // Fetch token information from Codex API
-async function fetchTokenInfo(address, networkId) {
+async function requestTokenInfo(address, networkId) {
   try {
     // Use API key from environment variable
     const apiKey = process.env.CODEX_API_KEY;
@@ -130,7 +272,7 @@ async function fetchTokenInfo(address, networkId) {
       throw new Error("CODEX_API_KEY environment variable is not set");
     }
     
-    const response = await axios({
+    const response = await providerRequest("codex", {
       url: API_URL,
       method: 'post',
       headers: {
@@ -162,7 +304,7 @@ async function fetchTokenInfo(address, networkId) {
 }
 
 // Fetch chart data from Codex API
-async function fetchChartData(address, networkId, resolution = '1D', from, to) {
+async function requestChartData(address, networkId, resolution = '1D', from, to) {
   try {
     // Use API key from environment variable
     const apiKey = process.env.CODEX_API_KEY;
@@ -170,7 +312,7 @@ async function fetchChartData(address, networkId, resolution = '1D', from, to) {
       throw new Error("CODEX_API_KEY environment variable is not set");
     }
     
-    const response = await axios({
+    const response = await providerRequest("codex", {
       url: API_URL,
       method: 'post',
       headers: {
@@ -268,8 +410,33 @@ async function fetchChartData(address, networkId, resolution = '1D', from, to) {
   }
 }
 
+// Token info with the derived circulation percentage
+function summarizeTokenInfo(info) {
+  let circulationPercentage = null;
+  
+  // Calculate additional metrics if possible
+  if (info.totalSupply && info.circulatingSupply) {
+    const totalSupply = parseFloat(info.totalSupply);
+    const circulatingSupply = parseFloat(info.circulatingSupply);
+    
+    if (!isNaN(totalSupply) && !isNaN(circulatingSupply) && totalSupply > 0) {
+      circulationPercentage = (circulatingSupply / totalSupply) * 100;
+    }
+  }
+  
+  return {
+    name: info.name ?? null,
+    symbol: info.symbol ?? null,
+    address: info.address ?? null,
+    totalSupply: info.totalSupply ?? null,
+    circulatingSupply: info.circulatingSupply ?? null,
+    circulationPercentage
+  };
+}
+
 // Format token info for display
 function formatTokenInfoResponse(info) {
+  const summary = summarizeTokenInfo(info);
   let response = `=== Token Information ===\n`;
   response += `Name: ${info.name || 'N/A'}\n`;
   response += `Symbol: ${info.symbol || 'N/A'}\n`;
@@ -277,20 +444,26 @@ function formatTokenInfoResponse(info) {
   response += `Total Supply: ${info.totalSupply || 'N/A'}\n`;
   response += `Circulating Supply: ${info.circulatingSupply || 'N/A'}\n`;
   
-  // Calculate additional metrics if possible
-  if (info.totalSupply && info.circulatingSupply) {
-    const totalSupply = parseFloat(info.totalSupply);
-    const circulatingSupply = parseFloat(info.circulatingSupply);
-    
-    if (!isNaN(totalSupply) && !isNaN(circulatingSupply) && totalSupply > 0) {
-      const circulationPercentage = (circulatingSupply / totalSupply) * 100;
-      response += `Circulation Percentage: ${circulationPercentage.toFixed(2)}%\n`;
-    }
+  if (summary.circulationPercentage !== null) {
+    response += `Circulation Percentage: ${summary.circulationPercentage.toFixed(2)}%\n`;
   }
   
   return response;
 }
 
+// Price change and activity totals over a series of bars
+function summarizeChartData(data) {
+  const priceChangePercent = data.length > 1
+    ? ((data[data.length - 1].c - data[0].o) / data[0].o) * 100
+    : null;
+  
+  return {
+    priceChangePercent: Number.isFinite(priceChangePercent) ? priceChangePercent : null,
+    totalTransactions: data.reduce((sum, bar) => sum + (bar.transactions || 0), 0),
+    totalTraders: data.reduce((sum, bar) => sum + (bar.traders || 0), 0)
+  };
+}
+
 // Format chart data for display
 function formatChartDataResponse(data) {
   let response = `=== Price History ===\n`;
@@ -307,17 +480,12 @@ function formatChartDataResponse(data) {
   
   // Display price change
   if (data.length > 1) {
-    const firstPrice = data[0].o;
-    const lastPrice = data[data.length - 1].c;
-    const priceChange = ((lastPrice - firstPrice) / firstPrice) * 100;
+    const { priceChangePercent, totalTransactions, totalTraders } = summarizeChartData(data);
     
-    response += `\nPrice change over period: ${priceChange.toFixed(2)}%\n`;
+    response += `\nPrice change over period: ${priceChangePercent === null ? 'N/A' : `${priceChangePercent.toFixed(2)}%`}\n`;
     
     // Show basic trading activity
     response += '\n=== Recent Trading Activity ===\n';
-    const totalTransactions = data.reduce((sum, bar) => sum + (bar.transactions || 0), 0);
-    const totalTraders = data.reduce((sum, bar) => sum + (bar.traders || 0), 0);
-    
     response += `Total Transactions: ${totalTransactions}\n`;
     response += `Total Unique Traders: ${totalTraders}\n`;
   }
@@ -325,8 +493,92 @@ function formatChartDataResponse(data) {
   return response;
 }
 
+// Compute volatility, trading pattern and volume metrics
+function computeTokenMetrics(dailyData, hourlyData) {
+  const metrics = { volatility: null, tradingPattern: null, volume: null };
+  
+  if (dailyData.length === 0) {
+    return metrics;
+  }
+  
+  // Calculate daily price changes
+  const dailyChanges = [];
+  for (let i = 1; i < dailyData.length; i++) {
+    const prevClose = dailyData[i-1].c;
+    const currClose = dailyData[i].c;
+    const percentChange = ((currClose - prevClose) / prevClose) * 100;
+    dailyChanges.push(percentChange);
+  }
+  
+  // Calculate volatility metrics
+  if (dailyChanges.length > 0) {
+    metrics.volatility = {
+      averageDailyMovePercent: dailyChanges.reduce((sum, change) => sum + Math.abs(change), 0) / dailyChanges.length,
+      maxDailyIncreasePercent: Math.max(...dailyChanges),
+      maxDailyDecreasePercent: Math.min(...dailyChanges)
+    };
+  }
+  
+  // Trading pattern analysis using hourly data
+  if (hourlyData.length > 0) {
+    // Group trading activity by hour of day to identify patterns
+    const hourlyActivity = Array(24).fill(0);
+    const hourlyVolume = Array(24).fill(0);
+    
+    hourlyData.forEach(bar => {
+      const date = new Date(bar.t * 1000);
+      const hour = date.getUTCHours();
+      
+      hourlyActivity[hour] += bar.transactions || 0;
+      hourlyVolume[hour] += parseFloat(bar.volume || bar.v || 0);
+    });
+    
+    // Find peak trading hours
+    let peakHour = 0;
+    let peakVolume = 0;
+    
+    for (let i = 0; i < 24; i++) {
+      if (hourlyVolume[i] > peakVolume) {
+        peakVolume = hourlyVolume[i];
+        peakHour = i;
+      }
+    }
+    
+    // Get top 3 active hours
+    const hourIndices = Array.from({length: 24}, (_, i) => i);
+    hourIndices.sort((a, b) => hourlyVolume[b] - hourlyVolume[a]);
+    
+    metrics.tradingPattern = {
+      peakHourUtc: peakHour,
+      topHours: hourIndices
+        .slice(0, 3)
+        .filter(hour => hourlyVolume[hour] > 0)
+        .map(hour => ({ hourUtc: hour, volume: hourlyVolume[hour], transactions: hourlyActivity[hour] }))
+    };
+  }
+  
+  // Volume analysis
+  const totalBuyVolume = dailyData.reduce((sum, bar) => {
+    const vol = typeof bar.buyVolume === 'string' ? parseFloat(bar.buyVolume) : (bar.buyVolume || 0);
+    return sum + vol;
+  }, 0);
+  
+  const totalSellVolume = dailyData.reduce((sum, bar) => {
+    const vol = typeof bar.sellVolume === 'string' ? parseFloat(bar.sellVolume) : (bar.sellVolume || 0);
+    return sum + vol;
+  }, 0);
+  
+  metrics.volume = {
+    buyVolume: totalBuyVolume,
+    sellVolume: totalSellVolume,
+    buySellRatio: totalSellVolume > 0 ? totalBuyVolume / totalSellVolume : null
+  };
+  
+  return metrics;
+}
+
 // Perform comprehensive token analysis
-function performTokenAnalysis(tokenInfo, dailyData, hourlyData, days) {
+function performTokenAnalysis(tokenInfo, dailyData, metrics, days) {
   let analysis = formatTokenInfoResponse(tokenInfo);
   
   analysis += `\n=== ANALYZING LAST ${days} DAYS OF DATA ===\n`;
@@ -339,87 +591,30 @@ function performTokenAnalysis(tokenInfo, dailyData, hourlyData, days) {
   if (dailyData.length > 0) {
     analysis += "\n=== VOLATILITY ANALYSIS ===\n";
     
-    // Calculate daily price changes
-    const dailyChanges = [];
-    for (let i = 1; i < dailyData.length; i++) {
-      const prevClose = dailyData[i-1].c;
-      const currClose = dailyData[i].c;
-      const percentChange = ((currClose - prevClose) / prevClose) * 100;
-      dailyChanges.push(percentChange);
-    }
-    
-    // Calculate volatility metrics
-    if (dailyChanges.length > 0) {
-      const avgChange = dailyChanges.reduce((sum, change) => sum + Math.abs(change), 0) / dailyChanges.length;
-      const maxUp = Math.max(...dailyChanges);
-      const maxDown = Math.min(...dailyChanges);
-      
-      analysis += `Average Daily Price Movement: ${avgChange.toFixed(2)}%\n`;
-      analysis += `Largest Single-Day Increase: ${maxUp.toFixed(2)}%\n`;
-      analysis += `Largest Single-Day Decrease: ${maxDown.toFixed(2)}%\n`;
+    if (metrics.volatility) {
+      analysis += `Average Daily Price Movement: ${metrics.volatility.averageDailyMovePercent.toFixed(2)}%\n`;
+      analysis += `Largest Single-Day Increase: ${metrics.volatility.maxDailyIncreasePercent.toFixed(2)}%\n`;
+      analysis += `Largest Single-Day Decrease: ${metrics.volatility.maxDailyDecreasePercent.toFixed(2)}%\n`;
     }
     
-    // Trading pattern analysis using hourly data
-    if (hourlyData.length > 0) {
+    if (metrics.tradingPattern) {
+      const { peakHourUtc, topHours } = metrics.tradingPattern;
       analysis += "\n=== TRADING PATTERN ANALYSIS ===\n";
-      
-      // Group trading activity by hour of day to identify patterns
-      const hourlyActivity = Array(24).fill(0);
-      const hourlyVolume = Array(24).fill(0);
-      
-      hourlyData.forEach(bar => {
-        const date = new Date(bar.t * 1000);
-        const hour = date.getUTCHours();
-        
-        hourlyActivity[hour] += bar.transactions || 0;
-        hourlyVolume[hour] += parseFloat(bar.volume || bar.v || 0);
-      });
-      
-      // Find peak trading hours
-      let peakHour = 0;
-      let peakVolume = 0;
-      
-      for (let i = 0; i < 24; i++) {
-        if (hourlyVolume[i] > peakVolume) {
-          peakVolume = hourlyVolume[i];
-          peakHour = i;
-        }
-      }
-      
-      analysis += `Peak Trading Hour (UTC): ${peakHour}:00 - ${peakHour+1}:00\n`;
+      analysis += `Peak Trading Hour (UTC): ${peakHourUtc}:00 - ${peakHourUtc+1}:00\n`;
       analysis += `Top 3 Active Hours (UTC):\n`;
       
-      // Get top 3 active hours
-      const hourIndices = Array.from({length: 24}, (_, i) => i);
-      hourIndices.sort((a, b) => hourlyVolume[b] - hourlyVolume[a]);
-      
-      for (let i = 0; i < 3; i++) {
-        const hour = hourIndices[i];
-        if (hourlyVolume[hour] > 0) {
-          analysis += `  ${hour}:00 - ${hour+1}:00: $${formatNumber(hourlyVolume[hour])} volume, ${hourlyActivity[hour]} transactions\n`;
-        }
-      }
+      topHours.forEach(({ hourUtc, volume, transactions }) => {
+        analysis += `  ${hourUtc}:00 - ${hourUtc+1}:00: $${formatNumber(volume)} volume, ${transactions} transactions\n`;
+      });
     }
     
     // Volume analysis
     analysis += '\n=== VOLUME ANALYSIS ===\n';
-    const totalBuyVolume = dailyData.reduce((sum, bar) => {
-      const vol = typeof bar.buyVolume === 'string' ? parseFloat(bar.buyVolume) : (bar.buyVolume || 0);
-      return sum + vol;
-    }, 0);
-    
-    const totalSellVolume = dailyData.reduce((sum, bar) => {
-      const vol = typeof bar.sellVolume === 'string' ? parseFloat(bar.sellVolume) : (bar.sellVolume || 0);
-      return sum + vol;
-    }, 0);
-    
-    analysis += `Buy Volume: $${formatNumber(totalBuyVolume)}\n`;
-    analysis += `Sell Volume: $${formatNumber(totalSellVolume)}\n`;
+    analysis += `Buy Volume: $${formatNumber(metrics.volume.buyVolume)}\n`;
+    analysis += `Sell Volume: $${formatNumber(metrics.volume.sellVolume)}\n`;
     
-    // Calculate volume ratio
-    if (totalSellVolume > 0) {
-      const volumeRatio = totalBuyVolume / totalSellVolume;
-      analysis += `Buy/Sell Volume Ratio: ${volumeRatio.toFixed(2)}\n`;
+    if (metrics.volume.buySellRatio !== null) {
+      analysis += `Buy/Sell Volume Ratio: ${metrics.volume.buySellRatio.toFixed(2)}\n`;
     }
   }
   
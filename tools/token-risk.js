@@ -0,0 +1,328 @@
+import { z } from "zod";
+import { resolveEvmChain, getWeb3 } from "../lib/chains.js";
+import { addressSchema } from "../lib/address.js";
+import { getFunctionSelector } from "../lib/signatures.js";
+import { analyzeAddress } from "./audit.js";
+
+// Owner addresses that mean ownership has been given up
+const RENOUNCED_OWNERS = [
+  "0x0000000000000000000000000000000000000000",
+  "0x000000000000000000000000000000000000dead"
+];
+
+// Privileged function categories, matched against function names
+const PRIVILEGE_CATEGORIES = [
+  {
+    id: "mint",
+    label: "Mint new tokens",
+    weight: 25,
+    pattern: /^_?(mint|mintTo|safeMint|issue|mintFor)$/i,
+    explanation: "The privileged account can create new tokens and dilute or dump on holders"
+  },
+  {
+    id: "blacklist",
+    label: "Blacklist / block addresses",
+    weight: 20,
+    pattern: /(black|block|deny)list|bots?$|^(block|ban|freeze)/i,
+    explanation: "Holders can be prevented from transferring or selling"
+  },
+  {
+    id: "pause",
+    label: "Pause transfers",
+    weight: 15,
+    pattern: /^(pause|unpause|setPaused|togglePause)$/i,
+    explanation: "All transfers can be halted at any time"
+  },
+  {
+    id: "fees",
+    label: "Change fees / taxes",
+    weight: 15,
+    pattern: /^(set|update|change).*(fee|tax)/i,
+    explanation: "Buy/sell taxes can be raised after launch, up to making sells unprofitable"
+  },
+  {
+    id: "limits",
+    label: "Max transaction / wallet limits",
+    weight: 10,
+    pattern: /max(tx|wallet|transaction|sell|buy)|^(set|remove|update)Limits?$/i,
+    explanation: "Transfer size limits can be tightened to block sells"
+  },
+  {
+    id: "trading",
+    label: "Trading on/off switch",
+    weight: 15,
+    pattern: /^(enable|open|start|set|toggle)Trading/i,
+    explanation: "Trading is gated by a switch the owner controls, a common honeypot setup"
+  }
+];
+
+// Additional fixed risk factors
+const RISK_WEIGHTS = {
+  unverified: 15,
+  upgradeable: 20,
+  selfdestruct: 20,
+  highSeverityFinding: 10
+};
+
+// Privileges behind a renounced owner still count a little (roles, other admins)
+const RENOUNCED_PRIVILEGE_FACTOR = 0.25;
+
+/**
+ * Registers token risk scanning tools with the MCP server
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerTokenRiskTools(server) {
+  server.registerTool("scanTokenRisk",
+    {
+      inputSchema: {
+        address: addressSchema,
+        chain: z.string().optional().default("eth"),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and refetch explorer data")
+      },
+      outputSchema: {
+        address: z.string(),
+        chain: z.string(),
+        name: z.string().nullable(),
+        score: z.number(),
+        level: z.enum(["Low", "Medium", "High", "Critical"]),
+        ownership: z.object({
+          hasOwner: z.boolean(),
+          ownerFunction: z.string().nullable(),
+          owner: z.string().nullable(),
+          renounced: z.boolean()
+        }),
+        factors: z.array(z.object({
+          id: z.string(),
+          label: z.string(),
+          points: z.number(),
+          explanation: z.string(),
+          evidence: z.string()
+        }))
+      }
+    },
+    async ({ address, chain, refresh }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const web3 = getWeb3(chainConfig.key);
+
+        // Reuse the audit pipeline (verification, proxies, bytecode, security rules)
+        const analysis = await analyzeAddress(web3, address, chainConfig, { refresh });
+        // A node or explorer outage must not read as "not a contract"
+        if (analysis.failed) {
+          throw new Error(analysis.error);
+        }
+        if (!analysis.isContract) {
+          return {
+            content: [{ type: "text", text: `${address} is not a contract on ${chainConfig.name}` }],
+            isError: true
+          };
+        }
+
+        const ownership = await readOwnership(web3, analysis.address);
+        const report = scoreTokenRisk(analysis, ownership);
+
+        return {
+          content: [{ type: "text", text: formatRiskReport(analysis, ownership, report) }],
+          structuredContent: {
+            address: analysis.address,
+            chain: chainConfig.key,
+            name: analysis.implementation?.contractName || analysis.contractName || null,
+            score: report.score,
+            level: report.level,
+            ownership,
+            factors: report.factors
+          }
+        };
+      } catch (error) {
+        console.error("Error in scanTokenRisk:", error);
+        return {
+          content: [{ type: "text", text: `Error scanning token risk: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Call owner() and getOwner() to find who controls the token
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} address - Token address
+ * @returns {Promise<Object>} Ownership information
+ */
+async function readOwnership(web3, address) {
+  for (const signature of ["owner()", "getOwner()"]) {
+    try {
+      const result = await web3.eth.call({ to: address, data: getFunctionSelector(signature) });
+
+      // A missing function returns empty data instead of an address word
+      if (!result || result.length < 66) continue;
+
+      const owner = web3.utils.toChecksumAddress(`0x${result.slice(26, 66)}`);
+      return {
+        hasOwner: true,
+        ownerFunction: signature,
+        owner,
+        renounced: RENOUNCED_OWNERS.includes(owner.toLowerCase())
+      };
+    } catch (error) {
+      // Reverting getter: try the next one
+    }
+  }
+
+  return { hasOwner: false, ownerFunction: null, owner: null, renounced: false };
+}
+
+/**
+ * Collect the callable function names of a token, preferring the verified ABI
+ * and falling back to selectors recovered from bytecode. Proxies contribute
+ * the functions of their implementation too.
+ * @param {Object} analysis - Result of analyzeAddress
+ * @returns {Array<Object>} Functions as { name, signature, source }
+ */
+function collectFunctions(analysis) {
+  const functions = [];
+
+  for (const contract of [analysis, analysis.implementation].filter(Boolean)) {
+    if (contract.abi) {
+      contract.abi
+        .filter(item => item.type === "function" && !["view", "pure"].includes(item.stateMutability))
+        .forEach(item => functions.push({
+          name: item.name,
+          signature: `${item.name}(${(item.inputs || []).map(input => input.type).join(",")})`,
+          source: "ABI"
+        }));
+    } else if (contract.bytecodeAnalysis) {
+      contract.bytecodeAnalysis.functions
+        .flatMap(func => func.signatures)
+        .forEach(signature => functions.push({
+          name: signature.split("(")[0],
+          signature,
+          source: "bytecode"
+        }));
+    }
+  }
+
+  return functions;
+}
+
+/**
+ * Score token risk from privileged functions, ownership and audit results
+ * @param {Object} analysis - Result of analyzeAddress
+ * @param {Object} ownership - Result of readOwnership
+ * @returns {Object} Risk score, level and contributing factors
+ */
+function scoreTokenRisk(analysis, ownership) {
+  const factors = [];
+  const functions = collectFunctions(analysis);
+  const privilegeFactor = ownership.renounced ? RENOUNCED_PRIVILEGE_FACTOR : 1;
+
+  for (const category of PRIVILEGE_CATEGORIES) {
+    const matches = functions.filter(func => category.pattern.test(func.name));
+    if (matches.length === 0) continue;
+
+    const signatures = [...new Set(matches.map(func => func.signature))];
+    factors.push({
+      id: category.id,
+      label: category.label,
+      points: Math.round(category.weight * privilegeFactor),
+      explanation: ownership.renounced
+        ? `${category.explanation}. Ownership is renounced, so this only matters if another role can call it`
+        : category.explanation,
+      evidence: `${signatures.join(", ")} (from ${matches[0].source})`
+    });
+  }
+
+  const isVerified = analysis.isVerified || !!analysis.implementation?.isVerified;
+  if (!isVerified) {
+    factors.push({
+      id: "unverified",
+      label: "Unverified source code",
+      points: RISK_WEIGHTS.unverified,
+      explanation: "Without verified source, hidden transfer restrictions cannot be ruled out",
+      evidence: "Privileges were inferred from bytecode selectors only"
+    });
+  }
+
+  if (analysis.proxy?.upgradeable) {
+    factors.push({
+      id: "upgradeable",
+      label: "Upgradeable proxy",
+      points: RISK_WEIGHTS.upgradeable,
+      explanation: "The token logic can be replaced entirely, regardless of current functions",
+      evidence: `${analysis.proxy.type}; upgrade authority: ${analysis.proxy.upgradeAuthority}`
+    });
+  }
+
+  const contracts = [analysis, analysis.implementation].filter(Boolean);
+  if (contracts.some(contract => contract.bytecodeAnalysis?.dangerousOpcodes.some(op => op.opcode === "SELFDESTRUCT"))) {
+    factors.push({
+      id: "selfdestruct",
+      label: "Self-destruct capability",
+      points: RISK_WEIGHTS.selfdestruct,
+      explanation: "The contract code can be destroyed (or force ETH) via SELFDESTRUCT",
+      evidence: "SELFDESTRUCT opcode present in bytecode"
+    });
+  }
+
+  const highFindings = contracts.flatMap(contract =>
+    (contract.securityAnalysis?.issues || []).filter(issue => issue.severity === "High")
+  );
+  if (highFindings.length > 0) {
+    factors.push({
+      id: "security",
+      label: "High severity security findings",
+      points: RISK_WEIGHTS.highSeverityFinding * Math.min(highFindings.length, 3),
+      explanation: "The source contains high severity issues reported by the audit rules",
+      evidence: highFindings.map(issue => `${issue.ruleId} at ${issue.file}:${issue.startLine}`).join(", ")
+    });
+  }
+
+  const score = Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0));
+
+  return {
+    score,
+    level: score >= 75 ? "Critical" : score >= 50 ? "High" : score >= 20 ? "Medium" : "Low",
+    factors: factors.sort((a, b) => b.points - a.points)
+  };
+}
+
+/**
+ * Format the risk report for display
+ * @param {Object} analysis - Result of analyzeAddress
+ * @param {Object} ownership - Result of readOwnership
+ * @param {Object} report - Result of scoreTokenRisk
+ * @returns {string} Formatted report
+ */
+function formatRiskReport(analysis, ownership, report) {
+  const output = [];
+  const levelIcons = { Low: "🟢", Medium: "🟡", High: "🟠", Critical: "🔴" };
+
+  output.push("=== 🛡️ TOKEN RISK REPORT ===");
+  output.push(`📍 Address: ${analysis.address}`);
+  output.push(`⛓️ Chain: ${analysis.chain}`);
+  output.push(`📋 Name: ${analysis.implementation?.contractName || analysis.contractName || "Unknown"}`);
+  output.push(`${levelIcons[report.level]} Risk Score: ${report.score}/100 (${report.level})`);
+
+  output.push("\n👤 OWNERSHIP:");
+  if (!ownership.hasOwner) {
+    output.push("   No owner() or getOwner() function found");
+  } else if (ownership.renounced) {
+    output.push(`   ✅ Renounced (${ownership.ownerFunction} returns ${ownership.owner})`);
+  } else {
+    output.push(`   ⚠️ Owned by ${ownership.owner} (via ${ownership.ownerFunction})`);
+  }
+
+  if (report.factors.length === 0) {
+    output.push("\n✅ No owner privileges or risk factors detected");
+  } else {
+    output.push("\n📊 RISK FACTORS:");
+    report.factors.forEach(factor => {
+      output.push(`   [+${factor.points}] ${factor.label}`);
+      output.push(`     ${factor.explanation}`);
+      output.push(`     Evidence: ${factor.evidence}`);
+    });
+  }
+
+  return output.join("\n");
+}
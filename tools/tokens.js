@@ -1,61 +1,103 @@
 import { z } from "zod";
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { moralisGetAll } from "../lib/moralis.js";
+import { resolveChain, getMoralisChain, getWeb3 } from "../lib/chains.js";
+import { CACHE_TTLS } from "../lib/cache.js";
+import { addressSchema } from "../lib/address.js";
+import { lookupEnsName } from "../lib/ens.js";
+import { getTokenBalances, getBundledTokens } from "../lib/erc20.js";
 
-// Convert exec to promise-based
-const execPromise = promisify(exec);
+// Limits of a single getTokensBalance request
+const MAX_WALLETS = 50;
+const MAX_TOKENS = 200;
+
+
+// Shape of a single token balance in structured output
+const tokenBalanceSchema = z.object({
+  token_address: z.string(),
+  symbol: z.string().nullable(),
+  name: z.string().nullable(),
+  decimals: z.number(),
+  balance: z.string(),
+  balance_formatted: z.string()
+});
 
 /**
  * Registers token-related tools with the MCP server
  * @param {McpServer} server - The MCP server instance
+ * @param {Web3} web3 - The initialized Web3 instance, used for on-chain reads on Ethereum
  */
-export function registerTokenTools(server) {
+export function registerTokenTools(server, web3) {
   // Add token balances tool
-  server.tool("getTokensBalance",
-    { 
-      address: z.string().regex(/^0x[a-fA-F0-9]{40}$/, "Invalid Ethereum address"),
-      chain: z.string().optional().default("eth"), 
-      excludeSpam: z.boolean().optional().default(true)
+  server.registerTool("getTokensBalance",
+    {
+      inputSchema: {
+        address: addressSchema.optional(),
+        addresses: z.array(addressSchema).min(1).max(MAX_WALLETS).optional()
+          .describe("Several wallets to look up at once, instead of address"),
+        chain: z.string().optional().default("eth"),
+        tokens: z.array(addressSchema).min(1).max(MAX_TOKENS).optional()
+          .describe("Token contracts to check on-chain; defaults to the bundled list of widely held tokens"),
+        source: z.enum(["auto", "moralis", "onchain"]).optional().default("auto")
+          .describe("auto uses Moralis when MORALIS_API_KEY is set and no token list is given, on-chain reads otherwise"),
+        excludeSpam: z.boolean().optional().default(true),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and fetch fresh token balances")
+      },
+      outputSchema: {
+        address: z.string().optional(),
+        ensName: z.string().nullable().optional(),
+        chain: z.string(),
+        source: z.enum(["moralis", "onchain"]),
+        tokenCount: z.number().optional(),
+        tokens: z.array(tokenBalanceSchema).optional(),
+        wallets: z.array(z.object({
+          address: z.string(),
+          ensName: z.string().nullable(),
+          tokenCount: z.number(),
+          tokens: z.array(tokenBalanceSchema)
+        })).optional()
+      }
     },
-    async ({ address, chain, excludeSpam }) => {
+    async ({ address, addresses, chain, tokens, source, excludeSpam, refresh }) => {
       try {
-        // Use API key from environment variable
-        const apiKey = process.env.MORALIS_API_KEY;
-        if (!apiKey) {
-          throw new Error("MORALIS_API_KEY environment variable is not set");
+        if (address && addresses) {
+          throw new Error("Pass either address or addresses, not both");
         }
-        
-        // Format the URL for PowerShell request - simpler approach
-        const url = `https://deep-index.moralis.io/api/v2.2/${address}/erc20?chain=${chain}&exclude_spam=${excludeSpam}`;
-        const psCommand = `powershell -Command "Invoke-RestMethod -Method Get -Uri '${url}' -Headers @{'X-API-Key'='${apiKey}'; 'accept'='application/json'} | ConvertTo-Json -Depth 10"`;
-        
-        // Execute PowerShell command more directly
-        const { stdout } = await execPromise(psCommand);
-        const response = JSON.parse(stdout);
-        const tokens = response.value || response;
-        
-        // Format just a summary response to avoid large data issues
-        const tokenCount = tokens.length;
-        const allTokens = tokens.map(token => {
-          const decimals = parseInt(token.decimals || '0');
-          const rawBalance = token.balance || '0';
-          const formattedBalance = decimals > 0 
-            ? (parseFloat(rawBalance) / Math.pow(10, decimals)).toFixed(6)
-            : rawBalance;
-            
-          return {
-            token_address: token.token_address,
-            symbol: token.symbol,
-            name: token.name,
-            balance_formatted: formattedBalance
-          };
-        });
-        
+        const wallets = addresses || (address ? [address] : []);
+        if (wallets.length === 0) {
+          throw new Error("Pass a wallet address or a list of addresses");
+        }
+
+        const chainConfig = resolveChain(chain);
+        const balanceSource = source === "auto"
+          ? (process.env.MORALIS_API_KEY && !tokens ? "moralis" : "onchain")
+          : source;
+
+        const [balances, ensNames] = await Promise.all([
+          balanceSource === "moralis"
+            ? fetchMoralisBalances(chainConfig, wallets, { excludeSpam, refresh })
+            : fetchOnchainBalances(chainConfig.key === "eth" ? web3 : getWeb3(chainConfig.key), chainConfig, wallets, tokens),
+          Promise.all(wallets.map(wallet => lookupEnsName(wallet)))
+        ]);
+
+        const results = wallets.map((wallet, index) => ({
+          address: wallet,
+          ensName: ensNames[index],
+          tokenCount: balances.get(wallet).length,
+          tokens: balances.get(wallet)
+        }));
+
         return {
           content: [{ 
             type: "text", 
-            text: `Found ${tokenCount} tokens for ${address} on chain ${chain}\nAll tokens: ${JSON.stringify(allTokens, null, 2)}`
-          }]
+            text: results.map(result => formatTokenBalances(
+              result.ensName ? `${result.address} (${result.ensName})` : result.address,
+              chainConfig.name,
+              result.tokens
+            )).join('\n\n')
+          }],
+          structuredContent: addresses
+            ? { chain: chainConfig.key, source: balanceSource, wallets: results }
+            : { ...results[0], chain: chainConfig.key, source: balanceSource }
         };
       } catch (error) {
         // Simple error response like the working functions
@@ -63,9 +105,100 @@ export function registerTokenTools(server) {
           content: [{ 
             type: "text", 
             text: `Error fetching token balances: ${error.message}`
-          }]
+          }],
+          isError: true
         };
       }
     }
   );
-} 
\ No newline at end of file
+}
+
+/**
+ * Fetch all ERC20 balances of each wallet from Moralis
+ * @param {Object} chainConfig - Chain registry entry
+ * @param {string[]} wallets - Wallet addresses
+ * @param {Object} options - Options
+ * @param {boolean} options.excludeSpam - Drop tokens Moralis flags as spam
+ * @param {boolean} options.refresh - Bypass the cache
+ * @returns {Promise<Map<string, Array<Object>>>} Token balances per wallet
+ */
+async function fetchMoralisBalances(chainConfig, wallets, { excludeSpam, refresh }) {
+  const entries = await Promise.all(wallets.map(async wallet => {
+    const tokens = await moralisGetAll(`/${wallet}/erc20`, {
+      chain: getMoralisChain(chainConfig.key),
+      exclude_spam: excludeSpam
+    }, { ttl: CACHE_TTLS.tokenBalances, refresh });
+
+    return [wallet, tokens.map(token => {
+      const decimals = parseInt(token.decimals || '0');
+      const rawBalance = token.balance || '0';
+      return {
+        token_address: token.token_address,
+        symbol: token.symbol ?? null,
+        name: token.name ?? null,
+        decimals,
+        balance: rawBalance,
+        balance_formatted: formatBalance(rawBalance, decimals)
+      };
+    })];
+  }));
+
+  return new Map(entries);
+}
+
+/**
+ * Read ERC20 balances of each wallet directly from the chain through Multicall3
+ * @param {Web3} web3 - Web3 instance for the chain
+ * @param {Object} chainConfig - Chain registry entry
+ * @param {string[]} wallets - Wallet addresses
+ * @param {string[]} [tokens] - Token addresses; defaults to the bundled list
+ * @returns {Promise<Map<string, Array<Object>>>} Token balances per wallet
+ */
+async function fetchOnchainBalances(web3, chainConfig, wallets, tokens) {
+  const tokenAddresses = tokens || getBundledTokens(chainConfig.key);
+  if (tokenAddresses.length === 0) {
+    throw new Error(`No bundled token list for ${chainConfig.name}; pass the token contracts to check in "tokens"`);
+  }
+
+  const balances = await getTokenBalances(web3, wallets, tokenAddresses);
+  return new Map(wallets.map(wallet => [wallet, balances.get(wallet).map(token => {
+    const decimals = token.decimals ?? 0;
+    return {
+      token_address: token.token_address,
+      symbol: token.symbol,
+      name: token.name,
+      decimals,
+      balance: token.balance,
+      balance_formatted: formatBalance(token.balance, decimals)
+    };
+  })]));
+}
+
+/**
+ * Format a raw balance with six decimal places
+ * @param {string} rawBalance - Raw balance
+ * @param {number} decimals - Token decimals
+ * @returns {string} Formatted balance
+ */
+function formatBalance(rawBalance, decimals) {
+  return decimals > 0 
+    ? (parseFloat(rawBalance) / Math.pow(10, decimals)).toFixed(6)
+    : rawBalance;
+}
+
+/**
+ * Format token balances into a readable list
+ * @param {string} address - Wallet address, with its ENS name if it has one
+ * @param {string} chainName - Chain display name
+ * @param {Array<Object>} tokens - Token balances
+ * @returns {string} Formatted balances
+ */
+function formatTokenBalances(address, chainName, tokens) {
+  const output = [`Found ${tokens.length} tokens for ${address} on ${chainName}`];
+  
+  tokens.forEach(token => {
+    output.push(`- ${token.balance_formatted} ${token.symbol || '???'} (${token.name || 'Unknown'}) - ${token.token_address}`);
+  });
+  
+  return output.join('\n');
+}
@@ -0,0 +1,568 @@
+import { z } from "zod";
+import { resolveEvmChain, getWeb3 } from "../lib/chains.js";
+import { decodeFunctionInput, decodeEventLog, readFirstWord } from "../lib/abi.js";
+import { getEventTopic } from "../lib/signatures.js";
+import { getTokenMetadata, formatTokenAmount } from "../lib/erc20.js";
+import { addressSchema } from "../lib/address.js";
+import { BLOCK_TAGS, parseBlockTag } from "../lib/blocks.js";
+import { simulateTransaction, computeBalanceChanges } from "../lib/simulation.js";
+import { getContractAbi } from "./audit.js";
+
+// Distinct contracts whose verified ABI is fetched per transaction; the rest use the signature database
+const MAX_ABI_LOOKUPS = 10;
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+// Token events summarised in plain language
+const TRANSFER_TOPIC = getEventTopic("Transfer(address,address,uint256)");
+const APPROVAL_TOPIC = getEventTopic("Approval(address,address,uint256)");
+const APPROVAL_FOR_ALL_TOPIC = getEventTopic("ApprovalForAll(address,address,bool)");
+
+// Decoded function or event argument
+const decodedArgSchema = z.object({
+  name: z.string(),
+  type: z.string(),
+  indexed: z.boolean().optional(),
+  value: z.any()
+});
+
+// Decoded event log
+const decodedLogSchema = z.object({
+  address: z.string(),
+  event: z.string().nullable(),
+  signature: z.string().nullable(),
+  source: z.enum(["abi", "signature-db"]).nullable(),
+  args: z.array(decodedArgSchema),
+  topics: z.array(z.string()),
+  data: z.string()
+});
+
+/**
+ * Registers transaction lookup tools with the MCP server
+ * @param {McpServer} server - The MCP server instance
+ * @param {Web3} web3 - The initialized Web3 instance, used when no chain is given
+ */
+export function registerTransactionTools(server, web3) {
+  server.registerTool("getTransaction",
+    {
+      inputSchema: {
+        hash: z.string().regex(/^0x[a-fA-F0-9]{64}$/, "Invalid transaction hash"),
+        chain: z.string().optional(),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache when fetching contract ABIs")
+      },
+      outputSchema: {
+        hash: z.string(),
+        chain: z.string(),
+        status: z.enum(["success", "failed", "pending"]),
+        blockNumber: z.number().nullable(),
+        timestamp: z.number().nullable(),
+        from: z.string(),
+        to: z.string().nullable(),
+        contractCreated: z.string().nullable(),
+        nonce: z.number(),
+        value: z.string(),
+        valueFormatted: z.string(),
+        nativeSymbol: z.string(),
+        gasLimit: z.number(),
+        gasUsed: z.number().nullable(),
+        effectiveGasPrice: z.string().nullable(),
+        fee: z.string().nullable(),
+        feeFormatted: z.string().nullable(),
+        call: z.object({
+          selector: z.string(),
+          name: z.string().nullable(),
+          signature: z.string().nullable(),
+          source: z.enum(["abi", "signature-db"]).nullable(),
+          args: z.array(decodedArgSchema)
+        }).nullable(),
+        logs: z.array(decodedLogSchema.extend({ index: z.number() })),
+        summary: z.array(z.string())
+      }
+    },
+    async ({ hash, chain, refresh }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+
+        const tx = await chainWeb3.eth.getTransaction(hash);
+        if (!tx) {
+          return {
+            content: [{ type: "text", text: `Transaction ${hash} not found on ${chainConfig.name}` }],
+            isError: true
+          };
+        }
+
+        const result = await describeTransaction(chainWeb3, chainConfig, tx, { refresh });
+        return {
+          content: [{ type: "text", text: formatTransaction(result, chainConfig) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in getTransaction:", error);
+        return {
+          content: [{ type: "text", text: `Error fetching transaction: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool("simulateTransaction",
+    {
+      inputSchema: {
+        from: addressSchema.describe("Sender address or ENS name"),
+        to: addressSchema.optional().describe("Recipient or contract address (or ENS name); omit to simulate a contract deployment"),
+        value: z.string().regex(/^(\d+|0x[0-9a-fA-F]+)$/, "Value must be a decimal or hex amount in wei").optional().default("0")
+          .describe("ETH to send, in wei"),
+        data: z.string().regex(/^0x([0-9a-fA-F]{2})*$/, "Invalid calldata").optional().default("0x")
+          .describe("Calldata (or init code for a deployment)"),
+        gas: z.number().int().positive().optional().describe("Gas limit; defaults to the node's call gas cap"),
+        blockTag: z.union([z.number().int().nonnegative(), z.string()]).optional()
+          .describe(`Block to simulate on top of (${BLOCK_TAGS.join(", ")} or a number); defaults to latest`),
+        chain: z.string().optional(),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache when fetching contract ABIs")
+      },
+      outputSchema: {
+        chain: z.string(),
+        from: z.string(),
+        to: z.string().nullable(),
+        value: z.string(),
+        valueFormatted: z.string(),
+        nativeSymbol: z.string(),
+        success: z.boolean(),
+        revertReason: z.string().nullable(),
+        returnData: z.string().nullable(),
+        gasEstimate: z.number().nullable(),
+        gasUsed: z.number().nullable(),
+        traceSource: z.enum(["debug_traceCall", "eth_simulateV1"]).nullable(),
+        calls: z.array(z.object({
+          depth: z.number(),
+          type: z.string(),
+          from: z.string(),
+          to: z.string().nullable(),
+          value: z.string(),
+          function: z.string().nullable(),
+          signature: z.string().nullable(),
+          source: z.enum(["abi", "signature-db"]).nullable(),
+          args: z.array(decodedArgSchema),
+          gasUsed: z.number().nullable(),
+          error: z.string().nullable(),
+          reverted: z.boolean()
+        })),
+        events: z.array(decodedLogSchema),
+        balanceChanges: z.array(z.object({
+          address: z.string(),
+          token: z.string(),
+          symbol: z.string().nullable(),
+          decimals: z.number().nullable(),
+          change: z.string(),
+          changeFormatted: z.string()
+        })),
+        summary: z.array(z.string()),
+        warnings: z.array(z.string())
+      }
+    },
+    async ({ from, to, value, data, gas, blockTag, chain, refresh }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+
+        const simulation = await simulateTransaction(chainWeb3, { from, to, value, data, gas }, {
+          blockTag: parseBlockTag(blockTag)
+        });
+        const result = await describeSimulation(chainWeb3, chainConfig, { from, to, value }, simulation, { refresh });
+        return {
+          content: [{ type: "text", text: formatSimulation(result, chainConfig) }],
+          structuredContent: result
+        };
+      } catch (error) {
+        console.error("Error in simulateTransaction:", error);
+        return {
+          content: [{ type: "text", text: `Error simulating transaction: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Fetch the receipt and block of a transaction and decode its calldata and logs
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} tx - Transaction returned by eth_getTransactionByHash
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Bypass cached explorer responses
+ * @returns {Promise<Object>} Decoded transaction
+ */
+async function describeTransaction(web3, chain, tx, { refresh }) {
+  const mined = tx.blockNumber !== undefined && tx.blockNumber !== null;
+  const [receipt, block] = mined
+    ? await Promise.all([web3.eth.getTransactionReceipt(tx.hash), web3.eth.getBlock(tx.blockNumber)])
+    : [null, null];
+
+  const logs = receipt?.logs || [];
+  const abis = await fetchAbis(web3, chain, [tx.to, ...logs.map(log => log.address)], refresh);
+  const tokenMetadata = await fetchTokenMetadata(web3, logs);
+
+  const gasUsed = receipt ? BigInt(receipt.gasUsed) : null;
+  const effectiveGasPrice = receipt ? BigInt(receipt.effectiveGasPrice ?? tx.gasPrice) : null;
+  const fee = receipt ? gasUsed * effectiveGasPrice : null;
+  const status = !receipt ? "pending" : BigInt(receipt.status) === 1n ? "success" : "failed";
+
+  const result = {
+    hash: tx.hash,
+    chain: chain.key,
+    status,
+    blockNumber: mined ? Number(tx.blockNumber) : null,
+    timestamp: block ? Number(block.timestamp) : null,
+    from: web3.utils.toChecksumAddress(tx.from),
+    to: tx.to ? web3.utils.toChecksumAddress(tx.to) : null,
+    contractCreated: receipt?.contractAddress ? web3.utils.toChecksumAddress(receipt.contractAddress) : null,
+    nonce: Number(tx.nonce),
+    value: BigInt(tx.value).toString(),
+    valueFormatted: web3.utils.fromWei(tx.value, "ether"),
+    nativeSymbol: chain.nativeSymbol,
+    gasLimit: Number(tx.gas),
+    gasUsed: gasUsed === null ? null : Number(gasUsed),
+    effectiveGasPrice: effectiveGasPrice === null ? null : effectiveGasPrice.toString(),
+    fee: fee === null ? null : fee.toString(),
+    feeFormatted: fee === null ? null : web3.utils.fromWei(fee, "ether"),
+    call: tx.to ? decodeFunctionInput(abis.get(tx.to.toLowerCase()), tx.input) : null,
+    logs: logs.map(log => {
+      const decoded = decodeEventLog(abis.get(log.address.toLowerCase()), log);
+      return {
+        index: Number(log.logIndex),
+        address: web3.utils.toChecksumAddress(log.address),
+        event: decoded?.name || null,
+        signature: decoded?.signature || null,
+        source: decoded?.source || null,
+        args: decoded?.args || [],
+        topics: log.topics,
+        data: log.data
+      };
+    }),
+    summary: []
+  };
+
+  result.summary = summarizeTransaction(web3, result, logs, tokenMetadata);
+  return result;
+}
+
+/**
+ * Fetch verified ABIs (following proxies) for the contracts a transaction touches
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {Array<string|null>} addresses - Contract addresses
+ * @param {boolean} refresh - Bypass cached explorer responses
+ * @returns {Promise<Map<string, Array|null>>} ABI per lowercase address
+ */
+async function fetchAbis(web3, chain, addresses, refresh) {
+  const unique = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+  const abis = new Map();
+
+  await Promise.all(unique.slice(0, MAX_ABI_LOOKUPS).map(async address => {
+    try {
+      const { abi } = await getContractAbi(web3, web3.utils.toChecksumAddress(address), chain, { refresh });
+      abis.set(address, abi);
+    } catch (error) {
+      // Decoding falls back to the signature database
+      console.error(`Could not fetch ABI of ${address}:`, error.message);
+      abis.set(address, null);
+    }
+  }));
+
+  return abis;
+}
+
+/**
+ * Read name/symbol/decimals of every contract that emitted a token event
+ * @param {Web3} web3 - Web3 instance
+ * @param {Array<Object>} logs - Receipt logs
+ * @returns {Promise<Map<string, Object>>} Metadata per lowercase address
+ */
+async function fetchTokenMetadata(web3, logs) {
+  const tokenTopics = [TRANSFER_TOPIC, APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC];
+  const tokens = [...new Set(logs
+    .filter(log => tokenTopics.includes(log.topics[0]?.toLowerCase()))
+    .map(log => log.address.toLowerCase()))];
+
+  const entries = await Promise.all(tokens.map(async address => [address, await getTokenMetadata(web3, address)]));
+  return new Map(entries);
+}
+
+/**
+ * Describe the transaction and its token movements in plain language
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} result - Decoded transaction
+ * @param {Array<Object>} logs - Raw receipt logs
+ * @param {Map<string, Object>} tokenMetadata - Token metadata per address
+ * @returns {string[]} Summary lines
+ */
+function summarizeTransaction(web3, result, logs, tokenMetadata) {
+  const summary = [];
+  const value = BigInt(result.value) > 0n ? ` with ${result.valueFormatted} ${result.nativeSymbol}` : "";
+
+  if (!result.to) {
+    summary.push(`${result.from} deployed contract ${result.contractCreated || "(pending)"}${value}`);
+  } else if (!result.call) {
+    summary.push(`${result.from} sent ${result.valueFormatted} ${result.nativeSymbol} to ${result.to}`);
+  } else {
+    summary.push(`${result.from} called ${result.call.name || `unknown function ${result.call.selector}`} on ${result.to}${value}`);
+  }
+
+  if (result.status === "failed") {
+    summary.push("The transaction reverted; no state changes were applied");
+  }
+
+  logs.forEach(log => {
+    const line = summarizeTokenLog(web3, log, tokenMetadata.get(log.address.toLowerCase()));
+    if (line) summary.push(line);
+  });
+
+  return summary;
+}
+
+/**
+ * Describe an ERC20/ERC721 Transfer, Approval or ApprovalForAll log
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} log - Raw log
+ * @param {Object} [token] - Token metadata
+ * @returns {string|null} Summary line, or null for other events
+ */
+function summarizeTokenLog(web3, log, token) {
+  const [topic0, ...indexed] = log.topics.map(topic => topic.toLowerCase());
+  const symbol = token?.symbol || web3.utils.toChecksumAddress(log.address);
+  const topicAddress = topic => web3.utils.toChecksumAddress(`0x${topic.slice(26)}`);
+  // Amounts and flags sit in the first word of data; non-standard contracts may emit less
+  const value = readFirstWord(log.data);
+  const malformed = event => `${event} log of ${symbol} without a 32-byte value (data ${log.data})`;
+
+  if (topic0 === TRANSFER_TOPIC && indexed.length === 2) {
+    // ERC20: from and to are indexed, the amount is in data
+    if (value === null) return malformed("Transfer");
+    const [from, to] = indexed.map(topicAddress);
+    const amount = `${formatTokenAmount(value, token?.decimals)} ${symbol}`;
+    if (from === ZERO_ADDRESS) return `Minted ${amount} to ${to}`;
+    if (to === ZERO_ADDRESS) return `Burned ${amount} from ${from}`;
+    return `Transferred ${amount} from ${from} to ${to}`;
+  }
+
+  if (topic0 === TRANSFER_TOPIC && indexed.length === 3) {
+    // ERC721: the token ID is indexed too
+    const [from, to] = indexed.slice(0, 2).map(topicAddress);
+    const nft = `${symbol} #${BigInt(indexed[2])}`;
+    if (from === ZERO_ADDRESS) return `Minted NFT ${nft} to ${to}`;
+    if (to === ZERO_ADDRESS) return `Burned NFT ${nft} from ${from}`;
+    return `Transferred NFT ${nft} from ${from} to ${to}`;
+  }
+
+  if (topic0 === APPROVAL_TOPIC && indexed.length === 2) {
+    if (value === null) return malformed("Approval");
+    const [owner, spender] = indexed.map(topicAddress);
+    if (value === 0n) return `${owner} revoked ${spender}'s allowance for ${symbol}`;
+    const allowance = value === MAX_UINT256 ? `an unlimited amount of ${symbol}` : `${formatTokenAmount(value, token?.decimals)} ${symbol}`;
+    return `${owner} approved ${spender} to spend ${allowance}`;
+  }
+
+  if (topic0 === APPROVAL_TOPIC && indexed.length === 3) {
+    const [owner, approved] = indexed.slice(0, 2).map(topicAddress);
+    return `${owner} approved ${approved} to transfer NFT ${symbol} #${BigInt(indexed[2])}`;
+  }
+
+  if (topic0 === APPROVAL_FOR_ALL_TOPIC && indexed.length === 2) {
+    if (value === null) return malformed("ApprovalForAll");
+    const [owner, operator] = indexed.map(topicAddress);
+    return value === 0n
+      ? `${owner} revoked ${operator} as operator for all ${symbol} tokens`
+      : `${owner} approved ${operator} as operator for all ${symbol} tokens`;
+  }
+
+  return null;
+}
+
+/**
+ * Decode the calls and logs of a simulated transaction and net out the
+ * balance changes it would cause
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} tx - Simulated transaction ({ from, to, value })
+ * @param {Object} simulation - Result of simulateTransaction
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Bypass cached explorer responses
+ * @returns {Promise<Object>} Simulation report
+ */
+async function describeSimulation(web3, chain, tx, simulation, { refresh }) {
+  const { calls, logs } = simulation;
+  const abis = await fetchAbis(web3, chain, [...calls.map(call => call.to), ...logs.map(log => log.address)], refresh);
+  const tokenMetadata = await fetchTokenMetadata(web3, logs);
+  const toChecksum = address => (address ? web3.utils.toChecksumAddress(address) : null);
+
+  return {
+    chain: chain.key,
+    from: toChecksum(tx.from),
+    to: toChecksum(tx.to),
+    value: BigInt(tx.value).toString(),
+    valueFormatted: web3.utils.fromWei(BigInt(tx.value), "ether"),
+    nativeSymbol: chain.nativeSymbol,
+    success: simulation.success,
+    revertReason: simulation.revertReason,
+    returnData: simulation.returnData,
+    gasEstimate: simulation.gasEstimate,
+    gasUsed: simulation.gasUsed,
+    traceSource: simulation.traceSource,
+    calls: calls.map(call => {
+      // Init code of a deployment is not calldata
+      const decoded = call.to && !call.type?.startsWith("CREATE")
+        ? decodeFunctionInput(abis.get(call.to.toLowerCase()), call.input)
+        : null;
+      return {
+        depth: call.depth,
+        type: call.type,
+        from: toChecksum(call.from),
+        to: toChecksum(call.to),
+        value: call.value.toString(),
+        function: decoded?.name || (decoded ? `unknown ${decoded.selector}` : null),
+        signature: decoded?.signature || null,
+        source: decoded?.source || null,
+        args: decoded?.args || [],
+        gasUsed: call.gasUsed,
+        error: call.error,
+        reverted: call.reverted
+      };
+    }),
+    events: logs.map(log => {
+      const decoded = decodeEventLog(abis.get(log.address.toLowerCase()), log);
+      return {
+        address: toChecksum(log.address),
+        event: decoded?.name || null,
+        signature: decoded?.signature || null,
+        source: decoded?.source || null,
+        args: decoded?.args || [],
+        topics: log.topics,
+        data: log.data
+      };
+    }),
+    balanceChanges: computeBalanceChanges(simulation, { nativeSymbol: chain.nativeSymbol, tokenMetadata }),
+    summary: logs
+      .map(log => summarizeTokenLog(web3, log, tokenMetadata.get(log.address.toLowerCase())))
+      .filter(Boolean),
+    warnings: simulation.warnings
+  };
+}
+
+/**
+ * Format a decoded transaction for display
+ * @param {Object} result - Decoded transaction
+ * @param {Object} chain - Chain registry entry
+ * @returns {string} Formatted report
+ */
+function formatTransaction(result, chain) {
+  const output = [];
+  const statusIcons = { success: "✅ Success", failed: "❌ Failed", pending: "⏳ Pending" };
+
+  output.push("=== 🧾 TRANSACTION ===");
+  output.push(`🔗 Hash: ${result.hash}`);
+  output.push(`⛓️ Chain: ${chain.name}`);
+  output.push(`📌 Status: ${statusIcons[result.status]}`);
+  if (result.blockNumber !== null) {
+    output.push(`🧱 Block: ${result.blockNumber}${result.timestamp ? ` (${new Date(result.timestamp * 1000).toISOString()})` : ""}`);
+  }
+  output.push(`👤 From: ${result.from}`);
+  output.push(`🎯 To: ${result.to || `(contract creation) ${result.contractCreated || ""}`.trim()}`);
+  output.push(`💰 Value: ${result.valueFormatted} ${result.nativeSymbol}`);
+  if (result.fee !== null) {
+    output.push(`⛽ Gas: ${result.gasUsed} used of ${result.gasLimit}, fee ${result.feeFormatted} ${result.nativeSymbol}`);
+  }
+
+  output.push("\n📝 SUMMARY:");
+  result.summary.forEach(line => output.push(`   - ${line}`));
+
+  if (result.call) {
+    const source = result.call.source === "signature-db" ? " (guessed from signature database)" : "";
+    output.push(`\n📞 CALL: ${result.call.signature || `unknown ${result.call.selector}`}${source}`);
+    result.call.args.forEach(arg => output.push(`   ${arg.name} (${arg.type}): ${formatValue(arg.value)}`));
+  }
+
+  if (result.logs.length > 0) {
+    output.push(`\n🔔 EVENTS (${result.logs.length}):`);
+    result.logs.forEach(log => {
+      output.push(`   [${log.index}] ${log.event || `unknown ${log.topics[0] || "anonymous"}`} @ ${log.address}`);
+      log.args.forEach(arg => output.push(`       ${arg.name}: ${formatValue(arg.value)}`));
+    });
+  }
+
+  return output.join("\n");
+}
+
+/**
+ * Format a transaction simulation for display
+ * @param {Object} result - Simulation report
+ * @param {Object} chain - Chain registry entry
+ * @returns {string} Formatted report
+ */
+function formatSimulation(result, chain) {
+  const output = [];
+  const traceSources = { debug_traceCall: "debug_traceCall", eth_simulateV1: "eth_simulateV1 (no internal calls)" };
+
+  output.push("=== 🧪 TRANSACTION SIMULATION ===");
+  output.push(`⛓️ Chain: ${chain.name}`);
+  output.push(`👤 From: ${result.from}`);
+  output.push(`🎯 To: ${result.to || "(contract creation)"}`);
+  output.push(`💰 Value: ${result.valueFormatted} ${result.nativeSymbol}`);
+  output.push(`📌 Outcome: ${result.success ? "✅ Would succeed" : `❌ Would fail: ${result.revertReason}`}`);
+  if (result.gasEstimate !== null || result.gasUsed !== null) {
+    output.push(`⛽ Gas: estimate ${result.gasEstimate ?? "unavailable"}${result.gasUsed !== null ? `, ${result.gasUsed} used in trace` : ""}`);
+  }
+  output.push(`🔍 Trace: ${traceSources[result.traceSource] || "unavailable"}`);
+
+  if (result.balanceChanges.length > 0) {
+    output.push("\n💸 BALANCE CHANGES (excluding gas fees):");
+    result.balanceChanges.forEach(change => {
+      output.push(`   ${change.address}: ${change.changeFormatted} ${change.symbol || change.token}`);
+    });
+  } else if (result.success && result.traceSource) {
+    output.push("\n💸 BALANCE CHANGES: none");
+  }
+
+  if (result.summary.length > 0) {
+    output.push("\n📝 SUMMARY:");
+    result.summary.forEach(line => output.push(`   - ${line}`));
+  }
+
+  if (result.calls.length > 1 || result.calls[0]?.function) {
+    output.push(`\n📞 CALLS (${result.calls.length}):`);
+    result.calls.forEach(call => {
+      const args = call.args.map(arg => `${arg.name}=${formatValue(arg.value)}`).join(", ");
+      const target = call.function ? `${call.function}(${args})` : call.type?.startsWith("CREATE") ? "(deploy)" : "(no calldata)";
+      const value = BigInt(call.value) > 0n ? ` [${formatTokenAmount(call.value, 18)} ${result.nativeSymbol}]` : "";
+      const error = call.error ? ` ❌ ${call.error}` : call.reverted ? " (reverted)" : "";
+      output.push(`   ${"  ".repeat(call.depth)}${call.type} ${call.to || "(new contract)"}.${target}${value}${error}`);
+    });
+  }
+
+  if (result.events.length > 0) {
+    output.push(`\n🔔 EVENTS (${result.events.length}):`);
+    result.events.forEach(event => {
+      output.push(`   ${event.event || `unknown ${event.topics[0] || "anonymous"}`} @ ${event.address}`);
+      event.args.forEach(arg => output.push(`       ${arg.name}: ${formatValue(arg.value)}`));
+    });
+  }
+
+  if (result.warnings.length > 0) {
+    output.push("\n⚠️ WARNINGS:");
+    result.warnings.forEach(warning => output.push(`   - ${warning}`));
+  }
+
+  return output.join("\n");
+}
+
+/**
+ * Render a decoded argument value on one line
+ * @param {*} value - Plain decoded value
+ * @returns {string} Display string
+ */
+function formatValue(value) {
+  return typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+}
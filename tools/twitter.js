@@ -1,8 +1,8 @@
 import { z } from "zod";
-import axios from "axios";
+import { cached, CACHE_TTLS } from "../lib/cache.js";
+import { providerRequest } from "../lib/http.js";
 
 // RapidAPI configuration
-const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY;
 const RAPIDAPI_HOST = "twitter154.p.rapidapi.com";
 
 /**
@@ -11,9 +11,10 @@ const RAPIDAPI_HOST = "twitter154.p.rapidapi.com";
  */
 export function registerTwitterTools(server) {
   // Create a reusable search function
-  const performTwitterSearch = async (query, section, limit, min_retweets, min_likes, min_replies, start_date, end_date, language) => {
-    // Check for API key
-    if (!RAPIDAPI_KEY) {
+  const performTwitterSearch = async (query, section, limit, min_retweets, min_likes, min_replies, start_date, end_date, language, refresh = false) => {
+    // Check for API key (read per search, as the config is applied after imports)
+    const apiKey = process.env.RAPIDAPI_KEY;
+    if (!apiKey) {
       throw new Error("RAPIDAPI_KEY environment variable is not set");
     }
     
@@ -32,34 +33,56 @@ export function registerTwitterTools(server) {
     if (end_date) params.append('end_date', end_date);
     if (language) params.append('language', language);
     
-    // Make the API request
-    const response = await axios({
-      method: 'GET',
-      url: `https://twitter154.p.rapidapi.com/search/search?${params.toString()}`,
-      headers: {
-        'x-rapidapi-key': RAPIDAPI_KEY,
-        'x-rapidapi-host': RAPIDAPI_HOST
-      }
+    // Make the API request (identical searches are served from the cache for a few minutes)
+    return cached("rapidapi", params.toString(), { ttl: CACHE_TTLS.tweets, refresh }, async () => {
+      const response = await providerRequest("rapidapi", {
+        method: 'GET',
+        url: `https://twitter154.p.rapidapi.com/search/search?${params.toString()}`,
+        headers: {
+          'x-rapidapi-key': apiKey,
+          'x-rapidapi-host': RAPIDAPI_HOST
+        }
+      });
+      
+      // Process the response
+      return response.data.results || [];
     });
-    
-    // Process the response
-    return response.data.results || [];
   };
 
   // Add Twitter search tool with built-in guide consultation
-  server.tool("searchTwitter",
-    { 
-      query: z.string().min(1, "Search query is required"),
-      section: z.enum(["latest", "top"]).optional().default("latest"),
-      limit: z.number().int().positive().optional().default(10),
-      min_retweets: z.number().int().optional(),
-      min_likes: z.number().int().optional(),
-      min_replies: z.number().int().optional(),
-      start_date: z.string().optional(),
-      end_date: z.string().optional(),
-      language: z.string().optional()
+  server.registerTool("searchTwitter",
+    {
+      inputSchema: {
+        query: z.string().min(1, "Search query is required"),
+        section: z.enum(["latest", "top"]).optional().default("latest"),
+        limit: z.number().int().positive().optional().default(10),
+        min_retweets: z.number().int().optional(),
+        min_likes: z.number().int().optional(),
+        min_replies: z.number().int().optional(),
+        start_date: z.string().optional(),
+        end_date: z.string().optional(),
+        language: z.string().optional(),
+        refresh: z.boolean().optional().default(false).describe("Bypass the cache and run the search again")
+      },
+      outputSchema: {
+        query: z.string(),
+        section: z.string(),
+        count: z.number(),
+        tweets: z.array(z.object({
+          tweetId: z.string(),
+          username: z.string(),
+          name: z.string(),
+          text: z.string(),
+          likes: z.number(),
+          retweets: z.number(),
+          replies: z.number(),
+          createdAt: z.string().nullable(),
+          mediaUrls: z.array(z.string()),
+          url: z.string()
+        }))
+      }
     },
-    async ({ query, section, limit, min_retweets, min_likes, min_replies, start_date, end_date, language }) => {
+    async ({ query, section, limit, min_retweets, min_likes, min_replies, start_date, end_date, language, refresh }) => {
       try {
         // ENHANCEMENT: Pre-analyze the query to determine if it needs formatting
         let formattedQuery = query;
@@ -105,7 +128,7 @@ export function registerTwitterTools(server) {
         
         // Use the shared search function with the formatted query
         const tweets = await performTwitterSearch(
-          formattedQuery, section, limit, min_retweets, min_likes, min_replies, start_date, end_date, language
+          formattedQuery, section, limit, min_retweets, min_likes, min_replies, start_date, end_date, language, refresh
         );
         
         // Format the response
@@ -113,7 +136,13 @@ export function registerTwitterTools(server) {
           content: [{ 
             type: "text", 
             text: formatTwitterResults(formattedQuery, tweets, section)
-          }]
+          }],
+          structuredContent: {
+            query: formattedQuery,
+            section,
+            count: tweets.length,
+            tweets: tweets.map(summarizeTweet)
+          }
         };
       } catch (error) {
         console.error('Error searching Twitter:', error);
@@ -121,16 +150,23 @@ export function registerTwitterTools(server) {
           content: [{ 
             type: "text", 
             text: `Error searching Twitter: ${error.message}`
-          }]
+          }],
+          isError: true
         };
       }
     }
   );
   
   // Add a Twitter syntax help tool
-  server.tool("twitterSearchHelp",
-    { 
-      topic: z.string().optional().default("general")
+  server.registerTool("twitterSearchHelp",
+    {
+      inputSchema: {
+        topic: z.string().optional().default("general")
+      },
+      outputSchema: {
+        topic: z.string(),
+        content: z.string()
+      }
     },
     async ({ topic }) => {
       // Simplified guide content from our resource
@@ -173,16 +209,41 @@ Example:
       };
 
       // Return the requested help topic or general help
+      const resolvedTopic = helpContent[topic] ? topic : "general";
       return {
         content: [{
           type: "text",
-          text: helpContent[topic] || helpContent.general
-        }]
+          text: helpContent[resolvedTopic]
+        }],
+        structuredContent: {
+          topic: resolvedTopic,
+          content: helpContent[resolvedTopic]
+        }
       };
     }
   );
 }
 
+/**
+ * Reduce a RapidAPI tweet object to the fields exposed in structured output
+ * @param {Object} tweet - Tweet object from the search API
+ * @returns {Object} Tweet summary
+ */
+function summarizeTweet(tweet) {
+  return {
+    tweetId: String(tweet.tweet_id),
+    username: tweet.user?.username || "",
+    name: tweet.user?.name || "",
+    text: tweet.text || "",
+    likes: tweet.favorite_count || 0,
+    retweets: tweet.retweet_count || 0,
+    replies: tweet.reply_count || 0,
+    createdAt: tweet.creation_date || null,
+    mediaUrls: tweet.media_url || [],
+    url: `https://twitter.com/${tweet.user?.username}/status/${tweet.tweet_id}`
+  };
+}
+
 /**
  * Format Twitter search results into a readable response
  * @param {string} query - The search query
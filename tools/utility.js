@@ -6,10 +6,14 @@ import { z } from "zod";
  */
 export function registerUtilityTools(server) {
   // Add an addition tool
-  server.tool("add",
-    { a: z.number(), b: z.number() },
+  server.registerTool("add",
+    {
+      inputSchema: { a: z.number(), b: z.number() },
+      outputSchema: { result: z.number() }
+    },
     async ({ a, b }) => ({
-      content: [{ type: "text", text: String(a + b) }]
+      content: [{ type: "text", text: String(a + b) }],
+      structuredContent: { result: a + b }
     })
   );
-} 
\ No newline at end of file
+}
@@ -0,0 +1,402 @@
+import { z } from "zod";
+import { resolveEvmChain, getWeb3 } from "../lib/chains.js";
+import { addressSchema } from "../lib/address.js";
+import { encodeFunctionCall } from "../lib/abi.js";
+import { getTokenMetadata, parseTokenAmount, formatTokenAmount } from "../lib/erc20.js";
+import { simulateTransaction, computeBalanceChanges } from "../lib/simulation.js";
+import { getCreateAddress } from "../lib/token-deploy.js";
+import {
+  isWalletConfigured, getWalletAccount, withWalletLock, getNextNonce, signAndSendTransaction, waitForTransaction, getAuditLogPath
+} from "../lib/wallet.js";
+import { loadWalletPolicy, checkWalletPolicy, MAX_UINT256 } from "../lib/wallet-policy.js";
+
+const TRANSFER = {
+  type: "function",
+  name: "transfer",
+  inputs: [{ name: "to", type: "address" }, { name: "amount", type: "uint256" }]
+};
+const APPROVE = {
+  type: "function",
+  name: "approve",
+  inputs: [{ name: "spender", type: "address" }, { name: "amount", type: "uint256" }]
+};
+
+const amountSchema = z.string().trim().regex(/^\d+(\.\d+)?$/, "Amount must be a decimal number such as 1.5");
+const dryRunSchema = z.boolean().optional().default(true)
+  .describe("Only simulate and check the policy (default); pass false to sign and broadcast");
+
+export const walletResultSchema = {
+  action: z.enum(["sendEth", "transferToken", "approveToken", "swap", "deployToken"]),
+  chain: z.string(),
+  from: z.string(),
+  to: z.string(),
+  token: z.string().nullable(),
+  symbol: z.string(),
+  amount: z.string(),
+  amountRaw: z.string(),
+  dryRun: z.boolean(),
+  status: z.enum(["simulated", "confirmed", "reverted", "pending"]),
+  policy: z.object({
+    file: z.string(),
+    allowed: z.boolean(),
+    violations: z.array(z.string()),
+    perTransactionLimit: z.string().nullable(),
+    dailyLimit: z.string().nullable(),
+    spentLast24h: z.string().nullable()
+  }),
+  simulation: z.object({
+    success: z.boolean(),
+    revertReason: z.string().nullable(),
+    gasEstimate: z.number().nullable(),
+    balanceChanges: z.array(z.object({
+      address: z.string(),
+      token: z.string(),
+      symbol: z.string().nullable(),
+      decimals: z.number().nullable(),
+      change: z.string(),
+      changeFormatted: z.string()
+    })),
+    warnings: z.array(z.string())
+  }),
+  transactionHash: z.string().nullable(),
+  blockNumber: z.number().nullable(),
+  gasUsed: z.number().nullable()
+};
+
+/**
+ * Registers the wallet tools with the MCP server. They are only available
+ * when a signing key is configured, and every action is checked against the
+ * wallet policy and simulated before anything is signed.
+ * @param {McpServer} server - The MCP server instance
+ * @param {Web3} web3 - The initialized Web3 instance, used when no chain is given
+ */
+export function registerWalletTools(server, web3) {
+  if (!isWalletConfigured()) {
+    console.error("Wallet tools disabled (set WALLET_PRIVATE_KEY or WALLET_KEYSTORE to enable them)");
+    return;
+  }
+
+  server.registerTool("sendEth",
+    {
+      inputSchema: {
+        to: addressSchema.describe("Recipient address or ENS name"),
+        amount: amountSchema.describe("Amount in ETH (or the chain's native currency), e.g. 0.05"),
+        chain: z.string().optional(),
+        dryRun: dryRunSchema
+      },
+      outputSchema: walletResultSchema
+    },
+    async ({ to, amount, chain, dryRun }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const value = parseTokenAmount(amount, 18);
+
+        const result = await executeWalletAction(chainWeb3, chainConfig, {
+          action: "sendEth",
+          tx: { to, value, data: "0x" },
+          counterparty: to,
+          asset: "native",
+          token: null,
+          symbol: chainConfig.nativeSymbol,
+          decimals: 18,
+          amount: value,
+          dryRun
+        });
+        return formatWalletResponse(result, chainConfig);
+      } catch (error) {
+        console.error("Error in sendEth:", error);
+        return {
+          content: [{ type: "text", text: `Error sending ETH: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool("transferToken",
+    {
+      inputSchema: {
+        token: addressSchema.describe("ERC20 token address"),
+        to: addressSchema.describe("Recipient address or ENS name"),
+        amount: amountSchema.describe("Amount in whole tokens, e.g. 12.5"),
+        chain: z.string().optional(),
+        dryRun: dryRunSchema
+      },
+      outputSchema: walletResultSchema
+    },
+    async ({ token, to, amount, chain, dryRun }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const metadata = await getErc20Metadata(chainWeb3, token);
+        const raw = parseTokenAmount(amount, metadata.decimals);
+
+        const result = await executeWalletAction(chainWeb3, chainConfig, {
+          action: "transferToken",
+          tx: { to: token, value: 0n, data: encodeFunctionCall(TRANSFER, [to, raw.toString()]) },
+          counterparty: to,
+          asset: token,
+          token,
+          symbol: metadata.symbol || token,
+          decimals: metadata.decimals,
+          amount: raw,
+          dryRun
+        });
+        return formatWalletResponse(result, chainConfig);
+      } catch (error) {
+        console.error("Error in transferToken:", error);
+        return {
+          content: [{ type: "text", text: `Error transferring token: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool("approveToken",
+    {
+      inputSchema: {
+        token: addressSchema.describe("ERC20 token address"),
+        spender: addressSchema.describe("Address allowed to spend the tokens"),
+        amount: z.union([amountSchema, z.literal("unlimited")])
+          .describe('Allowance in whole tokens, "0" to revoke, or "unlimited"'),
+        chain: z.string().optional(),
+        dryRun: dryRunSchema
+      },
+      outputSchema: walletResultSchema
+    },
+    async ({ token, spender, amount, chain, dryRun }) => {
+      try {
+        const chainConfig = resolveEvmChain(chain);
+        const chainWeb3 = chain ? getWeb3(chainConfig.key) : web3;
+        const metadata = await getErc20Metadata(chainWeb3, token);
+        const raw = amount === "unlimited" ? MAX_UINT256 : parseTokenAmount(amount, metadata.decimals);
+
+        const result = await executeWalletAction(chainWeb3, chainConfig, {
+          action: "approveToken",
+          tx: { to: token, value: 0n, data: encodeFunctionCall(APPROVE, [spender, raw.toString()]) },
+          counterparty: spender,
+          asset: token,
+          token,
+          symbol: metadata.symbol || token,
+          decimals: metadata.decimals,
+          amount: raw,
+          dryRun
+        });
+        return formatWalletResponse(result, chainConfig);
+      } catch (error) {
+        console.error("Error in approveToken:", error);
+        return {
+          content: [{ type: "text", text: `Error approving token: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+}
+
+/**
+ * Read token metadata, requiring the decimals needed to convert amounts
+ * @param {Web3} web3 - Web3 instance
+ * @param {string} token - Token address
+ * @returns {Promise<Object>} { name, symbol, decimals }
+ */
+export async function getErc20Metadata(web3, token) {
+  const metadata = await getTokenMetadata(web3, token);
+  if (metadata.decimals === null) {
+    throw new Error(`Could not read decimals() of ${token}; is it an ERC20 token?`);
+  }
+  return metadata;
+}
+
+/**
+ * Check an action against the policy, simulate it and, unless this is a dry
+ * run, sign and broadcast it. Policy violations and failed simulations stop a
+ * live action; a dry run reports them instead. Live actions of a wallet on a
+ * chain run one at a time up to the broadcast, so each policy check sees the
+ * transactions signed before it, mined or still pending.
+ * @param {Web3} web3 - Web3 instance of the target chain
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} request - Action details ({ action, tx, counterparty, asset, token, symbol, decimals, amount, dryRun }, plus
+ *   optional tokenMetadata for other tokens the transaction moves). A deployment has no counterparty and tx has no `to`;
+ *   the contract address is derived from the nonce it is signed with, and optional contractMetadata describes the
+ *   token it creates.
+ * @returns {Promise<Object>} Wallet action result
+ */
+export async function executeWalletAction(web3, chain, request) {
+  if (request.dryRun) {
+    return checkAndSend(web3, chain, request);
+  }
+  const wallet = await getWalletAccount();
+  const sent = await withWalletLock(`${chain.key}:${wallet.address.toLowerCase()}`, () => checkAndSend(web3, chain, request));
+  const mined = await waitForTransaction(web3, sent.transaction);
+
+  return {
+    ...sent.result,
+    // A deployment's address is only final once the receipt reports it
+    to: mined.contractAddress ? web3.utils.toChecksumAddress(mined.contractAddress) : sent.result.to,
+    status: mined.status,
+    transactionHash: mined.hash,
+    blockNumber: mined.blockNumber,
+    gasUsed: mined.gasUsed
+  };
+}
+
+/**
+ * Check, simulate and (for a live action) broadcast a wallet action
+ * @param {Web3} web3 - Web3 instance of the target chain
+ * @param {Object} chain - Chain registry entry
+ * @param {Object} request - Action details, as for executeWalletAction
+ * @returns {Promise<Object>} The simulated result for a dry run, else { result, transaction }
+ */
+async function checkAndSend(web3, chain, request) {
+  const { action, tx, asset, token, symbol, decimals, amount, dryRun, contractMetadata } = request;
+  const [wallet, policy] = await Promise.all([getWalletAccount(), loadWalletPolicy()]);
+
+  // Under the wallet lock no other transaction can take the nonce before this one is signed
+  const counterparty = tx.to ? request.counterparty : getCreateAddress(wallet.address, await getNextNonce(web3, wallet.address));
+  const tokenMetadata = new Map(request.tokenMetadata);
+  if (!tx.to && contractMetadata) {
+    tokenMetadata.set(counterparty.toLowerCase(), contractMetadata);
+  }
+
+  const check = checkWalletPolicy(policy, { action, chain, asset, symbol, decimals, amount, counterparty, from: wallet.address });
+  const simulation = await simulateTransaction(web3, { from: wallet.address, ...tx });
+
+  // Tokens that signal failure by returning false instead of reverting
+  const callsToken = action === "transferToken" || action === "approveToken";
+  if (simulation.success && callsToken && /^0x0{64}$/.test(simulation.returnData || "")) {
+    simulation.success = false;
+    simulation.revertReason = "token returned false";
+  }
+
+  const result = {
+    action,
+    chain: chain.key,
+    from: wallet.address,
+    to: web3.utils.toChecksumAddress(counterparty),
+    token: token ? web3.utils.toChecksumAddress(token) : null,
+    symbol,
+    amount: amount === MAX_UINT256 && action === "approveToken" ? "unlimited" : formatTokenAmount(amount, decimals),
+    amountRaw: amount.toString(),
+    dryRun,
+    status: "simulated",
+    policy: { file: policy.file, ...check },
+    simulation: {
+      success: simulation.success,
+      revertReason: simulation.revertReason,
+      gasEstimate: simulation.gasEstimate,
+      balanceChanges: computeBalanceChanges(simulation, {
+        nativeSymbol: chain.nativeSymbol,
+        tokenMetadata: new Map([...tokenMetadata, ...(token ? [[token.toLowerCase(), { symbol, decimals }]] : [])])
+      }),
+      warnings: simulation.warnings
+    },
+    transactionHash: null,
+    blockNumber: null,
+    gasUsed: null
+  };
+
+  if (dryRun) {
+    return result;
+  }
+
+  if (policy.dryRun) {
+    throw new Error(`The wallet policy only allows dry runs; set "dryRun": false in ${policy.file} to send transactions`);
+  }
+  if (!check.allowed) {
+    throw new Error(`Refused by the wallet policy: ${check.violations.join("; ")}`);
+  }
+  if (!simulation.success) {
+    throw new Error(`Simulation failed (${simulation.revertReason}); the transaction was not sent`);
+  }
+  if (simulation.gasEstimate === null) {
+    throw new Error("The node could not estimate gas; the transaction was not sent");
+  }
+
+  const transaction = await signAndSendTransaction(web3, tx, {
+    action,
+    chain: chain.key,
+    asset: token ? result.token : "native",
+    amount: result.amountRaw,
+    recipient: result.to
+  }, simulation.gasEstimate);
+
+  return { result, transaction };
+}
+
+/**
+ * Build the tool response for a wallet action
+ * @param {Object} result - Wallet action result
+ * @param {Object} chain - Chain registry entry
+ * @returns {Object} MCP tool response
+ */
+function formatWalletResponse(result, chain) {
+  return {
+    content: [{ type: "text", text: formatWalletResult(result, chain) }],
+    structuredContent: result
+  };
+}
+
+/**
+ * Format a wallet action result for display
+ * @param {Object} result - Wallet action result
+ * @param {Object} chain - Chain registry entry
+ * @returns {string} Formatted report
+ */
+export function formatWalletResult(result, chain) {
+  const output = [];
+  const titles = { sendEth: "SEND", transferToken: "TOKEN TRANSFER", approveToken: "TOKEN APPROVAL", swap: "SWAP", deployToken: "TOKEN DEPLOYMENT" };
+  const statuses = {
+    simulated: "🧪 Dry run (nothing was signed)",
+    confirmed: "✅ Confirmed",
+    reverted: "❌ Reverted on-chain",
+    pending: "⏳ Broadcast, not yet mined"
+  };
+
+  output.push(`=== 👛 ${titles[result.action]} ===`);
+  output.push(`⛓️ Chain: ${chain.name}`);
+  output.push(`👤 From: ${result.from}`);
+  const labels = { approveToken: "🔓 Spender", deployToken: "📜 Contract" };
+  output.push(`${labels[result.action] || "🎯 To"}: ${result.to}`);
+  if (result.action !== "deployToken") {
+    output.push(`💰 Amount: ${result.amount} ${result.symbol}${result.token ? ` (${result.token})` : ""}`);
+  }
+  output.push(`📌 Status: ${statuses[result.status]}`);
+  if (result.transactionHash) {
+    output.push(`🔗 Hash: ${result.transactionHash}${chain.explorerUrl ? ` (${chain.explorerUrl}/tx/${result.transactionHash})` : ""}`);
+  }
+  if (result.gasUsed !== null) {
+    output.push(`⛽ Gas used: ${result.gasUsed}`);
+  }
+
+  output.push("\n🧪 SIMULATION:");
+  output.push(`   ${result.simulation.success ? "✅ Succeeds" : `❌ Fails: ${result.simulation.revertReason}`}`);
+  if (result.simulation.gasEstimate !== null) {
+    output.push(`   Gas estimate: ${result.simulation.gasEstimate}`);
+  }
+  result.simulation.balanceChanges.forEach(change => {
+    output.push(`   ${change.address}: ${change.changeFormatted} ${change.symbol || change.token}`);
+  });
+  result.simulation.warnings.forEach(warning => output.push(`   ⚠️ ${warning}`));
+
+  output.push(`\n📜 POLICY (${result.policy.file}):`);
+  if (result.policy.allowed) {
+    output.push("   ✅ Allowed");
+  } else {
+    result.policy.violations.forEach(violation => output.push(`   ❌ ${violation}`));
+  }
+  if (result.policy.perTransactionLimit !== null) {
+    output.push(`   Per-transaction limit: ${result.policy.perTransactionLimit} ${result.symbol}`);
+  }
+  if (result.policy.dailyLimit !== null) {
+    output.push(`   Daily limit: ${result.policy.dailyLimit} ${result.symbol} (${result.policy.spentLast24h} sent in the last 24 hours)`);
+  }
+
+  if (result.status !== "simulated") {
+    output.push(`\n📝 Recorded in ${getAuditLogPath()}`);
+  }
+
+  return output.join("\n");
+}